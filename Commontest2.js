@@ -2,399 +2,5511 @@
 // For more information about JSON Schema, see https://spacetelescope.github.io/understanding-json-schema/basics.html
 // Negative regex values can be extended by an OR function. Example: (?!wrongvalue1|wrongvalue2|wrongvalueN)
 
-const COMMON = {
-	ERROR: {
-		OFFSET: 3
-	},
-	TYPE_ERROR: {
-		MESSAGE: "Wrong argument type for function"
-	},
-	RANGE_ERROR: {
-		MESSAGE: "Argument out of range for function"
-	}
-};
-
-/**
- * Checks commonly used variables.
- *
- * @param {number} statusCode - Status code of the response
- * @param {string} contentType - Content type of the response
- * @param {Object} jsonSchema - JSON schema of the response
- * @param {string} location - Location of the source
- */
-function testCommon(statusCode, contentType, jsonSchema, location) {
-	logResponseBody();
-	statusCode && checkStatusCode(statusCode);
-	if (pm.response.code === statusCode) {
-	  	contentType && checkContentType(contentType);
-	  	jsonSchema && checkJSONSchema(jsonSchema);
-	  	location && checkLocation(location);
-  	}
-}
-
-/**
- * Executes functions testCommon and checkTime.
- *
- * @param {number} statusCode - Status code of the response
- * @param {number} time - Elapsed time of the response
- * @param {string} contentType - Content type of the response
- * @param {Object} jsonSchema - JSON schema of the response
- * @param {string} location - Location of the source
- */
-function testCommonAndTime(statusCode, time, contentType, jsonSchema, location) {
-	testCommon(statusCode, contentType, jsonSchema, location);
-	if (pm.response.code === statusCode) {
-		time && checkTime(time);
-	}
-}
-
-/**
- * Logs the response body of the request. This function is for test automation logging purposes.
- */
-function logResponseBody() {
-	// The "pm.test" function is being used because a console log results in an unreadable small vertical text. This method will count as an extra test.
-	const RESPONSE_BODY = pm.response.text();
-	RESPONSE_BODY && pm.test(`Response Body: ${RESPONSE_BODY}`, () => {});
-}
-
-/**
- * Gets the type of the provided value.
- *
- * @param {*} value - Any possible value
- * @returns {string} Type of the value: Object, Boolean, Number, String, Array, Date, Null, Undefined, Error, ...
- */
-function getType(value) {
-	return Object.prototype.toString.call(value).replace(/^\[object |\]$/g, "");
-}
-
-/**
- * Gets the function name from the function where this is called.
- *
- * @param {Error} error - Example: new Error()
- * @returns {string} Name of the caller function
- * @throws {TypeError} Parameter must be an error object
- */
-function getFunctionNameFromInside(error) {
-	// arguments.callee.name is forbidden in ES5+ strict mode
-	if (getType(error) === "Error") {
-		let functionName = error.stack.split(/\r\n|\r|\n/g)[1].trim();
-		functionName = functionName.substr(COMMON.ERROR.OFFSET, functionName.indexOf("(") - 1 - COMMON.ERROR.OFFSET);
-		return functionName;
+(function (root, factory) {
+	const commonTests = factory();
+	if (typeof module === "object" && module && module.exports) {
+		module.exports = commonTests;
 	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} getFunctionNameFromInside`);
-	}
-}
-
-/**
- * Gets the index of the first object in an array that matches the given property and value.
- *
- * @param {Array.<Object>} array - The array to be searched
- * @param {string} property - The name of the property to be matched
- * @param {*} value - The value of the property to be matched
- * @returns {number} Index of the first matching object or -1 if there is no match
- * @throws {TypeError} Parameters must be an array, string, any
- */
-function getIndexObjectInArray(array, property, value) {
-	if (Array.isArray(array) && array.every(item => getType(item) === "Object") && getType(property) === "String") {
-		return array.findIndex(item => item[property] === value);
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Converts time to the correct multiple.
- *
- * @param {number} time - Time in milliseconds
- * @returns {string} Converted time
- * @throws {TypeError} Parameter must be a number
- */
-function convertTime(time) {
-	if (getType(time) === "Number") {
-		return time >= 1000 ? `${time / 1000}s` : `${time}ms`;
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Delays for the set amount of time.
- *
- * @param {number} time - Time interval in milliseconds
- * @throws {TypeError} Parameter must be a number
- */
-function delayTime(time) {
-	if (getType(time) === "Number") {
-		console.log(`Delaying for ${convertTime(time)}...`);
-		setTimeout(() => console.log("Delay finished"), time);
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Generates a random number. Positive and negative numbers are allowed.
- *
- * @param {number} min - Minimum number (included)
- * @param {number} max - Maximum number (included)
- * @returns {number} Random number that ranges from min to max
- * @throws {TypeError} Parameters must be numbers
- * @throws {RangeError} Parameter max must be greater than min
- */
-function generateNumber(min, max) {
-	if (getType(min) === "Number" && getType(max) === "Number") {
-		if (min <= max) {
-			return Math.floor(Math.random() * (max - min + 1) + min);
+		root.commonTests = commonTests;
+	}
+	return commonTests;
+}(typeof globalThis !== "undefined" ? globalThis : this, function () {
+	"use strict";
+
+	const COMMON = {
+		ERROR: {
+			OFFSET: 3
+		},
+		TYPE_ERROR: {
+			MESSAGE: "Wrong argument type for function"
+		},
+		RANGE_ERROR: {
+			MESSAGE: "Argument out of range for function"
+		},
+		ADAPTER_ERROR: {
+			MESSAGE: "No runtime adapter available, call commonTests.useAdapter() first"
+		},
+		ADAPTER: {
+			METHODS: ["test", "assert", "getResponse", "validateSchema", "setNextRequest", "getRequestName", "getVariable", "setVariable"],
+			SEND_REQUEST_MESSAGE: "The runtime adapter cannot send requests"
+		},
+		POLL: {
+			OPTIONS: ["interval", "timeout", "description"],
+			INTERVAL: 1000,
+			TIMEOUT: 30000
+		},
+		CONDITIONAL: {
+			GET_OPTIONS: ["lastModified"],
+			LOCKING_OPTIONS: ["method", "preconditionRequired", "apply"],
+			// Entity tag that no resource has, for updates that must be refused
+			STALE_ETAG: "\"commonTests-stale\""
+		},
+		IDEMPOTENCY: {
+			OPTIONS: ["key", "header", "otherBody", "otherBodyStatus"],
+			HEADER: "Idempotency-Key",
+			OTHER_BODY_STATUS: 422
+		},
+		AUTH: {
+			OPTIONS: ["tokenUrl", "grantType", "clientId", "clientSecret", "username", "password", "scope", "audience", "clientAuthentication", "variable", "refreshMargin"],
+			DEFAULTS: {
+				grantType: "client_credentials",
+				clientAuthentication: "body",
+				// Collection variable with the cached token and its expiry as JSON
+				variable: "commonTests.token",
+				refreshMargin: 60
+			},
+			GRANT_TYPES: ["client_credentials", "password"],
+			CLIENT_AUTHENTICATIONS: ["body", "basic"],
+			// Variable with the current access token, for requests that use "Bearer {{commonTests.accessToken}}"
+			ACCESS_TOKEN_VARIABLE: "commonTests.accessToken",
+			API_KEY_HEADER: "ApiKey",
+			JWT_OPTIONS: ["issuer", "audience", "scopes", "clockSkew"]
+		},
+		BASE64: {
+			ALPHABET: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/"
+		},
+		LIFECYCLE: {
+			OPTIONS: ["update", "method", "idPath", "deletedStatus"],
+			DELETED_STATUS: 404
+		},
+		LOCATION: {
+			OPTIONS: ["baseUrl", "body", "headers"]
+		},
+		CAPTURE: {
+			OPTIONS: ["path", "header", "pattern"],
+			// Prefix of a capture source that names a response header
+			HEADER: "header:"
+		},
+		OPTION_ERROR: {
+			MESSAGE: "Unknown option"
+		},
+		PROFILE: {
+			// Variable with the name of the profile in use, usually set per Postman environment
+			VARIABLE: "commonTests.profile",
+			OPTIONS: ["maxTime", "hosts", "requests"],
+			REQUEST_OPTIONS: ["status", "maxTime"],
+			MESSAGE: "Unknown profile"
+		},
+		TEST_COMMON: {
+			OPTIONS: ["status", "contentType", "schema", "location", "maxTime", "headers", "bodyContains", "bodyNotContains", "emptyBody", "logBody", "abort"]
+		},
+		JSON_SCHEMA: {
+			VALIDATORS: ["auto", "tv4", "native"],
+			// Draft-04 is left to tv4 by the "auto" validator
+			NEWER_DRAFTS: /draft-0[67]|2019-09|2020-12/,
+			MAX_REF_DEPTH: 100,
+			EPSILON: 1e-9,
+			FORMATS: {
+				"date-time": value => /^\d{4}-\d{2}-\d{2}[Tt]/.test(value) && isCalendarDate(value.slice(0, 10)) && isRFC3339Time(value.slice(11)),
+				"date": value => isCalendarDate(value),
+				"time": value => isRFC3339Time(value),
+				"email": value => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(value),
+				"hostname": value => /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/.test(value),
+				"ipv4": value => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value),
+				"ipv6": value => {
+					// Groups before and after the "::" shorthand, embedded IPv4 addresses are not supported
+					const HALVES = value.split("::"),
+						GROUPS = [].concat(...HALVES.map(half => half ? half.split(":") : []));
+					return HALVES.length <= 2 && GROUPS.every(group => /^[0-9a-fA-F]{1,4}$/.test(group)) && (HALVES.length === 2 ? GROUPS.length < 8 : GROUPS.length === 8);
+				},
+				"uri": value => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value),
+				"uri-reference": value => /^[^\s]*$/.test(value),
+				"uuid": value => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+				"regex": value => {
+					try {
+						return Boolean(new RegExp(value));
+					} catch (error) {
+						return false;
+					}
+				}
+			}
+		},
+		OPENAPI: {
+			METHODS: ["get", "put", "post", "delete", "options", "head", "patch", "trace"]
+		},
+		STATUS_CODE: {
+			CLASSES: {1: "Information", 2: "Success", 3: "Redirection", 4: "Client Error", 5: "Server Error"},
+			CLASS_PATTERN: /^([0-9])xx$/i
+		},
+		PROBLEM: {
+			CONTENT_TYPE: "application/problem+json",
+			FIELDS: ["type", "title", "status", "detail"]
+		},
+		ABORT: {
+			ACTIONS: ["stop", "skip", "retry", "fail"],
+			OPTIONS: ["codes", "action", "request", "retries", "backoff"],
+			RETRIES_VARIABLE: "commonTests.retries."
+		},
+		LOGGING: {
+			LEVELS: ["debug", "info", "warn", "error", "off"],
+			OPTIONS: ["level", "output", "maxLength", "pretty", "redactPaths", "redactHeaders", "redactNationalNumbers"],
+			OUTPUTS: ["console", "variable"],
+			CONSOLE_METHODS: {debug: "log", info: "info", warn: "warn", error: "error"},
+			// Collection variable with the log entries of the run as JSON, when the output is "variable"
+			VARIABLE: "commonTests.logs",
+			MAX_ENTRIES: 500,
+			REDACTED: "[REDACTED]",
+			// Belgian national register number (rijksregisternummer), for example 85.07.30-033.28 or 85073003328
+			NATIONAL_NUMBER: /\b(\d{2})\.?(\d{2})\.?(\d{2})[-.]?(\d{3})\.?(\d{2})\b/g
+		},
+		REPORT: {
+			// Collection variable with the run report as JSON, see configure
+			VARIABLE: "commonTests.report",
+			OPTIONS: ["record"],
+			FORMATS: ["json", "junit"],
+			NAME: "commonTests"
+		},
+		TIMINGS: {
+			// Collection variable with the recorded response times of the run as JSON
+			VARIABLE: "commonTests.timings",
+			PERCENTILES: {p50: 50, p95: 95, max: 100},
+			OPTIONS: ["record", "warmup"]
+		},
+		GENERATOR: {
+			// Variable with the seed of the random generators, set it to reproduce the data of a run
+			SEED_VARIABLE: "commonTests.seed",
+			ALPHABET: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
+			LOWERCASE: "abcdefghijklmnopqrstuvwxyz",
+			PRINTABLE: Array.from({length: 95}, (value, index) => String.fromCharCode(32 + index)).join(""),
+			MAX_REPEAT: 8,
+			MAX_ATTEMPTS: 100,
+			NUMBER_RANGE: 1000,
+			FROM: "2000-01-01T00:00:00Z",
+			TO: "2030-12-31T23:59:59Z",
+			DOMAIN: "example.com",
+			FORMATS: {
+				"uuid": () => generateGUID(),
+				"date-time": () => generateISODateTime(),
+				"date": () => generateISODateTime().slice(0, 10),
+				"time": () => generateISODateTime().slice(11),
+				"email": () => generateEmail(),
+				"hostname": () => `api.${COMMON.GENERATOR.DOMAIN}`,
+				"ipv4": () => Array.from({length: 4}, () => generateNumber(0, 255)).join("."),
+				"uri": () => generateURL(),
+				"uri-reference": () => generateURL()
+			}
+		},
+		REGEX: {
+			GUID_OPTIONS: ["version", "allowNil"],
+			DATETIME_OPTIONS: ["offsets", "fractionDigits", "allowMinValue"],
+			URL_OPTIONS: ["schemes", "hosts", "pathRequired"],
+			NIL_GUID: "00000000-0000-0000-0000-000000000000",
+			// Default value of .NET DateTime, usually a value that was never set
+			MIN_DATETIME: "0001-01-01T00:00:00(\\.0+)?(Z|[+-]00:00)",
+			FRACTION_DIGITS: [0, 9],
+			SCHEMES: ["https", "http"],
+			HOSTNAME: "localhost|[0-9a-zA-Z]([0-9a-zA-Z-]*[0-9a-zA-Z])?(\\.[0-9a-zA-Z]([0-9a-zA-Z-]*[0-9a-zA-Z])?)+"
+		},
+		HAL: {
+			LINKS: ["self", "first", "last", "next", "previous"],
+			OPTIONS: ["pageBase", "requiredLinks"]
+		},
+		MEDIA_TYPE: {
+			// Characters of an RFC 7230 token, the syntax of a type and a subtype
+			TOKEN: /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
+		},
+		SECURITY_HEADERS: {
+			OPTIONS: ["hstsMaxAge", "includeSubDomains", "contentSecurityPolicy"],
+			// One year, the minimum for HSTS preload lists
+			HSTS_MAX_AGE: 31536000
+		},
+		CORS: {
+			OPTIONS: ["methods", "headers", "credentials"]
+		},
+		CACHING: {
+			OPTIONS: ["validators", "directives"],
+			ETAG: /^(W\/)?"[^"]*"$/,
+			// IMF-fixdate of RFC 7231, for example "Sun, 06 Nov 1994 08:49:37 GMT"
+			HTTP_DATE: /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} GMT$/
+		},
+		JSON_PATH: {
+			ASSERTIONS: ["exists", "count", "equals", "pattern", "min", "max", "matches", "unique", "sorted"],
+			ORDERS: ["asc", "desc"],
+			// Failing values that a failure message lists before summarizing the rest
+			REPORTED_ERRORS: 5
+		},
+		SNAPSHOT: {
+			OPTIONS: ["ignore", "mask", "record"],
+			SETTINGS: ["record"],
+			// Prefix of the collection variables with the snapshots, when the adapter does not store them itself
+			VARIABLE: "commonTests.snapshot.",
+			MASKS: {GUID: "<GUID>", DATETIME: "<DATETIME>"},
+			// Differences that a failure message lists before summarizing the rest, the log lists all of them
+			REPORTED_DIFFERENCES: 10
+		},
+		XML: {
+			ENTITIES: {lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'"},
+			NAME: /^[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/
+		},
+		CSV: {
+			DELIMITER: ",",
+			OPTIONS: ["header", "columns", "patterns", "delimiter"],
+			// Invalid rows that a failure message lists before summarizing the rest
+			REPORTED_ROWS: 5
+		},
+		BINARY: {
+			OPTIONS: ["minSize", "maxSize", "contentType", "signature", "sha256"],
+			// File signatures (magic numbers) as the hexadecimal bytes a body of the media type starts with
+			SIGNATURES: {
+				"application/pdf": "25504446",
+				"application/zip": "504B0304",
+				"application/gzip": "1F8B",
+				"application/x-7z-compressed": "377ABCAF271C",
+				"application/msword": "D0CF11E0A1B11AE1",
+				"application/vnd.ms-excel": "D0CF11E0A1B11AE1",
+				"application/vnd.openxmlformats-officedocument.wordprocessingml.document": "504B0304",
+				"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "504B0304",
+				"application/vnd.openxmlformats-officedocument.presentationml.presentation": "504B0304",
+				"application/vnd.oasis.opendocument.text": "504B0304",
+				"image/png": "89504E470D0A1A0A",
+				"image/jpeg": "FFD8FF",
+				"image/gif": "47494638",
+				"image/bmp": "424D"
+			}
+		},
+		PAGINATION: {
+			MAX_PAGES: 100,
+			CURSOR: {
+				itemsProperty: "items",
+				cursorProperty: "nextCursor",
+				cursorParameter: "cursor"
+			}
+		},
+		SETTINGS: {
+			// Collection variable with persisted settings as JSON, read by every script that loads the library
+			VARIABLE: "commonTests.settings",
+			DEFAULTS: {
+				validator: "auto",
+				abort: {
+					codes: [503, 500, 502, 504, 401, 403],
+					action: "stop",
+					request: null,
+					retries: 3,
+					backoff: 1000
+				},
+				timings: {
+					record: false,
+					warmup: 0
+				},
+				report: {
+					record: false
+				},
+				snapshot: {
+					record: false
+				},
+				profiles: {},
+				hal: {
+					pageBase: 1,
+					requiredLinks: ["self", "first", "last"]
+				},
+				logging: {
+					level: "info",
+					output: "console",
+					maxLength: 2000,
+					pretty: false,
+					redactPaths: [],
+					redactHeaders: ["Authorization", "Proxy-Authorization", "Cookie", "Set-Cookie"],
+					redactNationalNumbers: true
+				}
+			}
+		}
+	};
+
+	// Settings configured in the current script, they take precedence over the persisted settings
+	const settings = {};
+
+	let currentAdapter = null;
+
+	// Seeded random generator of the current script, created on first use
+	let randomGenerator = null;
+
+	/**
+	 * Changes the settings of the library. Object settings such as abort are merged with their current value.
+	 *
+	 * @param {Object} options - Settings to be changed
+	 * @param {string} options.validator - JSON schema validator: "tv4", "native" or "auto" (native for schemas newer than draft-04)
+	 * @param {(Object|boolean)} options.abort - Infrastructure abort policy, see checkStatusCode, or false to never abort
+	 * @param {Object} options.timings - Response time recording: record (testCommon records every response time, default false)
+	 *                                   and warmup (first responses per endpoint excluded from the statistics, default 0)
+	 * @param {Object} options.report - Run report: record (every test and the details of the checks are recorded per request, default false),
+	 *                                  see exportReport
+	 * @param {Object} options.snapshot - Snapshots: record (checkSnapshot stores the response as the new snapshot, default false)
+	 * @param {Object} options.profiles - Expectation profiles by name, merged per profile, see getProfile
+	 * @param {Object} options.hal - HAL conventions: pageBase (number of the first page, 0 or 1, default 1)
+	 *                               and requiredLinks (default self, first and last), see getSchemaHAL
+	 * @param {Object} options.logging - Logging, see log: level (default "info", "off" disables logging), output ("console" or "variable"),
+	 *                                   maxLength (default 2000 characters), pretty (default false), redactPaths (JSON paths, see redact),
+	 *                                   redactHeaders (default Authorization, Proxy-Authorization, Cookie and Set-Cookie)
+	 *                                   and redactNationalNumbers (default true)
+	 * @param {boolean} persist - Whether the settings are stored in the collection variable COMMON.SETTINGS.VARIABLE,
+	 *                            so they apply to every following request of the run (default false)
+	 * @returns {Object} Copy of the settings in use
+	 * @throws {TypeError} Options must be known
+	 * @throws {RangeError} Option values must be supported
+	 */
+	function configure(options, persist = false) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, Object.keys(COMMON.SETTINGS.DEFAULTS), FUNCTION_NAME);
+		if (options.validator !== undefined && !COMMON.JSON_SCHEMA.VALIDATORS.includes(options.validator)) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		options.abort !== undefined && validateAbortPolicy(options.abort, FUNCTION_NAME);
+		if (options.timings !== undefined) {
+			validateOptions(options.timings, COMMON.TIMINGS.OPTIONS, FUNCTION_NAME);
+			if ((options.timings.record !== undefined && getType(options.timings.record) !== "Boolean") ||
+				(options.timings.warmup !== undefined && (!Number.isInteger(options.timings.warmup) || options.timings.warmup < 0))) {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+			}
+		}
+		if (options.hal !== undefined) {
+			validateOptions(options.hal, COMMON.HAL.OPTIONS, FUNCTION_NAME);
+			validateHALSettings(options.hal, FUNCTION_NAME);
+		}
+		if (options.report !== undefined) {
+			validateOptions(options.report, COMMON.REPORT.OPTIONS, FUNCTION_NAME);
+			if (options.report.record !== undefined && getType(options.report.record) !== "Boolean") {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+			}
+		}
+		if (options.snapshot !== undefined) {
+			validateOptions(options.snapshot, COMMON.SNAPSHOT.SETTINGS, FUNCTION_NAME);
+			if (options.snapshot.record !== undefined && getType(options.snapshot.record) !== "Boolean") {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+			}
+		}
+		options.profiles !== undefined && validateProfiles(options.profiles, FUNCTION_NAME);
+		options.logging !== undefined && validateLoggingSettings(options.logging, FUNCTION_NAME);
+		mergeSettings(settings, options);
+		if (persist) {
+			getAdapter().setVariable(COMMON.SETTINGS.VARIABLE, JSON.stringify(mergeSettings(getPersistedSettings(), options)));
+		}
+		return getSettings();
+	}
+
+	/**
+	 * Gets the settings in use: the defaults, overridden by the persisted settings and the settings configured in the current script.
+	 *
+	 * @returns {Object} Copy of the settings in use
+	 */
+	function getSettings() {
+		return [getPersistedSettings(), settings].reduce(mergeSettings, mergeSettings({}, COMMON.SETTINGS.DEFAULTS));
+	}
+
+	/**
+	 * Gets the settings persisted in the collection variable COMMON.SETTINGS.VARIABLE.
+	 *
+	 * @returns {Object} Persisted settings, empty if there are none or no adapter is available
+	 * @throws {SyntaxError} The variable must contain JSON
+	 */
+	function getPersistedSettings() {
+		const ADAPTER = detectAdapter(),
+			VALUE = ADAPTER ? ADAPTER.getVariable(COMMON.SETTINGS.VARIABLE) : undefined;
+		return VALUE ? JSON.parse(VALUE) : {};
+	}
+
+	/**
+	 * Merges settings into a target. Object values are merged one level deep, other values are replaced.
+	 *
+	 * @param {Object} target - Settings to be changed
+	 * @param {Object} source - Settings to be merged
+	 * @returns {Object} The target
+	 */
+	function mergeSettings(target, source) {
+		Object.keys(source).forEach(name => {
+			target[name] = getType(source[name]) === "Object" && getType(target[name]) === "Object" ?
+				Object.assign({}, target[name], source[name]) :
+				getType(source[name]) === "Object" ? Object.assign({}, source[name]) : source[name];
+		});
+		return target;
+	}
+
+	/**
+	 * Validates logging settings, see configure.
+	 *
+	 * @param {Object} logging - Logging settings, all optional
+	 * @param {string} functionName - Name of the function that receives the settings
+	 * @throws {TypeError} Settings must be known and of the right type
+	 * @throws {RangeError} Settings level and output must be supported
+	 */
+	function validateLoggingSettings(logging, functionName) {
+		validateOptions(logging, COMMON.LOGGING.OPTIONS, functionName);
+		const isList = list => list === undefined || (Array.isArray(list) && list.every(item => getType(item) === "String"));
+		if (!["Undefined", "String"].includes(getType(logging.level)) || !["Undefined", "String"].includes(getType(logging.output)) ||
+			!(logging.maxLength === undefined || (Number.isInteger(logging.maxLength) && logging.maxLength > 0)) ||
+			!["Undefined", "Boolean"].includes(getType(logging.pretty)) || !["Undefined", "Boolean"].includes(getType(logging.redactNationalNumbers)) ||
+			!isList(logging.redactPaths) || !isList(logging.redactHeaders)) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		} else if ((logging.level !== undefined && !COMMON.LOGGING.LEVELS.includes(logging.level)) ||
+			(logging.output !== undefined && !COMMON.LOGGING.OUTPUTS.includes(logging.output))) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+		}
+	}
+
+	/**
+	 * Gets the expectation profile named by the variable COMMON.PROFILE.VARIABLE, so one collection can run against
+	 * environments with different expectations. Profiles are defined with configure and can contain:
+	 * maxTime (response time limit of checkTime), hosts (hosts allowed by getRegexURL)
+	 * and requests (request names mapped to their own status and maxTime). The values of the profile override those of the script.
+	 *
+	 * @returns {?Object} Profile in use with its name, null if the variable is not set or no adapter is available
+	 * @throws {Error} The profile must be defined
+	 */
+	function getProfile() {
+		const ADAPTER = detectAdapter(),
+			  NAME = ADAPTER ? ADAPTER.getVariable(COMMON.PROFILE.VARIABLE) : undefined;
+		if (NAME === undefined || NAME === null || NAME === "") {
+			return null;
+		}
+		const PROFILES = getSettings().profiles;
+		if (!Object.prototype.hasOwnProperty.call(PROFILES, NAME)) {
+			const DEFINED = Object.keys(PROFILES);
+			throw new Error(`${COMMON.PROFILE.MESSAGE} "${NAME}" in variable ${COMMON.PROFILE.VARIABLE}, ${DEFINED.length ? `the defined profiles are ${DEFINED.join(", ")}` : "no profiles are defined, see configure"}`);
+		}
+		return Object.assign({name: NAME}, PROFILES[NAME]);
+	}
+
+	/**
+	 * Gets the value of the profile in use for the current request, see getProfile.
+	 *
+	 * @param {string} name - Name of the value, for example "maxTime"
+	 * @param {*} value - Value of the script, used when the profile does not override it
+	 * @returns {*} Value of the request in the profile, of the profile itself or the given value
+	 * @throws {Error} The profile must be defined
+	 */
+	function applyProfile(name, value) {
+		const PROFILE = getProfile();
+		if (PROFILE) {
+			const REQUEST = (PROFILE.requests || {})[getAdapter().getRequestName()] || {};
+			return [REQUEST[name], PROFILE[name], value].find(candidate => candidate !== undefined);
+		}
+		return value;
+	}
+
+	/**
+	 * Validates expectation profiles, see configure and getProfile.
+	 *
+	 * @param {Object} profiles - Profiles by name
+	 * @param {string} functionName - Name of the function that receives the profiles
+	 * @throws {TypeError} Profiles must be objects with known options of the right type
+	 * @throws {RangeError} Status codes must exist and limits must be positive
+	 */
+	function validateProfiles(profiles, functionName) {
+		const validateTime = time => {
+			if (time !== undefined && getType(time) !== "Number") {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+			} else if (time !== undefined && !(time > 0)) {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+			}
+		};
+		if (getType(profiles) !== "Object") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		}
+		Object.keys(profiles).forEach(name => {
+			const PROFILE = profiles[name];
+			validateOptions(PROFILE, COMMON.PROFILE.OPTIONS, functionName);
+			if (!(PROFILE.hosts === undefined || (Array.isArray(PROFILE.hosts) && PROFILE.hosts.every(host => getType(host) === "String"))) ||
+				!["Undefined", "Object"].includes(getType(PROFILE.requests))) {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+			}
+			validateTime(PROFILE.maxTime);
+			Object.keys(PROFILE.requests || {}).forEach(request => {
+				const OVERRIDES = PROFILE.requests[request];
+				validateOptions(OVERRIDES, COMMON.PROFILE.REQUEST_OPTIONS, functionName);
+				OVERRIDES.status !== undefined && getStatusCodeExpectation(OVERRIDES.status, functionName);
+				validateTime(OVERRIDES.maxTime);
+			});
+		});
+	}
+
+	/**
+	 * Runtime adapter through which every check registers its tests and reads the response.
+	 *
+	 * @typedef {Object} Adapter
+	 * @property {string} name - Name of the runtime
+	 * @property {function(string, Function)} test - Registers a test with a description and a callback
+	 * @property {function(boolean, string)} assert - Fails the running test with the message if the condition is false
+	 * @property {function(): Object} getResponse - Gets the response as {code, responseTime, getHeader(name), getHeaders(), text(), json(), bytes()},
+	 *                                          getHeaders() returns the header names mapped to their values (optional),
+	 *                                          bytes() returns the body as a Buffer, Uint8Array or array of bytes (optional)
+	 * @property {function(*, Object): Object} validateSchema - Validates data against a JSON schema, returns {valid, error: {message, dataPath}}
+	 * @property {function(?string)} setNextRequest - Sets the next request of the collection run, null stops the run
+	 * @property {function(): string} getRequestName - Gets the name of the current request
+	 * @property {function(string): *} getVariable - Gets a variable
+	 * @property {function(string, *)} setVariable - Sets a variable that lasts for the collection run, undefined removes it
+	 * @property {function(): number} getIteration - Gets the iteration of the collection run (optional)
+	 * @property {function((Object|string), function(?Error, Object))} sendRequest - Sends a request and calls back with
+	 *                                                                          an error or a response like getResponse (optional)
+	 * @property {function(string): (string|undefined)} getSnapshot - Gets a stored snapshot by name (optional, default a collection variable)
+	 * @property {function(string, string)} setSnapshot - Stores a snapshot by name (optional, default a collection variable)
+	 */
+
+	/**
+	 * Creates the adapter for the Postman pm.* API.
+	 *
+	 * @returns {Adapter} Adapter for pm.test and pm.expect
+	 */
+	function createPostmanAdapter() {
+		const wrapResponse = postmanResponse => ({
+			code: postmanResponse.code,
+			responseTime: postmanResponse.responseTime,
+			getHeader: name => postmanResponse.headers.get(name),
+			getHeaders: () => postmanResponse.headers.toObject(),
+			text: () => postmanResponse.text(),
+			json: () => postmanResponse.json(),
+			bytes: () => postmanResponse.stream
+		});
+		return {
+			name: "pm",
+			test: (description, callback) => pm.test(description, callback),
+			assert: (condition, message) => pm.expect(condition, message).to.be.true,
+			getResponse: () => wrapResponse(pm.response),
+			validateSchema: (data, schema) => ({valid: tv4.validate(data, schema), error: tv4.error}),
+			setNextRequest: name => postman.setNextRequest(name),
+			getRequestName: () => pm.info.requestName,
+			getIteration: () => pm.info.iteration,
+			getVariable: name => pm.variables.get(name),
+			setVariable: (name, value) => value === undefined ? pm.collectionVariables.unset(name) : pm.collectionVariables.set(name, value),
+			sendRequest: (request, callback) => pm.sendRequest(request, (error, response) => callback(error, error ? undefined : wrapResponse(response)))
+		};
+	}
+
+	/**
+	 * Creates the adapter for Postman BDD (https://github.com/JamesMessinger/postman-bdd).
+	 * Requests and variables are handled by the pm.* API that is available next to Postman BDD.
+	 *
+	 * @returns {Adapter} Adapter for it and the chai expect of Postman BDD
+	 */
+	function createBDDAdapter() {
+		return Object.assign(createPostmanAdapter(), {
+			name: "bdd",
+			test: (description, callback) => it(description, callback),
+			assert: (condition, message) => expect(condition, message).to.be.true,
+			getResponse: () => ({
+				code: response.status,
+				responseTime: response.time,
+				getHeader: name => response.headers[name.toLowerCase()],
+				getHeaders: () => Object.assign({}, response.headers),
+				text: () => response.text,
+				json: () => JSON.parse(response.text),
+				bytes: () => pm.response.stream
+			})
+		});
+	}
+
+	/**
+	 * Creates the adapter for plain Node.js. Assertions use the Node assert module and tests run immediately unless a runner is given.
+	 *
+	 * @param {Object} options - Adapter options
+	 * @param {Object} options.response - Response as {code, headers, body, responseTime}, an object body is serialized as JSON,
+	 *                                    a Buffer or Uint8Array body is kept as bytes
+	 * @param {function(string, Function)} options.test - Test function of a runner, for example "it" of node:test or mocha (optional)
+	 * @param {Object} options.tv4 - tv4 compatible validator (optional, the built-in validator is used by default)
+	 * @param {string} options.requestName - Name of the current request (default "Request")
+	 * @param {number} options.iteration - Iteration of the collection run (default 0)
+	 * @param {Object} options.variables - Initial variables (optional)
+	 * @param {function((Object|string)): (Object|Promise)} options.sendRequest - Handles a sent request and returns
+	 *                                                                           a response like options.response, or a promise of it (optional)
+	 * @param {string} options.snapshotDirectory - Directory with the snapshot files of checkSnapshot, one <name>.json per snapshot
+	 *                                             (optional, the snapshots are variables by default)
+	 * @returns {Adapter} Adapter with the recorded test results, next requests, sent requests and variables
+	 * @throws {TypeError} Parameter must be an object with a response object
+	 */
+	function createNodeAdapter(options) {
+		if (getType(options) === "Object" && getType(options.response) === "Object") {
+			const wrapResponse = definition => {
+				const HEADERS = definition.headers || {},
+					BYTES = ArrayBuffer.isView(definition.body) ? definition.body : undefined,
+					TEXT = getType(definition.body) === "String" ? definition.body : BYTES ? decodeUTF8(BYTES) : JSON.stringify(definition.body);
+				return {
+					code: definition.code,
+					responseTime: definition.responseTime,
+					getHeader: name => {
+						const KEY = Object.keys(HEADERS).find(key => key.toLowerCase() === name.toLowerCase());
+						return KEY === undefined ? undefined : String(HEADERS[KEY]);
+					},
+					getHeaders: () => Object.keys(HEADERS).reduce((headers, name) => Object.assign(headers, {[name]: String(HEADERS[name])}), {}),
+					text: () => TEXT === undefined ? "" : TEXT,
+					json: () => JSON.parse(TEXT),
+					bytes: () => BYTES || encodeUTF8(TEXT === undefined ? "" : TEXT)
+				};
+			};
+			const adapter = {
+				name: "node",
+				results: [],
+				nextRequests: [],
+				requests: [],
+				variables: Object.assign({}, options.variables),
+				test: options.test || ((description, callback) => {
+					try {
+						callback();
+						adapter.results.push({name: description, passed: true, error: null});
+					} catch (error) {
+						adapter.results.push({name: description, passed: false, error: error});
+					}
+				}),
+				assert: (condition, message) => require("assert").ok(condition, message),
+				getResponse: () => wrapResponse(options.response),
+				validateSchema: (data, schema) => {
+					if (options.tv4) {
+						return {valid: options.tv4.validate(data, schema), error: options.tv4.error};
+					} else {
+						const ERRORS = validateJSONSchema(data, schema);
+						return {valid: ERRORS.length === 0, error: ERRORS[0] || null};
+					}
+				},
+				setNextRequest: name => adapter.nextRequests.push(name),
+				getRequestName: () => options.requestName || "Request",
+				getIteration: () => options.iteration || 0,
+				getVariable: name => adapter.variables[name],
+				setVariable: (name, value) => {
+					if (value === undefined) {
+						delete adapter.variables[name];
+					} else {
+						adapter.variables[name] = value;
+					}
+				},
+				sendRequest: (request, callback) => {
+					if (getType(options.sendRequest) !== "Function") {
+						callback(new Error(COMMON.ADAPTER.SEND_REQUEST_MESSAGE));
+						return;
+					}
+					adapter.requests.push(request);
+					Promise.resolve()
+						.then(() => options.sendRequest(request))
+						.then(definition => callback(null, wrapResponse(definition)), error => callback(error));
+				}
+			};
+			if (getType(options.snapshotDirectory) === "String") {
+				const FS = require("fs"),
+					  getFile = name => require("path").join(options.snapshotDirectory, `${name.replace(/[^\w.-]/g, "_")}.json`);
+				adapter.getSnapshot = name => FS.existsSync(getFile(name)) ? FS.readFileSync(getFile(name), "utf8") : undefined;
+				adapter.setSnapshot = (name, snapshot) => {
+					FS.mkdirSync(options.snapshotDirectory, {recursive: true});
+					FS.writeFileSync(getFile(name), snapshot);
+				};
+			}
+			return adapter;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Sets the runtime adapter used by all checks.
+	 *
+	 * @param {(Adapter|string)} adapter - Adapter object or the name of a built-in adapter: "pm" or "bdd"
+	 * @returns {Adapter} The adapter in use
+	 * @throws {TypeError} Parameter must be an adapter object or a built-in adapter name
+	 */
+	function useAdapter(adapter) {
+		const BUILT_IN = {pm: createPostmanAdapter, bdd: createBDDAdapter};
+		if (getType(adapter) === "String" && BUILT_IN[adapter]) {
+			currentAdapter = BUILT_IN[adapter]();
+		} else if (getType(adapter) === "Object" && COMMON.ADAPTER.METHODS.every(method => getType(adapter[method]) === "Function")) {
+			currentAdapter = adapter;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		return currentAdapter;
+	}
+
+	/**
+	 * Gets the runtime adapter set by useAdapter. Without one, Postman BDD is used when it is loaded, otherwise the pm.* API.
+	 * Once the random generators are used, the messages of failed tests mention their seed.
+	 * When the run report is recorded, the results of the tests are added to it.
+	 *
+	 * @returns {Adapter} The adapter in use
+	 * @throws {Error} No adapter was set and none could be detected
+	 */
+	function getAdapter() {
+		const ADAPTER = detectAdapter();
+		if (ADAPTER && (randomGenerator || getSettings().report.record)) {
+			return Object.assign({}, ADAPTER, {
+				test: (description, callback) => ADAPTER.test(description, () => {
+					try {
+						const RESULT = callback();
+						recordReport({checks: [{name: description, passed: true, message: null}]}, ADAPTER);
+						return RESULT;
+					} catch (error) {
+						// Failed tests mention the seed, so the random data of the run can be reproduced
+						randomGenerator && (error.message += ` (random seed ${randomGenerator.seed})`);
+						recordReport({checks: [{name: description, passed: false, message: error.message}]}, ADAPTER);
+						throw error;
+					}
+				})
+			});
+		} else if (ADAPTER) {
+			return ADAPTER;
+		} else {
+			throw new Error(COMMON.ADAPTER_ERROR.MESSAGE);
+		}
+	}
+
+	/**
+	 * Gets the runtime adapter set by useAdapter or detects it from the available globals.
+	 *
+	 * @returns {?Adapter} The adapter in use or null if none is available
+	 */
+	function detectAdapter() {
+		if (currentAdapter) {
+			return currentAdapter;
+		} else if (typeof it === "function" && typeof response === "object") {
+			return createBDDAdapter();
+		} else if (typeof pm === "object") {
+			return createPostmanAdapter();
+		} else {
+			return null;
+		}
+	}
+
+	/**
+	 * Checks commonly used variables. Accepts the positional arguments or a single options object.
+	 * Except for the status code, the body logging and the response time recording (see configure),
+	 * the checks only run if the response has the expected status code.
+	 *
+	 * @param {(number|string|Array.<number>|Function|Object)} statusCode - Expected status of the response, see checkStatusCode, or an options object
+	 * @param {(number|string|Array.<number>|Function)} statusCode.status - Expected status of the response, see checkStatusCode
+	 * @param {string} statusCode.contentType - Content type of the response
+	 * @param {Object} statusCode.schema - JSON schema of the response
+	 * @param {(string|RegExp)} statusCode.location - Location of the source, or a regex it must match
+	 * @param {number} statusCode.maxTime - Maximum response time in milliseconds
+	 * @param {Object} statusCode.headers - Expected headers, see checkHeaders
+	 * @param {(string|Array.<string>)} statusCode.bodyContains - Text(s) the response body must contain
+	 * @param {(string|Array.<string>)} statusCode.bodyNotContains - Text(s) the response body must not contain
+	 * @param {boolean} statusCode.emptyBody - Whether the response body must be empty
+	 * @param {boolean} statusCode.logBody - Whether the response is logged, see logResponseBody (default true)
+	 * @param {(Object|boolean)} statusCode.abort - Abort policy for infrastructure errors, see checkStatusCode
+	 * @param {string} contentType - Content type of the response
+	 * @param {Object} jsonSchema - JSON schema of the response
+	 * @param {string} location - Location of the source
+	 * @throws {TypeError} Options must be known
+	 */
+	function testCommon(statusCode, contentType, jsonSchema, location) {
+		const OPTIONS = getType(statusCode) === "Object" ? statusCode : {status: statusCode, contentType: contentType, schema: jsonSchema, location: location};
+		validateOptions(OPTIONS, COMMON.TEST_COMMON.OPTIONS, getFunctionNameFromInside(new Error()));
+		const isSet = name => getType(statusCode) === "Object" ? OPTIONS[name] !== undefined : Boolean(OPTIONS[name]);
+		OPTIONS.logBody !== false && logResponseBody();
+		getSettings().timings.record && recordResponseTime();
+		isSet("status") && checkStatusCode(OPTIONS.status, OPTIONS.abort === undefined ? {} : {abort: OPTIONS.abort});
+		if (!isSet("status") || matchesStatusCode(applyProfile("status", OPTIONS.status), getAdapter().getResponse().code)) {
+			isSet("contentType") && checkContentType(OPTIONS.contentType);
+			isSet("schema") && checkJSONSchema(OPTIONS.schema);
+			isSet("location") && checkLocation(OPTIONS.location);
+			isSet("headers") && checkHeaders(OPTIONS.headers);
+			isSet("bodyContains") && checkBodyContains(OPTIONS.bodyContains);
+			isSet("bodyNotContains") && checkBodyNotContains(OPTIONS.bodyNotContains);
+			isSet("emptyBody") && checkEmptyBody(OPTIONS.emptyBody);
+			isSet("maxTime") && checkTime(OPTIONS.maxTime);
+		}
+	}
+
+	/**
+	 * Executes functions testCommon and checkTime. Accepts the positional arguments or a single options object, see testCommon.
+	 * The response time is also checked without a time when the profile in use has a maxTime, see getProfile.
+	 *
+	 * @param {(number|string|Array.<number>|Function|Object)} statusCode - Expected status of the response, see checkStatusCode, or an options object
+	 * @param {number} time - Elapsed time of the response
+	 * @param {string} contentType - Content type of the response
+	 * @param {Object} jsonSchema - JSON schema of the response
+	 * @param {string} location - Location of the source
+	 * @throws {TypeError} Options must be known
+	 */
+	function testCommonAndTime(statusCode, time, contentType, jsonSchema, location) {
+		if (getType(statusCode) === "Object") {
+			const MAX_TIME = applyProfile("maxTime", statusCode.maxTime);
+			testCommon(MAX_TIME === undefined ? statusCode : Object.assign({}, statusCode, {maxTime: MAX_TIME}));
+		} else {
+			testCommon(statusCode, contentType, jsonSchema, location);
+			if (matchesStatusCode(applyProfile("status", statusCode), getAdapter().getResponse().code)) {
+				applyProfile("maxTime", time || undefined) !== undefined && checkTime(time);
+			}
+		}
+	}
+
+	/**
+	 * Checks that an options object only contains known options.
+	 *
+	 * @param {Object} options - Options passed to a function
+	 * @param {Array.<string>} names - Names of the known options
+	 * @param {string} functionName - Name of the function that receives the options
+	 * @throws {TypeError} Parameter must be an object without unknown options
+	 */
+	function validateOptions(options, names, functionName) {
+		if (getType(options) === "Object") {
+			const UNKNOWN = Object.keys(options).find(name => !names.includes(name));
+			if (UNKNOWN !== undefined) {
+				throw new TypeError(`${COMMON.OPTION_ERROR.MESSAGE} "${UNKNOWN}" for function ${functionName}`);
+			}
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		}
+	}
+
+	/**
+	 * Logs the response of the request at the info level, see log: the status code, the response time,
+	 * the headers and the body, with the configured redactions. This function is for test automation logging purposes.
+	 */
+	function logResponseBody() {
+		const ADAPTER = getAdapter(),
+			  RESPONSE = ADAPTER.getResponse(),
+			  TEXT = RESPONSE.text(),
+			  DATA = {status: RESPONSE.code, responseTime: RESPONSE.responseTime};
+		getType(RESPONSE.getHeaders) === "Function" && (DATA.headers = RESPONSE.getHeaders());
+		if (TEXT) {
+			try {
+				DATA.body = JSON.parse(TEXT);
+			} catch (error) {
+				DATA.body = TEXT;
+			}
+		}
+		log("info", `Response of ${ADAPTER.getRequestName()}`, DATA);
+	}
+
+	/**
+	 * Writes a log entry when its level is at least the configured logging level. The data is redacted (see redact),
+	 * serialized as JSON, pretty-printed when configured and truncated to the configured maximum length.
+	 * Depending on the configured output, the entry is written to the console or appended to the variable COMMON.LOGGING.VARIABLE.
+	 *
+	 * @param {string} level - Level of the entry: "debug", "info", "warn" or "error"
+	 * @param {string} message - Message of the entry
+	 * @param {*} data - Data logged with the message (optional)
+	 * @returns {?string} The logged text, null if the level is below the configured level
+	 * @throws {TypeError} Parameters must be a string and a message
+	 * @throws {RangeError} Level must be supported
+	 */
+	function log(level, message, data) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		if (getType(level) !== "String" || getType(message) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		} else if (!COMMON.LOGGING.LEVELS.includes(level) || level === "off") {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const LOGGING = getSettings().logging;
+		if (COMMON.LOGGING.LEVELS.indexOf(level) < COMMON.LOGGING.LEVELS.indexOf(LOGGING.level)) {
+			return null;
+		}
+		const REDACTED = redact(data),
+			  SERIALIZED = getType(REDACTED) === "String" ? REDACTED : JSON.stringify(REDACTED, null, LOGGING.pretty ? 2 : undefined),
+			  TEXT = SERIALIZED === undefined ? "" : SERIALIZED.length > LOGGING.maxLength ?
+				  `${SERIALIZED.slice(0, LOGGING.maxLength)}... (${SERIALIZED.length - LOGGING.maxLength} more characters)` : SERIALIZED;
+		const ENTRY = `[${level.toUpperCase()}] ${message}${TEXT ? `${LOGGING.pretty ? "\n" : " "}${TEXT}` : ""}`;
+		if (LOGGING.output === "variable") {
+			const ADAPTER = getAdapter();
+			ADAPTER.setVariable(COMMON.LOGGING.VARIABLE, JSON.stringify(getLogs().concat({
+				time: new Date().toISOString(),
+				request: ADAPTER.getRequestName(),
+				level: level,
+				message: message,
+				data: TEXT
+			}).slice(-COMMON.LOGGING.MAX_ENTRIES)));
+		} else {
+			console[COMMON.LOGGING.CONSOLE_METHODS[level]](ENTRY);
+		}
+		return ENTRY;
+	}
+
+	/**
+	 * Redacts sensitive data before it is logged, with the configured logging settings: the values at the JSON paths of
+	 * redactPaths, the values of properties named like the headers of redactHeaders (also in [{key, value}] header lists)
+	 * and, unless disabled, Belgian national register numbers in strings. A string is redacted as JSON when it can be parsed.
+	 *
+	 * JSON paths start at the root with "$" (for example "$.customer.email" or "$.items[*].token") or match at any depth
+	 * without it (for example "password"). A "*" matches any property name and "[*]" any array index.
+	 *
+	 * @param {*} data - Data to redact
+	 * @returns {*} Redacted copy of the data
+	 */
+	function redact(data) {
+		const LOGGING = getSettings().logging,
+			  PATHS = LOGGING.redactPaths.map(compileRedactPath),
+			  HEADERS = LOGGING.redactHeaders.map(header => header.toLowerCase()),
+			  redactString = text => LOGGING.redactNationalNumbers ? text.replace(COMMON.LOGGING.NATIONAL_NUMBER,
+				  (match, ...digits) => isNationalNumber(digits.slice(0, 5).join("")) ? COMMON.LOGGING.REDACTED : match) : text;
+		const redactValue = (value, path) => {
+			if (PATHS.some(pattern => pattern.test(path))) {
+				return COMMON.LOGGING.REDACTED;
+			} else if (Array.isArray(value)) {
+				return value.map((item, index) => redactValue(item, `${path}[${index}]`));
+			} else if (getType(value) === "Object") {
+				const SENSITIVE_ENTRY = getType(value.key) === "String" && HEADERS.includes(value.key.toLowerCase()) && value.value !== undefined;
+				return Object.keys(value).reduce((copy, name) => Object.assign(copy, {
+					[name]: HEADERS.includes(name.toLowerCase()) || (SENSITIVE_ENTRY && name === "value") ? COMMON.LOGGING.REDACTED : redactValue(value[name], `${path}.${name}`)
+				}), {});
+			} else {
+				return getType(value) === "String" ? redactString(value) : value;
+			}
+		};
+		if (getType(data) === "String") {
+			try {
+				return JSON.stringify(redactValue(JSON.parse(data), "$"));
+			} catch (error) {
+				return redactString(data);
+			}
+		}
+		return redactValue(data, "$");
+	}
+
+	/**
+	 * Compiles a JSON path of the redactPaths logging setting to a regular expression for normalized paths like "$.items[0].token".
+	 *
+	 * @param {string} path - JSON path, see redact
+	 * @returns {RegExp} Regular expression that matches the normalized paths the JSON path selects
+	 */
+	function compileRedactPath(path) {
+		const SOURCE = (path.startsWith("$") ? path.slice(1) : `..${path}`).match(/\.\.|\.|\[\*\]|\[\d+\]|\*|[^.[\]*]+/g) || [];
+		return new RegExp(`^\\$${SOURCE.map(token => {
+			if (token === "..") {
+				return "(\\.[^.[]+|\\[\\d+\\])*\\.";
+			} else if (token === "[*]") {
+				return "\\[\\d+\\]";
+			} else if (token === "*") {
+				return "[^.[]+";
+			} else {
+				return token.replace(/[.*+?^$()|[\]\\{}]/g, "\\$&");
+			}
+		}).join("")}$`);
+	}
+
+	/**
+	 * Checks the checksum of a Belgian national register number: 97 minus the first nine digits modulo 97,
+	 * with a 2 in front of them for people born from 2000.
+	 *
+	 * @param {string} digits - The eleven digits of the number
+	 * @returns {boolean} True if the check digits match
+	 */
+	function isNationalNumber(digits) {
+		const CHECK = Number(digits.slice(9));
+		return [digits.slice(0, 9), `2${digits.slice(0, 9)}`].some(base => 97 - Number(base) % 97 === CHECK);
+	}
+
+	/**
+	 * Gets the log entries written to the variable COMMON.LOGGING.VARIABLE, see log.
+	 *
+	 * @returns {Array.<Object>} Entries as {time, request, level, message, data}, in the order they were logged
+	 * @throws {SyntaxError} The variable must contain JSON
+	 */
+	function getLogs() {
+		const VALUE = getAdapter().getVariable(COMMON.LOGGING.VARIABLE);
+		return VALUE ? JSON.parse(VALUE) : [];
+	}
+
+	/**
+	 * Removes the log entries written to the variable COMMON.LOGGING.VARIABLE, for example at the start of a collection run.
+	 */
+	function clearLogs() {
+		getAdapter().setVariable(COMMON.LOGGING.VARIABLE, undefined);
+	}
+
+	/**
+	 * Gets the type of the provided value.
+	 *
+	 * @param {*} value - Any possible value
+	 * @returns {string} Type of the value: Object, Boolean, Number, String, Array, Date, Null, Undefined, Error, ...
+	 */
+	function getType(value) {
+		return Object.prototype.toString.call(value).replace(/^\[object |\]$/g, "");
+	}
+
+	/**
+	 * Gets the function name from the function where this is called.
+	 *
+	 * @param {Error} error - Example: new Error()
+	 * @returns {string} Name of the caller function
+	 * @throws {TypeError} Parameter must be an error object
+	 */
+	function getFunctionNameFromInside(error) {
+		// arguments.callee.name is forbidden in ES5+ strict mode
+		if (getType(error) === "Error") {
+			let functionName = error.stack.split(/\r\n|\r|\n/g)[1].trim();
+			functionName = functionName.substr(COMMON.ERROR.OFFSET, functionName.indexOf("(") - 1 - COMMON.ERROR.OFFSET);
+			// Functions called through the namespace are reported as "Object.functionName"
+			return functionName.split(".").pop();
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} getFunctionNameFromInside`);
+		}
+	}
+
+	/**
+	 * Gets the index of the first object in an array that matches the given property and value.
+	 *
+	 * @param {Array.<Object>} array - The array to be searched
+	 * @param {string} property - The name of the property to be matched
+	 * @param {*} value - The value of the property to be matched
+	 * @returns {number} Index of the first matching object or -1 if there is no match
+	 * @throws {TypeError} Parameters must be an array, string, any
+	 */
+	function getIndexObjectInArray(array, property, value) {
+		if (Array.isArray(array) && array.every(item => getType(item) === "Object") && getType(property) === "String") {
+			return array.findIndex(item => item[property] === value);
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Converts time to the correct multiple.
+	 *
+	 * @param {number} time - Time in milliseconds
+	 * @returns {string} Converted time
+	 * @throws {TypeError} Parameter must be a number
+	 */
+	function convertTime(time) {
+		if (getType(time) === "Number") {
+			return time >= 1000 ? `${time / 1000}s` : `${time}ms`;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Delays for the set amount of time. Postman only ends the script, and starts the next request, when the delay is finished.
+	 * Code that must run after the delay goes in the callback or is chained to the returned promise.
+	 *
+	 * @param {number} time - Time interval in milliseconds
+	 * @param {Function} callback - Called when the delay is finished (optional)
+	 * @returns {Promise} Resolved when the delay is finished
+	 * @throws {TypeError} Parameters must be a number and a function
+	 */
+	function delayTime(time, callback) {
+		if (getType(time) === "Number" && (callback === undefined || getType(callback) === "Function")) {
+			log("info", `Delaying for ${convertTime(time)}...`);
+			return new Promise(resolve => setTimeout(resolve, time)).then(() => {
+				log("info", "Delay finished");
+				return callback && callback();
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Sends a request through the runtime adapter, pm.sendRequest in Postman.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL, see pm.sendRequest
+	 * @returns {Promise.<Object>} Resolved with the response as {code, responseTime, getHeader(name), text(), json()},
+	 *                             rejected when the request could not be sent
+	 */
+	function sendRequest(request) {
+		const ADAPTER = getAdapter();
+		if (getType(ADAPTER.sendRequest) !== "Function") {
+			return Promise.reject(new Error(COMMON.ADAPTER.SEND_REQUEST_MESSAGE));
+		}
+		return new Promise((resolve, reject) => ADAPTER.sendRequest(request, (error, response) => error ? reject(error) : resolve(response)));
+	}
+
+	/**
+	 * Re-sends a request until a condition on its response holds, for APIs that are eventually consistent.
+	 * The result is reported as a test with the number of attempts and the elapsed time.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL, see pm.sendRequest
+	 * @param {function(Object): *} predicate - Condition on the response, see sendRequest; a truthy result means met, exceptions count as not met
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.interval - Delay between the attempts in milliseconds (default 1000)
+	 * @param {number} options.timeout - Maximum time in milliseconds before the test fails (default 30000)
+	 * @param {string} options.description - Description in the test name (default the method and URL of the request)
+	 * @returns {Promise.<Object>} Resolved with {met, response, attempts, elapsed} when the condition holds or the time is up
+	 * @throws {TypeError} Parameters must be a request, a function and a valid options object
+	 */
+	function pollUntil(request, predicate, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.POLL.OPTIONS, FUNCTION_NAME);
+		const INTERVAL = options.interval === undefined ? COMMON.POLL.INTERVAL : options.interval,
+			TIMEOUT = options.timeout === undefined ? COMMON.POLL.TIMEOUT : options.timeout;
+		if (!["Object", "String"].includes(getType(request)) || getType(predicate) !== "Function" ||
+			getType(INTERVAL) !== "Number" || INTERVAL < 0 || getType(TIMEOUT) !== "Number" || TIMEOUT < 0 ||
+			(options.description !== undefined && getType(options.description) !== "String")) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			DESCRIPTION = options.description || (getType(request) === "String" ? `GET ${request}` : `${request.method || "GET"} ${request.url}`),
+			START = Date.now();
+		const report = (result, error) => {
+			const SUMMARY = `${result.attempts} attempt${result.attempts === 1 ? "" : "s"} in ${convertTime(result.elapsed)}`;
+			log("info", `Poll ${DESCRIPTION}: ${result.met ? "condition met" : "condition not met"} after ${SUMMARY}`);
+			ADAPTER.test(`Poll ${DESCRIPTION}`, () => {
+				ADAPTER.assert(!error, `Expected the request to be sent but got "${error && error.message}" after ${SUMMARY}`);
+				ADAPTER.assert(result.met, `Expected the condition to be met within ${convertTime(TIMEOUT)} but it was not after ${SUMMARY}`);
+			});
+			return result;
+		};
+		const attempt = attempts => sendRequest(request).then(response => {
+			let met;
+			try {
+				met = Boolean(predicate(response));
+			} catch (error) {
+				met = false;
+			}
+			const RESULT = {met: met, response: response, attempts: attempts, elapsed: Date.now() - START};
+			return met || RESULT.elapsed + INTERVAL > TIMEOUT ? report(RESULT) :
+				new Promise(resolve => setTimeout(resolve, INTERVAL)).then(() => attempt(attempts + 1));
+		}, error => report({met: false, response: null, attempts: attempts, elapsed: Date.now() - START}, error));
+		return attempt(1);
+	}
+
+	/**
+	 * Sets the seed of the random generators for the rest of the collection run, to reproduce the data of an earlier run.
+	 * The seed is stored in the collection variable COMMON.GENERATOR.SEED_VARIABLE.
+	 *
+	 * @param {number} seed - Unsigned 32-bit integer
+	 * @returns {number} The seed
+	 * @throws {TypeError} Parameter must be an unsigned 32-bit integer
+	 */
+	function setSeed(seed) {
+		if (Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF) {
+			getAdapter().setVariable(COMMON.GENERATOR.SEED_VARIABLE, String(seed));
+			randomGenerator = null;
+			return seed;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Gets the seed of the random generators. Without a seed in the variable COMMON.GENERATOR.SEED_VARIABLE (in any scope,
+	 * so it can be passed as an environment variable) a new one is stored in the collection variable.
+	 *
+	 * @returns {number} Seed of the collection run
+	 */
+	function getSeed() {
+		const ADAPTER = getAdapter(),
+			VALUE = ADAPTER.getVariable(COMMON.GENERATOR.SEED_VARIABLE);
+		if (VALUE === undefined || VALUE === null || VALUE === "") {
+			return setSeed(Math.floor(Math.random() * 0x100000000));
+		}
+		return Number(VALUE);
+	}
+
+	/**
+	 * Generates a random number from the seeded generator of the current script. Every request and iteration
+	 * gets its own sequence that is derived from the seed, so each script is reproducible on its own.
+	 * Once the generator is used, failed tests mention the seed.
+	 *
+	 * @returns {number} Random number from 0 (included) to 1 (excluded)
+	 */
+	function random() {
+		if (!randomGenerator) {
+			const ADAPTER = getAdapter(),
+				SEED = getSeed(),
+				ITERATION = getType(ADAPTER.getIteration) === "Function" ? ADAPTER.getIteration() : 0;
+			// Mulberry32, seeded with the FNV-1a hash of the seed, the request and the iteration
+			let state = [...`${SEED}:${ADAPTER.getRequestName()}:${ITERATION}`].reduce((hash, character) => Math.imul(hash ^ character.charCodeAt(0), 16777619) >>> 0, 2166136261);
+			randomGenerator = {
+				seed: SEED,
+				next: () => {
+					state = (state + 0x6D2B79F5) >>> 0;
+					let value = Math.imul(state ^ (state >>> 15), state | 1);
+					value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+					return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+				}
+			};
+		}
+		return randomGenerator.next();
+	}
+
+	/**
+	 * Generates a random number. Positive and negative numbers are allowed.
+	 *
+	 * @param {number} min - Minimum number (included)
+	 * @param {number} max - Maximum number (included)
+	 * @returns {number} Random number that ranges from min to max
+	 * @throws {TypeError} Parameters must be numbers
+	 * @throws {RangeError} Parameter max must be greater than min
+	 */
+	function generateNumber(min, max) {
+		if (getType(min) === "Number" && getType(max) === "Number") {
+			if (min <= max) {
+				return Math.floor(random() * (max - min + 1) + min);
+			} else {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+			}
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Generates a random string of characters.
+	 *
+	 * @param {number} length - Amount of characters to be generated
+	 * @param {string} alphabet - Characters to choose from (default A-Z and a-z)
+	 * @returns {string} Text with random characters
+	 * @throws {TypeError} Parameters must be a number and a non-empty string
+	 */
+	function generateString(length, alphabet = COMMON.GENERATOR.ALPHABET) {
+		if (getType(length) === "Number" && getType(alphabet) === "String" && alphabet.length) {
+			let text = "";
+			for (let i = 0; i < length; i++) {
+				text += alphabet.charAt(Math.floor(random() * alphabet.length));
+			}
+			return text;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Generates a random string that matches a regex pattern, such as the patterns of getRegexGUID.
+	 * Supports literals, character classes, escapes such as \d and \w, groups, alternatives and quantifiers; lookaheads are
+	 * only checked on the result. Unbounded quantifiers repeat at most COMMON.GENERATOR.MAX_REPEAT extra times.
+	 *
+	 * @param {(string|RegExp)} pattern - Regex pattern
+	 * @returns {string} Text that matches the pattern
+	 * @throws {TypeError} Parameter must be a string or a regex
+	 * @throws {SyntaxError} Parameter must be a valid regex
+	 * @throws {RangeError} No match was found within COMMON.GENERATOR.MAX_ATTEMPTS attempts
+	 */
+	function generateFromRegex(pattern) {
+		if (getType(pattern) === "String" || getType(pattern) === "RegExp") {
+			const SOURCE = getType(pattern) === "RegExp" ? pattern.source : pattern,
+				REGEX = new RegExp(SOURCE),
+				generate = parseRegexGenerator(SOURCE);
+			for (let attempt = 0; attempt < COMMON.GENERATOR.MAX_ATTEMPTS; attempt++) {
+				const TEXT = generate();
+				if (REGEX.test(TEXT)) {
+					return TEXT;
+				}
+			}
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
 		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Parses a regex pattern into a function that generates candidate strings.
+	 *
+	 * @param {string} source - Regex pattern
+	 * @returns {function(): string} Generator of candidate strings
+	 */
+	function parseRegexGenerator(source) {
+		const PRINTABLE = COMMON.GENERATOR.PRINTABLE,
+			ESCAPES = {d: "0123456789", w: `${COMMON.GENERATOR.ALPHABET}0123456789_`, s: " ", D: COMMON.GENERATOR.ALPHABET, W: "-", S: COMMON.GENERATOR.ALPHABET},
+			LITERALS = {n: "\n", r: "\r", t: "\t", f: "\f", v: "\v", 0: "\0"};
+		let i = 0;
+		const pick = characters => () => characters.charAt(Math.floor(random() * characters.length));
+		const readEscape = () => {
+			const CHARACTER = source[i++];
+			if (CHARACTER === "u" || CHARACTER === "x") {
+				const LENGTH = CHARACTER === "u" ? 4 : 2;
+				i += LENGTH;
+				return String.fromCharCode(parseInt(source.substr(i - LENGTH, LENGTH), 16));
+			}
+			return ESCAPES[CHARACTER] || LITERALS[CHARACTER] || CHARACTER;
+		};
+		const parseClass = () => {
+			const NEGATED = source[i] === "^";
+			let characters = "";
+			i += NEGATED ? 1 : 0;
+			while (i < source.length && source[i] !== "]") {
+				let from = source[i++];
+				if (from === "\\") {
+					from = readEscape();
+				}
+				if (source[i] === "-" && source[i + 1] !== "]" && from.length === 1) {
+					i++;
+					const TO = source[i] === "\\" ? (i++, readEscape()) : source[i++];
+					for (let code = from.charCodeAt(0); code <= TO.charCodeAt(0); code++) {
+						characters += String.fromCharCode(code);
+					}
+				} else {
+					characters += from;
+				}
+			}
+			i++;
+			return pick(NEGATED ? [...PRINTABLE].filter(character => !characters.includes(character)).join("") : characters);
+		};
+		const parseAtom = () => {
+			const CHARACTER = source[i++];
+			switch (CHARACTER) {
+				case "^":
+				case "$":
+					return () => "";
+				case ".":
+					return pick(`${COMMON.GENERATOR.ALPHABET}0123456789`);
+				case "[":
+					return parseClass();
+				case "\\": {
+					if ("bB".includes(source[i])) {
+						i++;
+						return () => "";
+					}
+					const CHARACTERS = readEscape();
+					return pick(CHARACTERS);
+				}
+				case "(": {
+					const LOOKAROUND = /^\?<?[=!]/.exec(source.slice(i));
+					if (LOOKAROUND) {
+						i += LOOKAROUND[0].length;
+						parseAlternatives();
+						i++;
+						return () => "";
+					}
+					const NON_CAPTURING = /^\?(:|<[^>]+>)/.exec(source.slice(i));
+					i += NON_CAPTURING ? NON_CAPTURING[0].length : 0;
+					const GROUP = parseAlternatives();
+					i++;
+					return GROUP;
+				}
+				default:
+					return () => CHARACTER;
+			}
+		};
+		const parseQuantifier = atom => {
+			const QUANTIFIER = /^(?:([?*+])|\{(\d+)(,(\d*))?\})\??/.exec(source.slice(i));
+			if (!QUANTIFIER) {
+				return atom;
+			}
+			i += QUANTIFIER[0].length;
+			const MIN = QUANTIFIER[1] ? (QUANTIFIER[1] === "+" ? 1 : 0) : Number(QUANTIFIER[2]),
+				UNBOUNDED = QUANTIFIER[1] === "*" || QUANTIFIER[1] === "+" || QUANTIFIER[3] === ",",
+				MAX = QUANTIFIER[1] === "?" ? 1 : (UNBOUNDED ? MIN + COMMON.GENERATOR.MAX_REPEAT : Number(QUANTIFIER[4] || MIN));
+			return () => {
+				let text = "";
+				for (let count = generateNumber(MIN, MAX); count > 0; count--) {
+					text += atom();
+				}
+				return text;
+			};
+		};
+		const parseAlternatives = () => {
+			const ALTERNATIVES = [];
+			let sequence = [];
+			while (i < source.length && source[i] !== ")") {
+				if (source[i] === "|") {
+					i++;
+					ALTERNATIVES.push(sequence);
+					sequence = [];
+				} else {
+					sequence.push(parseQuantifier(parseAtom()));
+				}
+			}
+			ALTERNATIVES.push(sequence);
+			return () => ALTERNATIVES[Math.floor(random() * ALTERNATIVES.length)].map(atom => atom()).join("");
+		};
+		return parseAlternatives();
+	}
+
+	/**
+	 * Generates a random version 4 GUID that matches getRegexGUID.
+	 *
+	 * @returns {string} GUID in lowercase hexadecimal
+	 */
+	function generateGUID() {
+		const HEX = "0123456789abcdef";
+		// The version digit is 4 and the variant digit is 8, 9, a or b
+		return [8, 4, 4, 4, 12].map(length => generateString(length, HEX)).join("-")
+			.replace(/^(.{14})./, (match, start) => `${start}4`)
+			.replace(/^(.{19})./, (match, start) => start + generateString(1, "89ab"));
+	}
+
+	/**
+	 * Generates a random ISO datetime in UTC with milliseconds that matches getRegexISODateTime.
+	 *
+	 * @param {string} from - Earliest datetime (default 2000-01-01T00:00:00Z)
+	 * @param {string} to - Latest datetime (default 2030-12-31T23:59:59Z)
+	 * @returns {string} ISO datetime
+	 * @throws {TypeError} Parameters must be parsable datetimes
+	 * @throws {RangeError} Parameter to must not be before from
+	 */
+	function generateISODateTime(from = COMMON.GENERATOR.FROM, to = COMMON.GENERATOR.TO) {
+		const FROM = Date.parse(from),
+			TO = Date.parse(to);
+		if (getType(from) !== "String" || getType(to) !== "String" || isNaN(FROM) || isNaN(TO)) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		} else if (TO < FROM) {
 			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
 		}
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Generates a random string of characters.
- *
- * @param {number} length - Amount of characters to be generated
- * @returns {string} Text with random characters
- * @throws {TypeError} Parameter must be a number
- */
-function generateString(length) {
-	if (getType(length) === "Number") {
-		const CHARACTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+		return new Date(FROM + Math.floor(random() * (TO - FROM + 1))).toISOString();
+	}
+
+	/**
+	 * Generates a random email address.
+	 *
+	 * @param {string} domain - Domain of the address (default example.com)
+	 * @returns {string} Email address
+	 * @throws {TypeError} Parameter must be a string
+	 */
+	function generateEmail(domain = COMMON.GENERATOR.DOMAIN) {
+		if (getType(domain) === "String") {
+			return `${generateString(1, COMMON.GENERATOR.LOWERCASE)}${generateString(generateNumber(4, 11), `${COMMON.GENERATOR.LOWERCASE}0123456789`)}@${domain}`;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Generates a random URL that matches getRegexURL.
+	 *
+	 * @param {string} base - Scheme and host of the URL (default https://api.example.com)
+	 * @returns {string} URL with a random path
+	 * @throws {TypeError} Parameter must be a string
+	 */
+	function generateURL(base = `https://api.${COMMON.GENERATOR.DOMAIN}`) {
+		if (getType(base) === "String") {
+			const SEGMENTS = Array.from({length: generateNumber(1, 3)}, () => generateString(generateNumber(3, 10), COMMON.GENERATOR.LOWERCASE));
+			return `${base.replace(/\/+$/, "")}/${SEGMENTS.join("/")}`;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Generates a random value that is valid against a JSON schema, for example a request body.
+	 * Supports types, enum, const, local $ref's, allOf, anyOf, oneOf, the string, number, array and object constraints and
+	 * the formats uuid, date-time, date, time, email, hostname, ipv4, uri and uri-reference. Optional properties are included at random.
+	 *
+	 * @param {(Object|boolean)} schema - JSON schema
+	 * @returns {*} Value that is valid against the schema
+	 * @throws {TypeError} Parameter must be a JSON schema
+	 * @throws {RangeError} No valid value was found within COMMON.GENERATOR.MAX_ATTEMPTS attempts
+	 */
+	function generateFromSchema(schema) {
+		if (getType(schema) === "Object" || getType(schema) === "Boolean") {
+			let errors = [];
+			for (let attempt = 0; attempt < COMMON.GENERATOR.MAX_ATTEMPTS; attempt++) {
+				const VALUE = generateSchemaValue(schema, schema, 0);
+				errors = validateJSONSchema(VALUE, schema);
+				if (!errors.length) {
+					return VALUE;
+				}
+			}
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}: ${errors[0].message} for data path ${errors[0].dataPath || "/"}`);
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Generates a candidate value for a (sub)schema, it is validated by generateFromSchema.
+	 *
+	 * @param {(Object|boolean)} schema - Schema to generate a value for
+	 * @param {Object} root - Root schema against which $ref's are resolved
+	 * @param {number} depth - Number of $ref's followed
+	 * @returns {*} Candidate value
+	 * @throws {RangeError} The schema must allow a value and its $ref's must be resolvable
+	 */
+	function generateSchemaValue(schema, root, depth) {
+		const GENERATOR = COMMON.GENERATOR,
+			choose = values => values[Math.floor(random() * values.length)],
+			generate = subschema => generateSchemaValue(subschema, root, depth);
+		if (schema === false || depth > COMMON.JSON_SCHEMA.MAX_REF_DEPTH) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} generateFromSchema`);
+		} else if (schema === true) {
+			return generateString(generateNumber(1, 10));
+		} else if (schema.$ref !== undefined) {
+			return generateSchemaValue(resolveSchemaRef(schema.$ref, root), root, depth + 1);
+		} else if (schema.const !== undefined) {
+			return JSON.parse(JSON.stringify(schema.const));
+		} else if (schema.enum !== undefined) {
+			return JSON.parse(JSON.stringify(choose(schema.enum)));
+		} else if (schema.allOf !== undefined || schema.anyOf !== undefined || schema.oneOf !== undefined) {
+			// The combined subschemas are merged into one schema, anyOf and oneOf contribute one random option
+			const MERGED = Object.assign({}, schema),
+				PARTS = (schema.allOf || []).concat(schema.anyOf ? [choose(schema.anyOf)] : [], schema.oneOf ? [choose(schema.oneOf)] : []);
+			delete MERGED.allOf;
+			delete MERGED.anyOf;
+			delete MERGED.oneOf;
+			return generate(PARTS.map(part => getType(part) === "Object" && part.$ref !== undefined ? resolveSchemaRef(part.$ref, root) : part)
+				.reduce((merged, part) => part === true ? merged : Object.assign({}, merged, part, {
+					required: [].concat(merged.required || [], part.required || []),
+					properties: Object.assign({}, merged.properties, part.properties)
+				}), MERGED));
+		}
+		const TYPE = schema.type !== undefined ? choose([].concat(schema.type)) :
+			schema.properties !== undefined || schema.required !== undefined ? "object" :
+				schema.items !== undefined ? "array" :
+					schema.minimum !== undefined || schema.maximum !== undefined ? "number" : "string";
+		switch (TYPE) {
+			case "null":
+				return null;
+			case "boolean":
+				return random() < 0.5;
+			case "integer":
+			case "number": {
+				const STEP = schema.multipleOf || (TYPE === "integer" ? 1 : 0.01),
+					// Draft-04 uses boolean exclusive bounds, newer drafts use numbers
+					MIN = getType(schema.exclusiveMinimum) === "Number" ? schema.exclusiveMinimum + STEP :
+						schema.minimum === undefined ? (schema.maximum === undefined ? 0 : schema.maximum - GENERATOR.NUMBER_RANGE) :
+							schema.minimum + (schema.exclusiveMinimum === true ? STEP : 0),
+					MAX = getType(schema.exclusiveMaximum) === "Number" ? schema.exclusiveMaximum - STEP :
+						schema.maximum === undefined ? MIN + GENERATOR.NUMBER_RANGE : schema.maximum - (schema.exclusiveMaximum === true ? STEP : 0);
+				const MULTIPLE = generateNumber(Math.ceil(MIN / STEP), Math.max(Math.ceil(MIN / STEP), Math.floor(MAX / STEP)));
+				return Number((MULTIPLE * STEP).toFixed(10));
+			}
+			case "string": {
+				if (GENERATOR.FORMATS[schema.format]) {
+					return GENERATOR.FORMATS[schema.format]();
+				} else if (schema.pattern !== undefined) {
+					return generateFromRegex(schema.pattern);
+				}
+				const MIN = schema.minLength || 1,
+					MAX = schema.maxLength === undefined ? Math.max(MIN, 10) : schema.maxLength;
+				return generateString(generateNumber(MIN, MAX));
+			}
+			case "array": {
+				const TUPLE = Array.isArray(schema.items) ? schema.items : schema.prefixItems || [],
+					MIN = Math.max(schema.minItems || (TUPLE.length ? TUPLE.length : 1), 0),
+					MAX = schema.maxItems === undefined ? Math.max(MIN, TUPLE.length || 3) : schema.maxItems,
+					ITEMS = [];
+				for (let count = generateNumber(Math.min(MIN, MAX), MAX), attempts = 0; ITEMS.length < count && attempts < GENERATOR.MAX_ATTEMPTS; attempts++) {
+					const ITEM_SCHEMA = ITEMS.length < TUPLE.length ? TUPLE[ITEMS.length] :
+						Array.isArray(schema.items) ? (schema.additionalItems === undefined ? true : schema.additionalItems) :
+							schema.items === undefined ? true : schema.items;
+					const ITEM = generate(ITEM_SCHEMA);
+					if (!schema.uniqueItems || !ITEMS.some(existing => isDeepEqual(existing, ITEM))) {
+						ITEMS.push(ITEM);
+					}
+				}
+				return ITEMS;
+			}
+			case "object": {
+				const PROPERTIES = schema.properties || {},
+					REQUIRED = schema.required || [],
+					OBJECT = {};
+				Object.keys(PROPERTIES).concat(REQUIRED.filter(name => PROPERTIES[name] === undefined)).forEach(name => {
+					if (REQUIRED.includes(name) || random() < 0.5) {
+						OBJECT[name] = generate(PROPERTIES[name] || (getType(schema.additionalProperties) === "Object" ? schema.additionalProperties : true));
+					}
+				});
+				return OBJECT;
+			}
+			default:
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} generateFromSchema`);
+		}
+	}
+
+	/**
+	 * Generates invalid variants of a valid value, for example request bodies for negative tests: missing required properties,
+	 * wrong types, numbers beyond their bounds, strings that are too long or too short or do not match their pattern or format,
+	 * values outside an enum, arrays with too few or too many items and unexpected properties.
+	 * Only variants that are invalid against the schema are returned.
+	 *
+	 * @param {Object} schema - JSON schema of the valid value
+	 * @param {Object} options - Options (optional)
+	 * @param {*} options.base - Valid value the variants are derived from (default generated with generateFromSchema)
+	 * @returns {Array.<Object>} Variants as {description, dataPath, body}
+	 * @throws {TypeError} Parameters must be a schema and a valid options object
+	 */
+	function generateInvalidVariants(schema, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, ["base"], FUNCTION_NAME);
+		if (getType(schema) !== "Object") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const BASE = options.base === undefined ? generateFromSchema(schema) : options.base,
+			VARIANTS = [];
+		const add = (description, segments, value, remove = false) => {
+			const BODY = JSON.parse(JSON.stringify(BASE)),
+				DATA_PATH = segments.map(segment => `/${segment}`).join("");
+			if (segments.length) {
+				const PARENT = segments.slice(0, -1).reduce((node, segment) => node[segment], BODY),
+					KEY = segments[segments.length - 1];
+				if (remove) {
+					delete PARENT[KEY];
+				} else {
+					PARENT[KEY] = value;
+				}
+			}
+			const VARIANT = {description: `${description} ${DATA_PATH || "/"}`, dataPath: DATA_PATH, body: segments.length ? BODY : value};
+			if (validateJSONSchema(VARIANT.body, schema).length && !VARIANTS.some(variant => variant.description === VARIANT.description)) {
+				VARIANTS.push(VARIANT);
+			}
+		};
+		collectInvalidVariants(BASE, schema, schema, [], add, 0);
+		return VARIANTS;
+	}
+
+	/**
+	 * Collects the invalid variants of a value and its properties and items, see generateInvalidVariants.
+	 *
+	 * @param {*} value - Valid value at the data path
+	 * @param {(Object|boolean)} schema - Schema of the value
+	 * @param {Object} root - Root schema against which $ref's are resolved
+	 * @param {Array.<string>} segments - Segments of the data path
+	 * @param {function(string, Array.<string>, *, boolean)} add - Adds a variant with a description, data path, replacement value and whether the value is removed
+	 * @param {number} depth - Number of $ref's followed
+	 */
+	function collectInvalidVariants(value, schema, root, segments, add, depth) {
+		if (getType(schema) !== "Object" || depth > COMMON.JSON_SCHEMA.MAX_REF_DEPTH) {
+			return;
+		} else if (schema.$ref !== undefined) {
+			collectInvalidVariants(value, resolveSchemaRef(schema.$ref, root), root, segments, add, depth + 1);
+			return;
+		}
+		const TYPES = [].concat(schema.type || []),
+			WRONG_TYPES = [["string", "text"], ["integer", 12345], ["boolean", true], ["object", {}], ["array", []], ["null", null]];
+		const WRONG_TYPE = WRONG_TYPES.find(([type]) => !TYPES.includes(type) && !(type === "integer" && TYPES.includes("number")));
+		TYPES.length && WRONG_TYPE && add(`wrong type ${WRONG_TYPE[0]} for`, segments, WRONG_TYPE[1]);
+		schema.enum !== undefined && add("value outside the enum for", segments, "not-in-enum");
+		switch (getJSONType(value)) {
+			case "integer":
+			case "number": {
+				const MINIMUM = getType(schema.exclusiveMinimum) === "Number" ? schema.exclusiveMinimum :
+						schema.exclusiveMinimum === true ? schema.minimum : schema.minimum !== undefined ? schema.minimum - 1 : undefined,
+					MAXIMUM = getType(schema.exclusiveMaximum) === "Number" ? schema.exclusiveMaximum :
+						schema.exclusiveMaximum === true ? schema.maximum : schema.maximum !== undefined ? schema.maximum + 1 : undefined;
+				MINIMUM !== undefined && add("number below the minimum for", segments, MINIMUM);
+				MAXIMUM !== undefined && add("number above the maximum for", segments, MAXIMUM);
+				break;
+			}
+			case "string":
+				schema.maxLength !== undefined && add("string too long for", segments, value.padEnd(schema.maxLength + 1, "x"));
+				schema.minLength > 0 && add("string too short for", segments, value.slice(0, schema.minLength - 1));
+				schema.pattern !== undefined && add("string not matching the pattern for", segments, "!");
+				schema.format !== undefined && add(`invalid ${schema.format} for`, segments, `not a ${schema.format}`);
+				break;
+			case "array":
+				schema.minItems > 0 && add("too few items for", segments, value.slice(0, schema.minItems - 1));
+				schema.maxItems !== undefined && value.length && add("too many items for", segments,
+					value.concat(Array.from({length: schema.maxItems + 1 - value.length}, () => value[0])));
+				value.length && getType(schema.items) === "Object" && collectInvalidVariants(value[0], schema.items, root, segments.concat("0"), add, depth);
+				break;
+			case "object":
+				(schema.required || []).forEach(name => add("missing required property", segments.concat(name), undefined, true));
+				schema.additionalProperties === false && add("unexpected property", segments.concat("unexpectedProperty"), "unexpected");
+				Object.keys(schema.properties || {}).filter(name => value[name] !== undefined).forEach(name => {
+					collectInvalidVariants(value[name], schema.properties[name], root, segments.concat(name), add, depth);
+				});
+				break;
+		}
+	}
+
+	/**
+	 * Sends every invalid variant of a request body, see generateInvalidVariants, and checks that the service rejects it.
+	 * Each variant is reported as a test. The variants are sent one after the other.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL without body, see pm.sendRequest (default method POST)
+	 * @param {Object} schema - JSON schema of a valid request body
+	 * @param {Object} options - Options (optional)
+	 * @param {*} options.base - Valid request body the variants are derived from (default generated with generateFromSchema)
+	 * @param {(number|string|Array.<number>|Function)} options.status - Expected status, see checkStatusCode (default "4xx")
+	 * @param {boolean} options.problem - Whether the responses must be RFC 7807 problem responses (default false)
+	 * @returns {Promise.<Array.<Object>>} Resolved with the results as {description, body, code, passed}
+	 * @throws {TypeError} Parameters must be a request, a schema and a valid options object
+	 */
+	function checkNegativeRequests(request, schema, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, ["base", "status", "problem"], FUNCTION_NAME);
+		if (!["Object", "String"].includes(getType(request))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const EXPECTATION = getStatusCodeExpectation(options.status === undefined ? "4xx" : options.status, FUNCTION_NAME),
+			VARIANTS = generateInvalidVariants(schema, options.base === undefined ? {} : {base: options.base}),
+			ADAPTER = getAdapter();
+		return VARIANTS.reduce((previous, variant) => previous.then(results => {
+			const report = (response, error) => {
+				const CONTENT_TYPE = response ? response.getHeader("Content-Type") : undefined,
+					RESULT = {
+						description: variant.description,
+						body: variant.body,
+						code: response ? response.code : null,
+						passed: Boolean(response) && EXPECTATION.matches(response.code) &&
+							(!options.problem || getMediaType(CONTENT_TYPE) === COMMON.PROBLEM.CONTENT_TYPE)
+					};
+				ADAPTER.test(`Negative Request: ${variant.description}`, () => {
+					ADAPTER.assert(!error, `Expected the request to be sent but got "${error && error.message}"`);
+					ADAPTER.assert(EXPECTATION.matches(response.code), `Expected status code ${EXPECTATION.expected} but got ${response.code}`);
+					options.problem && ADAPTER.assert(RESULT.passed, `Expected Content-Type "${COMMON.PROBLEM.CONTENT_TYPE}" but got "${CONTENT_TYPE}"`);
+				});
+				return results.concat(RESULT);
+			};
+			return sendRequest(withJSONBody(request, variant.body)).then(response => report(response), error => report(null, error));
+		}), Promise.resolve([]));
+	}
+
+	/**
+	 * Adds a JSON body to a request definition for pm.sendRequest.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL (default method POST)
+	 * @param {*} body - Body that is serialized as JSON
+	 * @returns {Object} Copy of the request definition with the body and a Content-Type header
+	 */
+	function withJSONBody(request, body) {
+		const DEFINITION = Object.assign({method: "POST"}, getType(request) === "String" ? {url: request} : request),
+			CONTENT_TYPE = {key: "Content-Type", value: "application/json"};
+		DEFINITION.header = getType(DEFINITION.header) === "Object" ? Object.assign({"Content-Type": CONTENT_TYPE.value}, DEFINITION.header) :
+			[CONTENT_TYPE].concat(DEFINITION.header || []);
+		DEFINITION.body = {mode: "raw", raw: JSON.stringify(body)};
+		return DEFINITION;
+	}
+
+	/**
+	 * Adds headers to a request definition for pm.sendRequest, replacing headers with the same name.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL (default method GET)
+	 * @param {Object} headers - Header names mapped to their values
+	 * @returns {Object} Copy of the request definition with the headers
+	 */
+	function withHeaders(request, headers) {
+		const DEFINITION = Object.assign({method: "GET"}, getType(request) === "String" ? {url: request} : request),
+			NAMES = Object.keys(headers).map(name => name.toLowerCase());
+		if (getType(DEFINITION.header) === "Object") {
+			DEFINITION.header = Object.assign(Object.keys(DEFINITION.header)
+				.filter(name => !NAMES.includes(name.toLowerCase()))
+				.reduce((header, name) => Object.assign(header, {[name]: DEFINITION.header[name]}), {}), headers);
+		} else {
+			DEFINITION.header = (DEFINITION.header || []).filter(header => !NAMES.includes(String(header.key).toLowerCase()))
+				.concat(Object.keys(headers).map(name => ({key: name, value: headers[name]})));
+		}
+		return DEFINITION;
+	}
+
+	/**
+	 * Sends the requests of a multi-request flow one after the other and reports every step as a "<flow>: <step>" test.
+	 * When a required step fails, the steps after it fail without being sent.
+	 *
+	 * @param {string} flow - Name of the flow in the test names
+	 * @param {Array.<Object>} steps - Steps as {description, required, skip, request, check}: skip tells from the results so far
+	 *                                 if the step is left out, request builds the request definition from them and check returns
+	 *                                 the failure messages for the response
+	 * @returns {Promise.<Array.<Object>>} Resolved with the results of the steps that were not left out as {description, passed, response}
+	 */
+	function runRequestSteps(flow, steps) {
+		const ADAPTER = getAdapter(),
+			RESULTS = [];
+		return steps.reduce((previous, step) => previous.then(() => {
+			if (step.skip && step.skip(RESULTS)) {
+				return undefined;
+			}
+			const report = (response, errors) => {
+				RESULTS.push({description: step.description, required: Boolean(step.required), passed: errors.length === 0, response: response});
+				ADAPTER.test(`${flow}: ${step.description}`, () => {
+					ADAPTER.assert(errors.length === 0, errors.join(", "));
+				});
+			};
+			const FAILED = RESULTS.find(result => result.required && !result.passed);
+			if (FAILED) {
+				report(null, [`Expected the step "${FAILED.description}" to pass before this step is sent`]);
+				return undefined;
+			}
+			return sendRequest(step.request(RESULTS)).then(response => report(response, step.check(response, RESULTS)),
+				error => report(null, [`Expected the request to be sent but got "${error.message}"`]));
+		}), Promise.resolve()).then(() => RESULTS.map(result => ({description: result.description, passed: result.passed, response: result.response})));
+	}
+
+	/**
+	 * Gets the failure message when the status code of a response is not the expected one.
+	 *
+	 * @param {Object} response - Response, see sendRequest
+	 * @param {Object} expectation - Expectation returned by getStatusCodeExpectation
+	 * @returns {Array.<string>} The failure message, or nothing if the status code matches
+	 */
+	function getStatusCodeErrors(response, expectation) {
+		return expectation.matches(response.code) ? [] : [`Expected status code ${expectation.expected} but got ${response.code}`];
+	}
+
+	/**
+	 * Checks conditional GET requests: the resource is fetched and must have an ETag, replaying the request with If-None-Match
+	 * must return 304 Not Modified without a body. When the resource has a Last-Modified header, If-Modified-Since is checked the same way.
+	 * The steps are reported as "Conditional GET: GET", "Conditional GET: If-None-Match" and "Conditional GET: If-Modified-Since".
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the resource, see pm.sendRequest
+	 * @param {Object} options - Options (optional)
+	 * @param {boolean} options.lastModified - Whether the Last-Modified header is required (default false)
+	 * @returns {Promise.<Array.<Object>>} Resolved with the results of the steps as {description, passed, response}
+	 * @throws {TypeError} Parameters must be a request and a valid options object
+	 */
+	function checkConditionalGet(request, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.CONDITIONAL.GET_OPTIONS, FUNCTION_NAME);
+		if (!["Object", "String"].includes(getType(request)) || !["Undefined", "Boolean"].includes(getType(options.lastModified))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const OK = getStatusCodeExpectation(200, FUNCTION_NAME),
+			NOT_MODIFIED = getStatusCodeExpectation(304, FUNCTION_NAME),
+			getValidator = (results, name) => results[0].response.getHeader(name),
+			checkNotModified = response => getStatusCodeErrors(response, NOT_MODIFIED)
+				.concat(response.text() ? [`Expected an empty body but got ${response.text().length} characters`] : []);
+		return runRequestSteps("Conditional GET", [{
+			description: "GET",
+			required: true,
+			request: () => withHeaders(request, {}),
+			check: response => getStatusCodeErrors(response, OK)
+				.concat(response.getHeader("ETag") === undefined ? ["Expected an ETag header"] : [])
+				.concat(options.lastModified && response.getHeader("Last-Modified") === undefined ? ["Expected a Last-Modified header"] : [])
+		}, {
+			description: "If-None-Match",
+			request: results => withHeaders(request, {"If-None-Match": getValidator(results, "ETag")}),
+			check: (response, results) => {
+				const ETAG = response.getHeader("ETag");
+				return checkNotModified(response)
+					.concat(ETAG === undefined || ETAG === getValidator(results, "ETag") ? [] : [`Expected the ETag ${getValidator(results, "ETag")} but got ${ETAG}`]);
+			}
+		}, {
+			description: "If-Modified-Since",
+			skip: results => !options.lastModified && !(results[0].response && getValidator(results, "Last-Modified") !== undefined),
+			request: results => withHeaders(request, {"If-Modified-Since": getValidator(results, "Last-Modified")}),
+			check: checkNotModified
+		}]);
+	}
+
+	/**
+	 * Checks optimistic locking of a resource: the resource is fetched for its ETag, an update with a stale If-Match
+	 * must return 412 Precondition Failed. Optionally an update without If-Match must return 428 Precondition Required
+	 * and an update with the current ETag must succeed. The steps are reported as "Optimistic Locking: <step>" tests.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the resource, see pm.sendRequest
+	 * @param {*} body - Body of the update, serialized as JSON
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.method - Method of the update (default "PUT")
+	 * @param {boolean} options.preconditionRequired - Whether an update without If-Match must return 428 (default false)
+	 * @param {boolean} options.apply - Whether the update is finally sent with the current ETag and must succeed (default false)
+	 * @returns {Promise.<Array.<Object>>} Resolved with the results of the steps as {description, passed, response}
+	 * @throws {TypeError} Parameters must be a request, a body and a valid options object
+	 */
+	function checkOptimisticLocking(request, body, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.CONDITIONAL.LOCKING_OPTIONS, FUNCTION_NAME);
+		if (!["Object", "String"].includes(getType(request)) || body === undefined || !["Undefined", "String"].includes(getType(options.method)) ||
+			!["Undefined", "Boolean"].includes(getType(options.preconditionRequired)) || !["Undefined", "Boolean"].includes(getType(options.apply))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const UPDATE = Object.assign(withJSONBody(request, body), {method: options.method || "PUT"}),
+			getETag = results => results[0].response.getHeader("ETag");
+		return runRequestSteps("Optimistic Locking", [{
+			description: "GET",
+			required: true,
+			request: () => withHeaders(request, {}),
+			check: response => getStatusCodeErrors(response, getStatusCodeExpectation(200, FUNCTION_NAME))
+				.concat(response.getHeader("ETag") === undefined ? ["Expected an ETag header"] : [])
+		}, {
+			description: "Stale If-Match",
+			request: () => withHeaders(UPDATE, {"If-Match": COMMON.CONDITIONAL.STALE_ETAG}),
+			check: response => getStatusCodeErrors(response, getStatusCodeExpectation(412, FUNCTION_NAME))
+		}, {
+			description: "Missing If-Match",
+			skip: () => !options.preconditionRequired,
+			request: () => UPDATE,
+			check: response => getStatusCodeErrors(response, getStatusCodeExpectation(428, FUNCTION_NAME))
+		}, {
+			description: "Current If-Match",
+			skip: () => !options.apply,
+			request: results => withHeaders(UPDATE, {"If-Match": getETag(results)}),
+			check: (response, results) => getStatusCodeErrors(response, getStatusCodeExpectation("2xx", FUNCTION_NAME))
+				.concat(response.getHeader("ETag") === getETag(results) ? ["Expected the ETag to change after the update"] : [])
+		}]);
+	}
+
+	/**
+	 * Checks that a POST is idempotent with an Idempotency-Key: the request is sent twice with the same key and the replay
+	 * must return the same status code, body and Location. Optionally the key is reused with another body, which must be refused.
+	 * The steps are reported as "Idempotency: First Request", "Idempotency: Replay" and "Idempotency: Other Body".
+	 *
+	 * @param {(Object|string)} request - Request definition or URL, see pm.sendRequest (default method POST)
+	 * @param {*} body - Body of the request, serialized as JSON
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.key - Idempotency key (default a generated GUID)
+	 * @param {string} options.header - Name of the header with the key (default "Idempotency-Key")
+	 * @param {*} options.otherBody - Body that is sent with the same key and must be refused (optional)
+	 * @param {(number|string|Array.<number>|Function)} options.otherBodyStatus - Expected status for the other body, see checkStatusCode (default 422)
+	 * @returns {Promise.<Array.<Object>>} Resolved with the results of the steps as {description, passed, response}
+	 * @throws {TypeError} Parameters must be a request, a body and a valid options object
+	 */
+	function checkIdempotency(request, body, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.IDEMPOTENCY.OPTIONS, FUNCTION_NAME);
+		if (!["Object", "String"].includes(getType(request)) || body === undefined ||
+			!["Undefined", "String"].includes(getType(options.key)) || !["Undefined", "String"].includes(getType(options.header))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const KEY = {[options.header || COMMON.IDEMPOTENCY.HEADER]: options.key || generateGUID()},
+			SUCCESS = getStatusCodeExpectation("2xx", FUNCTION_NAME),
+			CONFLICT = getStatusCodeExpectation(options.otherBodyStatus === undefined ? COMMON.IDEMPOTENCY.OTHER_BODY_STATUS : options.otherBodyStatus, FUNCTION_NAME),
+			readBody = response => {
+				try {
+					return response.json();
+				} catch (error) {
+					return response.text();
+				}
+			};
+		return runRequestSteps("Idempotency", [{
+			description: "First Request",
+			required: true,
+			request: () => withHeaders(withJSONBody(request, body), KEY),
+			check: response => getStatusCodeErrors(response, SUCCESS)
+		}, {
+			description: "Replay",
+			request: () => withHeaders(withJSONBody(request, body), KEY),
+			check: (response, results) => {
+				const FIRST = results[0].response,
+					ERRORS = response.code === FIRST.code ? [] : [`Expected the status code ${FIRST.code} of the first response but got ${response.code}`];
+				isDeepEqual(readBody(response), readBody(FIRST)) || ERRORS.push("Expected the body of the first response");
+				response.getHeader("Location") === FIRST.getHeader("Location") ||
+					ERRORS.push(`Expected the Location ${FIRST.getHeader("Location")} of the first response but got ${response.getHeader("Location")}`);
+				return ERRORS;
+			}
+		}, {
+			description: "Other Body",
+			skip: () => options.otherBody === undefined,
+			request: () => withHeaders(withJSONBody(request, options.otherBody), KEY),
+			check: response => getStatusCodeErrors(response, CONFLICT)
+		}]);
+	}
+
+	/**
+	 * Checks the lifecycle of a resource: it is created, read, updated, read again, deleted and finally not found.
+	 * The resource URL is the Location of the created resource, or the collection URL followed by the id at options.idPath.
+	 * The reads must return the created and updated content, see checkJSONPath matches. The steps are reported as
+	 * "Resource Lifecycle: Create", "Read", "Update", "Read Updated", "Delete" and "Read Deleted" tests.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the collection, see pm.sendRequest (default method POST)
+	 * @param {*} body - Body of the created resource, serialized as JSON
+	 * @param {Object} options - Options (optional)
+	 * @param {*} options.update - Body of the update, without it the update and the read after it are left out
+	 * @param {string} options.method - Method of the update (default "PUT")
+	 * @param {string} options.idPath - JSON path of the id in the created resource, used when there is no Location (optional)
+	 * @param {(number|string|Array.<number>|Function)} options.deletedStatus - Expected status of the read after the delete, see checkStatusCode (default 404)
+	 * @returns {Promise.<Array.<Object>>} Resolved with the results of the steps as {description, passed, response}
+	 * @throws {TypeError} Parameters must be a request, a body and a valid options object
+	 * @throws {SyntaxError} The JSON path must be supported
+	 */
+	function checkResourceLifecycle(request, body, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.LIFECYCLE.OPTIONS, FUNCTION_NAME);
+		if (!["Object", "String"].includes(getType(request)) || body === undefined ||
+			!["Undefined", "String"].includes(getType(options.method)) || !["Undefined", "String"].includes(getType(options.idPath))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		options.idPath !== undefined && parseJSONPath(options.idPath);
+		const COLLECTION_URL = String(getType(request) === "String" ? request : request.url),
+			  OK = getStatusCodeExpectation(200, FUNCTION_NAME),
+			  SUCCESS = getStatusCodeExpectation("2xx", FUNCTION_NAME),
+			  DELETED = getStatusCodeExpectation(options.deletedStatus === undefined ? COMMON.LIFECYCLE.DELETED_STATUS : options.deletedStatus, FUNCTION_NAME),
+			  getResourceURL = response => {
+				  const LOCATION = response.getHeader("Location"),
+						ID = options.idPath === undefined ? undefined : selectJSONPath(readJSONBody(response), options.idPath)[0];
+				  if (LOCATION !== undefined) {
+					  return resolveURL(LOCATION, COLLECTION_URL);
+				  }
+				  return ["String", "Number"].includes(getType(ID)) ? `${COLLECTION_URL.replace(/\/$/, "")}/${encodeURIComponent(ID)}` : undefined;
+			  },
+			  resource = (results, method) => withHeaders({url: getResourceURL(results[0].response), method: method}, {}),
+			  checkContent = (response, expected, description) => getStatusCodeErrors(response, OK)
+				  .concat(isPartialMatch(readJSONBody(response), expected) ? [] : [`Expected the resource to contain the ${description} content`]);
+		return runRequestSteps("Resource Lifecycle", [{
+			description: "Create",
+			required: true,
+			request: () => withJSONBody(request, body),
+			check: response => getStatusCodeErrors(response, SUCCESS)
+				.concat(getResourceURL(response) === undefined ? [`Expected a Location header${options.idPath ? ` or an id at ${options.idPath}` : ""}`] : [])
+		}, {
+			description: "Read",
+			required: true,
+			request: results => resource(results, "GET"),
+			check: response => checkContent(response, body, "created")
+		}, {
+			description: "Update",
+			skip: () => options.update === undefined,
+			request: results => withJSONBody(resource(results, options.method || "PUT"), options.update),
+			check: response => getStatusCodeErrors(response, SUCCESS)
+		}, {
+			description: "Read Updated",
+			skip: () => options.update === undefined,
+			request: results => resource(results, "GET"),
+			check: response => checkContent(response, options.update, "updated")
+		}, {
+			description: "Delete",
+			request: results => resource(results, "DELETE"),
+			check: response => getStatusCodeErrors(response, SUCCESS)
+		}, {
+			description: "Read Deleted",
+			request: results => resource(results, "GET"),
+			check: response => getStatusCodeErrors(response, DELETED)
+		}]);
+	}
+
+	/**
+	 * Validates an OAuth2 token configuration, see getAccessToken.
+	 *
+	 * @param {Object} config - Token configuration
+	 * @param {string} functionName - Name of the function that receives the configuration
+	 * @returns {Object} Configuration with its defaults
+	 * @throws {TypeError} The configuration must be known and complete
+	 * @throws {RangeError} The grant type and client authentication must be supported
+	 */
+	function getTokenConfig(config, functionName) {
+		validateOptions(config, COMMON.AUTH.OPTIONS, functionName);
+		const CONFIG = Object.assign({}, COMMON.AUTH.DEFAULTS, config),
+			STRINGS = ["tokenUrl", "grantType", "clientId", "variable", "clientAuthentication"]
+				.concat(CONFIG.grantType === "password" ? ["username", "password"] : []);
+		if (!STRINGS.every(name => getType(CONFIG[name]) === "String") ||
+			!["clientSecret", "scope", "audience"].every(name => ["Undefined", "String"].includes(getType(CONFIG[name]))) ||
+			getType(CONFIG.refreshMargin) !== "Number" || CONFIG.refreshMargin < 0) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		}
+		if (!COMMON.AUTH.GRANT_TYPES.includes(CONFIG.grantType) || !COMMON.AUTH.CLIENT_AUTHENTICATIONS.includes(CONFIG.clientAuthentication)) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+		}
+		return CONFIG;
+	}
+
+	/**
+	 * Gets an OAuth2 access token with the client credentials or password grant through pm.sendRequest.
+	 * The token is cached with its expiry in the variable config.variable and requested again when it expires within
+	 * the refresh margin or when the configuration changes. The token itself is also stored in COMMON.AUTH.ACCESS_TOKEN_VARIABLE,
+	 * so requests can use "Bearer {{commonTests.accessToken}}". A failed token request is reported as an "Access Token" test.
+	 *
+	 * @param {Object} config - Token configuration
+	 * @param {string} config.tokenUrl - URL of the token endpoint
+	 * @param {string} config.grantType - "client_credentials" or "password" (default "client_credentials")
+	 * @param {string} config.clientId - Client id
+	 * @param {string} config.clientSecret - Client secret (optional)
+	 * @param {string} config.username - Username, required for the password grant
+	 * @param {string} config.password - Password, required for the password grant
+	 * @param {string} config.scope - Space separated scopes (optional)
+	 * @param {string} config.audience - Audience of the token (optional)
+	 * @param {string} config.clientAuthentication - "body" sends the client credentials as form parameters, "basic" in an Authorization header (default "body")
+	 * @param {string} config.variable - Variable of the cached token (default "commonTests.token")
+	 * @param {number} config.refreshMargin - Seconds before the expiry in which the token is refreshed (default 60)
+	 * @returns {Promise.<Object>} Resolved with the token as {accessToken, tokenType, expiresAt, scope}, rejected when no token is obtained
+	 * @throws {TypeError} The configuration must be known and complete
+	 * @throws {RangeError} The grant type and client authentication must be supported
+	 */
+	function getAccessToken(config) {
+		const CONFIG = getTokenConfig(config, getFunctionNameFromInside(new Error())),
+			ADAPTER = getAdapter(),
+			KEY = [CONFIG.tokenUrl, CONFIG.grantType, CONFIG.clientId, CONFIG.username, CONFIG.scope, CONFIG.audience].join(" "),
+			CACHED = JSON.parse(ADAPTER.getVariable(CONFIG.variable) || "null");
+		if (CACHED && CACHED.key === KEY && Date.now() < CACHED.expiresAt - CONFIG.refreshMargin * 1000) {
+			return Promise.resolve({accessToken: CACHED.accessToken, tokenType: CACHED.tokenType, expiresAt: CACHED.expiresAt, scope: CACHED.scope});
+		}
+		const PARAMETERS = {grant_type: CONFIG.grantType, username: CONFIG.username, password: CONFIG.password, scope: CONFIG.scope, audience: CONFIG.audience},
+			HEADERS = {"Accept": "application/json"};
+		if (CONFIG.clientAuthentication === "basic") {
+			HEADERS.Authorization = `Basic ${encodeBase64(`${encodeURIComponent(CONFIG.clientId)}:${encodeURIComponent(CONFIG.clientSecret || "")}`)}`;
+		} else {
+			Object.assign(PARAMETERS, {client_id: CONFIG.clientId, client_secret: CONFIG.clientSecret});
+		}
+		const REQUEST = withHeaders({
+			url: CONFIG.tokenUrl,
+			method: "POST",
+			body: {
+				mode: "urlencoded",
+				urlencoded: Object.keys(PARAMETERS).filter(name => PARAMETERS[name] !== undefined).map(name => ({key: name, value: PARAMETERS[name]}))
+			}
+		}, HEADERS);
+		const fail = message => {
+			ADAPTER.test("Access Token", () => {
+				ADAPTER.assert(false, `Expected an access token from ${CONFIG.tokenUrl} but ${message}`);
+			});
+			throw new Error(`No access token from ${CONFIG.tokenUrl}: ${message}`);
+		};
+		return sendRequest(REQUEST).then(response => {
+			let body;
+			try {
+				body = response.json();
+			} catch (error) {
+				body = {};
+			}
+			if (response.code !== 200 || getType(body.access_token) !== "String") {
+				fail(`got status code ${response.code}${body.error ? ` (${[body.error, body.error_description].filter(Boolean).join(": ")})` : ""}`);
+			}
+			let expiresAt = Date.now();
+			if (getType(body.expires_in) === "Number") {
+				expiresAt += body.expires_in * 1000;
+			} else {
+				// Without expires_in the exp claim of a JWT is used, other tokens are not cached
+				try {
+					const EXP = decodeJWT(body.access_token).payload.exp;
+					getType(EXP) === "Number" && (expiresAt = EXP * 1000);
+				} catch (error) {
+					log("info", `The access token from ${CONFIG.tokenUrl} has no expiry and is not cached`);
+				}
+			}
+			const TOKEN = {accessToken: body.access_token, tokenType: body.token_type || "Bearer", expiresAt: expiresAt, scope: body.scope || CONFIG.scope};
+			ADAPTER.setVariable(CONFIG.variable, JSON.stringify(Object.assign({key: KEY}, TOKEN)));
+			ADAPTER.setVariable(COMMON.AUTH.ACCESS_TOKEN_VARIABLE, TOKEN.accessToken);
+			log("info", `Access token obtained from ${CONFIG.tokenUrl}, valid until ${new Date(expiresAt).toISOString()}`);
+			return TOKEN;
+		}, error => fail(`got "${error.message}"`));
+	}
+
+	/**
+	 * Adds an OAuth2 access token to a request definition for pm.sendRequest, see getAccessToken.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL (default method GET)
+	 * @param {Object} config - Token configuration, see getAccessToken
+	 * @returns {Promise.<Object>} Resolved with a copy of the request definition with the Authorization header
+	 * @throws {TypeError} Parameters must be a request and a valid token configuration
+	 */
+	function withAccessToken(request, config) {
+		if (!["Object", "String"].includes(getType(request))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		return getAccessToken(config).then(token => withHeaders(request, {Authorization: `${token.tokenType} ${token.accessToken}`}));
+	}
+
+	/**
+	 * Adds an API key to a request definition for pm.sendRequest.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL (default method GET)
+	 * @param {string} apiKey - API key
+	 * @param {string} header - Name of the header (default "ApiKey")
+	 * @returns {Object} Copy of the request definition with the API key header
+	 * @throws {TypeError} Parameters must be a request and strings
+	 */
+	function withAPIKey(request, apiKey, header = COMMON.AUTH.API_KEY_HEADER) {
+		if (["Object", "String"].includes(getType(request)) && getType(apiKey) === "String" && getType(header) === "String") {
+			return withHeaders(request, {[header]: apiKey});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Decodes a JSON Web Token without verifying its signature.
+	 *
+	 * @param {string} token - JWT in compact serialization, a "Bearer " prefix is removed
+	 * @returns {Object} Token as {header, payload, signature}
+	 * @throws {TypeError} Parameter must be a string
+	 * @throws {SyntaxError} Parameter must be a JWT
+	 */
+	function decodeJWT(token) {
+		if (getType(token) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const PARTS = token.replace(/^Bearer\s+/i, "").split(".");
+		if (PARTS.length !== 3) {
+			throw new SyntaxError("Invalid JWT: expected three parts");
+		}
+		try {
+			return {header: JSON.parse(decodeBase64(PARTS[0])), payload: JSON.parse(decodeBase64(PARTS[1])), signature: PARTS[2]};
+		} catch (error) {
+			throw new SyntaxError(`Invalid JWT: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Checks the claims of a JSON Web Token: the issuer, the audience, the scopes (the "scope" or "scp" claim) and that it is
+	 * not expired or not yet valid. The signature is not verified. The result is reported as a "JWT" test.
+	 *
+	 * @param {string} token - JWT, for example the access token of getAccessToken or an Authorization header
+	 * @param {Object} options - Expected claims (optional)
+	 * @param {string} options.issuer - Expected iss claim
+	 * @param {string} options.audience - Audience that the aud claim must contain
+	 * @param {Array.<string>} options.scopes - Scopes the token must have
+	 * @param {number} options.clockSkew - Seconds of clock skew allowed for exp and nbf (default 0)
+	 * @throws {TypeError} Parameters must be a string and valid options
+	 */
+	function checkJWT(token, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.AUTH.JWT_OPTIONS, FUNCTION_NAME);
+		if (getType(token) !== "String" || !["Undefined", "String"].includes(getType(options.issuer)) || !["Undefined", "String"].includes(getType(options.audience)) ||
+			!(options.scopes === undefined || (Array.isArray(options.scopes) && options.scopes.every(scope => getType(scope) === "String"))) ||
+			!["Undefined", "Number"].includes(getType(options.clockSkew))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter();
+		ADAPTER.test("JWT", () => {
+			let claims;
+			try {
+				claims = decodeJWT(token).payload;
+			} catch (error) {
+				ADAPTER.assert(false, `Expected a JWT but got "${error.message}"`);
+			}
+			const NOW = Date.now() / 1000,
+				SKEW = options.clockSkew || 0,
+				AUDIENCES = [].concat(claims.aud === undefined ? [] : claims.aud),
+				SCOPES = Array.isArray(claims.scp) ? claims.scp : String(claims.scope || claims.scp || "").split(" ").filter(Boolean),
+				ERRORS = [];
+			options.issuer !== undefined && claims.iss !== options.issuer && ERRORS.push(`iss is "${claims.iss}" instead of "${options.issuer}"`);
+			options.audience !== undefined && !AUDIENCES.includes(options.audience) && ERRORS.push(`aud ${JSON.stringify(claims.aud)} does not contain "${options.audience}"`);
+			(options.scopes || []).filter(scope => !SCOPES.includes(scope)).forEach(scope => ERRORS.push(`scope ${scope} is missing`));
+			getType(claims.exp) !== "Number" ? ERRORS.push("exp is missing") :
+				claims.exp + SKEW <= NOW && ERRORS.push(`it expired at ${new Date(claims.exp * 1000).toISOString()}`);
+			getType(claims.nbf) === "Number" && claims.nbf - SKEW > NOW && ERRORS.push(`it is not valid before ${new Date(claims.nbf * 1000).toISOString()}`);
+			ADAPTER.assert(ERRORS.length === 0, `Expected a valid JWT but ${ERRORS.join(", ")}`);
+		});
+	}
+
+	/**
+	 * Checks if the service responds within the required response time. The maxTime of the profile in use takes precedence, see getProfile.
+	 *
+	 * @param {number} time - Elapsed time of the response
+	 * @throws {TypeError} Parameter must be a number
+	 * @throws {RangeError} Parameter must be a strictly positive number
+	 */
+	function checkTime(time) {
+		const MAX_TIME = applyProfile("maxTime", time);
+		if (getType(MAX_TIME) === "Number") {
+			if (MAX_TIME > 0) {
+				const ADAPTER = getAdapter();
+				recordReport({maxTime: MAX_TIME}, detectAdapter());
+				ADAPTER.test(`Response Time < ${convertTime(MAX_TIME)}`, () => {
+					const RESPONSE_TIME = ADAPTER.getResponse().responseTime;
+					ADAPTER.assert(RESPONSE_TIME < MAX_TIME, `Expected response time ${convertTime(RESPONSE_TIME)} to be below ${convertTime(MAX_TIME)}`);
+				});
+			} else {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+			}
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Records the response time of the current request in the collection variable COMMON.TIMINGS.VARIABLE,
+	 * so the statistics of the whole collection run can be checked with checkPerformanceBudget.
+	 *
+	 * @param {string} endpoint - Name under which the time is recorded (default the request name)
+	 * @returns {number} Recorded response time in milliseconds
+	 * @throws {TypeError} Parameter must be a string
+	 */
+	function recordResponseTime(endpoint) {
+		const ADAPTER = getAdapter(),
+			ENDPOINT = endpoint === undefined ? ADAPTER.getRequestName() : endpoint;
+		if (getType(ENDPOINT) === "String") {
+			const TIMINGS = getResponseTimes(),
+				RESPONSE_TIME = ADAPTER.getResponse().responseTime;
+			TIMINGS[ENDPOINT] = (TIMINGS[ENDPOINT] || []).concat(RESPONSE_TIME);
+			ADAPTER.setVariable(COMMON.TIMINGS.VARIABLE, JSON.stringify(TIMINGS));
+			return RESPONSE_TIME;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Gets the response times recorded with recordResponseTime.
+	 *
+	 * @returns {Object} Endpoints mapped to their response times in milliseconds, in the order they were recorded
+	 * @throws {SyntaxError} The variable must contain JSON
+	 */
+	function getResponseTimes() {
+		const VALUE = getAdapter().getVariable(COMMON.TIMINGS.VARIABLE);
+		return VALUE ? JSON.parse(VALUE) : {};
+	}
+
+	/**
+	 * Calculates the response time statistics per endpoint. Percentiles use the nearest-rank method.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.warmup - Number of first responses per endpoint that are excluded (default the configured timings.warmup)
+	 * @returns {Object} Endpoints mapped to {count, excluded, p50, p95, max}, statistics are null when no response remains
+	 * @throws {TypeError} Options must be known and warmup must be a positive integer
+	 */
+	function getResponseTimeStats(options = {}) {
+		validateOptions(options, ["warmup"], getFunctionNameFromInside(new Error()));
+		const WARMUP = options.warmup === undefined ? getSettings().timings.warmup : options.warmup;
+		if (!Number.isInteger(WARMUP) || WARMUP < 0) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const TIMINGS = getResponseTimes();
+		return Object.keys(TIMINGS).reduce((stats, endpoint) => {
+			const TIMES = TIMINGS[endpoint].slice(WARMUP).sort((a, b) => a - b),
+				STATS = {count: TIMES.length, excluded: TIMINGS[endpoint].length - TIMES.length};
+			Object.keys(COMMON.TIMINGS.PERCENTILES).forEach(name => {
+				STATS[name] = TIMES.length ? TIMES[Math.ceil(COMMON.TIMINGS.PERCENTILES[name] / 100 * TIMES.length) - 1] : null;
+			});
+			stats[endpoint] = STATS;
+			return stats;
+		}, {});
+	}
+
+	/**
+	 * Checks the response time statistics of the collection run against a budget, with one test per endpoint.
+	 * Usually called in the last request of the collection.
+	 *
+	 * @param {Object} budget - Maximum p50, p95 and max in milliseconds, each optional
+	 * @param {Object} budget.endpoints - Endpoints mapped to a budget that overrides the general one
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.warmup - Number of first responses per endpoint that are excluded, see getResponseTimeStats
+	 * @param {boolean} options.reset - Whether the recorded response times are removed afterwards (default false)
+	 * @returns {Object} Statistics per endpoint, see getResponseTimeStats
+	 * @throws {TypeError} Budgets must contain strictly positive numbers and options must be known
+	 */
+	function checkPerformanceBudget(budget, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			LIMITS = Object.keys(COMMON.TIMINGS.PERCENTILES);
+		validateOptions(options, ["warmup", "reset"], FUNCTION_NAME);
+		const ENDPOINT_BUDGETS = getType(budget) === "Object" && budget.endpoints !== undefined ? budget.endpoints : {},
+			validateBudget = value => {
+				validateOptions(value, LIMITS, FUNCTION_NAME);
+				if (!LIMITS.every(limit => value[limit] === undefined || (getType(value[limit]) === "Number" && value[limit] > 0))) {
+					throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+				}
+			};
+		if (getType(budget) !== "Object" || getType(ENDPOINT_BUDGETS) !== "Object") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const GENERAL = Object.assign({}, budget);
+		delete GENERAL.endpoints;
+		validateBudget(GENERAL);
+		Object.keys(ENDPOINT_BUDGETS).forEach(endpoint => validateBudget(ENDPOINT_BUDGETS[endpoint]));
+		const ADAPTER = getAdapter(),
+			STATS = getResponseTimeStats(options.warmup === undefined ? {} : {warmup: options.warmup}),
+			ENDPOINTS = Object.keys(STATS);
+		if (ENDPOINTS.length) {
+			ENDPOINTS.forEach(endpoint => {
+				const LIMIT = Object.assign({}, GENERAL, ENDPOINT_BUDGETS[endpoint]),
+					EXCEEDED = LIMITS.filter(limit => LIMIT[limit] !== undefined && STATS[endpoint][limit] !== null && STATS[endpoint][limit] >= LIMIT[limit]);
+				log("info", `${endpoint}: ${LIMITS.map(limit => `${limit} ${STATS[endpoint][limit] === null ? "-" : convertTime(STATS[endpoint][limit])}`).join(", ")} ` +
+					`(${STATS[endpoint].count} responses, ${STATS[endpoint].excluded} warm-up)`);
+				ADAPTER.test(`Performance Budget ${endpoint}`, () => {
+					ADAPTER.assert(!EXCEEDED.length, `Expected ${EXCEEDED.map(limit => `${limit} ${convertTime(STATS[endpoint][limit])} to be below ${convertTime(LIMIT[limit])}`).join(", ")}`);
+				});
+			});
+		} else {
+			ADAPTER.test("Performance Budget", () => {
+				ADAPTER.assert(false, "Expected response times recorded with recordResponseTime");
+			});
+		}
+		options.reset && ADAPTER.setVariable(COMMON.TIMINGS.VARIABLE, undefined);
+		return STATS;
+	}
+
+	/**
+	 * Adds details to the run report record of the current request when the report is recorded, see configure.
+	 * A request gets a new record unless the last record belongs to the same request and iteration.
+	 *
+	 * @param {Object} details - Details merged into the record, checks are appended
+	 * @param {Adapter} adapter - Adapter in use, without the wrapper of getAdapter
+	 */
+	function recordReport(details, adapter) {
+		if (!getSettings().report.record) {
+			return;
+		}
+		const REPORT = getReport(),
+			  REQUEST = adapter.getRequestName(),
+			  ITERATION = getType(adapter.getIteration) === "Function" ? adapter.getIteration() : 0;
+		let record = REPORT[REPORT.length - 1];
+		if (!record || record.request !== REQUEST || record.iteration !== ITERATION) {
+			record = {request: REQUEST, iteration: ITERATION, status: null, responseTime: adapter.getResponse().responseTime, maxTime: null, schemaErrors: [], abort: null, checks: []};
+			REPORT.push(record);
+		}
+		Object.keys(details).forEach(name => {
+			record[name] = name === "checks" ? record.checks.concat(details.checks) : details[name];
+		});
+		adapter.setVariable(COMMON.REPORT.VARIABLE, JSON.stringify(REPORT));
+	}
+
+	/**
+	 * Gets the run report recorded in the collection variable COMMON.REPORT.VARIABLE, see configure.
+	 *
+	 * @returns {Array.<Object>} One record per request as {request, iteration, status: {expected, actual, retried}, responseTime, maxTime,
+	 *                           schemaErrors: [{dataPath, message}], abort, checks: [{name, passed, message}]}, in the order of the run
+	 * @throws {SyntaxError} The variable must contain JSON
+	 */
+	function getReport() {
+		const VALUE = detectAdapter() ? detectAdapter().getVariable(COMMON.REPORT.VARIABLE) : undefined;
+		return VALUE ? JSON.parse(VALUE) : [];
+	}
+
+	/**
+	 * Removes the recorded run report, for example in the first request of the collection.
+	 */
+	function clearReport() {
+		getAdapter().setVariable(COMMON.REPORT.VARIABLE, undefined);
+	}
+
+	/**
+	 * Exports the recorded run report, usually in the last request of the collection. JUnit XML has a test suite per request
+	 * with a test case per check, the status, response time and abort decision are test suite properties.
+	 * A request whose status is retried is not counted as aborted.
+	 *
+	 * @param {string} format - "json" or "junit" (default "json")
+	 * @returns {string} The report as JSON with a summary and the records (see getReport), or as JUnit XML
+	 * @throws {TypeError} Parameter must be a string
+	 * @throws {RangeError} Format must be supported
+	 */
+	function exportReport(format = "json") {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		if (getType(format) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		} else if (!COMMON.REPORT.FORMATS.includes(format)) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const RECORDS = getReport(),
+			  countFailures = checks => checks.filter(check => !check.passed).length,
+			  SUMMARY = {
+				  requests: RECORDS.length,
+				  checks: RECORDS.reduce((count, record) => count + record.checks.length, 0),
+				  failures: RECORDS.reduce((count, record) => count + countFailures(record.checks), 0),
+				  aborted: RECORDS.filter(record => record.abort !== null && !(record.status && record.status.retried)).length
+			  };
+		if (format === "json") {
+			return JSON.stringify({name: COMMON.REPORT.NAME, generated: new Date().toISOString(), summary: SUMMARY, requests: RECORDS}, null, 2);
+		}
+		const escape = value => String(value).replace(/[<>&"']/g, character => `&${Object.keys(COMMON.XML.ENTITIES).find(name => COMMON.XML.ENTITIES[name] === character)};`),
+			  escapeAttribute = value => escape(value).replace(/\n/g, "&#10;"),
+			  getSeconds = time => getType(time) === "Number" ? (time / 1000).toFixed(3) : "0";
+		const SUITES = RECORDS.map(record => {
+			const NAME = `${record.request}${record.iteration ? ` (iteration ${record.iteration + 1})` : ""}`,
+				  PROPERTIES = {
+					  "status.expected": record.status && record.status.expected,
+					  "status.actual": record.status && record.status.actual,
+					  "status.retried": record.status && record.status.retried,
+					  "responseTime": record.responseTime,
+					  "maxTime": record.maxTime,
+					  "abort": record.abort
+				  },
+				  CASES = record.checks.map(check => `    <testcase classname="${escapeAttribute(NAME)}" name="${escapeAttribute(check.name)}"` +
+					  (check.passed ? "/>" : `>\n      <failure message="${escapeAttribute(check.message)}">${escape(check.message)}</failure>\n    </testcase>`)),
+				  ERRORS = record.schemaErrors.map(error => `${error.dataPath}: ${error.message}`);
+			return [
+				`  <testsuite name="${escapeAttribute(NAME)}" tests="${record.checks.length}" failures="${countFailures(record.checks)}" time="${getSeconds(record.responseTime)}">`,
+				"    <properties>",
+				...Object.keys(PROPERTIES).filter(name => PROPERTIES[name] !== null && PROPERTIES[name] !== undefined)
+					.map(name => `      <property name="${name}" value="${escapeAttribute(PROPERTIES[name])}"/>`),
+				"    </properties>",
+				...CASES,
+				...(ERRORS.length ? [`    <system-err>${escape(`Schema errors:\n${ERRORS.join("\n")}`)}</system-err>`] : []),
+				"  </testsuite>"
+			].join("\n");
+		});
+		return [
+			"<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+			`<testsuites name="${COMMON.REPORT.NAME}" tests="${SUMMARY.checks}" failures="${SUMMARY.failures}">`,
+			...SUITES,
+			"</testsuites>"
+		].join("\n");
+	}
+
+	/**
+	 * Checks if the service responds with the correct status. The expected status is a status code, a status class such as "2xx",
+	 * a list of status codes or a predicate that receives the status code and accepts it with a truthy result. An unexpected infrastructure error is handled according to
+	 * the abort policy, whose decision is reported as a failed test, or a passing one for a retry:
+	 * "stop" stops the collection run, "skip" continues with the request named by "request",
+	 * "retry" repeats the current request up to "retries" times with an exponential backoff starting at "backoff" milliseconds
+	 * (afterwards it stops, or skips when "request" is set) and "fail" only reports the error.
+	 *
+	 * @param {(number|string|Array.<number>|Function)} statusCode - Expected status of the response
+	 * @param {Object} options - Options (optional)
+	 * @param {(Object|boolean)} options.abort - Abort policy merged with the configured one, or false to never abort
+	 * @param {Array.<number>} options.abort.codes - Status codes of infrastructure errors (default 503, 500, 502, 504, 401, 403)
+	 * @param {string} options.abort.action - "stop", "skip", "retry" or "fail" (default "stop")
+	 * @param {string} options.abort.request - Name of the request to skip to, for example a cleanup request
+	 * @param {number} options.abort.retries - Maximum number of retries (default 3)
+	 * @param {number} options.abort.backoff - Delay before the first retry in milliseconds, doubled for every retry (default 1000)
+	 * @throws {TypeError} Parameters must be a status expectation and a valid options object
+	 * @throws {RangeError} Parameter must only contain existing status codes or classes
+	 */
+	function checkStatusCode(statusCode, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		// The status of the script is validated too, so a script fails the same way in every environment
+		getStatusCodeExpectation(statusCode, FUNCTION_NAME);
+		const EXPECTATION = getStatusCodeExpectation(applyProfile("status", statusCode), FUNCTION_NAME);
+		validateOptions(options, ["abort"], FUNCTION_NAME);
+		options.abort !== undefined && validateAbortPolicy(options.abort, FUNCTION_NAME);
+		const CONFIGURED = getSettings().abort,
+			POLICY = options.abort === false || (CONFIGURED === false && options.abort === undefined) ? false :
+				Object.assign({}, COMMON.SETTINGS.DEFAULTS.abort, CONFIGURED || {}, options.abort);
+		const ADAPTER = getAdapter(),
+			RESPONSE_CODE = ADAPTER.getResponse().code,
+			MATCHES = EXPECTATION.matches(RESPONSE_CODE),
+			ABORT = !MATCHES && POLICY && POLICY.codes.includes(RESPONSE_CODE) ? handleInfrastructureError(RESPONSE_CODE, POLICY, ADAPTER) : null;
+		// A response that is retried does not fail the run, only the retry is reported and the status is marked as retried
+		recordReport({status: Object.assign({expected: EXPECTATION.expected, actual: RESPONSE_CODE}, ABORT && ABORT.retry ? {retried: true} : {})}, detectAdapter());
+		(!ABORT || !ABORT.retry) && ADAPTER.test(EXPECTATION.description, () => {
+			ADAPTER.assert(MATCHES, `Expected status code ${EXPECTATION.expected} but got ${RESPONSE_CODE}`);
+		});
+		if (ABORT) {
+			ADAPTER.test(`Infrastructure Error ${RESPONSE_CODE}: ${ABORT.decision}`, () => {
+				ADAPTER.assert(ABORT.retry, `Status code ${RESPONSE_CODE} is an infrastructure error, ${ABORT.decision}`);
+			});
+		} else if (ADAPTER.getVariable(COMMON.ABORT.RETRIES_VARIABLE + ADAPTER.getRequestName()) !== undefined) {
+			ADAPTER.setVariable(COMMON.ABORT.RETRIES_VARIABLE + ADAPTER.getRequestName(), undefined);
+		}
+	}
+
+	/**
+	 * Checks if a status code matches an expected status, without registering a test.
+	 *
+	 * @param {(number|string|Array.<number>|Function)} statusCode - Expected status, see checkStatusCode; a predicate matches when its result is truthy
+	 * @param {number} code - Status code of the response
+	 * @returns {boolean} Whether the status code matches
+	 * @throws {TypeError} Parameter must be a status expectation
+	 * @throws {RangeError} Parameter must only contain existing status codes or classes
+	 */
+	function matchesStatusCode(statusCode, code) {
+		return getStatusCodeExpectation(statusCode, getFunctionNameFromInside(new Error())).matches(code);
+	}
+
+	/**
+	 * Interprets an expected status. The test is named after the status class when every expected code belongs to the same class.
+	 *
+	 * @param {(number|string|Array.<number>|Function)} statusCode - Expected status, see checkStatusCode
+	 * @param {string} functionName - Name of the function that received the status
+	 * @returns {Object} Expectation with the test description, the expected status as text and a matches(code) function
+	 * @throws {TypeError} Parameter must be a status expectation
+	 * @throws {RangeError} Parameter must only contain existing status codes or classes
+	 */
+	function getStatusCodeExpectation(statusCode, functionName) {
+		const CLASSES = COMMON.STATUS_CODE.CLASSES,
+			getClass = code => Math.floor(code / 100);
+		switch (getType(statusCode)) {
+			case "Number":
+			case "Array": {
+				const CODES = [].concat(statusCode);
+				if (!CODES.length || !CODES.every(code => getType(code) === "Number")) {
+					throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+				}
+				if (!CODES.every(code => Number.isInteger(code) && code >= 100 && CLASSES[getClass(code)])) {
+					throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+				}
+				const SAME_CLASS = CODES.every(code => getClass(code) === getClass(CODES[0]));
+				return {
+					description: SAME_CLASS ? `Status Code (${CLASSES[getClass(CODES[0])]})` : "Status Code",
+					expected: CODES.join(" or "),
+					matches: code => CODES.includes(code)
+				};
+			}
+			case "String": {
+				const MATCH = COMMON.STATUS_CODE.CLASS_PATTERN.exec(statusCode);
+				if (!MATCH) {
+					throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+				} else if (!CLASSES[MATCH[1]]) {
+					throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+				}
+				return {
+					description: `Status Code (${CLASSES[MATCH[1]]})`,
+					expected: `${MATCH[1]}xx`,
+					matches: code => getClass(code) === Number(MATCH[1])
+				};
+			}
+			case "Function":
+				return {
+					description: "Status Code",
+					expected: `accepted by ${statusCode.name || "the predicate"}`,
+					matches: code => Boolean(statusCode(code))
+				};
+			default:
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		}
+	}
+
+	/**
+	 * Checks if the response is an RFC 7807 problem response: the status (optional), the application/problem+json Content-Type
+	 * and the problem details in the body. The "status" member must equal the status code of the response and "type" must be a URI reference.
+	 *
+	 * @param {(number|string|Array.<number>|Function)} statusCode - Expected status, see checkStatusCode, a predicate accepts a truthy result (optional)
+	 * @param {Object} options - Options (optional)
+	 * @param {Array.<string>} options.fields - Members the problem details must contain (default type, title, status and detail)
+	 * @param {(Object|boolean)} options.abort - Abort policy for infrastructure errors, see checkStatusCode
+	 * @throws {TypeError} Parameters must be a status expectation and a valid options object
+	 * @throws {RangeError} Parameter must only contain existing status codes or classes
+	 */
+	function checkProblemResponse(statusCode, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, ["fields", "abort"], FUNCTION_NAME);
+		const FIELDS = options.fields === undefined ? COMMON.PROBLEM.FIELDS : options.fields;
+		if (!Array.isArray(FIELDS) || !FIELDS.every(field => getType(field) === "String")) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		statusCode !== undefined && checkStatusCode(statusCode, options.abort === undefined ? {} : {abort: options.abort});
+		const ADAPTER = getAdapter(),
+			RESPONSE = ADAPTER.getResponse();
+		ADAPTER.test("Problem Content Type", () => {
+			const CONTENT_TYPE = RESPONSE.getHeader("Content-Type");
+			ADAPTER.assert(getMediaType(CONTENT_TYPE) === COMMON.PROBLEM.CONTENT_TYPE,
+				`Expected Content-Type "${COMMON.PROBLEM.CONTENT_TYPE}" but got "${CONTENT_TYPE}"`);
+		});
+		ADAPTER.test("Problem Details", () => {
+			const PROBLEM = RESPONSE.json();
+			ADAPTER.assert(getType(PROBLEM) === "Object", "Expected the problem details to be an object");
+			FIELDS.forEach(field => {
+				ADAPTER.assert(PROBLEM[field] !== undefined, `Expected the problem details to contain "${field}"`);
+			});
+			["type", "title", "detail", "instance"].filter(field => PROBLEM[field] !== undefined).forEach(field => {
+				ADAPTER.assert(getType(PROBLEM[field]) === "String", `Expected the problem member "${field}" to be a string`);
+			});
+			PROBLEM.type !== undefined && ADAPTER.assert(!/\s/.test(PROBLEM.type), `Expected the problem type "${PROBLEM.type}" to be a URI reference`);
+			PROBLEM.status !== undefined && ADAPTER.assert(PROBLEM.status === RESPONSE.code,
+				`Expected the problem status ${JSON.stringify(PROBLEM.status)} to equal the status code ${RESPONSE.code}`);
+		});
+	}
+
+	/**
+	 * Applies the abort policy to an unexpected infrastructure error. A retry is delayed with delayTime,
+	 * Postman waits for the delay before it sends the next request.
+	 *
+	 * @param {number} code - Status code of the response
+	 * @param {Object} policy - Complete abort policy, see checkStatusCode
+	 * @param {Adapter} adapter - Adapter in use
+	 * @returns {Object} Decision as {decision, retry}, retry is true when the request is repeated
+	 */
+	function handleInfrastructureError(code, policy, adapter) {
+		const REQUEST_NAME = adapter.getRequestName(),
+			RETRIES_VARIABLE = COMMON.ABORT.RETRIES_VARIABLE + REQUEST_NAME;
+		let action = policy.action,
+			decision;
+		if (action === "retry") {
+			const ATTEMPT = Number(adapter.getVariable(RETRIES_VARIABLE) || 0) + 1;
+			if (ATTEMPT <= policy.retries) {
+				const DELAY = policy.backoff * Math.pow(2, ATTEMPT - 1);
+				adapter.setVariable(RETRIES_VARIABLE, String(ATTEMPT));
+				adapter.setNextRequest(REQUEST_NAME);
+				DELAY > 0 && delayTime(DELAY);
+				decision = `retry ${ATTEMPT}/${policy.retries} of "${REQUEST_NAME}" in ${convertTime(DELAY)}`;
+			} else {
+				adapter.setVariable(RETRIES_VARIABLE, undefined);
+				action = policy.request ? "skip" : "stop";
+			}
+		}
+		switch (action) {
+			case "stop":
+				adapter.setNextRequest(null);
+				decision = "collection run stopped";
+				break;
+			case "skip":
+				adapter.setNextRequest(policy.request);
+				decision = `skipped to "${policy.request}"`;
+				break;
+			case "fail":
+				decision = "marked as failed";
+				break;
+		}
+		if (policy.action === "retry" && action !== "retry") {
+			decision += ` after ${policy.retries} retries`;
+		}
+		recordReport({abort: decision}, detectAdapter());
+		return {decision: decision, retry: action === "retry"};
+	}
+
+	/**
+	 * Checks an abort policy, see checkStatusCode.
+	 *
+	 * @param {(Object|boolean)} policy - Abort policy or false
+	 * @param {string} functionName - Name of the function that receives the policy
+	 * @throws {TypeError} Parameter must be false or an object with known options of the correct type
+	 * @throws {RangeError} The action must be supported
+	 */
+	function validateAbortPolicy(policy, functionName) {
+		if (policy !== false) {
+			validateOptions(policy, COMMON.ABORT.OPTIONS, functionName);
+			const VALID_TYPES = (policy.codes === undefined || (Array.isArray(policy.codes) && policy.codes.every(code => getType(code) === "Number"))) &&
+				(policy.request === undefined || policy.request === null || getType(policy.request) === "String") &&
+				(policy.retries === undefined || (Number.isInteger(policy.retries) && policy.retries >= 0)) &&
+				(policy.backoff === undefined || (getType(policy.backoff) === "Number" && policy.backoff >= 0));
+			if (!VALID_TYPES) {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+			} else if (policy.action !== undefined && !COMMON.ABORT.ACTIONS.includes(policy.action)) {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+			}
+		}
+	}
+
+	/**
+	 * Parses a media type as used in the Content-Type header (RFC 7231). Type, subtype and parameter names are lowercase,
+	 * the charset value as well and quoted parameter values are unquoted.
+	 *
+	 * @param {string} contentType - Media type, for example "application/hal+json; charset=UTF-8"
+	 * @returns {Object} Media type as {type, subtype, essence, suffix, parameters}, suffix is "json" for "application/hal+json"
+	 * @throws {TypeError} Parameter must be a string
+	 * @throws {SyntaxError} Parameter must be a valid media type
+	 */
+	function parseMediaType(contentType) {
+		if (getType(contentType) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const MATCH = /^\s*([^\s/;]+)\/([^\s;]+)\s*(;.*)?$/.exec(contentType);
+		if (!MATCH || !COMMON.MEDIA_TYPE.TOKEN.test(MATCH[1]) || !COMMON.MEDIA_TYPE.TOKEN.test(MATCH[2])) {
+			throw new SyntaxError(`Invalid media type "${contentType}"`);
+		}
+		const TYPE = MATCH[1].toLowerCase(),
+			  SUBTYPE = MATCH[2].toLowerCase(),
+			  REST = MATCH[3] || "",
+			  PARAMETER = /\s*;\s*(?:([^\s=;"]+)=("(?:[^"\\]|\\.)*"|[^\s;"]*))?\s*/y,
+			  PARAMETERS = {};
+		while (PARAMETER.lastIndex < REST.length) {
+			const START = PARAMETER.lastIndex,
+				  PARAMETER_MATCH = PARAMETER.exec(REST);
+			if (!PARAMETER_MATCH || PARAMETER.lastIndex === START) {
+				throw new SyntaxError(`Invalid media type "${contentType}"`);
+			}
+			if (PARAMETER_MATCH[1] !== undefined) {
+				const NAME = PARAMETER_MATCH[1].toLowerCase(),
+					  VALUE = PARAMETER_MATCH[2].replace(/^"|"$/g, "").replace(/\\(.)/g, "$1");
+				// The first occurrence of a parameter is used
+				PARAMETERS[NAME] === undefined && (PARAMETERS[NAME] = NAME === "charset" ? VALUE.toLowerCase() : VALUE);
+			}
+		}
+		return {
+			type: TYPE,
+			subtype: SUBTYPE,
+			essence: `${TYPE}/${SUBTYPE}`,
+			suffix: SUBTYPE.includes("+") ? SUBTYPE.slice(SUBTYPE.lastIndexOf("+") + 1) : undefined,
+			parameters: PARAMETERS
+		};
+	}
+
+	/**
+	 * Checks if the service responds with the correct content type. The media type must match exactly, case-insensitive,
+	 * and every parameter of the expected content type, such as the charset, must have the same value in the response.
+	 *
+	 * @param {string} contentType - Type of the response body, for example "application/json" or "application/json; charset=utf-8"
+	 * @throws {TypeError} Parameter must be a string
+	 * @throws {SyntaxError} Parameter must be a valid media type
+	 */
+	function checkContentType(contentType) {
+		if (getType(contentType) === "String") {
+			const EXPECTED = parseMediaType(contentType),
+				  ADAPTER = getAdapter();
+			ADAPTER.test("Content Type", () => {
+				const CONTENT_TYPE = ADAPTER.getResponse().getHeader("Content-Type");
+				ADAPTER.assert(CONTENT_TYPE !== undefined, "Expected a Content-Type header");
+				let actual;
+				try {
+					actual = parseMediaType(CONTENT_TYPE);
+				} catch (error) {
+					ADAPTER.assert(false, `Expected a valid Content-Type but got "${CONTENT_TYPE}"`);
+				}
+				ADAPTER.assert(actual.essence === EXPECTED.essence, `Expected Content-Type "${EXPECTED.essence}" but got "${CONTENT_TYPE}"`);
+				Object.keys(EXPECTED.parameters).forEach(name => {
+					ADAPTER.assert(actual.parameters[name] === EXPECTED.parameters[name], `Expected Content-Type "${CONTENT_TYPE}" to have ${name}=${EXPECTED.parameters[name]}`);
+				});
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Checks if the response body is structured conform the defined JSON schema.
+	 * The built-in validator reports every violation, tv4 only the first one. A body that is not JSON fails the test.
+	 *
+	 * @param {Object} jsonSchema - JSON schema of the response body
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.validator - "tv4", "native" or "auto", overrides the configured validator
+	 * @throws {TypeError} Parameter must be an object
+	 * @throws {RangeError} The validator must be supported
+	 */
+	function checkJSONSchema(jsonSchema, options = {}) {
+		if (getType(jsonSchema) === "Object") {
+			validateOptions(options, ["validator"], getFunctionNameFromInside(new Error()));
+			const VALIDATOR = options.validator || getSettings().validator;
+			if (!COMMON.JSON_SCHEMA.VALIDATORS.includes(VALIDATOR)) {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+			}
+			const ADAPTER = getAdapter();
+			let data;
+			try {
+				data = ADAPTER.getResponse().json();
+			} catch (error) {
+				recordReport({schemaErrors: [{dataPath: "/", message: "Response body is not JSON"}]}, detectAdapter());
+				ADAPTER.test("JSON Schema (Response body is not JSON)", () => {
+					ADAPTER.assert(false, `Expected a JSON response body but got "${error.message}"`);
+				});
+				return;
+			}
+			if (VALIDATOR === "native" || (VALIDATOR === "auto" && COMMON.JSON_SCHEMA.NEWER_DRAFTS.test(jsonSchema.$schema || ""))) {
+				const ERRORS = validateJSONSchema(data, jsonSchema),
+					  MORE = ERRORS.length > 1 ? `, and ${ERRORS.length - 1} more` : "",
+					  DESCRIPTION_JSON_SCHEMA = ERRORS.length ? `JSON Schema (${ERRORS[0].message} for data path ${ERRORS[0].dataPath || "/"}${MORE})` : "JSON Schema";
+				recordReport({schemaErrors: ERRORS.map(error => ({dataPath: error.dataPath || "/", message: error.message}))}, detectAdapter());
+				ADAPTER.test(DESCRIPTION_JSON_SCHEMA, () => {
+					ADAPTER.assert(ERRORS.length === 0, `Expected the response body to match the JSON schema:\n${ERRORS.map(error => `${error.dataPath || "/"}: ${error.message}`).join("\n")}`);
+				});
+			} else {
+				const RESULT = ADAPTER.validateSchema(data, jsonSchema),
+					  DESCRIPTION_JSON_SCHEMA = RESULT.valid ? "JSON Schema" : `JSON Schema (${RESULT.error.message} for data path ${RESULT.error.dataPath ? RESULT.error.dataPath : "/"})`;
+				recordReport({schemaErrors: RESULT.valid ? [] : [{dataPath: RESULT.error.dataPath || "/", message: RESULT.error.message}]}, detectAdapter());
+				ADAPTER.test(DESCRIPTION_JSON_SCHEMA, () => {
+					ADAPTER.assert(RESULT.valid, "Expected the response body to match the JSON schema");
+				});
+			}
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Validates data against a JSON schema with the built-in engine. Supports draft-04, draft-06, draft-07, 2019-09 and 2020-12,
+	 * including const, if/then/else, boolean schemas, local $ref's, prefixItems and the formats in COMMON.JSON_SCHEMA.FORMATS.
+	 * Remote $ref's, $dynamicRef and unevaluatedProperties/unevaluatedItems are not supported.
+	 *
+	 * @param {*} data - Data to be validated
+	 * @param {(Object|boolean)} schema - JSON schema
+	 * @returns {Array.<Object>} Every violation as {keyword, dataPath, message}, empty if the data is valid
+	 * @throws {TypeError} Parameter schema must be an object or a boolean
+	 */
+	function validateJSONSchema(data, schema) {
+		if (getType(schema) === "Object" || getType(schema) === "Boolean") {
+			const CONTEXT = {
+				root: schema,
+				// Before 2019-09 the keywords next to a $ref are ignored
+				refSiblings: /2019-09|2020-12/.test(schema.$schema || ""),
+				// From 2020-12 prefixItems replaces the array form of items, which then applies to the items after them
+				prefixItems: /2020-12/.test(schema.$schema || ""),
+				refDataPath: null,
+				depth: 0
+			};
+			return collectSchemaErrors(data, schema, "", CONTEXT);
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Collects the violations of one schema node.
+	 *
+	 * @param {*} data - Data to be validated
+	 * @param {(Object|boolean)} schema - Schema node
+	 * @param {string} dataPath - JSON pointer of the data
+	 * @param {Object} context - Root schema, $ref handling, prefixItems handling and recursion depth
+	 * @returns {Array.<Object>} Violations as {keyword, dataPath, message}
+	 */
+	function collectSchemaErrors(data, schema, dataPath, context) {
+		const ERRORS = [];
+		const error = (keyword, message, path = dataPath) => ERRORS.push({keyword: keyword, dataPath: path, message: message});
+		const validate = (value, subschema, path = dataPath) => collectSchemaErrors(value, subschema, path, context);
+		const isValid = (value, subschema) => validate(value, subschema).length === 0;
+		const has = keyword => schema[keyword] !== undefined;
+
+		if (schema === true) {
+			return ERRORS;
+		}
+		if (schema === false) {
+			error("false", "Boolean schema false does not allow any value");
+			return ERRORS;
+		}
+		if (has("$ref")) {
+			// Only $ref's that are followed without descending into the data can loop forever
+			const DEPTH = context.refDataPath === dataPath ? context.depth + 1 : 1;
+			if (DEPTH > COMMON.JSON_SCHEMA.MAX_REF_DEPTH) {
+				throw new RangeError(`Circular $ref ${schema.$ref} does not consume data`);
+			}
+			const RESOLVED = resolveSchemaRef(schema.$ref, context.root);
+			ERRORS.push(...collectSchemaErrors(data, RESOLVED, dataPath, Object.assign({}, context, {depth: DEPTH, refDataPath: dataPath})));
+			if (!context.refSiblings) {
+				return ERRORS;
+			}
+		}
+		const DATA_TYPE = getJSONType(data);
+
+		if (has("type")) {
+			const TYPES = [].concat(schema.type);
+			if (!TYPES.some(type => type === DATA_TYPE || (type === "number" && DATA_TYPE === "integer"))) {
+				error("type", `Invalid type: ${DATA_TYPE === "integer" ? "number" : DATA_TYPE} (expected ${TYPES.join("/")})`);
+			}
+		}
+		if (has("enum") && !schema.enum.some(value => isDeepEqual(value, data))) {
+			error("enum", `No enum match for: ${JSON.stringify(data)}`);
+		}
+		if (has("const") && !isDeepEqual(schema.const, data)) {
+			error("const", `Value does not match const: ${JSON.stringify(schema.const)}`);
+		}
+
+		if (DATA_TYPE === "number" || DATA_TYPE === "integer") {
+			// Draft-04 uses booleans for exclusiveMinimum and exclusiveMaximum, later drafts use numbers
+			if (has("minimum")) {
+				if (schema.exclusiveMinimum === true ? data <= schema.minimum : data < schema.minimum) {
+					error("minimum", `Value ${data} is less than ${schema.exclusiveMinimum === true ? "or equal to " : ""}minimum ${schema.minimum}`);
+				}
+			}
+			if (has("maximum")) {
+				if (schema.exclusiveMaximum === true ? data >= schema.maximum : data > schema.maximum) {
+					error("maximum", `Value ${data} is greater than ${schema.exclusiveMaximum === true ? "or equal to " : ""}maximum ${schema.maximum}`);
+				}
+			}
+			if (getType(schema.exclusiveMinimum) === "Number" && data <= schema.exclusiveMinimum) {
+				error("exclusiveMinimum", `Value ${data} is less than or equal to exclusive minimum ${schema.exclusiveMinimum}`);
+			}
+			if (getType(schema.exclusiveMaximum) === "Number" && data >= schema.exclusiveMaximum) {
+				error("exclusiveMaximum", `Value ${data} is greater than or equal to exclusive maximum ${schema.exclusiveMaximum}`);
+			}
+			if (has("multipleOf")) {
+				const QUOTIENT = data / schema.multipleOf;
+				if (Math.abs(QUOTIENT - Math.round(QUOTIENT)) > COMMON.JSON_SCHEMA.EPSILON) {
+					error("multipleOf", `Value ${data} is not a multiple of ${schema.multipleOf}`);
+				}
+			}
+		}
+
+		if (DATA_TYPE === "string") {
+			const LENGTH = Array.from(data).length;
+			if (has("minLength") && LENGTH < schema.minLength) {
+				error("minLength", `String is too short (${LENGTH} chars), minimum ${schema.minLength}`);
+			}
+			if (has("maxLength") && LENGTH > schema.maxLength) {
+				error("maxLength", `String is too long (${LENGTH} chars), maximum ${schema.maxLength}`);
+			}
+			if (has("pattern") && !new RegExp(schema.pattern).test(data)) {
+				error("pattern", `String does not match pattern: ${schema.pattern}`);
+			}
+			if (has("format") && COMMON.JSON_SCHEMA.FORMATS[schema.format] && !COMMON.JSON_SCHEMA.FORMATS[schema.format](data)) {
+				error("format", `String does not match format: ${schema.format}`);
+			}
+		}
+
+		if (DATA_TYPE === "array") {
+			if (has("minItems") && data.length < schema.minItems) {
+				error("minItems", `Array is too short (${data.length}), minimum ${schema.minItems}`);
+			}
+			if (has("maxItems") && data.length > schema.maxItems) {
+				error("maxItems", `Array is too long (${data.length}), maximum ${schema.maxItems}`);
+			}
+			if (schema.uniqueItems === true) {
+				for (let i = 0; i < data.length; i++) {
+					const DUPLICATE = data.findIndex((item, j) => j > i && isDeepEqual(item, data[i]));
+					if (DUPLICATE !== -1) {
+						error("uniqueItems", `Array items are not unique (indices ${i} and ${DUPLICATE})`);
+						break;
+					}
+				}
+			}
+			if (context.prefixItems) {
+				data.forEach((item, i) => {
+					if (has("prefixItems") && i < schema.prefixItems.length) {
+						ERRORS.push(...validate(item, schema.prefixItems[i], `${dataPath}/${i}`));
+					} else if (has("items")) {
+						ERRORS.push(...validate(item, schema.items, `${dataPath}/${i}`));
+					}
+				});
+			} else if (Array.isArray(schema.items)) {
+				data.forEach((item, i) => {
+					if (i < schema.items.length) {
+						ERRORS.push(...validate(item, schema.items[i], `${dataPath}/${i}`));
+					} else if (has("additionalItems")) {
+						ERRORS.push(...validate(item, schema.additionalItems, `${dataPath}/${i}`));
+					}
+				});
+			} else if (has("items")) {
+				data.forEach((item, i) => ERRORS.push(...validate(item, schema.items, `${dataPath}/${i}`)));
+			}
+			if (has("contains")) {
+				const MATCHES = data.filter(item => isValid(item, schema.contains)).length;
+				const MIN = has("minContains") ? schema.minContains : 1;
+				if (MATCHES < MIN) {
+					error("contains", `Array contains ${MATCHES} items matching the "contains" schema, minimum ${MIN}`);
+				}
+				if (has("maxContains") && MATCHES > schema.maxContains) {
+					error("maxContains", `Array contains ${MATCHES} items matching the "contains" schema, maximum ${schema.maxContains}`);
+				}
+			}
+		}
+
+		if (DATA_TYPE === "object") {
+			const KEYS = Object.keys(data);
+			if (has("required")) {
+				schema.required.filter(property => !KEYS.includes(property)).forEach(property => {
+					error("required", `Missing required property: ${property}`);
+				});
+			}
+			if (has("minProperties") && KEYS.length < schema.minProperties) {
+				error("minProperties", `Too few properties defined (${KEYS.length}), minimum ${schema.minProperties}`);
+			}
+			if (has("maxProperties") && KEYS.length > schema.maxProperties) {
+				error("maxProperties", `Too many properties defined (${KEYS.length}), maximum ${schema.maxProperties}`);
+			}
+			KEYS.forEach(key => {
+				const PATH = `${dataPath}/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+				let evaluated = false;
+				if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+					evaluated = true;
+					ERRORS.push(...validate(data[key], schema.properties[key], PATH));
+				}
+				Object.keys(schema.patternProperties || {}).filter(pattern => new RegExp(pattern).test(key)).forEach(pattern => {
+					evaluated = true;
+					ERRORS.push(...validate(data[key], schema.patternProperties[pattern], PATH));
+				});
+				if (!evaluated && has("additionalProperties")) {
+					if (schema.additionalProperties === false) {
+						error("additionalProperties", `Additional properties not allowed: ${key}`, PATH);
+					} else {
+						ERRORS.push(...validate(data[key], schema.additionalProperties, PATH));
+					}
+				}
+				if (has("propertyNames") && !isValid(key, schema.propertyNames)) {
+					error("propertyNames", `Invalid property name: ${key}`, PATH);
+				}
+			});
+			// Draft-04 to draft-07 combine dependentRequired and dependentSchemas in dependencies
+			const DEPENDENCIES = Object.assign({}, schema.dependencies, schema.dependentRequired, schema.dependentSchemas);
+			Object.keys(DEPENDENCIES).filter(property => KEYS.includes(property)).forEach(property => {
+				if (Array.isArray(DEPENDENCIES[property])) {
+					DEPENDENCIES[property].filter(dependency => !KEYS.includes(dependency)).forEach(dependency => {
+						error("dependentRequired", `Missing property ${dependency} required by ${property}`);
+					});
+				} else {
+					ERRORS.push(...validate(data, DEPENDENCIES[property]));
+				}
+			});
+		}
+
+		if (has("allOf")) {
+			schema.allOf.forEach(subschema => ERRORS.push(...validate(data, subschema)));
+		}
+		if (has("anyOf") && !schema.anyOf.some(subschema => isValid(data, subschema))) {
+			error("anyOf", "Data does not match any schemas from \"anyOf\"");
+		}
+		if (has("oneOf")) {
+			const MATCHES = schema.oneOf.map((subschema, i) => isValid(data, subschema) ? i : -1).filter(i => i !== -1);
+			if (MATCHES.length === 0) {
+				error("oneOf", "Data does not match any schemas from \"oneOf\"");
+			} else if (MATCHES.length > 1) {
+				error("oneOf", `Data is valid against more than one schema from "oneOf" (indices ${MATCHES.join(", ")})`);
+			}
+		}
+		if (has("not") && isValid(data, schema.not)) {
+			error("not", "Data matches schema from \"not\"");
+		}
+		if (has("if")) {
+			const BRANCH = isValid(data, schema.if) ? "then" : "else";
+			has(BRANCH) && ERRORS.push(...validate(data, schema[BRANCH]));
+		}
+		return ERRORS;
+	}
+
+	/**
+	 * Resolves a local $ref of a JSON schema, such as "#" or "#/definitions/name".
+	 *
+	 * @param {string} ref - Reference to be resolved
+	 * @param {Object} root - Root schema the reference points into
+	 * @returns {(Object|boolean)} Referenced schema
+	 * @throws {RangeError} Only existing local references are supported
+	 */
+	function resolveSchemaRef(ref, root) {
+		if (getType(ref) === "String" && ref.startsWith("#")) {
+			const SEGMENTS = ref.slice(1).split("/").slice(1).map(segment => decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~"));
+			const RESOLVED = SEGMENTS.reduce((node, segment) => node !== undefined && node !== null ? node[segment] : undefined, root);
+			if (RESOLVED !== undefined) {
+				return RESOLVED;
+			}
+		}
+		throw new RangeError(`Unresolvable $ref ${ref}`);
+	}
+
+	/**
+	 * Gets the JSON type of a value, distinguishing integers from other numbers.
+	 *
+	 * @param {*} value - Any JSON value
+	 * @returns {string} JSON type: null, boolean, integer, number, string, array or object
+	 */
+	function getJSONType(value) {
+		const TYPE = getType(value);
+		if (TYPE === "Number") {
+			return Number.isInteger(value) ? "integer" : "number";
+		} else {
+			return TYPE.toLowerCase();
+		}
+	}
+
+	/**
+	 * Checks if two JSON values are structurally equal.
+	 *
+	 * @param {*} a - First value
+	 * @param {*} b - Second value
+	 * @returns {boolean} Whether the values are equal
+	 */
+	function isDeepEqual(a, b) {
+		const TYPE = getType(a);
+		if (TYPE !== getType(b)) {
+			return false;
+		} else if (TYPE === "Array") {
+			return a.length === b.length && a.every((item, i) => isDeepEqual(item, b[i]));
+		} else if (TYPE === "Object") {
+			const KEYS = Object.keys(a);
+			return KEYS.length === Object.keys(b).length && KEYS.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]));
+		} else {
+			return a === b;
+		}
+	}
+
+	/**
+	 * Checks if a date exists in the calendar.
+	 *
+	 * @param {string} date - Date as YYYY-MM-DD
+	 * @returns {boolean} Whether the date exists
+	 */
+	function isCalendarDate(date) {
+		const MATCH = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+		if (MATCH) {
+			// setUTCFullYear does not map the years 0 to 99 to 1900 to 1999 like Date.UTC
+			const DAY = new Date(0);
+			DAY.setUTCFullYear(Number(MATCH[1]), Number(MATCH[2]) - 1, Number(MATCH[3]));
+			return DAY.getUTCFullYear() === Number(MATCH[1]) && DAY.getUTCMonth() === Number(MATCH[2]) - 1 && DAY.getUTCDate() === Number(MATCH[3]);
+		} else {
+			return false;
+		}
+	}
+
+	/**
+	 * Checks if a time is a valid RFC 3339 full-time.
+	 *
+	 * @param {string} time - Time as HH:MM:SS[.fraction] followed by Z or an offset
+	 * @returns {boolean} Whether the time is valid
+	 */
+	function isRFC3339Time(time) {
+		const MATCH = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/.exec(time);
+		return Boolean(MATCH) && Number(MATCH[1]) < 24 && Number(MATCH[2]) < 60 && Number(MATCH[3]) <= 60 &&
+			(MATCH[6] === undefined || (Number(MATCH[6]) < 24 && Number(MATCH[7]) < 60));
+	}
+
+	/**
+	 * Checks the response against an OpenAPI 3 document: the status code must be documented, the Content-Type must be one
+	 * of the documented media types, a JSON body must match the documented schema and required headers must be present.
+	 *
+	 * @param {(Object|string)} spec - OpenAPI document as an object or a JSON string, for example from a Postman variable
+	 * @param {(string|Object)} operation - operationId, "METHOD /path" or {method, path}; the path may be a template or an actual path
+	 * @throws {TypeError} Parameters must be an OpenAPI document and an operation
+	 * @throws {RangeError} The operation must exist in the document
+	 */
+	function checkAgainstOpenAPI(spec, operation) {
+		const SPEC = getType(spec) === "String" ? JSON.parse(spec) : spec;
+		if (getType(SPEC) === "Object" && getType(SPEC.paths) === "Object" && ["String", "Object"].includes(getType(operation))) {
+			const FOUND = findOpenAPIOperation(SPEC, operation);
+			if (!FOUND) {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())} (operation ${JSON.stringify(operation)} not found)`);
+			}
+			const ADAPTER = getAdapter(),
+				RESPONSE = ADAPTER.getResponse(),
+				NAME = `OpenAPI ${FOUND.operation.operationId || `${FOUND.method.toUpperCase()} ${FOUND.path}`}`,
+				RESPONSES = FOUND.operation.responses || {},
+				RANGE = `${String(RESPONSE.code).charAt(0)}XX`,
+				STATUS_KEY = [String(RESPONSE.code), RANGE, RANGE.toLowerCase(), "default"].find(key => RESPONSES[key] !== undefined);
+			ADAPTER.test(`${NAME}: Status Code ${RESPONSE.code}`, () => {
+				ADAPTER.assert(STATUS_KEY !== undefined, `Expected status code ${RESPONSE.code} to be documented, documented are ${Object.keys(RESPONSES).join(", ")}`);
+			});
+			if (STATUS_KEY === undefined) {
+				return;
+			}
+			const DOCUMENTED = resolveOpenAPIRef(RESPONSES[STATUS_KEY], SPEC),
+				CONTENT = DOCUMENTED.content || {},
+				CONTENT_TYPE = RESPONSE.getHeader("Content-Type"),
+				MEDIA_TYPE = CONTENT_TYPE ? getMediaType(CONTENT_TYPE) : undefined;
+			if (Object.keys(CONTENT).length) {
+				const MEDIA_KEY = [MEDIA_TYPE, MEDIA_TYPE && `${MEDIA_TYPE.split("/")[0]}/*`, "*/*"].find(key => key && CONTENT[key] !== undefined) ||
+					Object.keys(CONTENT).find(key => key.toLowerCase() === MEDIA_TYPE);
+				ADAPTER.test(`${NAME}: Content Type`, () => {
+					ADAPTER.assert(MEDIA_KEY !== undefined, `Expected Content-Type "${CONTENT_TYPE}" to be one of ${Object.keys(CONTENT).join(", ")}`);
+				});
+				const MEDIA = MEDIA_KEY !== undefined ? resolveOpenAPIRef(CONTENT[MEDIA_KEY], SPEC) : {};
+				if (MEDIA.schema && /[/+]json$/.test(MEDIA_TYPE)) {
+					const ROOT = Object.assign(convertOpenAPISchema(MEDIA.schema), {components: convertOpenAPISchema(SPEC.components || {})});
+					if (/^3\.1/.test(SPEC.openapi)) {
+						ROOT.$schema = "https://json-schema.org/draft/2020-12/schema";
+					}
+					let data;
+					try {
+						data = RESPONSE.json();
+					} catch (error) {
+						// The documented headers are still checked below
+						ADAPTER.test(`${NAME}: JSON Schema (Response body is not JSON)`, () => {
+							ADAPTER.assert(false, `Expected a JSON response body but got "${error.message}"`);
+						});
+					}
+					if (data !== undefined) {
+						const ERRORS = validateJSONSchema(data, ROOT),
+							MORE = ERRORS.length > 1 ? `, and ${ERRORS.length - 1} more` : "";
+						ADAPTER.test(ERRORS.length ? `${NAME}: JSON Schema (${ERRORS[0].message} for data path ${ERRORS[0].dataPath || "/"}${MORE})` : `${NAME}: JSON Schema`, () => {
+							ADAPTER.assert(ERRORS.length === 0, `Expected the response body to match the documented schema:\n${ERRORS.map(error => `${error.dataPath || "/"}: ${error.message}`).join("\n")}`);
+						});
+					}
+				}
+			}
+			Object.keys(DOCUMENTED.headers || {}).forEach(name => {
+				const HEADER = resolveOpenAPIRef(DOCUMENTED.headers[name], SPEC),
+					VALUE = RESPONSE.getHeader(name);
+				if (HEADER.required === true || VALUE !== undefined) {
+					const ERRORS = VALUE !== undefined && HEADER.schema && resolveOpenAPIRef(HEADER.schema, SPEC).type === "string" ?
+						validateJSONSchema(VALUE, Object.assign(convertOpenAPISchema(HEADER.schema), {components: convertOpenAPISchema(SPEC.components || {})})) : [];
+					ADAPTER.test(`${NAME}: Header ${name}`, () => {
+						ADAPTER.assert(VALUE !== undefined, `Expected the documented header ${name}`);
+						ADAPTER.assert(ERRORS.length === 0, `Expected header ${name} "${VALUE}" to match its schema: ${ERRORS.map(error => error.message).join(", ")}`);
+					});
+				}
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Finds an operation in an OpenAPI document.
+	 *
+	 * @param {Object} spec - OpenAPI document
+	 * @param {(string|Object)} operation - operationId, "METHOD /path" or {method, path}; the path may be a template or an actual path
+	 * @returns {?Object} The operation as {path, method, operation} or null if it does not exist
+	 * @throws {TypeError} Parameters must be an OpenAPI document and an operation
+	 */
+	function findOpenAPIOperation(spec, operation) {
+		if (getType(spec) === "Object" && getType(spec.paths) === "Object" && ["String", "Object"].includes(getType(operation))) {
+			const METHOD_PATH = getType(operation) === "Object" ? [operation.method, operation.path] : /^([A-Za-z]+)\s+(\/\S*)$/.exec(operation);
+			const OPERATIONS = [];
+			Object.keys(spec.paths).forEach(path => {
+				const ITEM = resolveOpenAPIRef(spec.paths[path], spec);
+				COMMON.OPENAPI.METHODS.filter(method => ITEM[method]).forEach(method => OPERATIONS.push({path: path, method: method, operation: ITEM[method]}));
+			});
+			if (!METHOD_PATH) {
+				return OPERATIONS.find(found => found.operation.operationId === operation) || null;
+			}
+			const METHOD = String(METHOD_PATH[METHOD_PATH.length - 2]).toLowerCase(),
+				PATH = String(METHOD_PATH[METHOD_PATH.length - 1]).split("?")[0];
+			// Actual paths may include the base path of a server url
+			const BASE_PATHS = (spec.servers || []).map(server => (/^(?:[a-z]+:\/\/[^/]+)?(\/[^?#]*)/i.exec(server.url || "") || [])[1]).filter(Boolean);
+			const CANDIDATES = [PATH].concat(BASE_PATHS.filter(base => PATH.startsWith(base)).map(base => PATH.slice(base.replace(/\/$/, "").length)));
+			const matches = (template, path) => template === path ||
+				new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{[^}]+\}/g, "[^/]+")}$`).test(path);
+			return OPERATIONS.filter(found => found.method === METHOD).find(found => CANDIDATES.includes(found.path)) ||
+				OPERATIONS.filter(found => found.method === METHOD).find(found => CANDIDATES.some(path => matches(found.path, path))) || null;
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Follows the $ref of an OpenAPI object, such as a response, header or media type, until a definition is found.
+	 *
+	 * @param {Object} node - OpenAPI object, possibly a reference
+	 * @param {Object} spec - OpenAPI document
+	 * @returns {Object} The referenced definition
+	 * @throws {RangeError} References must resolve without cycles
+	 */
+	function resolveOpenAPIRef(node, spec) {
+		let resolved = node;
+		for (let i = 0; resolved && resolved.$ref !== undefined; i++) {
+			if (i > COMMON.JSON_SCHEMA.MAX_REF_DEPTH) {
+				throw new RangeError(`Circular $ref ${node.$ref}`);
+			}
+			resolved = resolveSchemaRef(resolved.$ref, spec);
+		}
+		return resolved;
+	}
+
+	/**
+	 * Converts an OpenAPI 3.0 schema to a JSON schema: "nullable" becomes a null type.
+	 *
+	 * @param {*} schema - OpenAPI schema or any part of an OpenAPI document
+	 * @returns {*} Converted copy
+	 */
+	function convertOpenAPISchema(schema) {
+		if (Array.isArray(schema)) {
+			return schema.map(convertOpenAPISchema);
+		} else if (getType(schema) === "Object") {
+			const CONVERTED = {};
+			Object.keys(schema).forEach(key => {
+				CONVERTED[key] = convertOpenAPISchema(schema[key]);
+			});
+			if (schema.nullable === true) {
+				CONVERTED.type !== undefined && (CONVERTED.type = [].concat(CONVERTED.type, "null"));
+				CONVERTED.enum !== undefined && (CONVERTED.enum = CONVERTED.enum.concat(null));
+				delete CONVERTED.nullable;
+			}
+			return CONVERTED;
+		} else {
+			return schema;
+		}
+	}
+
+	/**
+	 * Checks if the service responds with the correct location: the exact Location or a pattern for server-generated ids.
+	 *
+	 * @param {(string|RegExp)} location - Location of the source, or a regex it must match
+	 * @throws {TypeError} Parameter must be a string or a regex
+	 */
+	function checkLocation(location) {
+		if (getType(location) === "String" || getType(location) === "RegExp") {
+			const ADAPTER = getAdapter();
+			ADAPTER.test("Location", () => {
+				const LOCATION = ADAPTER.getResponse().getHeader("Location");
+				if (getType(location) === "RegExp") {
+					ADAPTER.assert(LOCATION !== undefined && location.test(LOCATION), `Expected Location to match ${location} but got "${LOCATION}"`);
+				} else {
+					ADAPTER.assert(LOCATION === location, `Expected Location "${location}" but got "${LOCATION}"`);
+				}
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Checks that the Location of the response resolves: a GET of it must return 200 with the created content.
+	 * The result is reported as a "Location Resolves" test.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.baseUrl - URL a relative Location is resolved against, for example the URL of the request
+	 * @param {*} options.body - Content the resource must contain, see checkJSONPath matches (default the JSON body of the response)
+	 * @param {Object} options.headers - Headers of the GET request, for example an Authorization header (optional)
+	 * @returns {Promise.<?Object>} Resolved with the response of the GET, or null if it could not be sent
+	 * @throws {TypeError} Options must be valid
+	 */
+	function checkLocationResolves(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.LOCATION.OPTIONS, FUNCTION_NAME);
+		if (!["Undefined", "String"].includes(getType(options.baseUrl)) || !["Undefined", "Object"].includes(getType(options.headers))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			  RESPONSE = ADAPTER.getResponse(),
+			  LOCATION = RESPONSE.getHeader("Location"),
+			  EXPECTED = "body" in options ? options.body : readJSONBody(RESPONSE),
+			  report = errors => ADAPTER.test("Location Resolves", () => {
+				  ADAPTER.assert(errors.length === 0, errors.join(", "));
+			  });
+		const URL = LOCATION === undefined ? undefined : resolveURL(LOCATION, options.baseUrl || "");
+		if (URL === undefined || !/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(URL)) {
+			report([LOCATION === undefined ? "Expected a Location header" : `Expected an absolute Location or the baseUrl option but got "${LOCATION}"`]);
+			return Promise.resolve(null);
+		}
+		return sendRequest(withHeaders(URL, options.headers || {})).then(response => {
+			const ERRORS = getStatusCodeErrors(response, getStatusCodeExpectation(200, FUNCTION_NAME));
+			EXPECTED !== undefined && !isPartialMatch(readJSONBody(response), EXPECTED) && ERRORS.push(`Expected ${URL} to contain the created content`);
+			report(ERRORS);
+			return response;
+		}, error => {
+			report([`Expected ${URL} to be sent but got "${error.message}"`]);
+			return null;
+		});
+	}
+
+	/**
+	 * Reads a JSON response body.
+	 *
+	 * @param {Object} response - Response of the adapter
+	 * @returns {*} Parsed body, undefined if the body is empty or not JSON
+	 */
+	function readJSONBody(response) {
+		try {
+			return response.text() ? response.json() : undefined;
+		} catch (error) {
+			return undefined;
+		}
+	}
+
+	/**
+	 * Captures values of the response into variables that last for the collection run, for example the Location,
+	 * the id of a created resource or its ETag, so later requests can use them as {{name}}. Every capture is reported
+	 * as a "Capture <name>" test that fails when the value is missing.
+	 *
+	 * @param {Object} captures - Variable names mapped to their source: a JSON path (see selectJSONPath), "header:<name>",
+	 *                            or {path or header, pattern} where the first group of the regex pattern is captured
+	 * @returns {Object} Variable names mapped to the captured values, undefined when missing
+	 * @throws {TypeError} Parameter must be an object of sources
+	 * @throws {SyntaxError} The JSON paths must be supported
+	 */
+	function captureValues(captures) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			  toSource = source => getType(source) !== "String" ? source :
+				  source.startsWith(COMMON.CAPTURE.HEADER) ? {header: source.slice(COMMON.CAPTURE.HEADER.length)} : {path: source};
+		if (getType(captures) !== "Object") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const SOURCES = Object.keys(captures).map(name => toSource(captures[name]));
+		SOURCES.forEach(source => {
+			validateOptions(source, COMMON.CAPTURE.OPTIONS, FUNCTION_NAME);
+			if ((source.path === undefined) === (source.header === undefined) || !["Undefined", "String"].includes(getType(source.path)) ||
+				!["Undefined", "String"].includes(getType(source.header)) || !["Undefined", "RegExp"].includes(getType(source.pattern))) {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+			}
+			source.path !== undefined && parseJSONPath(source.path);
+		});
+		const ADAPTER = getAdapter(),
+			  RESPONSE = ADAPTER.getResponse(),
+			  BODY = readJSONBody(RESPONSE),
+			  VALUES = {};
+		Object.keys(captures).forEach((name, index) => {
+			const SOURCE = SOURCES[index],
+				  DESCRIPTION = SOURCE.header === undefined ? SOURCE.path : `header ${SOURCE.header}`;
+			let value = SOURCE.header === undefined ? selectJSONPath(BODY, SOURCE.path)[0] : RESPONSE.getHeader(SOURCE.header);
+			if (value !== undefined && SOURCE.pattern) {
+				const MATCH = SOURCE.pattern.exec(String(value));
+				value = MATCH ? MATCH[MATCH.length > 1 ? 1 : 0] : undefined;
+			}
+			VALUES[name] = value;
+			value !== undefined && ADAPTER.setVariable(name, getType(value) === "String" ? value : JSON.stringify(value));
+			ADAPTER.test(`Capture ${name}`, () => {
+				ADAPTER.assert(value !== undefined, `Expected ${DESCRIPTION} to ${SOURCE.pattern ? `match ${SOURCE.pattern}` : "have a value"} for "${name}"`);
+			});
+		});
+		return VALUES;
+	}
+
+	/**
+	 * Checks the response headers. Each header name maps to its expectation: a string for an exact value,
+	 * a regular expression the value must match, true if the header must be present or false if it must be absent.
+	 *
+	 * @param {Object} headers - Header names mapped to their expectations
+	 * @throws {TypeError} Parameter must be an object of strings, regular expressions or booleans
+	 */
+	function checkHeaders(headers) {
+		if (getType(headers) === "Object" && Object.keys(headers).every(name => ["String", "RegExp", "Boolean"].includes(getType(headers[name])))) {
+			const ADAPTER = getAdapter();
+			Object.keys(headers).forEach(name => {
+				const EXPECTED = headers[name];
+				ADAPTER.test(`Header ${name}`, () => {
+					const VALUE = ADAPTER.getResponse().getHeader(name);
+					switch (getType(EXPECTED)) {
+						case "String":
+							ADAPTER.assert(VALUE === EXPECTED, `Expected header ${name} "${EXPECTED}" but got "${VALUE}"`);
+							break;
+						case "RegExp":
+							ADAPTER.assert(VALUE !== undefined && EXPECTED.test(VALUE), `Expected header ${name} "${VALUE}" to match ${EXPECTED}`);
+							break;
+						default:
+							ADAPTER.assert((VALUE !== undefined) === EXPECTED, `Expected header ${name} to be ${EXPECTED ? "present" : "absent"}`);
+					}
+				});
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Parses the directives of a Cache-Control or Strict-Transport-Security header.
+	 *
+	 * @param {string} header - Header value, for example "public, max-age=3600"
+	 * @param {string} separator - Separator of the directives (default ",")
+	 * @returns {Object} Lowercase directive names mapped to their unquoted value, true for directives without value
+	 * @throws {TypeError} Parameter must be a string
+	 */
+	function parseDirectives(header, separator = ",") {
+		if (getType(header) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const DIRECTIVES = {};
+		header.split(separator).map(directive => directive.trim()).filter(Boolean).forEach(directive => {
+			const INDEX = directive.indexOf("="),
+				  NAME = (INDEX === -1 ? directive : directive.slice(0, INDEX)).trim().toLowerCase();
+			DIRECTIVES[NAME] === undefined && (DIRECTIVES[NAME] = INDEX === -1 ? true : directive.slice(INDEX + 1).trim().replace(/^"(.*)"$/, "$1"));
+		});
+		return DIRECTIVES;
+	}
+
+	/**
+	 * Checks the security headers a gateway policy requires: Strict-Transport-Security with a minimum max-age,
+	 * X-Content-Type-Options set to nosniff and the presence of a Content-Security-Policy.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {(number|boolean)} options.hstsMaxAge - Minimum max-age of Strict-Transport-Security in seconds (default one year), false skips the test
+	 * @param {boolean} options.includeSubDomains - Whether Strict-Transport-Security must include subdomains (default false)
+	 * @param {boolean} options.contentSecurityPolicy - Whether a Content-Security-Policy is required (default true)
+	 * @throws {TypeError} Options must be valid
+	 */
+	function checkSecurityHeaders(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.SECURITY_HEADERS.OPTIONS, FUNCTION_NAME);
+		const MAX_AGE = options.hstsMaxAge === undefined ? COMMON.SECURITY_HEADERS.HSTS_MAX_AGE : options.hstsMaxAge;
+		if (!(MAX_AGE === false || (Number.isInteger(MAX_AGE) && MAX_AGE >= 0)) ||
+			!["Undefined", "Boolean"].includes(getType(options.includeSubDomains)) || !["Undefined", "Boolean"].includes(getType(options.contentSecurityPolicy))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			  RESPONSE = ADAPTER.getResponse();
+		MAX_AGE !== false && ADAPTER.test("Strict-Transport-Security", () => {
+			const HEADER = RESPONSE.getHeader("Strict-Transport-Security");
+			ADAPTER.assert(HEADER !== undefined, "Expected a Strict-Transport-Security header");
+			const DIRECTIVES = parseDirectives(HEADER, ";"),
+				  ACTUAL = Number(DIRECTIVES["max-age"]);
+			ADAPTER.assert(/^\d+$/.test(DIRECTIVES["max-age"]) && ACTUAL >= MAX_AGE, `Expected Strict-Transport-Security max-age of at least ${MAX_AGE} but got "${HEADER}"`);
+			ADAPTER.assert(!options.includeSubDomains || DIRECTIVES.includesubdomains === true, `Expected Strict-Transport-Security "${HEADER}" to include subdomains`);
+		});
+		ADAPTER.test("X-Content-Type-Options", () => {
+			const HEADER = RESPONSE.getHeader("X-Content-Type-Options");
+			ADAPTER.assert(HEADER !== undefined && HEADER.trim().toLowerCase() === "nosniff", `Expected X-Content-Type-Options "nosniff" but got "${HEADER}"`);
+		});
+		options.contentSecurityPolicy !== false && ADAPTER.test("Content-Security-Policy", () => {
+			const HEADER = RESPONSE.getHeader("Content-Security-Policy");
+			ADAPTER.assert(HEADER !== undefined && HEADER.trim() !== "", "Expected a Content-Security-Policy header");
+		});
+	}
+
+	/**
+	 * Checks the CORS headers of a response to a request from the given origin. The origin must be allowed,
+	 * the methods and request headers must be allowed and an echoed origin requires "Vary: Origin".
+	 * A wildcard is accepted for the origin, methods and headers unless credentials are required.
+	 *
+	 * @param {string} origin - Origin of the request, for example "https://www.antwerpen.be"
+	 * @param {Object} options - Options (optional)
+	 * @param {Array.<string>} options.methods - Methods that must be in Access-Control-Allow-Methods (optional)
+	 * @param {Array.<string>} options.headers - Request headers that must be in Access-Control-Allow-Headers (optional)
+	 * @param {boolean} options.credentials - Whether Access-Control-Allow-Credentials must be true (default false)
+	 * @throws {TypeError} Parameters must be valid
+	 */
+	function checkCORS(origin, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			  isList = list => list === undefined || (Array.isArray(list) && list.every(item => getType(item) === "String"));
+		validateOptions(options, COMMON.CORS.OPTIONS, FUNCTION_NAME);
+		if (getType(origin) !== "String" || !isList(options.methods) || !isList(options.headers) || !["Undefined", "Boolean"].includes(getType(options.credentials))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter();
+		ADAPTER.test("CORS", () => {
+			const RESPONSE = ADAPTER.getResponse(),
+				  getList = name => (RESPONSE.getHeader(name) || "").split(",").map(item => item.trim()).filter(Boolean),
+				  ALLOW_ORIGIN = RESPONSE.getHeader("Access-Control-Allow-Origin"),
+				  CREDENTIALS = RESPONSE.getHeader("Access-Control-Allow-Credentials"),
+				  METHODS = getList("Access-Control-Allow-Methods"),
+				  HEADERS = getList("Access-Control-Allow-Headers").map(header => header.toLowerCase()),
+				  WILDCARD = !options.credentials,
+				  ERRORS = [];
+			if (ALLOW_ORIGIN !== origin && !(WILDCARD && ALLOW_ORIGIN === "*")) {
+				ERRORS.push(`Access-Control-Allow-Origin is "${ALLOW_ORIGIN}"`);
+			}
+			ALLOW_ORIGIN === origin && !getList("Vary").some(header => header === "*" || header.toLowerCase() === "origin") && ERRORS.push("Vary does not include Origin");
+			options.credentials && CREDENTIALS !== "true" && ERRORS.push(`Access-Control-Allow-Credentials is "${CREDENTIALS}"`);
+			(options.methods || []).filter(method => !METHODS.includes(method) && !(WILDCARD && METHODS.includes("*")))
+				.forEach(method => ERRORS.push(`method ${method} is not allowed`));
+			(options.headers || []).filter(header => !HEADERS.includes(header.toLowerCase()) && !(WILDCARD && HEADERS.includes("*")))
+				.forEach(header => ERRORS.push(`header ${header} is not allowed`));
+			ADAPTER.assert(ERRORS.length === 0, `Expected CORS access for origin "${origin}" but ${ERRORS.join(", ")}`);
+		});
+	}
+
+	/**
+	 * Checks the caching headers: a validator (a valid ETag or Last-Modified) and the Cache-Control directives.
+	 * A directive maps to true if it must be present, false if it must be absent, or the value it must have.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {boolean} options.validators - Whether an ETag or Last-Modified header is required (default true)
+	 * @param {Object} options.directives - Cache-Control directives, for example {"max-age": 3600, "no-store": false} (optional)
+	 * @throws {TypeError} Options must be valid
+	 */
+	function checkCaching(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.CACHING.OPTIONS, FUNCTION_NAME);
+		const DIRECTIVES = options.directives || {};
+		if (!["Undefined", "Boolean"].includes(getType(options.validators)) || getType(DIRECTIVES) !== "Object" ||
+			!Object.values(DIRECTIVES).every(value => ["Boolean", "Number", "String"].includes(getType(value)))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			  RESPONSE = ADAPTER.getResponse();
+		options.validators !== false && ADAPTER.test("Cache Validators", () => {
+			const ETAG = RESPONSE.getHeader("ETag"),
+				  LAST_MODIFIED = RESPONSE.getHeader("Last-Modified");
+			ADAPTER.assert(ETAG !== undefined || LAST_MODIFIED !== undefined, "Expected an ETag or Last-Modified header");
+			ADAPTER.assert(ETAG === undefined || COMMON.CACHING.ETAG.test(ETAG), `Expected a valid ETag but got "${ETAG}"`);
+			ADAPTER.assert(LAST_MODIFIED === undefined || (COMMON.CACHING.HTTP_DATE.test(LAST_MODIFIED) && !isNaN(Date.parse(LAST_MODIFIED))),
+				`Expected Last-Modified to be an HTTP date but got "${LAST_MODIFIED}"`);
+		});
+		Object.keys(DIRECTIVES).length && ADAPTER.test("Cache-Control", () => {
+			const HEADER = RESPONSE.getHeader("Cache-Control");
+			ADAPTER.assert(HEADER !== undefined, "Expected a Cache-Control header");
+			const ACTUAL = parseDirectives(HEADER);
+			const ERRORS = Object.keys(DIRECTIVES).map(name => {
+				const EXPECTED = DIRECTIVES[name],
+					  VALUE = ACTUAL[name.toLowerCase()];
+				if (EXPECTED === true || EXPECTED === false) {
+					return (VALUE !== undefined) === EXPECTED ? null : `${name} is ${EXPECTED ? "missing" : "present"}`;
+				}
+				return String(VALUE) === String(EXPECTED) ? null : `${name} is ${VALUE === undefined ? "missing" : `"${VALUE}"`} instead of "${EXPECTED}"`;
+			}).filter(Boolean);
+			ADAPTER.assert(ERRORS.length === 0, `Expected Cache-Control "${HEADER}" to match but ${ERRORS.join(", ")}`);
+		});
+	}
+
+	/**
+	 * Checks if the response body contains the given text(s).
+	 *
+	 * @param {(string|Array.<string>)} texts - Text or texts the response body must contain
+	 * @throws {TypeError} Parameter must be a string or an array of strings
+	 */
+	function checkBodyContains(texts) {
+		const TEXTS = [].concat(texts);
+		if (TEXTS.every(text => getType(text) === "String")) {
+			const ADAPTER = getAdapter();
+			TEXTS.forEach(text => {
+				ADAPTER.test(`Body contains "${text}"`, () => {
+					ADAPTER.assert(ADAPTER.getResponse().text().includes(text), `Expected the response body to contain "${text}"`);
+				});
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Checks if the response body does not contain the given text(s).
+	 *
+	 * @param {(string|Array.<string>)} texts - Text or texts the response body must not contain
+	 * @throws {TypeError} Parameter must be a string or an array of strings
+	 */
+	function checkBodyNotContains(texts) {
+		const TEXTS = [].concat(texts);
+		if (TEXTS.every(text => getType(text) === "String")) {
+			const ADAPTER = getAdapter();
+			TEXTS.forEach(text => {
+				ADAPTER.test(`Body does not contain "${text}"`, () => {
+					ADAPTER.assert(!ADAPTER.getResponse().text().includes(text), `Expected the response body not to contain "${text}"`);
+				});
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Checks if the response body is empty, or not empty.
+	 *
+	 * @param {boolean} empty - Whether the response body must be empty (default true)
+	 * @throws {TypeError} Parameter must be a boolean
+	 */
+	function checkEmptyBody(empty = true) {
+		if (getType(empty) === "Boolean") {
+			const ADAPTER = getAdapter();
+			ADAPTER.test(empty ? "Empty Body" : "Body", () => {
+				const LENGTH = ADAPTER.getResponse().text().length;
+				ADAPTER.assert((LENGTH === 0) === empty, empty ? `Expected an empty response body but got ${LENGTH} characters` : "Expected a response body");
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Parses a JSON path into steps. Supported are the root "$", child names (".name" or "['name']"), the wildcard (".*" or "[*]"),
+	 * array indexes ("[0]", "[-1]" from the end), recursive descent ("..name") and filters on a child value ("[?(@.price < 10)]").
+	 * A filter compares with ==, !=, <, <=, >, >= or =~ (a regex literal) against a number, a quoted string, true, false or null,
+	 * or tests if the value exists ("[?(@.email)]").
+	 *
+	 * @param {string} path - JSON path, for example "$.items[?(@.active == true)].id"
+	 * @returns {Array.<Object>} Steps as {recursive, name, wildcard, index, filter}
+	 * @throws {SyntaxError} The path must be supported
+	 */
+	function parseJSONPath(path) {
+		const STEP = /(\.\.|\.)?(?:([A-Za-z_$][\w$-]*)|(\*)|\[(?:(\*)|(-?\d+)|'([^']*)'|"([^"]*)"|\?\((.+?)\))\])/y,
+			  STEPS = [];
+		if (getType(path) !== "String" || !path.startsWith("$")) {
+			throw new SyntaxError(`Invalid JSON path "${path}": expected it to start with $`);
+		}
+		STEP.lastIndex = 1;
+		while (STEP.lastIndex < path.length) {
+			const POSITION = STEP.lastIndex,
+				  MATCH = STEP.exec(path);
+			if (MATCH === null || (MATCH[1] === undefined && (MATCH[2] || MATCH[3])) || (MATCH[1] === "." && !(MATCH[2] || MATCH[3]))) {
+				throw new SyntaxError(`Invalid JSON path "${path}" at position ${POSITION}`);
+			}
+			STEPS.push({
+				recursive: MATCH[1] === "..",
+				name: [MATCH[2], MATCH[6], MATCH[7]].find(name => name !== undefined),
+				wildcard: Boolean(MATCH[3] || MATCH[4]),
+				index: MATCH[5] === undefined ? undefined : Number(MATCH[5]),
+				filter: MATCH[8] === undefined ? undefined : parseJSONPathFilter(MATCH[8], path)
+			});
+		}
+		return STEPS;
+	}
+
+	/**
+	 * Parses the expression of a JSON path filter, see parseJSONPath.
+	 *
+	 * @param {string} expression - Expression between "[?(" and ")]"
+	 * @param {string} path - JSON path for error messages
+	 * @returns {Object} Filter as {names, operator, value}, without operator the filter tests if the value exists
+	 * @throws {SyntaxError} The expression must be supported
+	 */
+	function parseJSONPathFilter(expression, path) {
+		const MATCH = /^\s*@((?:\.[A-Za-z_$][\w$-]*|\['[^']*'\])*)\s*(?:(==|!=|<=|>=|<|>|=~)\s*(.+?))?\s*$/.exec(expression),
+			  NAME = /\.([A-Za-z_$][\w$-]*)|\['([^']*)'\]/g,
+			  NAMES = [];
+		if (MATCH === null) {
+			throw new SyntaxError(`Unsupported filter "${expression}" in JSON path "${path}"`);
+		}
+		let name;
+		while ((name = NAME.exec(MATCH[1])) !== null) {
+			NAMES.push(name[1] === undefined ? name[2] : name[1]);
+		}
+		if (MATCH[2] === undefined) {
+			return {names: NAMES};
+		}
+		const LITERAL = MATCH[3],
+			  REGEX = /^\/(.*)\/([a-z]*)$/.exec(LITERAL);
+		let value;
+		try {
+			value = REGEX ? new RegExp(REGEX[1], REGEX[2]) : /^'.*'$/.test(LITERAL) ? LITERAL.slice(1, -1) : JSON.parse(LITERAL);
+		} catch (error) {
+			throw new SyntaxError(`Unsupported value ${LITERAL} in JSON path "${path}"`);
+		}
+		if ((MATCH[2] === "=~") !== (getType(value) === "RegExp") || ["Object", "Array"].includes(getType(value))) {
+			throw new SyntaxError(`Unsupported value ${LITERAL} for ${MATCH[2]} in JSON path "${path}"`);
+		}
+		return {names: NAMES, operator: MATCH[2], value: value};
+	}
+
+	/**
+	 * Tests a value against a JSON path filter, see parseJSONPathFilter.
+	 *
+	 * @param {*} value - Child value the filter is applied to
+	 * @param {Object} filter - Parsed filter
+	 * @returns {boolean} Whether the value passes the filter
+	 */
+	function matchesJSONPathFilter(value, filter) {
+		const ACTUAL = filter.names.reduce((current, name) => ["Object", "Array"].includes(getType(current)) ? current[name] : undefined, value),
+			  COMPARABLE = ["Number", "String"].includes(getType(ACTUAL)) && getType(ACTUAL) === getType(filter.value);
+		switch (filter.operator) {
+			case undefined:
+				return ACTUAL !== undefined;
+			case "==":
+				return isDeepEqual(ACTUAL, filter.value);
+			case "!=":
+				return ACTUAL !== undefined && !isDeepEqual(ACTUAL, filter.value);
+			case "=~":
+				return getType(ACTUAL) === "String" && filter.value.test(ACTUAL);
+			case "<":
+				return COMPARABLE && ACTUAL < filter.value;
+			case "<=":
+				return COMPARABLE && ACTUAL <= filter.value;
+			case ">":
+				return COMPARABLE && ACTUAL > filter.value;
+			default:
+				return COMPARABLE && ACTUAL >= filter.value;
+		}
+	}
+
+	/**
+	 * Selects the values of a JSON path with their normalized path, see parseJSONPath.
+	 *
+	 * @param {*} data - Parsed JSON
+	 * @param {string} path - JSON path
+	 * @returns {Array.<Object>} Selected values as {path, value}, the path as "$.items[0].id"
+	 * @throws {SyntaxError} The path must be supported
+	 */
+	function queryJSONPath(data, path) {
+		const getProperty = (node, name) => ({path: /^[A-Za-z_$][\w$-]*$/.test(name) ? `${node.path}.${name}` : `${node.path}['${name}']`, value: node.value[name]}),
+			  getChildren = node => {
+				  if (Array.isArray(node.value)) {
+					  return node.value.map((value, index) => ({path: `${node.path}[${index}]`, value: value}));
+				  }
+				  return getType(node.value) === "Object" ? Object.keys(node.value).map(name => getProperty(node, name)) : [];
+			  };
+		const getDescendants = node => [node].concat(...getChildren(node).map(getDescendants));
+		return parseJSONPath(path).reduce((nodes, step) => [].concat(...(step.recursive ? [].concat(...nodes.map(getDescendants)) : nodes).map(node => {
+			const CHILDREN = getChildren(node);
+			if (step.wildcard) {
+				return CHILDREN;
+			} else if (step.filter) {
+				return CHILDREN.filter(child => matchesJSONPathFilter(child.value, step.filter));
+			} else if (step.index !== undefined) {
+				const INDEX = step.index < 0 && Array.isArray(node.value) ? node.value.length + step.index : step.index;
+				return Array.isArray(node.value) && CHILDREN[INDEX] ? [CHILDREN[INDEX]] : [];
+			}
+			return getType(node.value) === "Object" && Object.prototype.hasOwnProperty.call(node.value, step.name) ? [getProperty(node, step.name)] : [];
+		})), [{path: "$", value: data}]);
+	}
+
+	/**
+	 * Selects values from parsed JSON with a JSON path, see parseJSONPath for the supported syntax.
+	 *
+	 * @param {*} data - Parsed JSON, for example pm.response.json()
+	 * @param {string} path - JSON path, for example "$.items[*].id" or "$..href"
+	 * @returns {Array.<*>} Selected values in document order
+	 * @throws {SyntaxError} The path must be supported
+	 */
+	function selectJSONPath(data, path) {
+		return queryJSONPath(data, path).map(node => node.value);
+	}
+
+	/**
+	 * Checks if a value contains the expected value: objects must contain the expected properties, arrays must contain
+	 * an item that matches every expected item, a regex is tested against strings and other values must be equal.
+	 *
+	 * @param {*} actual - Actual value
+	 * @param {*} expected - Expected (partial) value
+	 * @returns {boolean} Whether the actual value matches
+	 */
+	function isPartialMatch(actual, expected) {
+		switch (getType(expected)) {
+			case "Object":
+				return getType(actual) === "Object" && Object.keys(expected).every(name => isPartialMatch(actual[name], expected[name]));
+			case "Array":
+				return Array.isArray(actual) && expected.every(item => actual.some(actualItem => isPartialMatch(actualItem, item)));
+			case "RegExp":
+				return getType(actual) === "String" && expected.test(actual);
+			default:
+				return isDeepEqual(actual, expected);
+		}
+	}
+
+	/**
+	 * Checks the response body with JSON paths, one "JSON Path <path>" test per path. Every assertion applies to each selected value,
+	 * except count, unique and sorted which apply to all of them. The failure messages name the path of the value.
+	 *
+	 * @param {Object} assertions - JSON paths (see parseJSONPath) mapped to their assertions
+	 * @param {boolean} assertions.exists - Whether the path must select a value (default true), false checks that it selects nothing
+	 * @param {number} assertions.count - Number of values the path must select
+	 * @param {*} assertions.equals - Value each selected value must deeply equal
+	 * @param {(RegExp|string)} assertions.pattern - Regex each value must match, for example getRegexGUID()
+	 * @param {(number|string)} assertions.min - Minimum of each value, inclusive
+	 * @param {(number|string)} assertions.max - Maximum of each value, inclusive
+	 * @param {Object} assertions.matches - Partial value each value must contain, nested values may be regexes
+	 * @param {boolean} assertions.unique - Whether the selected values must be unique
+	 * @param {string} assertions.sorted - Order of the selected values: "asc" or "desc"
+	 * @throws {TypeError} Parameter must be an object with valid assertions
+	 * @throws {RangeError} Order must be supported
+	 * @throws {SyntaxError} The paths must be supported
+	 */
+	function checkJSONPath(assertions) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			  isBound = bound => ["Undefined", "Number", "String"].includes(getType(bound));
+		if (getType(assertions) !== "Object") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		Object.keys(assertions).forEach(path => {
+			const ASSERTION = assertions[path];
+			validateOptions(ASSERTION, COMMON.JSON_PATH.ASSERTIONS, FUNCTION_NAME);
+			parseJSONPath(path);
+			if (!["Undefined", "Boolean"].includes(getType(ASSERTION.exists)) || !(ASSERTION.count === undefined || (Number.isInteger(ASSERTION.count) && ASSERTION.count >= 0)) ||
+				!["Undefined", "RegExp", "String"].includes(getType(ASSERTION.pattern)) || !isBound(ASSERTION.min) || !isBound(ASSERTION.max) ||
+				!["Undefined", "Object", "Array"].includes(getType(ASSERTION.matches)) || !["Undefined", "Boolean"].includes(getType(ASSERTION.unique)) ||
+				!["Undefined", "String"].includes(getType(ASSERTION.sorted))) {
+				throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+			} else if (ASSERTION.sorted !== undefined && !COMMON.JSON_PATH.ORDERS.includes(ASSERTION.sorted)) {
+				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+			}
+		});
+		const ADAPTER = getAdapter();
+		Object.keys(assertions).forEach(path => {
+			const ASSERTION = assertions[path];
+			ADAPTER.test(`JSON Path ${path}`, () => {
+				let data;
+				try {
+					data = ADAPTER.getResponse().json();
+				} catch (error) {
+					ADAPTER.assert(false, `Expected a JSON response body but got "${error.message}"`);
+				}
+				const NODES = queryJSONPath(data, path);
+				if (ASSERTION.exists === false) {
+					ADAPTER.assert(NODES.length === 0, `Expected ${path} to select nothing but got ${NODES.map(node => node.path).join(", ")}`);
+					return;
+				}
+				ADAPTER.assert(NODES.length > 0, `Expected ${path} to select a value`);
+				ASSERTION.count !== undefined && ADAPTER.assert(NODES.length === ASSERTION.count, `Expected ${path} to select ${ASSERTION.count} values but got ${NODES.length}`);
+				const ERRORS = getJSONPathErrors(NODES, ASSERTION),
+					  MORE = ERRORS.length > COMMON.JSON_PATH.REPORTED_ERRORS ? `, and ${ERRORS.length - COMMON.JSON_PATH.REPORTED_ERRORS} more` : "";
+				ADAPTER.assert(ERRORS.length === 0, `Expected ${ERRORS.slice(0, COMMON.JSON_PATH.REPORTED_ERRORS).join(", ")}${MORE}`);
+			});
+		});
+	}
+
+	/**
+	 * Finds the values that fail the assertions of checkJSONPath, except exists and count.
+	 *
+	 * @param {Array.<Object>} nodes - Selected values as {path, value}, see queryJSONPath
+	 * @param {Object} assertion - Assertions of the path
+	 * @returns {Array.<string>} Failure descriptions that name the path of the value
+	 */
+	function getJSONPathErrors(nodes, assertion) {
+		const ERRORS = [],
+			  PATTERN = getType(assertion.pattern) === "String" ? new RegExp(assertion.pattern) : assertion.pattern,
+			  show = value => JSON.stringify(value);
+		nodes.forEach(node => {
+			const VALUE = node.value,
+				  inRange = bound => getType(VALUE) === getType(bound) && ["Number", "String"].includes(getType(VALUE));
+			assertion.equals !== undefined && !isDeepEqual(VALUE, assertion.equals) && ERRORS.push(`${node.path} to equal ${show(assertion.equals)} but got ${show(VALUE)}`);
+			PATTERN && !(getType(VALUE) === "String" && PATTERN.test(VALUE)) && ERRORS.push(`${node.path} to match ${PATTERN} but got ${show(VALUE)}`);
+			assertion.min !== undefined && !(inRange(assertion.min) && VALUE >= assertion.min) && ERRORS.push(`${node.path} to be at least ${show(assertion.min)} but got ${show(VALUE)}`);
+			assertion.max !== undefined && !(inRange(assertion.max) && VALUE <= assertion.max) && ERRORS.push(`${node.path} to be at most ${show(assertion.max)} but got ${show(VALUE)}`);
+			assertion.matches !== undefined && !isPartialMatch(VALUE, assertion.matches) && ERRORS.push(`${node.path} to contain ${show(assertion.matches)} but got ${show(VALUE)}`);
+		});
+		assertion.unique && nodes.forEach((node, index) => {
+			const FIRST = nodes.find(other => isDeepEqual(other.value, node.value));
+			FIRST !== node && nodes.indexOf(FIRST) < index && ERRORS.push(`${node.path} to be unique but it equals ${FIRST.path} (${show(node.value)})`);
+		});
+		if (assertion.sorted) {
+			const ASCENDING = assertion.sorted === "asc";
+			nodes.slice(1).forEach((node, index) => {
+				const PREVIOUS = nodes[index];
+				(ASCENDING ? node.value < PREVIOUS.value : node.value > PREVIOUS.value) &&
+					ERRORS.push(`${node.path} ${show(node.value)} to come ${ASCENDING ? "after" : "before"} ${PREVIOUS.path} ${show(PREVIOUS.value)} in ${ASCENDING ? "ascending" : "descending"} order`);
+			});
+		}
+		return ERRORS;
+	}
+
+	/**
+	 * Compares the JSON response body with a stored snapshot (golden copy) in a "Snapshot <name>" test, to catch response changes
+	 * that a JSON schema lets through. Both are normalized first: the ignored paths are left out, GUID's and ISO datetimes
+	 * (see getRegexGUID and getRegexISODateTime) are masked and object properties are sorted. On a mismatch the failure message
+	 * lists the differences by path and all of them are logged as a warning.
+	 *
+	 * In record mode the normalized response is stored as the new snapshot and the test passes. Snapshots are stored by the adapter,
+	 * in files with the snapshotDirectory option of createNodeAdapter, otherwise in the collection variable COMMON.SNAPSHOT.VARIABLE + name.
+	 *
+	 * @param {string} name - Name of the snapshot, for example "Get city"
+	 * @param {Object} options - Options (optional)
+	 * @param {Array.<string>} options.ignore - JSON paths of volatile values that are left out, with the syntax of redact (default none)
+	 * @param {boolean} options.mask - Whether GUID's and ISO datetimes are masked (default true)
+	 * @param {boolean} options.record - Whether the snapshot is recorded (default the configured snapshot.record, false)
+	 * @throws {TypeError} Parameters must be a name and valid options
+	 */
+	function checkSnapshot(name, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.SNAPSHOT.OPTIONS, FUNCTION_NAME);
+		if (getType(name) !== "String" || name === "" ||
+			!(options.ignore === undefined || (Array.isArray(options.ignore) && options.ignore.every(path => getType(path) === "String"))) ||
+			!["Undefined", "Boolean"].includes(getType(options.mask)) || !["Undefined", "Boolean"].includes(getType(options.record))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			  RECORD = options.record === undefined ? getSettings().snapshot.record : options.record,
+			  normalize = data => normalizeSnapshot(data, (options.ignore || []).map(compileRedactPath), options.mask !== false);
+		ADAPTER.test(`Snapshot ${name}`, () => {
+			let actual;
+			try {
+				actual = normalize(ADAPTER.getResponse().json());
+			} catch (error) {
+				ADAPTER.assert(false, `Expected a JSON response body but got "${error.message}"`);
+			}
+			if (RECORD) {
+				const SNAPSHOT = JSON.stringify(actual, null, 2);
+				getType(ADAPTER.setSnapshot) === "Function" ? ADAPTER.setSnapshot(name, SNAPSHOT) : ADAPTER.setVariable(`${COMMON.SNAPSHOT.VARIABLE}${name}`, SNAPSHOT);
+				log("info", `Recorded snapshot ${name}`);
+				return;
+			}
+			const STORED = getType(ADAPTER.getSnapshot) === "Function" ? ADAPTER.getSnapshot(name) : ADAPTER.getVariable(`${COMMON.SNAPSHOT.VARIABLE}${name}`);
+			ADAPTER.assert(STORED !== undefined, `Expected a snapshot "${name}" but there is none, record it with the snapshot.record setting`);
+			const DIFFERENCES = getSnapshotDifferences(normalize(JSON.parse(STORED)), actual, "$"),
+				  MORE = DIFFERENCES.length > COMMON.SNAPSHOT.REPORTED_DIFFERENCES ? `\nand ${DIFFERENCES.length - COMMON.SNAPSHOT.REPORTED_DIFFERENCES} more` : "";
+			DIFFERENCES.length > 0 && log("warn", `Snapshot differences of ${name}`, DIFFERENCES);
+			ADAPTER.assert(DIFFERENCES.length === 0,
+				`Expected the response to match snapshot "${name}" but found ${DIFFERENCES.length} differences:\n${DIFFERENCES.slice(0, COMMON.SNAPSHOT.REPORTED_DIFFERENCES).join("\n")}${MORE}`);
+		});
+	}
+
+	/**
+	 * Normalizes JSON for checkSnapshot: leaves out the ignored paths, masks GUID's and ISO datetimes and sorts object properties.
+	 *
+	 * @param {*} data - Parsed JSON
+	 * @param {Array.<RegExp>} ignore - Ignored paths, see compileRedactPath
+	 * @param {boolean} mask - Whether GUID's and ISO datetimes are masked
+	 * @returns {*} Normalized copy of the data
+	 */
+	function normalizeSnapshot(data, ignore, mask) {
+		const GUID = new RegExp(getRegexGUID()),
+			  DATETIME = new RegExp(getRegexISODateTime());
+		const normalizeValue = (value, path) => {
+			if (Array.isArray(value)) {
+				return value.map((item, index) => ({path: `${path}[${index}]`, value: item}))
+					.filter(item => !ignore.some(pattern => pattern.test(item.path)))
+					.map(item => normalizeValue(item.value, item.path));
+			} else if (getType(value) === "Object") {
+				return Object.keys(value).sort()
+					.filter(key => !ignore.some(pattern => pattern.test(`${path}.${key}`)))
+					.reduce((copy, key) => Object.assign(copy, {[key]: normalizeValue(value[key], `${path}.${key}`)}), {});
+			} else if (mask && getType(value) === "String") {
+				return GUID.test(value) ? COMMON.SNAPSHOT.MASKS.GUID : DATETIME.test(value) ? COMMON.SNAPSHOT.MASKS.DATETIME : value;
+			}
+			return value;
+		};
+		return normalizeValue(data, "$");
+	}
+
+	/**
+	 * Lists the structural differences between a snapshot and the actual data, see checkSnapshot.
+	 *
+	 * @param {*} expected - Normalized snapshot
+	 * @param {*} actual - Normalized actual data
+	 * @param {string} path - Path of the compared values, "$" for the root
+	 * @returns {Array.<string>} Differences that name their path, for example "$.items[1].name: expected "Gent" but got "Gand""
+	 */
+	function getSnapshotDifferences(expected, actual, path) {
+		const show = value => JSON.stringify(value);
+		if (Array.isArray(expected) && Array.isArray(actual)) {
+			return [].concat(...Array.from({length: Math.max(expected.length, actual.length)}, (value, index) => {
+				const ITEM_PATH = `${path}[${index}]`;
+				if (index >= actual.length) {
+					return [`${ITEM_PATH}: missing, expected ${show(expected[index])}`];
+				}
+				return index >= expected.length ? [`${ITEM_PATH}: unexpected ${show(actual[index])}`] : getSnapshotDifferences(expected[index], actual[index], ITEM_PATH);
+			}));
+		} else if (getType(expected) === "Object" && getType(actual) === "Object") {
+			const KEYS = Object.keys(expected).concat(Object.keys(actual).filter(key => !Object.prototype.hasOwnProperty.call(expected, key))).sort();
+			return [].concat(...KEYS.map(key => {
+				const PROPERTY_PATH = `${path}.${key}`;
+				if (!Object.prototype.hasOwnProperty.call(actual, key)) {
+					return [`${PROPERTY_PATH}: missing, expected ${show(expected[key])}`];
+				}
+				return Object.prototype.hasOwnProperty.call(expected, key) ?
+					getSnapshotDifferences(expected[key], actual[key], PROPERTY_PATH) : [`${PROPERTY_PATH}: unexpected ${show(actual[key])}`];
+			}));
+		}
+		return isDeepEqual(expected, actual) ? [] : [`${path}: expected ${show(expected)} but got ${show(actual)}`];
+	}
+
+	/**
+	 * Encodes a text as UTF-8.
+	 *
+	 * @param {string} text - Text to encode
+	 * @returns {Array.<number>} UTF-8 bytes
+	 */
+	function encodeUTF8(text) {
+		const BYTES = [];
+		for (const CHARACTER of text) {
+			const CODE = CHARACTER.codePointAt(0);
+			if (CODE < 0x80) {
+				BYTES.push(CODE);
+			} else if (CODE < 0x800) {
+				BYTES.push(0xC0 | CODE >> 6, 0x80 | CODE & 0x3F);
+			} else if (CODE < 0x10000) {
+				BYTES.push(0xE0 | CODE >> 12, 0x80 | CODE >> 6 & 0x3F, 0x80 | CODE & 0x3F);
+			} else {
+				BYTES.push(0xF0 | CODE >> 18, 0x80 | CODE >> 12 & 0x3F, 0x80 | CODE >> 6 & 0x3F, 0x80 | CODE & 0x3F);
+			}
+		}
+		return BYTES;
+	}
+
+	/**
+	 * Decodes UTF-8 bytes leniently: stray continuation bytes are kept as Latin-1 characters.
+	 *
+	 * @param {(Array.<number>|Uint8Array)} bytes - UTF-8 bytes
+	 * @returns {string} Decoded text
+	 */
+	function decodeUTF8(bytes) {
 		let text = "";
-		for (let i = 0; i < length; i++) {
-			text += CHARACTERS.charAt(Math.floor(Math.random() * CHARACTERS.length));
+		for (let i = 0; i < bytes.length; i++) {
+			const BYTE = bytes[i],
+				  LENGTH = BYTE >= 0xF0 ? 3 : BYTE >= 0xE0 ? 2 : BYTE >= 0xC0 ? 1 : 0;
+			let code = LENGTH ? BYTE & 0x3F >> LENGTH : BYTE;
+			for (let j = 0; j < LENGTH; j++) {
+				code = code << 6 | bytes[++i] & 0x3F;
+			}
+			text += String.fromCodePoint(code <= 0x10FFFF ? code : 0xFFFD);
 		}
 		return text;
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
 	}
-}
 
-/**
- * Checks if the service responds within the required response time.
- *
- * @param {number} time - Elapsed time of the response
- * @throws {TypeError} Parameter must be a number
- * @throws {RangeError} Parameter must be a strictly positive number
- */
-function checkTime(time) {
-	if (getType(time) === "Number") {
-		if (time > 0) {
-			pm.test(`Response Time < ${convertTime(time)}`, () => {
-				pm.expect(pm.response.responseTime).to.be.below(time);
+	/**
+	 * Encodes a text as base64, the text is encoded as UTF-8 first.
+	 *
+	 * @param {string} text - Text to encode
+	 * @returns {string} Base64 with padding
+	 */
+	function encodeBase64(text) {
+		const BYTES = encodeUTF8(text);
+		let base64 = "";
+		for (let i = 0; i < BYTES.length; i += 3) {
+			const CHUNK = BYTES[i] << 16 | (BYTES[i + 1] || 0) << 8 | (BYTES[i + 2] || 0);
+			base64 += [18, 12, 6, 0].slice(0, Math.min(BYTES.length - i, 3) + 1).map(shift => COMMON.BASE64.ALPHABET[CHUNK >> shift & 0x3F]).join("");
+		}
+		return base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+	}
+
+	/**
+	 * Decodes base64 or base64url to a text, the bytes are decoded as UTF-8.
+	 *
+	 * @param {string} base64 - Base64 or base64url, with or without padding
+	 * @returns {string} Decoded text
+	 * @throws {SyntaxError} Parameter must be base64
+	 */
+	function decodeBase64(base64) {
+		const DIGITS = base64.replace(/=+$/, "").replace(/-/g, "+").replace(/_/g, "/"),
+			  BYTES = [];
+		if (!/^[A-Za-z0-9+/]*$/.test(DIGITS) || DIGITS.length % 4 === 1) {
+			throw new SyntaxError(`Invalid base64 "${base64}"`);
+		}
+		for (let i = 0; i < DIGITS.length; i += 4) {
+			const GROUP = DIGITS.slice(i, i + 4).split(""),
+				  CHUNK = GROUP.reduce((chunk, digit, index) => chunk | COMMON.BASE64.ALPHABET.indexOf(digit) << 18 - index * 6, 0);
+			BYTES.push(...[16, 8, 0].slice(0, GROUP.length - 1).map(shift => CHUNK >> shift & 0xFF));
+		}
+		return decodeUTF8(BYTES);
+	}
+
+	/**
+	 * Gets the bytes of a response body. Adapters without bytes() fall back to the UTF-8 encoded text.
+	 *
+	 * @param {Object} response - Response of the adapter
+	 * @returns {Array.<number>} Bytes of the response body
+	 */
+	function getResponseBytes(response) {
+		const BYTES = getType(response.bytes) === "Function" ? response.bytes() : undefined;
+		return BYTES ? Array.from(BYTES) : encodeUTF8(response.text());
+	}
+
+	/**
+	 * Gets the media type of a Content-Type header, without parameters and in lowercase.
+	 * An invalid header is returned as it is, so that failure messages show it.
+	 *
+	 * @param {string} contentType - Value of the Content-Type header
+	 * @returns {string} Media type, an empty string without a header
+	 */
+	function getMediaType(contentType) {
+		try {
+			return parseMediaType(contentType).essence;
+		} catch (error) {
+			return contentType || "";
+		}
+	}
+
+	/**
+	 * Computes the SHA-256 hash of a text or bytes. Texts are hashed as UTF-8.
+	 *
+	 * @param {(string|Array.<number>|Uint8Array)} data - Text or bytes to hash
+	 * @returns {string} Hash as lowercase hexadecimal
+	 * @throws {TypeError} Parameter must be a string, an array of bytes or a Uint8Array
+	 */
+	function getSHA256(data) {
+		let bytes;
+		if (getType(data) === "String") {
+			bytes = encodeUTF8(data);
+		} else if (Array.isArray(data) || ArrayBuffer.isView(data)) {
+			bytes = Array.from(data);
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		// The round constants and initial hash are the fractional parts of the cube and square roots of the first primes
+		const PRIMES = [];
+		for (let candidate = 2; PRIMES.length < 64; candidate++) {
+			PRIMES.every(prime => candidate % prime) && PRIMES.push(candidate);
+		}
+		const fraction = value => (value - Math.floor(value)) * 0x100000000 >>> 0,
+			  rotate = (value, bits) => value >>> bits | value << 32 - bits,
+			  K = PRIMES.map(prime => fraction(Math.cbrt(prime))),
+			  HASH = PRIMES.slice(0, 8).map(prime => fraction(Math.sqrt(prime))),
+			  BITS = bytes.length * 8,
+			  W = new Array(64);
+		bytes.push(0x80);
+		while (bytes.length % 64 !== 56) {
+			bytes.push(0);
+		}
+		for (let shift = 56; shift >= 0; shift -= 8) {
+			bytes.push(Math.floor(BITS / 2 ** shift) & 0xFF);
+		}
+		for (let offset = 0; offset < bytes.length; offset += 64) {
+			for (let i = 0; i < 64; i++) {
+				if (i < 16) {
+					W[i] = bytes[offset + i * 4] << 24 | bytes[offset + i * 4 + 1] << 16 | bytes[offset + i * 4 + 2] << 8 | bytes[offset + i * 4 + 3];
+				} else {
+					const S0 = rotate(W[i - 15], 7) ^ rotate(W[i - 15], 18) ^ W[i - 15] >>> 3,
+						  S1 = rotate(W[i - 2], 17) ^ rotate(W[i - 2], 19) ^ W[i - 2] >>> 10;
+					W[i] = W[i - 16] + S0 + W[i - 7] + S1 | 0;
+				}
+			}
+			const STATE = HASH.slice();
+			for (let i = 0; i < 64; i++) {
+				const [A, B, C, D, E, F, G, H] = STATE,
+					  T1 = H + (rotate(E, 6) ^ rotate(E, 11) ^ rotate(E, 25)) + (E & F ^ ~E & G) + K[i] + W[i] | 0,
+					  T2 = (rotate(A, 2) ^ rotate(A, 13) ^ rotate(A, 22)) + (A & B ^ A & C ^ B & C) | 0;
+				STATE.splice(0, 8, T1 + T2 | 0, A, B, C, D + T1 | 0, E, F, G);
+			}
+			STATE.forEach((value, index) => {
+				HASH[index] = HASH[index] + value | 0;
+			});
+		}
+		return HASH.map(value => (value >>> 0).toString(16).padStart(8, "0")).join("");
+	}
+
+	/**
+	 * Parses an XML document and checks that it is well-formed. Comments, processing instructions and the DOCTYPE are skipped.
+	 * Elements are returned as {name, attributes, children, text}, where text is the text content of the element and its descendants.
+	 *
+	 * @param {string} xml - XML document
+	 * @returns {Object} Root element
+	 * @throws {TypeError} Parameter must be a string
+	 * @throws {SyntaxError} The document must be well-formed
+	 */
+	function parseXML(xml) {
+		if (getType(xml) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const TEXT = xml.replace(/^\uFEFF/, "");
+		let position = 0;
+		const fail = message => {
+			throw new SyntaxError(`${message} at position ${position} of the XML`);
+		};
+		const skipPast = end => {
+			const INDEX = TEXT.indexOf(end, position);
+			INDEX === -1 && fail(`Expected "${end}"`);
+			const SKIPPED = TEXT.slice(position, INDEX);
+			position = INDEX + end.length;
+			return SKIPPED;
+		};
+		const decode = text => text.replace(/&([^;&\s]*);?/g, (match, entity) => {
+			const CODE = /^#x([0-9a-f]+)$/i.exec(entity) ? parseInt(entity.slice(2), 16) : /^#[0-9]+$/.test(entity) ? Number(entity.slice(1)) : undefined;
+			if (!match.endsWith(";") || (CODE === undefined && !COMMON.XML.ENTITIES[entity])) {
+				fail(`Invalid entity reference "${match}"`);
+			}
+			return CODE === undefined ? COMMON.XML.ENTITIES[entity] : String.fromCodePoint(CODE);
+		});
+		const readName = () => {
+			const MATCH = COMMON.XML.NAME.exec(TEXT.slice(position));
+			MATCH || fail("Expected a name");
+			position += MATCH[0].length;
+			return MATCH[0];
+		};
+		const skipWhitespace = () => {
+			while (/\s/.test(TEXT[position] || "")) {
+				position++;
+			}
+		};
+		const skipMisc = () => {
+			for (skipWhitespace(); TEXT.startsWith("<!--", position) || TEXT.startsWith("<?", position) || TEXT.startsWith("<!DOCTYPE", position); skipWhitespace()) {
+				if (TEXT.startsWith("<!--", position)) {
+					skipPast("-->");
+				} else if (TEXT.startsWith("<?", position)) {
+					skipPast("?>");
+				} else {
+					// An internal subset of the DOCTYPE ends with "]" before the closing ">"
+					const SUBSET = TEXT.indexOf("[", position) !== -1 && TEXT.indexOf("[", position) < TEXT.indexOf(">", position);
+					SUBSET && skipPast("]");
+					skipPast(">");
+				}
+			}
+		};
+		const parseElement = () => {
+			TEXT[position] === "<" || fail("Expected an element");
+			position++;
+			const ELEMENT = {name: readName(), attributes: {}, children: [], text: ""};
+			for (skipWhitespace(); !TEXT.startsWith("/>", position) && TEXT[position] !== ">"; skipWhitespace()) {
+				position < TEXT.length || fail(`Unclosed start tag <${ELEMENT.name}>`);
+				const NAME = readName();
+				skipWhitespace();
+				TEXT[position] === "=" || fail(`Expected "=" after attribute ${NAME}`);
+				position++;
+				skipWhitespace();
+				const QUOTE = TEXT[position];
+				QUOTE === "\"" || QUOTE === "'" || fail(`Expected a quoted value for attribute ${NAME}`);
+				position++;
+				const VALUE = skipPast(QUOTE);
+				VALUE.includes("<") && fail(`Invalid "<" in attribute ${NAME}`);
+				ELEMENT.attributes[NAME] !== undefined && fail(`Duplicate attribute ${NAME}`);
+				ELEMENT.attributes[NAME] = decode(VALUE);
+			}
+			if (TEXT.startsWith("/>", position)) {
+				position += 2;
+				return ELEMENT;
+			}
+			position++;
+			while (!TEXT.startsWith("</", position)) {
+				position < TEXT.length || fail(`Unclosed element <${ELEMENT.name}>`);
+				if (TEXT.startsWith("<!--", position)) {
+					skipPast("-->");
+				} else if (TEXT.startsWith("<![CDATA[", position)) {
+					position += 9;
+					ELEMENT.text += skipPast("]]>");
+				} else if (TEXT.startsWith("<?", position)) {
+					skipPast("?>");
+				} else if (TEXT[position] === "<") {
+					const CHILD = parseElement();
+					ELEMENT.children.push(CHILD);
+					ELEMENT.text += CHILD.text;
+				} else {
+					const END = TEXT.indexOf("<", position);
+					ELEMENT.text += decode(TEXT.slice(position, END === -1 ? TEXT.length : END));
+					position = END === -1 ? TEXT.length : END;
+				}
+			}
+			position += 2;
+			const CLOSING = readName();
+			CLOSING === ELEMENT.name || fail(`Expected </${ELEMENT.name}> but got </${CLOSING}>`);
+			skipWhitespace();
+			TEXT[position] === ">" || fail(`Unclosed end tag </${CLOSING}>`);
+			position++;
+			return ELEMENT;
+		};
+		skipMisc();
+		const ROOT = parseElement();
+		skipMisc();
+		position < TEXT.length && fail("Unexpected content after the root element");
+		return ROOT;
+	}
+
+	/**
+	 * Checks if an element name matches a name test. A test without prefix matches the local name of a prefixed element.
+	 *
+	 * @param {string} name - Element or attribute name
+	 * @param {string} test - Name test, "*" matches every name
+	 * @returns {boolean} True if the name matches
+	 */
+	function matchesXMLName(name, test) {
+		return test === "*" || name === test || (!test.includes(":") && name.slice(name.indexOf(":") + 1) === test);
+	}
+
+	/**
+	 * Parses the XPath subset of selectXPath into steps.
+	 *
+	 * @param {string} path - XPath expression
+	 * @returns {Array.<Object>} Steps as {axis, test, predicates}
+	 * @throws {SyntaxError} The expression must be supported
+	 */
+	function parseXPath(path) {
+		const STEP = /(\/\/?)(text\(\)|@?[\w.:-]+|@?\*)((?:\[(?:[^\]'"]|'[^']*'|"[^"]*")*\])*)/y,
+			  PREDICATE = /\[((?:[^\]'"]|'[^']*'|"[^"]*")*)\]/g,
+			  STEPS = [];
+		let match;
+		STEP.lastIndex = 0;
+		while (STEP.lastIndex < path.length && (match = STEP.exec(path)) !== null) {
+			const PREDICATES = [];
+			let predicate;
+			while ((predicate = PREDICATE.exec(match[3])) !== null) {
+				PREDICATES.push(predicate[1].trim());
+			}
+			STEPS.push({axis: match[1], test: match[2], predicates: PREDICATES});
+		}
+		const VALUE_STEP = STEPS.findIndex(step => step.test.startsWith("@") || step.test === "text()");
+		if (!STEPS.length || match === null || (VALUE_STEP !== -1 && VALUE_STEP < STEPS.length - 1)) {
+			throw new SyntaxError(`Unsupported XPath "${path}"`);
+		}
+		return STEPS;
+	}
+
+	/**
+	 * Filters the nodes selected from one context node with the predicates of a step.
+	 *
+	 * @param {Array.<Object>} nodes - Selected elements
+	 * @param {Array.<string>} predicates - Predicates of the step
+	 * @param {string} path - XPath expression for error messages
+	 * @returns {Array.<Object>} Elements that match every predicate
+	 * @throws {SyntaxError} The predicates must be supported
+	 */
+	function filterXPathPredicates(nodes, predicates, path) {
+		return predicates.reduce((selected, predicate) => {
+			const COMPARISON = /^(@?[\w.:-]+|text\(\)|\.)\s*(!?=)\s*(?:'([^']*)'|"([^"]*)"|(-?\d+(?:\.\d+)?))$/.exec(predicate);
+			if (/^\d+$/.test(predicate) || predicate === "last()") {
+				const INDEX = predicate === "last()" ? selected.length - 1 : Number(predicate) - 1;
+				return selected[INDEX] ? [selected[INDEX]] : [];
+			} else if (/^@?[\w.:-]+$|^@\*$/.test(predicate)) {
+				return selected.filter(node => getXPathValues(node, predicate).length > 0);
+			} else if (COMPARISON) {
+				const EXPECTED = [COMPARISON[3], COMPARISON[4], COMPARISON[5]].find(value => value !== undefined),
+					  NUMERIC = COMPARISON[5] !== undefined;
+				return selected.filter(node => {
+					const VALUES = COMPARISON[1] === "." || COMPARISON[1] === "text()" ? [node.text] : getXPathValues(node, COMPARISON[1]),
+						  EQUAL = VALUES.some(value => NUMERIC ? Number(value) === Number(EXPECTED) : value === EXPECTED);
+					return COMPARISON[2] === "=" ? EQUAL : VALUES.length > 0 && !EQUAL;
+				});
+			}
+			throw new SyntaxError(`Unsupported predicate [${predicate}] in XPath "${path}"`);
+		}, nodes);
+	}
+
+	/**
+	 * Gets the attribute values or the text content of the child elements of a node that match a name test.
+	 *
+	 * @param {Object} node - Element
+	 * @param {string} test - "@name" for attributes, otherwise the name of child elements
+	 * @returns {Array.<string>} Matching values
+	 */
+	function getXPathValues(node, test) {
+		return test.startsWith("@") ?
+			Object.keys(node.attributes).filter(name => matchesXMLName(name, test.slice(1))).map(name => node.attributes[name]) :
+			node.children.filter(child => matchesXMLName(child.name, test)).map(child => child.text);
+	}
+
+	/**
+	 * Selects nodes with an XPath subset: absolute paths with "/" and "//", name tests with or without prefix, "*", "@attribute",
+	 * "text()" and the predicates [n], [last()], [@attribute], [child] and [@attribute='value'], [child='value'], [text()='value']
+	 * with "=" or "!=".
+	 *
+	 * @param {(string|Object)} xml - XML document or an element returned by parseXML
+	 * @param {string} path - XPath expression, for example "/cities/city[@code='2000']/name"
+	 * @returns {Array.<(Object|string)>} Selected elements, or strings for attributes and text()
+	 * @throws {TypeError} Parameters must be a document and a string
+	 * @throws {SyntaxError} The document must be well-formed and the expression supported
+	 */
+	function selectXPath(xml, path) {
+		const ROOT = getType(xml) === "String" ? parseXML(xml) : xml;
+		if (getType(ROOT) !== "Object" || !Array.isArray(ROOT.children) || getType(path) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const getDescendants = node => [node].concat(...node.children.map(getDescendants));
+		return parseXPath(path).reduce((context, step) => {
+			const SOURCES = step.axis === "//" ? [].concat(...context.map(getDescendants)) : context,
+				  SELECTED = [];
+			SOURCES.forEach(source => {
+				const NODES = step.test.startsWith("@") || step.test === "text()" ? [source] : source.children.filter(child => matchesXMLName(child.name, step.test));
+				filterXPathPredicates(NODES, step.predicates, path).forEach(node => SELECTED.includes(node) || SELECTED.push(node));
+			});
+			if (step.test === "text()") {
+				return SELECTED.map(node => node.text);
+			}
+			return step.test.startsWith("@") ? [].concat(...SELECTED.map(node => getXPathValues(node, step.test))) : SELECTED;
+		}, [{name: "#document", attributes: {}, children: [ROOT], text: ROOT.text}]);
+	}
+
+	/**
+	 * Checks if the response body is well-formed XML and, per XPath expression, if it selects the expected nodes.
+	 * An expected string is compared with the trimmed text of the first node, a regex is tested against it,
+	 * a number is the expected count and a boolean tells if the expression must select something.
+	 *
+	 * @param {Object} assertions - XPath expressions mapped to the expected value (optional)
+	 * @throws {TypeError} Parameter must be an object with string, regex, number or boolean values
+	 * @throws {SyntaxError} The XPath expressions must be supported
+	 */
+	function checkXML(assertions = {}) {
+		if (getType(assertions) === "Object" && Object.values(assertions).every(expected => ["String", "RegExp", "Number", "Boolean"].includes(getType(expected)))) {
+			Object.keys(assertions).forEach(parseXPath);
+			const ADAPTER = getAdapter();
+			let document = null,
+				parseError = null;
+			try {
+				document = parseXML(ADAPTER.getResponse().text());
+			} catch (error) {
+				parseError = error;
+			}
+			ADAPTER.test("XML Well-formed", () => {
+				ADAPTER.assert(parseError === null, `Expected a well-formed XML response body but got "${parseError && parseError.message}"`);
+			});
+			Object.keys(assertions).forEach(path => {
+				const EXPECTED = assertions[path];
+				ADAPTER.test(`XPath ${path}`, () => {
+					ADAPTER.assert(document !== null, "Expected a well-formed XML response body");
+					const VALUES = selectXPath(document, path).map(node => getType(node) === "String" ? node : node.text);
+					if (getType(EXPECTED) === "Boolean") {
+						ADAPTER.assert((VALUES.length > 0) === EXPECTED, EXPECTED ? `Expected ${path} to select a node` : `Expected ${path} to select nothing but got ${VALUES.length} nodes`);
+					} else if (getType(EXPECTED) === "Number") {
+						ADAPTER.assert(VALUES.length === EXPECTED, `Expected ${path} to select ${EXPECTED} nodes but got ${VALUES.length}`);
+					} else {
+						ADAPTER.assert(VALUES.length > 0, `Expected ${path} to select a node`);
+						const VALUE = VALUES[0].trim();
+						ADAPTER.assert(getType(EXPECTED) === "RegExp" ? EXPECTED.test(VALUE) : VALUE === EXPECTED, `Expected ${path} to ${getType(EXPECTED) === "RegExp" ? "match" : "be"} "${EXPECTED}" but got "${VALUE}"`);
+					}
+				});
 			});
 		} else {
-			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
 		}
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Checks if the service responds with the correct status. Aborts the test flow if there are infrastructural issues.
- *
- * @param {number} statusCode - Code of the response status
- * @throws {TypeError} Parameter must be a number
- * @throws {RangeError} Parameter must be an existing status code number
- */
-function checkStatusCode(statusCode) {
-	if (getType(statusCode) === "Number") {
-		const ERROR_CODES = [503, 500, 502, 504, 401, 403];
-		let descriptionStatusCode = "Status Code ";
-		switch (true) {
-			case (100 <= statusCode && statusCode <= 199):
-				descriptionStatusCode += "(Information)";
-				break;
-			case (200 <= statusCode && statusCode <= 299):
-				descriptionStatusCode += "(Success)";
-				break;
-			case (300 <= statusCode && statusCode <= 399):
-				descriptionStatusCode += "(Redirection)";
-				break;
-			case (400 <= statusCode && statusCode <= 499):
-				descriptionStatusCode += "(Client Error)";
-				break;
-			case (500 <= statusCode && statusCode <= 599):
-				descriptionStatusCode += "(Server Error)";
-				break;
-			default:
-				throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+	}
+
+	/**
+	 * Validates an element against a structure definition, a small subset of what an XSD describes.
+	 *
+	 * @param {Object} element - Element returned by parseXML
+	 * @param {Object} definition - Structure definition, see checkXMLStructure
+	 * @param {string} path - Path of the element for error messages
+	 * @returns {Array.<Object>} Errors as {path, message}
+	 */
+	function getXMLStructureErrors(element, definition, path) {
+		const ERRORS = [],
+			  add = message => ERRORS.push({path: path, message: message}),
+			  ATTRIBUTES = definition.attributes || {},
+			  CHILDREN = definition.children || [];
+		if (!matchesXMLName(element.name, definition.name)) {
+			add(`Expected element <${definition.name}> but got <${element.name}>`);
+			return ERRORS;
+		}
+		Object.keys(ATTRIBUTES).forEach(name => {
+			const VALUE = element.attributes[name],
+				  PATTERN = ATTRIBUTES[name].pattern;
+			if (VALUE === undefined) {
+				ATTRIBUTES[name].required && add(`Missing required attribute ${name}`);
+			} else if (PATTERN !== undefined && !new RegExp(PATTERN).test(VALUE)) {
+				add(`Attribute ${name} "${VALUE}" does not match ${PATTERN}`);
+			}
+		});
+		if (definition.text !== undefined && !new RegExp(definition.text).test(element.text.trim())) {
+			add(`Text "${element.text.trim()}" does not match ${definition.text}`);
 		}
-		pm.test(descriptionStatusCode, () => {
-			pm.response.to.have.status(statusCode);
+		CHILDREN.forEach(child => {
+			const MATCHES = element.children.filter(node => matchesXMLName(node.name, child.name)),
+				  MIN = child.minOccurs === undefined ? 1 : child.minOccurs,
+				  MAX = child.maxOccurs === undefined ? 1 : child.maxOccurs;
+			if (MATCHES.length < MIN) {
+				add(`Expected at least ${MIN} <${child.name}> elements but got ${MATCHES.length}`);
+			} else if (MATCHES.length > MAX) {
+				add(`Expected at most ${MAX} <${child.name}> elements but got ${MATCHES.length}`);
+			}
+			MATCHES.forEach((node, index) => ERRORS.push(...getXMLStructureErrors(node, child, `${path}/${node.name}[${index + 1}]`)));
 		});
-		if (pm.response.code != statusCode) {
-			for (let i = 0; i < ERROR_CODES.length; i++) {
-				if (pm.response.code === ERROR_CODES[i]) {
-					postman.setNextRequest(null);
-					break;
+		definition.additionalChildren || element.children
+			.filter(node => !CHILDREN.some(child => matchesXMLName(node.name, child.name)))
+			.forEach(node => add(`Unexpected element <${node.name}>`));
+		return ERRORS;
+	}
+
+	/**
+	 * Checks if the XML response body has the defined structure: a lightweight alternative for an XSD.
+	 * A definition describes an element as {name, attributes, text, children, additionalChildren}:
+	 * attributes maps names to {required, pattern}, text is a pattern for the trimmed text content and children are definitions
+	 * with minOccurs and maxOccurs (both default 1, Infinity for unbounded). Undeclared children are errors unless additionalChildren is true.
+	 *
+	 * @param {Object} definition - Definition of the root element
+	 * @throws {TypeError} Parameter must be an object with a name
+	 */
+	function checkXMLStructure(definition) {
+		if (getType(definition) === "Object" && getType(definition.name) === "String") {
+			const ADAPTER = getAdapter();
+			let errors;
+			try {
+				const ROOT = parseXML(ADAPTER.getResponse().text());
+				errors = getXMLStructureErrors(ROOT, definition, `/${ROOT.name}`);
+			} catch (error) {
+				errors = [{path: "/", message: error.message}];
+			}
+			const MORE = errors.length > 1 ? `, and ${errors.length - 1} more` : "";
+			ADAPTER.test(errors.length ? `XML Structure (${errors[0].message} at ${errors[0].path}${MORE})` : "XML Structure", () => {
+				ADAPTER.assert(errors.length === 0, `Expected the response body to match the XML structure:\n${errors.map(error => `${error.path}: ${error.message}`).join("\n")}`);
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Parses CSV as described in RFC 4180: quoted fields may contain delimiters, line breaks and doubled quotes.
+	 *
+	 * @param {string} csv - CSV text
+	 * @param {string} delimiter - Field delimiter (default ",")
+	 * @returns {Array.<Array.<string>>} Rows of fields
+	 * @throws {TypeError} Parameters must be strings, the delimiter a single character
+	 * @throws {SyntaxError} Quoted fields must be closed
+	 */
+	function parseCSV(csv, delimiter = COMMON.CSV.DELIMITER) {
+		if (getType(csv) !== "String" || getType(delimiter) !== "String" || delimiter.length !== 1) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const TEXT = csv.replace(/^\uFEFF/, ""),
+			  ROWS = [];
+		let row = [],
+			field = "",
+			quoted = false;
+		for (let i = 0; i < TEXT.length; i++) {
+			const CHARACTER = TEXT[i];
+			if (quoted) {
+				if (CHARACTER !== "\"") {
+					field += CHARACTER;
+				} else if (TEXT[i + 1] === "\"") {
+					field += CHARACTER;
+					i++;
+				} else {
+					quoted = false;
 				}
+			} else if (CHARACTER === "\"" && field === "") {
+				quoted = true;
+			} else if (CHARACTER === delimiter) {
+				row.push(field);
+				field = "";
+			} else if (CHARACTER === "\n" || CHARACTER === "\r") {
+				CHARACTER === "\r" && TEXT[i + 1] === "\n" && i++;
+				ROWS.push(row.concat(field));
+				row = [];
+				field = "";
+			} else {
+				field += CHARACTER;
 			}
 		}
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Checks if the service responds with the correct content type.
- *
- * @param {string} contentType - Type of the response body
- * @throws {TypeError} Parameter must be a string
- */
-function checkContentType(contentType) {
-	if (getType(contentType) === "String") {
-		pm.test("Content Type", () => {
-			pm.response.to.have.header("Content-Type");
-			pm.expect(pm.response.headers.get("Content-Type")).to.include(contentType);
+		if (quoted) {
+			throw new SyntaxError("Unterminated quoted field in the CSV");
+		}
+		(field !== "" || row.length) && ROWS.push(row.concat(field));
+		return ROWS;
+	}
+
+	/**
+	 * Checks the CSV response body: the header row, the number of columns of every row and the values per column.
+	 * The first row is the header. Column patterns are regex pattern strings, like getRegexGUID() returns, or regexes.
+	 *
+	 * @param {Object} options - Options
+	 * @param {Array.<string>} options.header - Expected column names of the header row (optional)
+	 * @param {number} options.columns - Expected number of columns (default the number of columns of the header row)
+	 * @param {Object} options.patterns - Column names mapped to a pattern that every value of the column must match (optional)
+	 * @param {string} options.delimiter - Field delimiter (default ",")
+	 * @throws {TypeError} Options must be valid
+	 */
+	function checkCSV(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.CSV.OPTIONS, FUNCTION_NAME);
+		const PATTERNS = options.patterns || {};
+		if ((options.header !== undefined && !(Array.isArray(options.header) && options.header.every(name => getType(name) === "String"))) ||
+			(options.columns !== undefined && !(Number.isInteger(options.columns) && options.columns > 0)) ||
+			(options.delimiter !== undefined && !(getType(options.delimiter) === "String" && options.delimiter.length === 1)) ||
+			getType(PATTERNS) !== "Object" || !Object.values(PATTERNS).every(pattern => ["String", "RegExp"].includes(getType(pattern)))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			  describe = rows => rows.slice(0, COMMON.CSV.REPORTED_ROWS).join(", ") + (rows.length > COMMON.CSV.REPORTED_ROWS ? `, and ${rows.length - COMMON.CSV.REPORTED_ROWS} more` : "");
+		let rows = [],
+			parseError = null;
+		try {
+			rows = parseCSV(ADAPTER.getResponse().text(), options.delimiter);
+		} catch (error) {
+			parseError = error;
+		}
+		const HEADER = rows[0] || [],
+			  assertParsed = () => ADAPTER.assert(parseError === null, `Expected a valid CSV response body but got "${parseError && parseError.message}"`);
+		options.header && ADAPTER.test("CSV Header", () => {
+			assertParsed();
+			ADAPTER.assert(JSON.stringify(HEADER) === JSON.stringify(options.header), `Expected the header "${options.header.join(",")}" but got "${HEADER.join(",")}"`);
 		});
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Checks if the response body is structured conform the defined JSON schema.
- *
- * @param {Object} jsonSchema - JSON schema of the response body
- * @throws {TypeError} Parameter must be an object
- */
-function checkJSONSchema(jsonSchema) {
-	if (getType(jsonSchema) === "Object") {
-		const VALID = tv4.validate(pm.response.json(), jsonSchema),
-			  DESCRIPTION_JSON_SCHEMA = VALID ? "JSON Schema" : `JSON Schema (${tv4.error.message} for data path ${tv4.error.dataPath ? tv4.error.dataPath : "/"})`;
-		pm.test(DESCRIPTION_JSON_SCHEMA, () => {
-			pm.expect(VALID).to.be.true;
+		ADAPTER.test("CSV Columns", () => {
+			assertParsed();
+			const COLUMNS = options.columns || HEADER.length,
+				  INVALID = rows.map((row, index) => ({number: index + 1, length: row.length})).filter(row => row.length !== COLUMNS);
+			ADAPTER.assert(INVALID.length === 0, `Expected ${COLUMNS} columns in every row but got ${describe(INVALID.map(row => `${row.length} in row ${row.number}`))}`);
+		});
+		Object.keys(PATTERNS).forEach(name => {
+			ADAPTER.test(`CSV Column ${name}`, () => {
+				assertParsed();
+				const INDEX = HEADER.indexOf(name),
+					  PATTERN = getType(PATTERNS[name]) === "RegExp" ? PATTERNS[name] : new RegExp(PATTERNS[name]);
+				ADAPTER.assert(INDEX !== -1, `Expected a column "${name}" in the header`);
+				const INVALID = rows.slice(1)
+					.map((row, index) => ({number: index + 2, value: row[INDEX] === undefined ? "" : row[INDEX]}))
+					.filter(row => !PATTERN.test(row.value));
+				ADAPTER.assert(INVALID.length === 0, `Expected every value of column ${name} to match ${PATTERNS[name]} but got ${describe(INVALID.map(row => `"${row.value}" in row ${row.number}`))}`);
+			});
 		});
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
 	}
-}
 
-/**
- * Checks if the service responds with the correct location.
- *
- * @param {string} location - Location of the source
- * @throws {TypeError} Parameter must be a string
- */
-function checkLocation(location) {
-	if (getType(location) === "String") {
-		pm.test("Location", () => {
-			pm.response.to.be.header("Location", location);
+	/**
+	 * Checks a binary response body: its size, its file signature (magic number) against the content type and its checksum.
+	 * Signatures of common file types are in COMMON.BINARY.SIGNATURES, other types need the signature option.
+	 *
+	 * @param {Object} options - Options
+	 * @param {number} options.minSize - Minimum size in bytes (optional)
+	 * @param {number} options.maxSize - Maximum size in bytes (optional)
+	 * @param {string} options.contentType - Expected media type, the body must start with its signature (optional)
+	 * @param {string} options.signature - Hexadecimal bytes the body must start with (default the signature of the content type)
+	 * @param {string} options.sha256 - Expected SHA-256 checksum as hexadecimal (optional)
+	 * @throws {TypeError} Options must be valid
+	 * @throws {RangeError} The signature of the content type must be known
+	 */
+	function checkBinary(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.BINARY.OPTIONS, FUNCTION_NAME);
+		const isSize = value => value === undefined || (Number.isInteger(value) && value >= 0);
+		if (!isSize(options.minSize) || !isSize(options.maxSize) ||
+			(options.contentType !== undefined && getType(options.contentType) !== "String") ||
+			(options.signature !== undefined && !/^([0-9a-f]{2})+$/i.test(options.signature)) ||
+			(options.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(options.sha256))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const MEDIA_TYPE = getMediaType(options.contentType),
+			  SIGNATURE = (options.signature || COMMON.BINARY.SIGNATURES[MEDIA_TYPE] || "").toUpperCase();
+		if (options.contentType !== undefined && !SIGNATURE) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const ADAPTER = getAdapter(),
+			  RESPONSE = ADAPTER.getResponse(),
+			  BYTES = getResponseBytes(RESPONSE),
+			  toHex = bytes => bytes.map(byte => byte.toString(16).padStart(2, "0")).join("").toUpperCase();
+		(options.minSize !== undefined || options.maxSize !== undefined) && ADAPTER.test("Body Size", () => {
+			ADAPTER.assert(options.minSize === undefined || BYTES.length >= options.minSize, `Expected a response body of at least ${options.minSize} bytes but got ${BYTES.length}`);
+			ADAPTER.assert(options.maxSize === undefined || BYTES.length <= options.maxSize, `Expected a response body of at most ${options.maxSize} bytes but got ${BYTES.length}`);
 		});
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
-	}
-}
-
-/**
- * Gets the regex pattern for GUID's.
- *
- * @returns {string} Regex pattern string for GUID's
- */
-function getRegexGUID() {
-	return "^(?!00000000-0000-0000-0000-000000000000)([0-9a-zA-Z]{8}-[0-9a-zA-Z]{4}-[0-9a-zA-Z]{4}-[0-9a-zA-Z]{4}-[0-9a-zA-Z]{12})$";
-}
-
-/**
- * Gets the regex pattern for ISO datetimes.
- *
- * @returns {string} Regex pattern string for ISO datetimes
- */
-function getRegexISODateTime() {
-	return "^(?!0001-01-01T00:00:00Z)([0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}.?[0-9]*Z)$";
-}
-
-/**
- * Gets the regex pattern for URL's.
- *
- * @returns {string} Regex pattern string for URL's
- */
-function getRegexURL() {
-	return "^https?://[0-9a-zA-Z-]+\\.[0-9a-zA-Z-]+|https?://localhost";
-}
-
-/**
- * Gets the JSON schema for HAL.
- *
- * @param {Object} schemaResourceItems - Schema of the resource items (optional)
- * @returns {Object} JSON schema object for HAL
- * @throws {TypeError} Parameter must be an object
- */
-function getSchemaHAL(schemaResourceItems = {}) {
-	if (getType(schemaResourceItems) === "Object") {
+		SIGNATURE && ADAPTER.test("File Signature", () => {
+			const ACTUAL_TYPE = getMediaType(RESPONSE.getHeader("Content-Type")),
+				  START = toHex(BYTES.slice(0, SIGNATURE.length / 2));
+			ADAPTER.assert(!MEDIA_TYPE || ACTUAL_TYPE === MEDIA_TYPE, `Expected Content-Type "${MEDIA_TYPE}" but got "${ACTUAL_TYPE}"`);
+			ADAPTER.assert(START === SIGNATURE, `Expected the response body to start with the signature ${SIGNATURE}${MEDIA_TYPE ? ` of ${MEDIA_TYPE}` : ""} but got ${START || "an empty body"}`);
+		});
+		options.sha256 && ADAPTER.test("Checksum", () => {
+			const ACTUAL = getSHA256(BYTES);
+			ADAPTER.assert(ACTUAL === options.sha256.toLowerCase(), `Expected the SHA-256 checksum ${options.sha256.toLowerCase()} but got ${ACTUAL}`);
+		});
+	}
+
+	/**
+	 * Gets the regex pattern for GUID's, see createRegexGUID.
+	 *
+	 * @param {Object} options - Options of createRegexGUID (optional)
+	 * @returns {string} Regex pattern string for GUID's
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Option version must be a UUID version
+	 */
+	function getRegexGUID(options = {}) {
+		return createRegexGUID(options).pattern;
+	}
+
+	/**
+	 * Gets the regex pattern for ISO datetimes, see createRegexISODateTime.
+	 *
+	 * @param {Object} options - Options of createRegexISODateTime (optional)
+	 * @returns {string} Regex pattern string for ISO datetimes
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Option fractionDigits must be a valid range
+	 */
+	function getRegexISODateTime(options = {}) {
+		return createRegexISODateTime(options).pattern;
+	}
+
+	/**
+	 * Gets the regex pattern for URL's, see createRegexURL.
+	 *
+	 * @param {Object} options - Options of createRegexURL (optional)
+	 * @returns {string} Regex pattern string for URL's
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Options schemes and hosts must not be empty
+	 */
+	function getRegexURL(options = {}) {
+		return createRegexURL(options).pattern;
+	}
+
+	/**
+	 * Creates the regex pattern and a validator for GUID's (UUID's of RFC 9562): 32 hexadecimal digits in groups of 8-4-4-4-12,
+	 * a version digit of 1 to 8 and a variant digit of 8, 9, a or b. The nil GUID is rejected unless allowed.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.version - UUID version the GUID's must have, for example 4 (default any version)
+	 * @param {boolean} options.allowNil - Whether the nil GUID 00000000-0000-0000-0000-000000000000 matches (default false)
+	 * @returns {Object} {pattern, validate}: the regex pattern string, for example for JSON schemas,
+	 *                   and a function that returns the reasons a value does not match, an empty array if it does
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Option version must be a UUID version
+	 */
+	function createRegexGUID(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.REGEX.GUID_OPTIONS, FUNCTION_NAME);
+		if (!["Undefined", "Number"].includes(getType(options.version)) || !["Undefined", "Boolean"].includes(getType(options.allowNil))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		} else if (options.version !== undefined && !(Number.isInteger(options.version) && options.version >= 1 && options.version <= 8)) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const VERSION = options.version === undefined ? "[1-8]" : String(options.version),
+			  GUID = `[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-${VERSION}[0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}`;
 		return {
-			"type": "object",
-			"required": ["_links", "_embedded", "_page"],
-			"properties": {
-				"_links": {
-					"type": "object",
-					"required": ["self", "first", "last"],
-					"properties": {
-						"self": {
-							"type": "object",
-							"required": ["href"],
-							"properties": {
-								"href": {"type": "string", "pattern": getRegexURL()}
-							}
-						},
-						"next": {
-							"type": ["object", "null"],
-							"required": ["href"],
-							"properties": {
-								"href": {"type": "string", "pattern": getRegexURL()}
-							}
-						},
-						"previous": {
-							"type": ["object", "null"],
-							"required": ["href"],
-							"properties": {
-								"href": {"type": "string", "pattern": getRegexURL()}
-							}
-						},
-						"first": {
-							"type": "object",
-							"required": ["href"],
-							"properties": {
-								"href": {"type": "string", "pattern": getRegexURL()}
+			pattern: options.allowNil ? `^(${COMMON.REGEX.NIL_GUID}|${GUID})$` : `^(${GUID})$`,
+			validate: value => {
+				if (getType(value) !== "String" || !/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value)) {
+					return [`Expected a GUID of 32 hexadecimal digits in groups of 8-4-4-4-12 but got ${JSON.stringify(value)}`];
+				} else if (value === COMMON.REGEX.NIL_GUID) {
+					return options.allowNil ? [] : [`Expected a GUID but got the nil GUID ${value}`];
+				}
+				const ERRORS = [];
+				!new RegExp(`^${VERSION}$`).test(value[14]) &&
+					ERRORS.push(`Expected the version of GUID ${value} to be ${options.version === undefined ? "1 to 8" : options.version} but got ${value[14]}`);
+				!/^[89abAB]$/.test(value[19]) && ERRORS.push(`Expected the variant digit of GUID ${value} to be 8, 9, a or b but got ${value[19]}`);
+				return ERRORS;
+			}
+		};
+	}
+
+	/**
+	 * Creates the regex pattern and a validator for ISO datetimes of RFC 3339, for example 2024-03-01T10:15:00.123Z:
+	 * a valid date and time, "." as the fraction separator and Z or an offset such as +02:00.
+	 * The minimum value 0001-01-01T00:00:00Z is rejected unless allowed, the validator also rejects dates that do not exist.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {boolean} options.offsets - Whether offsets are allowed, false only allows UTC with Z (default true)
+	 * @param {(number|Array.<number>)} options.fractionDigits - Exact number of fraction digits, or their [minimum, maximum] (default [0, 9])
+	 * @param {boolean} options.allowMinValue - Whether 0001-01-01T00:00:00Z matches (default false)
+	 * @returns {Object} {pattern, validate}: the regex pattern string, for example for JSON schemas,
+	 *                   and a function that returns the reasons a value does not match, an empty array if it does
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Option fractionDigits must be a valid range
+	 */
+	function createRegexISODateTime(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, COMMON.REGEX.DATETIME_OPTIONS, FUNCTION_NAME);
+		const DIGITS = getType(options.fractionDigits) === "Number" ? [options.fractionDigits, options.fractionDigits] : options.fractionDigits || COMMON.REGEX.FRACTION_DIGITS;
+		if (!["Undefined", "Boolean"].includes(getType(options.offsets)) || !["Undefined", "Boolean"].includes(getType(options.allowMinValue)) ||
+			!(Array.isArray(DIGITS) && DIGITS.length === 2 && DIGITS.every(Number.isInteger))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		} else if (DIGITS[0] < 0 || DIGITS[1] < DIGITS[0]) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const [MIN, MAX] = DIGITS,
+			  OFFSETS = options.offsets !== false,
+			  FRACTION = MAX === 0 ? "" : `(\\.[0-9]{${Math.max(MIN, 1)},${MAX}})${MIN === 0 ? "?" : ""}`,
+			  ZONE = OFFSETS ? "(Z|[+-]([01][0-9]|2[0-3]):[0-5][0-9])" : "Z",
+			  MIN_VALUE = options.allowMinValue ? "" : `(?!${COMMON.REGEX.MIN_DATETIME}$)`,
+			  PATTERN = `^${MIN_VALUE}([0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)${FRACTION}${ZONE})$`,
+			  DESCRIPTION = MIN === MAX ? `${MIN}` : `${MIN} to ${MAX}`;
+		return {
+			pattern: PATTERN,
+			validate: value => {
+				const MATCH = getType(value) === "String" ? /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2}):(\d{2})(?:([^\dZ+-])(\d*))?(Z|[+-]\d{2}:\d{2})?$/.exec(value) : null;
+				if (MATCH === null) {
+					return [`Expected an ISO datetime like 2024-03-01T10:15:00Z but got ${JSON.stringify(value)}`];
+				}
+				const ERRORS = [],
+					  FRACTION_DIGITS = MATCH[6] === undefined ? 0 : MATCH[6].length;
+				!isCalendarDate(MATCH[1]) && ERRORS.push(`Expected the date of ${value} to exist but ${MATCH[1]} does not`);
+				!(Number(MATCH[2]) < 24 && Number(MATCH[3]) < 60 && Number(MATCH[4]) <= 60) && ERRORS.push(`Expected the time of ${value} to exist`);
+				MATCH[5] !== undefined && MATCH[5] !== "." && ERRORS.push(`Expected "." as the fraction separator of ${value} but got "${MATCH[5]}"`);
+				MATCH[6] === "" && ERRORS.push(`Expected digits after the fraction separator of ${value}`);
+				(FRACTION_DIGITS < MIN || FRACTION_DIGITS > MAX) && ERRORS.push(`Expected ${DESCRIPTION} fraction digits in ${value} but got ${FRACTION_DIGITS}`);
+				if (MATCH[7] === undefined) {
+					ERRORS.push(`Expected ${value} to end with ${OFFSETS ? "Z or an offset" : "Z"}`);
+				} else if (MATCH[7] !== "Z" && !OFFSETS) {
+					ERRORS.push(`Expected ${value} in UTC with Z but got the offset ${MATCH[7]}`);
+				} else if (MATCH[7] !== "Z" && !/^[+-]([01][0-9]|2[0-3]):[0-5][0-9]$/.test(MATCH[7])) {
+					ERRORS.push(`Expected the offset of ${value} to exist but ${MATCH[7]} does not`);
+				}
+				!options.allowMinValue && new RegExp(`^${COMMON.REGEX.MIN_DATETIME}$`).test(value) && ERRORS.push(`Expected a datetime but got the minimum value ${value}`);
+				return ERRORS;
+			}
+		};
+	}
+
+	/**
+	 * Creates the regex pattern and a validator for absolute URL's, for example https://api.antwerpen.be/cities?page=2:
+	 * an allowed scheme, a domain name or localhost with an optional port, a path without whitespace, a query and a fragment.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {Array.<string>} options.schemes - Allowed schemes (default https and http)
+	 * @param {Array.<string>} options.hosts - Allowed hosts (default the hosts of the profile in use, see getProfile, or any host)
+	 * @param {boolean} options.pathRequired - Whether the URL must have a path other than "/" (default false)
+	 * @returns {Object} {pattern, validate}: the regex pattern string, for example for JSON schemas,
+	 *                   and a function that returns the reasons a value does not match, an empty array if it does
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Options schemes and hosts must not be empty
+	 */
+	function createRegexURL(options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			  isList = list => list === undefined || (Array.isArray(list) && list.every(item => getType(item) === "String"));
+		validateOptions(options, COMMON.REGEX.URL_OPTIONS, FUNCTION_NAME);
+		if (!isList(options.schemes) || !isList(options.hosts) || !["Undefined", "Boolean"].includes(getType(options.pathRequired))) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		} else if ((options.schemes && options.schemes.length === 0) || (options.hosts && options.hosts.length === 0)) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${FUNCTION_NAME}`);
+		}
+		const SCHEMES = options.schemes || COMMON.REGEX.SCHEMES,
+			  HOSTS = options.hosts || applyProfile("hosts"),
+			  escape = text => text.replace(/[.*+?^$()|[\]\\{}]/g, "\\$&"),
+			  PATH = options.pathRequired ? "(/[^\\s?#]+)" : "(/[^\\s?#]*)?";
+		return {
+			pattern: `^(${SCHEMES.map(escape).join("|")})://(${HOSTS ? HOSTS.map(escape).join("|") : COMMON.REGEX.HOSTNAME})(:[0-9]{1,5})?${PATH}(\\?[^\\s#]*)?(#[^\\s]*)?$`,
+			validate: value => {
+				const MATCH = getType(value) === "String" ? /^([a-zA-Z][a-zA-Z0-9+.-]*):\/\/([^/?#:\s]*)(:\d{1,5})?([^?#\s]*)(\?[^#\s]*)?(#\S*)?$/.exec(value) : null;
+				if (MATCH === null) {
+					return [`Expected an absolute URL without whitespace like https://api.example.com/cities but got ${JSON.stringify(value)}`];
+				}
+				const ERRORS = [];
+				!SCHEMES.includes(MATCH[1]) && ERRORS.push(`Expected the scheme of ${value} to be ${SCHEMES.join(" or ")} but got ${MATCH[1]}`);
+				if (HOSTS) {
+					!HOSTS.includes(MATCH[2]) && ERRORS.push(`Expected the host of ${value} to be ${HOSTS.join(" or ")} but got ${MATCH[2]}`);
+				} else if (!new RegExp(`^(${COMMON.REGEX.HOSTNAME})$`).test(MATCH[2])) {
+					ERRORS.push(`Expected the host of ${value} to be a domain name or localhost but got "${MATCH[2]}"`);
+				}
+				options.pathRequired && MATCH[4].length <= 1 && ERRORS.push(`Expected ${value} to have a path`);
+				return ERRORS;
+			}
+		};
+	}
+
+	/**
+	 * Gets the JSON schema for HAL.
+	 *
+	 * @param {Object} schemaResourceItems - Schema of the resource items (optional)
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.pageBase - Number of the first page, 0 or 1 (default the configured hal.pageBase, 1)
+	 * @param {Array.<string>} options.requiredLinks - Links that must be present (default the configured hal.requiredLinks, self, first and last)
+	 * @returns {Object} JSON schema object for HAL
+	 * @throws {TypeError} Parameters must be objects and options must be known
+	 * @throws {RangeError} Option pageBase must be 0 or 1 and requiredLinks must contain HAL pagination links
+	 */
+	function getSchemaHAL(schemaResourceItems = {}, options = {}) {
+		if (getType(schemaResourceItems) === "Object") {
+			const HAL = getHALOptions(options, ["pageBase", "requiredLinks"], getFunctionNameFromInside(new Error()));
+			return {
+				"type": "object",
+				"required": ["_links", "_embedded", "_page"],
+				"properties": {
+					"_links": {
+						"type": "object",
+						"required": HAL.requiredLinks.slice(),
+						"properties": {
+							"self": {
+								"type": "object",
+								"required": ["href"],
+								"properties": {
+									"href": {"type": "string", "pattern": getRegexURL()}
+								}
+							},
+							"next": {
+								"type": ["object", "null"],
+								"required": ["href"],
+								"properties": {
+									"href": {"type": "string", "pattern": getRegexURL()}
+								}
+							},
+							"previous": {
+								"type": ["object", "null"],
+								"required": ["href"],
+								"properties": {
+									"href": {"type": "string", "pattern": getRegexURL()}
+								}
+							},
+							"first": {
+								"type": "object",
+								"required": ["href"],
+								"properties": {
+									"href": {"type": "string", "pattern": getRegexURL()}
+								}
+							},
+							"last": {
+								"type": "object",
+								"required": ["href"],
+								"properties": {
+									"href": {"type": "string", "pattern": getRegexURL()}
+								}
 							}
-						},
-						"last": {
-							"type": "object",
-							"required": ["href"],
-							"properties": {
-								"href": {"type": "string", "pattern": getRegexURL()}
+						}
+					},
+					"_embedded": {
+						"type": "object",
+						"required": ["resourceList"],
+						"properties": {
+							"resourceList": {
+								"type": "array",
+								"items": schemaResourceItems
 							}
 						}
-					}
-				},
-				"_embedded": {
-					"type": "object",
-					"required": ["resourceList"],
-					"properties": {
-						"resourceList": {
-							"type": "array",
-							"items": schemaResourceItems
+					},
+					"_page": {
+						"type": "object",
+						"required": ["size", "number"],
+						"properties": {
+							"size": {"type": "number", "minimum": 0, "multipleOf": 1},
+							"totalElements": {"type": "number", "minimum": 0, "multipleOf": 1},
+							"totalPages": {"type": "number", "minimum": 0, "multipleOf": 1},
+							"number": {"type": "number", "minimum": HAL.pageBase, "multipleOf": 1}
 						}
 					}
-				},
-				"_page": {
-					"type": "object",
-					"required": ["size", "number"],
-					"properties": {
-						"size": {"type": "number", "minimum": 0, "multipleOf": 1},
-						"totalElements": {"type": "number", "minimum": 0, "multipleOf": 1},
-						"totalPages": {"type": "number", "minimum": 0, "multipleOf": 1},
-						"number": {"type": "number", "minimum": 1, "multipleOf": 1}
-					}
 				}
-			}
+			};
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Checks the pagination of a HAL response: totalPages against totalElements and size, the page number, the number of
+	 * resource items and the next, previous, first and last links. Page numbers in "page" query parameters of the links are
+	 * compared with the expected pages. All inconsistencies are reported in one test.
+	 *
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.pageBase - Number of the first page, 0 or 1 (default the configured hal.pageBase)
+	 * @throws {TypeError} Options must be known
+	 * @throws {RangeError} Option pageBase must be 0 or 1
+	 */
+	function checkHALPagination(options = {}) {
+		const PAGE_BASE = getHALOptions(options, ["pageBase"], getFunctionNameFromInside(new Error())).pageBase,
+			ADAPTER = getAdapter();
+		ADAPTER.test("HAL Pagination", () => {
+			const ERRORS = getHALPaginationErrors(ADAPTER.getResponse().json(), PAGE_BASE);
+			ADAPTER.assert(!ERRORS.length, `Expected consistent pagination but ${ERRORS.join(", ")}`);
+		});
+	}
+
+	/**
+	 * Follows the next links of a paginated HAL collection from the given page and collects every resource item.
+	 * The pagination of every page is checked as in checkHALPagination, and the number of items must equal totalElements;
+	 * the result is reported as one test.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the first page, see pm.sendRequest;
+	 *                                    the next pages are requested with the same definition and the href of the next link
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.pageBase - Number of the first page, 0 or 1 (default the configured hal.pageBase)
+	 * @param {number} options.maxPages - Maximum number of pages that is requested (default 100)
+	 * @returns {Promise.<Object>} Resolved with {items, pages}, the pages are the parsed response bodies
+	 * @throws {TypeError} Parameters must be a request and a valid options object
+	 * @throws {RangeError} Option pageBase must be 0 or 1
+	 */
+	function walkHALPages(request, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			PAGE_BASE = getHALOptions(options, ["pageBase", "maxPages"], FUNCTION_NAME).pageBase;
+		return followPages("HAL", request, options.maxPages, FUNCTION_NAME, response => {
+			const BODY = response.json();
+			return {
+				body: BODY,
+				items: (BODY._embedded || {}).resourceList || [],
+				next: ((BODY._links || {}).next || {}).href,
+				errors: getHALPaginationErrors(BODY, PAGE_BASE)
+			};
+		}, result => {
+			const TOTAL = (result.pages[result.pages.length - 1]._page || {}).totalElements;
+			return getType(TOTAL) === "Number" && TOTAL !== result.items.length ? [`${result.items.length} items were collected while totalElements is ${TOTAL}`] : [];
+		});
+	}
+
+	/**
+	 * Requests the pages of a paginated collection one after the other and reports the result as one "<format> Pages" test.
+	 *
+	 * @param {string} format - Name of the pagination format in the test name
+	 * @param {(Object|string)} request - Request definition or URL of the first page, see pm.sendRequest;
+	 *                                    the next pages are requested with the same definition and the URL of the next page
+	 * @param {number} maxPages - Maximum number of pages that is requested (default 100)
+	 * @param {string} functionName - Name of the function that walks the pages
+	 * @param {function(Object, string): Object} readPage - Reads a response and its URL into {body, items, next, errors},
+	 *                                                    where next is the URL of the next page, relative URLs are resolved
+	 * @param {function(Object): Array.<string>} checkResult - Finds inconsistencies in the collected {items, pages} (optional)
+	 * @returns {Promise.<Object>} Resolved with {items, pages}, the pages are the parsed response bodies
+	 * @throws {TypeError} Parameters must be a request and a strictly positive integer
+	 */
+	function followPages(format, request, maxPages = COMMON.PAGINATION.MAX_PAGES, functionName, readPage, checkResult = () => []) {
+		if (!["Object", "String"].includes(getType(request)) || !Number.isInteger(maxPages) || maxPages < 1) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		}
+		const ADAPTER = getAdapter(),
+			DEFINITION = getType(request) === "String" ? {url: request} : request,
+			RESULT = {items: [], pages: []},
+			ERRORS = [];
+		const report = error => {
+			!error && RESULT.pages.length && ERRORS.push(...checkResult(RESULT));
+			log("info", `${format} Pages: ${RESULT.items.length} items on ${RESULT.pages.length} pages`);
+			ADAPTER.test(`${format} Pages`, () => {
+				ADAPTER.assert(!error, `Expected page ${RESULT.pages.length + 1} to be retrieved but got "${error && error.message}"`);
+				ADAPTER.assert(!ERRORS.length, `Expected consistent pages but ${ERRORS.join(", ")}`);
+			});
+			return RESULT;
 		};
-	} else {
-		throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		const visit = url => sendRequest(Object.assign({}, DEFINITION, {url: url})).then(response => {
+			const PAGE = readPage(response, url),
+				NEXT = PAGE.next ? resolveURL(PAGE.next, url) : null;
+			RESULT.pages.push(PAGE.body);
+			RESULT.items.push(...PAGE.items);
+			(PAGE.errors || []).forEach(message => ERRORS.push(`page ${RESULT.pages.length}: ${message}`));
+			if (!NEXT) {
+				return report();
+			} else if (NEXT === url || RESULT.pages.length >= maxPages) {
+				ERRORS.push(NEXT === url ? `the next link of page ${RESULT.pages.length} refers to the page itself` : `there are more than ${maxPages} pages`);
+				return report();
+			}
+			return visit(NEXT);
+		}).catch(error => report(error));
+		return visit(String(DEFINITION.url));
+	}
+
+	/**
+	 * Resolves a URL reference, for example from a Link header, against the URL of the response.
+	 *
+	 * @param {string} reference - Absolute URL, absolute path or query
+	 * @param {string} base - Absolute URL
+	 * @returns {string} Absolute URL
+	 */
+	function resolveURL(reference, base) {
+		const ORIGIN = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^/?#]*/.exec(base);
+		if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(reference) || !ORIGIN) {
+			return reference;
+		} else if (reference.startsWith("//")) {
+			return base.split("//")[0] + reference;
+		} else if (reference.startsWith("/")) {
+			return ORIGIN[0] + reference;
+		} else if (reference.startsWith("?")) {
+			return base.split(/[?#]/)[0] + reference;
+		}
+		return base.split(/[?#]/)[0].replace(/[^/]*$/, "") + reference;
+	}
+
+	/**
+	 * Gets the HAL options with their configured defaults, see getSchemaHAL.
+	 *
+	 * @param {Object} options - Options passed to a HAL function
+	 * @param {Array.<string>} names - Names of the options the function knows
+	 * @param {string} functionName - Name of the function that receives the options
+	 * @returns {Object} Options merged with the configured hal settings
+	 * @throws {TypeError} Options must be known and of the right type
+	 * @throws {RangeError} Option pageBase must be 0 or 1 and requiredLinks must contain HAL pagination links
+	 */
+	function getHALOptions(options, names, functionName) {
+		validateOptions(options, names, functionName);
+		validateHALSettings(options, functionName);
+		return Object.assign({}, getSettings().hal, options);
+	}
+
+	/**
+	 * Validates HAL settings.
+	 *
+	 * @param {Object} hal - HAL settings with pageBase and requiredLinks, both optional
+	 * @param {string} functionName - Name of the function that receives the settings
+	 * @throws {TypeError} Settings must be of the right type
+	 * @throws {RangeError} Setting pageBase must be 0 or 1 and requiredLinks must contain HAL pagination links
+	 */
+	function validateHALSettings(hal, functionName) {
+		if ((hal.requiredLinks !== undefined && !(Array.isArray(hal.requiredLinks) && hal.requiredLinks.every(link => getType(link) === "String"))) ||
+			(hal.pageBase !== undefined && getType(hal.pageBase) !== "Number")) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		} else if ((hal.pageBase !== undefined && ![0, 1].includes(hal.pageBase)) ||
+			(hal.requiredLinks !== undefined && !hal.requiredLinks.every(link => COMMON.HAL.LINKS.includes(link)))) {
+			throw new RangeError(`${COMMON.RANGE_ERROR.MESSAGE} ${functionName}`);
+		}
+	}
+
+	/**
+	 * Finds the pagination inconsistencies of a HAL page, see checkHALPagination.
+	 *
+	 * @param {Object} body - Parsed HAL response body
+	 * @param {number} pageBase - Number of the first page
+	 * @returns {Array.<string>} Descriptions of the inconsistencies, empty if there are none
+	 */
+	function getHALPaginationErrors(body, pageBase) {
+		const ERRORS = [],
+			LINKS = getType(body) === "Object" && getType(body._links) === "Object" ? body._links : {},
+			PAGE = getType(body) === "Object" && getType(body._page) === "Object" ? body._page : {},
+			ITEMS = getType(body) === "Object" && getType(body._embedded) === "Object" ? body._embedded.resourceList : undefined,
+			hasLink = name => getType(LINKS[name]) === "Object" && getType(LINKS[name].href) === "String",
+			getLinkPage = name => {
+				const MATCH = hasLink(name) ? /[?&]page=(-?\d+)(&|#|$)/.exec(LINKS[name].href) : null;
+				return MATCH ? Number(MATCH[1]) : undefined;
+			};
+		if (![PAGE.size, PAGE.number, PAGE.totalElements, PAGE.totalPages].every(Number.isInteger)) {
+			return ["_page must contain the integers size, number, totalElements and totalPages"];
+		}
+		const EXPECTED_PAGES = PAGE.size > 0 ? Math.ceil(PAGE.totalElements / PAGE.size) : 0,
+			LAST = pageBase + Math.max(PAGE.totalPages, 1) - 1,
+			INDEX = PAGE.number - pageBase;
+		// An empty collection may be reported as zero pages or as one empty page
+		if (PAGE.totalPages !== EXPECTED_PAGES && !(PAGE.totalElements === 0 && PAGE.totalPages === 1)) {
+			ERRORS.push(`totalPages is ${PAGE.totalPages} while ${PAGE.totalElements} elements in pages of ${PAGE.size} need ${EXPECTED_PAGES}`);
+		}
+		if (PAGE.number < pageBase || PAGE.number > LAST) {
+			ERRORS.push(`page number ${PAGE.number} is outside ${pageBase}..${LAST}`);
+		}
+		if (Array.isArray(ITEMS)) {
+			const EXPECTED_ITEMS = Math.max(0, Math.min(PAGE.size, PAGE.totalElements - INDEX * PAGE.size));
+			ITEMS.length !== EXPECTED_ITEMS && ERRORS.push(`page ${PAGE.number} has ${ITEMS.length} items instead of ${EXPECTED_ITEMS}`);
+		}
+		if (PAGE.number >= LAST ? hasLink("next") : !hasLink("next")) {
+			ERRORS.push(PAGE.number >= LAST ? `the last page ${PAGE.number} has a next link` : `page ${PAGE.number} has no next link`);
+		}
+		if (PAGE.number <= pageBase ? hasLink("previous") : !hasLink("previous")) {
+			ERRORS.push(PAGE.number <= pageBase ? `the first page ${PAGE.number} has a previous link` : `page ${PAGE.number} has no previous link`);
+		}
+		[["self", PAGE.number], ["first", pageBase], ["last", LAST], ["next", PAGE.number + 1], ["previous", PAGE.number - 1]].forEach(([name, expected]) => {
+			const LINK_PAGE = getLinkPage(name);
+			LINK_PAGE !== undefined && LINK_PAGE !== expected && ERRORS.push(`the ${name} link refers to page ${LINK_PAGE} instead of ${expected}`);
+		});
+		return ERRORS;
+	}
+
+	/**
+	 * Gets the JSON schema for a JSON:API (https://jsonapi.org) document with a collection or a single resource.
+	 * The resource items schema, as used by getSchemaHAL, validates the attributes of every resource.
+	 *
+	 * @param {Object} schemaResourceItems - Schema of the resource attributes (optional)
+	 * @param {Object} options - Options (optional)
+	 * @param {boolean} options.collection - Whether data is an array of resources (default true)
+	 * @param {string} options.type - Required type of the resources (optional)
+	 * @returns {Object} JSON schema object for JSON:API
+	 * @throws {TypeError} Parameters must be objects and options must be known
+	 */
+	function getSchemaJSONAPI(schemaResourceItems = {}, options = {}) {
+		validateOptions(options, ["collection", "type"], getFunctionNameFromInside(new Error()));
+		if (getType(schemaResourceItems) === "Object" && (options.type === undefined || getType(options.type) === "String")) {
+			const LINK = {"anyOf": [{"type": "string"}, {"type": "object", "required": ["href"], "properties": {"href": {"type": "string"}}}]},
+				NULLABLE_LINK = {"anyOf": LINK.anyOf.concat({"type": "null"})};
+			const RESOURCE = {
+				"type": "object",
+				"required": ["type", "id"],
+				"properties": {
+					"type": options.type === undefined ? {"type": "string", "minLength": 1} : {"enum": [options.type]},
+					"id": {"type": "string", "minLength": 1},
+					"attributes": schemaResourceItems,
+					"relationships": {"type": "object"},
+					"links": {"type": "object", "properties": {"self": LINK}},
+					"meta": {"type": "object"}
+				}
+			};
+			return {
+				"type": "object",
+				"required": ["data"],
+				"properties": {
+					"data": options.collection === false ? RESOURCE : {"type": "array", "items": RESOURCE},
+					"links": {
+						"type": "object",
+						"properties": {
+							"self": LINK,
+							"first": NULLABLE_LINK,
+							"last": NULLABLE_LINK,
+							"prev": NULLABLE_LINK,
+							"next": NULLABLE_LINK
+						}
+					},
+					"meta": {"type": "object"},
+					"included": {"type": "array"}
+				}
+			};
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Follows the next links of a paginated JSON:API collection and collects every resource, see followPages.
+	 * Every page must contain a data array and the last page must not have a next link that refers to another page.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the first page, see pm.sendRequest
+	 * @param {Object} options - Options (optional)
+	 * @param {number} options.maxPages - Maximum number of pages that is requested (default 100)
+	 * @returns {Promise.<Object>} Resolved with {items, pages}
+	 * @throws {TypeError} Parameters must be a request and a valid options object
+	 */
+	function walkJSONAPIPages(request, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, ["maxPages"], FUNCTION_NAME);
+		return followPages("JSON:API", request, options.maxPages, FUNCTION_NAME, response => {
+			const BODY = response.json(),
+				NEXT = (BODY.links || {}).next;
+			return {
+				body: BODY,
+				items: Array.isArray(BODY.data) ? BODY.data : [],
+				next: getType(NEXT) === "Object" ? NEXT.href : NEXT,
+				errors: Array.isArray(BODY.data) ? [] : ["data is not an array"]
+			};
+		});
+	}
+
+	/**
+	 * Parses an RFC 8288 Link header. A link with several relation types is available under each of them.
+	 *
+	 * @param {string} header - Value of the Link header
+	 * @returns {Object} Relation types mapped to {href, ...parameters}
+	 * @throws {TypeError} Parameter must be a string
+	 * @throws {SyntaxError} Parameter must be a valid Link header
+	 */
+	function parseLinkHeader(header) {
+		if (getType(header) !== "String") {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+		const LINKS = {},
+			LINK = /^\s*<([^>]*)>\s*((?:;\s*[^\s=;,]+\s*(?:=\s*(?:"(?:[^"\\]|\\.)*"|[^\s;,"]*))?\s*)*)(?:,|$)/,
+			PARAMETER = /;\s*([^\s=;,]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|[^\s;,"]*))?/g;
+		let rest = header.trim();
+		while (rest) {
+			const MATCH = LINK.exec(rest);
+			if (!MATCH) {
+				throw new SyntaxError(`Invalid Link header at "${rest}"`);
+			}
+			const TARGET = {href: MATCH[1]};
+			let parameter;
+			while ((parameter = PARAMETER.exec(MATCH[2])) !== null) {
+				const NAME = parameter[1].toLowerCase();
+				// The first occurrence of a parameter is used
+				TARGET[NAME] === undefined && (TARGET[NAME] = parameter[2] === undefined ? "" : parameter[2].replace(/^"|"$/g, "").replace(/\\(.)/g, "$1"));
+			}
+			(TARGET.rel || "").split(/\s+/).filter(Boolean).forEach(rel => {
+				LINKS[rel.toLowerCase()] = LINKS[rel.toLowerCase()] || TARGET;
+			});
+			rest = rest.slice(MATCH[0].length).trim();
+		}
+		return LINKS;
+	}
+
+	/**
+	 * Checks if the response has a valid RFC 8288 Link header with the required relation types.
+	 *
+	 * @param {Array.<string>} relations - Relation types that must be present, for example ["next", "last"] (optional)
+	 * @throws {TypeError} Parameter must be an array of strings
+	 */
+	function checkLinkHeader(relations = []) {
+		if (Array.isArray(relations) && relations.every(relation => getType(relation) === "String")) {
+			const ADAPTER = getAdapter();
+			ADAPTER.test("Link Header", () => {
+				const HEADER = ADAPTER.getResponse().getHeader("Link");
+				ADAPTER.assert(HEADER !== undefined, "Expected a Link header");
+				let links;
+				try {
+					links = parseLinkHeader(HEADER);
+				} catch (error) {
+					ADAPTER.assert(false, `Expected a valid Link header but got "${HEADER}"`);
+				}
+				relations.forEach(relation => ADAPTER.assert(links[relation.toLowerCase()] !== undefined, `Expected a link with rel="${relation}" in "${HEADER}"`));
+			});
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Follows the rel="next" links in the Link headers of a paginated collection and collects every item, see followPages.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the first page, see pm.sendRequest
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.itemsProperty - Property of the body with the items (default none, the body is the array of items)
+	 * @param {number} options.maxPages - Maximum number of pages that is requested (default 100)
+	 * @returns {Promise.<Object>} Resolved with {items, pages}
+	 * @throws {TypeError} Parameters must be a request and a valid options object
+	 */
+	function walkLinkHeaderPages(request, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error());
+		validateOptions(options, ["itemsProperty", "maxPages"], FUNCTION_NAME);
+		return followPages("Link Header", request, options.maxPages, FUNCTION_NAME, response => {
+			const BODY = response.json(),
+				ITEMS = options.itemsProperty === undefined ? BODY : (BODY || {})[options.itemsProperty],
+				HEADER = response.getHeader("Link");
+			return {
+				body: BODY,
+				items: Array.isArray(ITEMS) ? ITEMS : [],
+				next: HEADER ? (parseLinkHeader(HEADER).next || {}).href : null,
+				errors: Array.isArray(ITEMS) ? [] : [`${options.itemsProperty || "the body"} is not an array`]
+			};
+		});
+	}
+
+	/**
+	 * Gets the JSON schema for a page of a cursor-based collection, such as {"items": [...], "nextCursor": "..."}.
+	 * The cursor of the last page is null or absent.
+	 *
+	 * @param {Object} schemaResourceItems - Schema of the resource items, as used by getSchemaHAL (optional)
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.itemsProperty - Property with the items (default "items")
+	 * @param {string} options.cursorProperty - Property with the cursor of the next page (default "nextCursor")
+	 * @returns {Object} JSON schema object for a cursor page
+	 * @throws {TypeError} Parameters must be objects and options must be known
+	 */
+	function getSchemaCursorPage(schemaResourceItems = {}, options = {}) {
+		const CURSOR = getCursorOptions(options, ["itemsProperty", "cursorProperty"], getFunctionNameFromInside(new Error()));
+		if (getType(schemaResourceItems) === "Object") {
+			return {
+				"type": "object",
+				"required": [CURSOR.itemsProperty],
+				"properties": {
+					[CURSOR.itemsProperty]: {"type": "array", "items": schemaResourceItems},
+					[CURSOR.cursorProperty]: {"type": ["string", "null"], "minLength": 1}
+				}
+			};
+		} else {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${getFunctionNameFromInside(new Error())}`);
+		}
+	}
+
+	/**
+	 * Requests the pages of a cursor-based collection by passing the cursor of every page as a query parameter
+	 * of the first request, and collects every item, see followPages. A cursor that repeats is reported.
+	 *
+	 * @param {(Object|string)} request - Request definition or URL of the first page, see pm.sendRequest
+	 * @param {Object} options - Options (optional)
+	 * @param {string} options.itemsProperty - Property with the items (default "items")
+	 * @param {string} options.cursorProperty - Property with the cursor of the next page (default "nextCursor")
+	 * @param {string} options.cursorParameter - Query parameter for the cursor (default "cursor")
+	 * @param {number} options.maxPages - Maximum number of pages that is requested (default 100)
+	 * @returns {Promise.<Object>} Resolved with {items, pages}
+	 * @throws {TypeError} Parameters must be a request and a valid options object
+	 */
+	function walkCursorPages(request, options = {}) {
+		const FUNCTION_NAME = getFunctionNameFromInside(new Error()),
+			CURSOR = getCursorOptions(options, ["itemsProperty", "cursorProperty", "cursorParameter", "maxPages"], FUNCTION_NAME),
+			FIRST_URL = String(getType(request) === "String" ? request : (request || {}).url),
+			CURSORS = [];
+		return followPages("Cursor", request, options.maxPages, FUNCTION_NAME, response => {
+			const BODY = response.json(),
+				ITEMS = (BODY || {})[CURSOR.itemsProperty],
+				NEXT_CURSOR = (BODY || {})[CURSOR.cursorProperty],
+				REPEATED = NEXT_CURSOR !== undefined && NEXT_CURSOR !== null && CURSORS.includes(NEXT_CURSOR);
+			CURSORS.push(NEXT_CURSOR);
+			return {
+				body: BODY,
+				items: Array.isArray(ITEMS) ? ITEMS : [],
+				next: NEXT_CURSOR === undefined || NEXT_CURSOR === null || NEXT_CURSOR === "" || REPEATED ? null :
+					setQueryParameter(FIRST_URL, CURSOR.cursorParameter, String(NEXT_CURSOR)),
+				errors: (Array.isArray(ITEMS) ? [] : [`${CURSOR.itemsProperty} is not an array`])
+					.concat(REPEATED ? [`cursor "${NEXT_CURSOR}" was already returned`] : [])
+			};
+		});
+	}
+
+	/**
+	 * Gets the cursor pagination options with their defaults, see walkCursorPages.
+	 *
+	 * @param {Object} options - Options passed to a cursor function
+	 * @param {Array.<string>} names - Names of the options the function knows
+	 * @param {string} functionName - Name of the function that receives the options
+	 * @returns {Object} Options with their defaults
+	 * @throws {TypeError} Options must be known and property names must be strings
+	 */
+	function getCursorOptions(options, names, functionName) {
+		validateOptions(options, names, functionName);
+		const CURSOR = Object.assign({}, COMMON.PAGINATION.CURSOR, options);
+		if (!["itemsProperty", "cursorProperty", "cursorParameter"].every(name => getType(CURSOR[name]) === "String")) {
+			throw new TypeError(`${COMMON.TYPE_ERROR.MESSAGE} ${functionName}`);
+		}
+		return CURSOR;
+	}
+
+	/**
+	 * Sets a query parameter of a URL, replacing its current value.
+	 *
+	 * @param {string} url - URL
+	 * @param {string} name - Name of the query parameter
+	 * @param {string} value - Value of the query parameter, it is encoded
+	 * @returns {string} URL with the query parameter
+	 */
+	function setQueryParameter(url, name, value) {
+		const [WITHOUT_FRAGMENT, FRAGMENT] = url.split(/#(.*)/),
+			[PATH, QUERY = ""] = WITHOUT_FRAGMENT.split(/\?(.*)/),
+			PARAMETERS = QUERY.split("&").filter(parameter => parameter && decodeURIComponent(parameter.split("=")[0]) !== name);
+		PARAMETERS.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+		return `${PATH}?${PARAMETERS.join("&")}${FRAGMENT === undefined ? "" : `#${FRAGMENT}`}`;
 	}
-}
+
+	return {
+		COMMON,
+		configure,
+		getSettings,
+		getProfile,
+		createPostmanAdapter,
+		createBDDAdapter,
+		createNodeAdapter,
+		useAdapter,
+		getAdapter,
+		testCommon,
+		testCommonAndTime,
+		validateOptions,
+		logResponseBody,
+		log,
+		redact,
+		getLogs,
+		clearLogs,
+		getType,
+		getFunctionNameFromInside,
+		getIndexObjectInArray,
+		convertTime,
+		delayTime,
+		sendRequest,
+		pollUntil,
+		setSeed,
+		getSeed,
+		random,
+		generateNumber,
+		generateString,
+		generateFromRegex,
+		generateGUID,
+		generateISODateTime,
+		generateEmail,
+		generateURL,
+		generateFromSchema,
+		generateInvalidVariants,
+		checkNegativeRequests,
+		checkConditionalGet,
+		checkOptimisticLocking,
+		checkIdempotency,
+		checkResourceLifecycle,
+		getAccessToken,
+		withAccessToken,
+		withAPIKey,
+		decodeJWT,
+		checkJWT,
+		checkTime,
+		recordResponseTime,
+		getResponseTimes,
+		getResponseTimeStats,
+		checkPerformanceBudget,
+		getReport,
+		clearReport,
+		exportReport,
+		checkStatusCode,
+		matchesStatusCode,
+		checkProblemResponse,
+		parseMediaType,
+		checkContentType,
+		checkJSONSchema,
+		validateJSONSchema,
+		getJSONType,
+		isDeepEqual,
+		checkAgainstOpenAPI,
+		findOpenAPIOperation,
+		checkLocation,
+		checkLocationResolves,
+		captureValues,
+		checkHeaders,
+		checkSecurityHeaders,
+		checkCORS,
+		checkCaching,
+		checkBodyContains,
+		checkBodyNotContains,
+		checkEmptyBody,
+		selectJSONPath,
+		checkJSONPath,
+		checkSnapshot,
+		getSHA256,
+		parseXML,
+		selectXPath,
+		checkXML,
+		checkXMLStructure,
+		parseCSV,
+		checkCSV,
+		checkBinary,
+		getRegexGUID,
+		getRegexISODateTime,
+		getRegexURL,
+		createRegexGUID,
+		createRegexISODateTime,
+		createRegexURL,
+		getSchemaHAL,
+		checkHALPagination,
+		walkHALPages,
+		getSchemaJSONAPI,
+		walkJSONAPIPages,
+		parseLinkHeader,
+		checkLinkHeader,
+		walkLinkHeaderPages,
+		getSchemaCursorPage,
+		walkCursorPages
+	};
+}));
@@ -0,0 +1,142 @@
+// Builds the minified distribution that is stored in a Postman global variable.
+// Comments and indentation are stripped; line breaks are kept so automatic semicolon insertion is unaffected.
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const BUILDS = [
+	{source: "Commontest2.js", target: "Commontests-min"}
+];
+// A slash after one of these characters or keywords starts a regex literal instead of a division
+const REGEX_PRECEDERS = "(,=:[!&|?{};+-*%<>~^";
+const REGEX_KEYWORDS = ["return", "typeof", "case", "in", "of", "delete", "void", "throw", "new"];
+
+/**
+ * Strips comments and indentation from JavaScript source. String, template and regex literals are copied unchanged.
+ *
+ * @param {string} source - JavaScript source
+ * @returns {string} Minified source
+ */
+function minify(source) {
+	let output = "",
+		i = 0;
+	const templateDepths = [];
+	let braceDepth = 0;
+
+	const lastSignificant = () => {
+		const TRIMMED = output.replace(/\s+$/, "");
+		const WORD = TRIMMED.match(/[A-Za-z_$][\w$]*$/);
+		return WORD ? WORD[0] : TRIMMED.slice(-1);
+	};
+	const copyQuoted = quote => {
+		const START = i++;
+		while (i < source.length && source[i] !== quote) {
+			i += source[i] === "\\" ? 2 : 1;
+		}
+		output += source.slice(START, ++i);
+	};
+	const copyTemplate = () => {
+		// Copies from a backtick or the end of an expression up to the end of the template or the start of the next expression
+		const START = i++;
+		while (i < source.length && source[i] !== "`" && !(source[i] === "$" && source[i + 1] === "{")) {
+			i += source[i] === "\\" ? 2 : 1;
+		}
+		if (source[i] === "`") {
+			output += source.slice(START, ++i);
+		} else {
+			output += source.slice(START, i += 2);
+			templateDepths.push(braceDepth++);
+		}
+	};
+	const copyRegex = () => {
+		const START = i++;
+		let inClass = false;
+		while (i < source.length && (inClass || source[i] !== "/")) {
+			if (source[i] === "\\") {
+				i++;
+			} else if (source[i] === "[") {
+				inClass = true;
+			} else if (source[i] === "]") {
+				inClass = false;
+			}
+			i++;
+		}
+		i++;
+		while (/[a-z]/.test(source[i])) {
+			i++;
+		}
+		output += source.slice(START, i);
+	};
+
+	while (i < source.length) {
+		const CHARACTER = source[i],
+			NEXT = source[i + 1];
+		if (CHARACTER === "/" && NEXT === "/") {
+			while (i < source.length && source[i] !== "\n") {
+				i++;
+			}
+		} else if (CHARACTER === "/" && NEXT === "*") {
+			i = source.indexOf("*/", i + 2) + 2;
+		} else if (CHARACTER === "/") {
+			const PREVIOUS = lastSignificant();
+			if (PREVIOUS === "" || REGEX_PRECEDERS.includes(PREVIOUS) || REGEX_KEYWORDS.includes(PREVIOUS)) {
+				copyRegex();
+			} else {
+				output += CHARACTER;
+				i++;
+			}
+		} else if (CHARACTER === "\"" || CHARACTER === "'") {
+			copyQuoted(CHARACTER);
+		} else if (CHARACTER === "`") {
+			copyTemplate();
+		} else if (CHARACTER === "}" && templateDepths.length && templateDepths[templateDepths.length - 1] === braceDepth - 1) {
+			// End of a template expression: continue copying the template
+			templateDepths.pop();
+			braceDepth--;
+			copyTemplate();
+		} else if (CHARACTER === "\n" || CHARACTER === "\r") {
+			output = output.replace(/[ \t]+$/, "");
+			if (output && !output.endsWith("\n")) {
+				output += "\n";
+			}
+			while (/\s/.test(source[i])) {
+				i++;
+			}
+		} else if (CHARACTER === " " || CHARACTER === "\t") {
+			if (!/[ \n]$/.test(output)) {
+				output += " ";
+			}
+			i++;
+		} else {
+			if (CHARACTER === "{") {
+				braceDepth++;
+			} else if (CHARACTER === "}") {
+				braceDepth--;
+			}
+			output += CHARACTER;
+			i++;
+		}
+	}
+	return output.trim() + "\n";
+}
+
+/**
+ * Builds every configured target.
+ */
+function build() {
+	BUILDS.forEach(({source, target}) => {
+		const SOURCE = fs.readFileSync(path.join(ROOT, source), "utf8");
+		fs.writeFileSync(path.join(ROOT, target), `// Built from ${source} by scripts/build.js, do not edit\n${minify(SOURCE)}`);
+		console.log(`${source} -> ${target}`);
+	});
+}
+
+if (require.main === module) {
+	build();
+}
+
+module.exports = {
+	BUILDS,
+	minify
+};
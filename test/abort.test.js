@@ -0,0 +1,125 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const load = (code, options = {}) => createSandbox(Object.assign({response: {code: code}, requestName: "Get city"}, options)).load();
+
+describe("infrastructure abort policy", () => {
+	it("stops the run by default and reports the decision", () => {
+		const sandbox = load(503);
+		sandbox.commonTests.checkStatusCode(200);
+		assert.deepStrictEqual(sandbox.nextRequests, [null]);
+		assert.strictEqual(sandbox.results[1].name, "Infrastructure Error 503: collection run stopped");
+		assert.match(sandbox.results[1].error.message, /Status code 503 is an infrastructure error, collection run stopped/);
+	});
+
+	it("skips to a named cleanup request", () => {
+		const sandbox = load(502);
+		sandbox.commonTests.checkStatusCode(200, {abort: {action: "skip", request: "Cleanup"}});
+		assert.deepStrictEqual(sandbox.nextRequests, ["Cleanup"]);
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code (Success)", "Infrastructure Error 502: skipped to \"Cleanup\""]);
+	});
+
+	it("only marks the request as failed", () => {
+		const sandbox = load(500);
+		sandbox.commonTests.configure({abort: {action: "fail"}});
+		sandbox.commonTests.checkStatusCode(200);
+		assert.deepStrictEqual(sandbox.nextRequests, []);
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code (Success)", "Infrastructure Error 500: marked as failed"]);
+	});
+
+	it("retries the current request with backoff and stops when the retries are used up", () => {
+		const POLICY = {abort: {action: "retry", retries: 2, backoff: 0}};
+		const sandbox = load(504);
+		sandbox.commonTests.checkStatusCode(200, POLICY);
+		assert.deepStrictEqual(sandbox.nextRequests, ["Get city"]);
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.passed(), ["Infrastructure Error 504: retry 1/2 of \"Get city\" in 0ms"]);
+		assert.strictEqual(sandbox.pm.collectionVariables.get("commonTests.retries.Get city"), "1");
+
+		const RETRIED = load(504, {collectionVariables: sandbox.pm.collectionVariables.toObject()});
+		RETRIED.commonTests.checkStatusCode(200, POLICY);
+		assert.deepStrictEqual(RETRIED.passed(), ["Infrastructure Error 504: retry 2/2 of \"Get city\" in 0ms"]);
+
+		const EXHAUSTED = load(504, {collectionVariables: RETRIED.pm.collectionVariables.toObject()});
+		EXHAUSTED.commonTests.checkStatusCode(200, POLICY);
+		assert.deepStrictEqual(EXHAUSTED.nextRequests, [null]);
+		assert.strictEqual(EXHAUSTED.failed()[1], "Infrastructure Error 504: collection run stopped after 2 retries");
+		assert.strictEqual(EXHAUSTED.pm.collectionVariables.get("commonTests.retries.Get city"), undefined);
+	});
+
+	it("doubles the backoff for every retry", () => {
+		const sandbox = load(503, {collectionVariables: {"commonTests.retries.Get city": "2"}});
+		sandbox.commonTests.checkStatusCode(200, {abort: {action: "retry", retries: 5, backoff: 1}});
+		assert.deepStrictEqual(sandbox.passed(), ["Infrastructure Error 503: retry 3/5 of \"Get city\" in 4ms"]);
+	});
+
+	it("delays the retried request until the backoff has passed", async () => {
+		const sandbox = load(503);
+		const START = Date.now();
+		sandbox.commonTests.checkStatusCode(200, {abort: {action: "retry", backoff: 40}});
+		assert.deepStrictEqual(sandbox.logs.map(entry => entry.args[0]), ["[INFO] Delaying for 40ms..."]);
+		while (sandbox.logs.length < 2 && Date.now() - START < 1000) {
+			await new Promise(resolve => setImmediate(resolve));
+		}
+		assert.strictEqual(sandbox.logs[1].args[0], "[INFO] Delay finished");
+		assert.ok(Date.now() - START >= 40);
+	});
+
+	it("passes when the retried request succeeds", () => {
+		const POLICY = {abort: {action: "retry", backoff: 0}};
+		const sandbox = load(502);
+		sandbox.commonTests.testCommon({status: 200, logBody: false, abort: POLICY.abort});
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.nextRequests, ["Get city"]);
+
+		const RETRIED = load(200, {collectionVariables: sandbox.pm.collectionVariables.toObject()});
+		RETRIED.commonTests.testCommon({status: 200, logBody: false, abort: POLICY.abort});
+		assert.deepStrictEqual(RETRIED.failed(), []);
+		assert.deepStrictEqual(RETRIED.nextRequests, []);
+		assert.strictEqual(RETRIED.pm.collectionVariables.has("commonTests.retries.Get city"), false);
+	});
+
+	it("marks the status of a retried request in the report", () => {
+		const sandbox = load(502);
+		sandbox.commonTests.configure({report: {record: true}});
+		sandbox.commonTests.checkStatusCode(200, {abort: {action: "retry", backoff: 0}});
+		const REPORT = JSON.parse(sandbox.commonTests.exportReport());
+		assert.deepStrictEqual(REPORT.summary, {requests: 1, checks: 1, failures: 0, aborted: 0});
+		assert.deepStrictEqual(REPORT.requests[0].status, {expected: "200", actual: 502, retried: true});
+		assert.strictEqual(REPORT.requests[0].abort, "retry 1/3 of \"Get city\" in 0ms");
+		const ROOT = sandbox.commonTests.parseXML(sandbox.commonTests.exportReport("junit"));
+		assert.deepStrictEqual(Array.from(sandbox.commonTests.selectXPath(ROOT, "//property[@name='status.retried']/@value")), ["true"]);
+	});
+
+	it("resets the retries once the request succeeds", () => {
+		const sandbox = load(200, {collectionVariables: {"commonTests.retries.Get city": "1"}});
+		sandbox.commonTests.checkStatusCode(200);
+		assert.strictEqual(sandbox.pm.collectionVariables.has("commonTests.retries.Get city"), false);
+	});
+
+	it("uses the configured status codes", () => {
+		const sandbox = load(429);
+		sandbox.commonTests.configure({abort: {codes: [429]}});
+		sandbox.commonTests.checkStatusCode(200);
+		assert.deepStrictEqual(sandbox.nextRequests, [null]);
+		sandbox.commonTests.checkStatusCode(200, {abort: false});
+		assert.strictEqual(sandbox.nextRequests.length, 1);
+	});
+
+	it("reads the policy persisted by another script", () => {
+		const FIRST = load(200);
+		FIRST.commonTests.configure({abort: {action: "skip", request: "Cleanup"}}, true);
+		const sandbox = load(401, {collectionVariables: FIRST.pm.collectionVariables.toObject()});
+		sandbox.commonTests.testCommon({status: 200, logBody: false});
+		assert.deepStrictEqual(sandbox.nextRequests, ["Cleanup"]);
+		assert.deepStrictEqual(Array.from(sandbox.commonTests.getSettings().abort.codes), [503, 500, 502, 504, 401, 403]);
+	});
+
+	it("rejects invalid policies", () => {
+		const sandbox = load(200);
+		assert.throws(() => sandbox.commonTests.checkStatusCode(200, {abort: {action: "pause"}}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.checkStatusCode(200, {abort: {retries: -1}}), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.configure({abort: {delay: 10}}), /Unknown option "delay" for function configure/);
+	});
+});
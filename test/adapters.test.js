@@ -0,0 +1,84 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox, expect} = require("./harness");
+const commonTests = require("../Commontest2.js");
+
+const RESPONSE = {
+	code: 201,
+	headers: {"Content-Type": "application/json", "Location": "/cities/1"},
+	body: {id: 1, name: "Antwerpen"},
+	responseTime: 80
+};
+
+/**
+ * Loads the library in a sandbox with the globals Postman BDD provides.
+ */
+function loadBDD() {
+	const sandbox = createSandbox({response: RESPONSE});
+	Object.assign(sandbox.context, {
+		expect: expect,
+		it: (description, callback) => sandbox.pm.test(description, callback),
+		response: {
+			status: RESPONSE.code,
+			time: RESPONSE.responseTime,
+			headers: {"content-type": "application/json", "location": "/cities/1"},
+			text: JSON.stringify(RESPONSE.body)
+		}
+	});
+	return sandbox.load();
+}
+
+describe("runtime adapters", () => {
+	it("detects the pm.* API", () => {
+		const sandbox = createSandbox({response: RESPONSE}).load();
+		assert.strictEqual(sandbox.commonTests.getAdapter().name, "pm");
+	});
+
+	it("detects Postman BDD and runs the checks through it", () => {
+		const sandbox = loadBDD();
+		assert.strictEqual(sandbox.commonTests.getAdapter().name, "bdd");
+		sandbox.commonTests.testCommonAndTime(201, 100, "application/json", {type: "object", required: ["id", "name"]}, "/cities/1");
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)", "Content Type", "JSON Schema", "Location", "Response Time < 100ms"]);
+	});
+
+	it("reports failures with a readable message through Postman BDD", () => {
+		const sandbox = loadBDD();
+		sandbox.commonTests.checkLocation("/cities/2");
+		assert.match(sandbox.results[0].error.message, /Expected Location "\/cities\/2" but got "\/cities\/1"/);
+	});
+
+	it("uses the pm.* API when it is selected by name", () => {
+		const sandbox = loadBDD();
+		sandbox.commonTests.useAdapter("pm");
+		assert.strictEqual(sandbox.commonTests.getAdapter().name, "pm");
+	});
+
+	it("runs the checks in plain Node.js and records the results", () => {
+		const ADAPTER = commonTests.useAdapter(commonTests.createNodeAdapter({response: Object.assign({}, RESPONSE, {code: 503})}));
+		commonTests.checkStatusCode(201);
+		commonTests.checkTime(50);
+		assert.deepStrictEqual(ADAPTER.results.map(result => result.passed), [false, false, false]);
+		assert.strictEqual(ADAPTER.results[0].error.code, "ERR_ASSERTION");
+		assert.strictEqual(ADAPTER.results[0].error.message, "Expected status code 201 but got 503");
+		assert.deepStrictEqual(ADAPTER.nextRequests, [null]);
+	});
+
+	it("passes the tests to a runner in plain Node.js", () => {
+		const NAMES = [];
+		commonTests.useAdapter(commonTests.createNodeAdapter({response: RESPONSE, test: (description, callback) => NAMES.push(description) && callback()}));
+		commonTests.testCommon(201, "application/json", null, "/cities/1");
+		assert.deepStrictEqual(NAMES, ["Status Code (Success)", "Content Type", "Location"]);
+	});
+
+	it("rejects an incomplete adapter", () => {
+		assert.throws(() => commonTests.useAdapter({test: () => {}}), {name: "TypeError"});
+		assert.throws(() => commonTests.useAdapter("mocha"), {name: "TypeError"});
+	});
+
+	it("fails when no runtime can be detected", () => {
+		const sandbox = createSandbox().load();
+		delete sandbox.context.pm;
+		assert.throws(() => sandbox.commonTests.checkTime(100), /No runtime adapter available/);
+	});
+});
@@ -0,0 +1,107 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const TOKEN_URL = "https://login.example.com/oauth2/token";
+const CONFIG = {tokenUrl: TOKEN_URL, clientId: "commontests", clientSecret: "s3cret", scope: "cities.read"};
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString("base64url");
+const createJWT = claims => `${encode({alg: "RS256", typ: "JWT"})}.${encode(claims)}.c2lnbmF0dXJl`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const getParameters = request => request.body.urlencoded.reduce((parameters, parameter) => Object.assign(parameters, {[parameter.key]: parameter.value}), {});
+
+// Issues a numbered access token for every request, like a token endpoint of an identity provider
+const tokenStub = (response = {}) => {
+	let issued = 0;
+	return () => {
+		issued++;
+		return Object.assign({code: 200, body: {access_token: `token-${issued}`, token_type: "Bearer", expires_in: 3600}}, response);
+	};
+};
+
+describe("getAccessToken", () => {
+	it("requests a client credentials token once and caches it", async () => {
+		const sandbox = createSandbox({sendRequest: tokenStub()}).load();
+		const TOKEN = await sandbox.commonTests.getAccessToken(CONFIG);
+		const CACHED = await sandbox.commonTests.getAccessToken(CONFIG);
+		assert.strictEqual(TOKEN.accessToken, "token-1");
+		assert.strictEqual(CACHED.accessToken, "token-1");
+		assert.strictEqual(sandbox.requests.length, 1);
+		assert.strictEqual(sandbox.requests[0].method, "POST");
+		assert.deepStrictEqual(getParameters(sandbox.requests[0]),
+			{grant_type: "client_credentials", scope: "cities.read", client_id: "commontests", client_secret: "s3cret"});
+		assert.strictEqual(sandbox.pm.collectionVariables.get("commonTests.accessToken"), "token-1");
+		assert.ok(JSON.parse(sandbox.pm.collectionVariables.get("commonTests.token")).expiresAt > Date.now());
+	});
+
+	it("refreshes a token that expires within the margin or was issued for another configuration", async () => {
+		const sandbox = createSandbox({sendRequest: tokenStub({body: {access_token: "token", expires_in: 30}})}).load();
+		await sandbox.commonTests.getAccessToken(CONFIG);
+		await sandbox.commonTests.getAccessToken(CONFIG);
+		await sandbox.commonTests.getAccessToken(Object.assign({}, CONFIG, {refreshMargin: 10}));
+		await sandbox.commonTests.getAccessToken(Object.assign({}, CONFIG, {refreshMargin: 10}));
+		await sandbox.commonTests.getAccessToken(Object.assign({}, CONFIG, {refreshMargin: 10, scope: "cities.write"}));
+		assert.strictEqual(sandbox.requests.length, 3);
+	});
+
+	it("sends the password grant with basic client authentication and uses the exp of a JWT", async () => {
+		const JWT = createJWT({exp: now() + 600});
+		const sandbox = createSandbox({sendRequest: () => ({code: 200, body: {access_token: JWT}})}).load();
+		const TOKEN = await sandbox.commonTests.withAccessToken({url: "https://api.example.com/cities", method: "DELETE"},
+			Object.assign({}, CONFIG, {grantType: "password", username: "jan", password: "pässword", clientAuthentication: "basic"}));
+		assert.deepStrictEqual(getParameters(sandbox.requests[0]), {grant_type: "password", username: "jan", password: "pässword", scope: "cities.read"});
+		assert.strictEqual(sandbox.requests[0].header.find(header => header.key === "Authorization").value, `Basic ${Buffer.from("commontests:s3cret").toString("base64")}`);
+		assert.strictEqual(TOKEN.method, "DELETE");
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(TOKEN.header)), [{key: "Authorization", value: `Bearer ${JWT}`}]);
+		assert.strictEqual(JSON.parse(sandbox.pm.collectionVariables.get("commonTests.token")).expiresAt, (now() + 600) * 1000);
+		assert.throws(() => sandbox.commonTests.getAccessToken(Object.assign({}, CONFIG, {grantType: "password"})), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.getAccessToken(Object.assign({}, CONFIG, {grantType: "implicit"})), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.getAccessToken(Object.assign({}, CONFIG, {secret: "x"})), {name: "TypeError", message: /Unknown option "secret"/});
+	});
+
+	it("reports a refused token request as a failing test", async () => {
+		const sandbox = createSandbox({sendRequest: tokenStub({code: 401, body: {error: "invalid_client", error_description: "Unknown client"}})}).load();
+		await assert.rejects(sandbox.commonTests.getAccessToken(CONFIG), /No access token/);
+		assert.deepStrictEqual(sandbox.failed(), ["Access Token"]);
+		assert.match(sandbox.results[0].error.message, /from https:\/\/login.example.com\/oauth2\/token but got status code 401 \(invalid_client: Unknown client\)/);
+		assert.strictEqual(sandbox.pm.collectionVariables.get("commonTests.token"), undefined);
+	});
+});
+
+describe("withAPIKey", () => {
+	it("adds the API key header", () => {
+		const sandbox = createSandbox().load();
+		const REQUEST = sandbox.commonTests.withAPIKey({url: "https://api.example.com/cities", header: {"ApiKey": "old"}}, "abc123");
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(REQUEST.header)), {"ApiKey": "abc123"});
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(sandbox.commonTests.withAPIKey("https://api.example.com", "abc123", "X-API-Key").header)),
+			[{key: "X-API-Key", value: "abc123"}]);
+		assert.throws(() => sandbox.commonTests.withAPIKey("https://api.example.com"), {name: "TypeError"});
+	});
+});
+
+describe("checkJWT", () => {
+	it("decodes the header and payload", () => {
+		const sandbox = createSandbox().load();
+		const DECODED = sandbox.commonTests.decodeJWT(`Bearer ${createJWT({sub: "Zoë"})}`);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(DECODED)), {header: {alg: "RS256", typ: "JWT"}, payload: {sub: "Zoë"}, signature: "c2lnbmF0dXJl"});
+		["abc", "a.b", "a!.b.c", "e30.bm90IGpzb24.x"].forEach(token => {
+			assert.throws(() => sandbox.commonTests.decodeJWT(token), {name: "SyntaxError"}, token);
+		});
+	});
+
+	it("checks the issuer, audience, scopes and expiry", () => {
+		const sandbox = createSandbox().load();
+		const CLAIMS = {iss: "https://login.example.com", aud: ["cities", "streets"], scope: "cities.read cities.write", exp: now() + 60};
+		sandbox.commonTests.checkJWT(createJWT(CLAIMS), {issuer: "https://login.example.com", audience: "cities", scopes: ["cities.write"]});
+		sandbox.commonTests.checkJWT(createJWT(Object.assign({}, CLAIMS, {scp: ["cities.read"], scope: undefined, exp: now() - 60, nbf: now() + 60})),
+			{issuer: "https://other.example.com", audience: "parks", scopes: ["cities.write"]});
+		sandbox.commonTests.checkJWT(createJWT(Object.assign({}, CLAIMS, {exp: now() - 60})), {clockSkew: 120});
+		sandbox.commonTests.checkJWT("not a token");
+		assert.deepStrictEqual(sandbox.results.map(result => result.passed), [true, false, true, false]);
+		assert.match(sandbox.results[1].error.message,
+			/Expected a valid JWT but iss is "https:\/\/login.example.com" instead of "https:\/\/other.example.com", aud \["cities","streets"\] does not contain "parks", scope cities.write is missing, it expired at .+, it is not valid before /);
+		assert.match(sandbox.results[3].error.message, /Expected a JWT but got "Invalid JWT/);
+		assert.throws(() => sandbox.commonTests.checkJWT(createJWT(CLAIMS), {scopes: "cities.read"}), {name: "TypeError"});
+	});
+});
@@ -0,0 +1,186 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const crypto = require("crypto");
+const {createSandbox} = require("./harness");
+const commonTests = require("../Commontest2.js");
+
+const load = (response = {}) => createSandbox({response: response}).load();
+
+const CITIES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE cities>
+<!-- Cities of Flanders -->
+<cities xmlns:geo="http://www.example.com/geo" count="2">
+	<city code="2000" capital="true">
+		<name>Antwerpen</name>
+		<geo:location lat="51.22" lon="4.40"/>
+	</city>
+	<city code="9000">
+		<name><![CDATA[Gent & Sint-Amandsberg]]></name>
+		<geo:location lat="51.05" lon="3.72"/>
+		<remark>B&amp;B &#8364; &#x20AC;</remark>
+	</city>
+</cities>`;
+
+describe("XML", () => {
+	it("parses well-formed documents", () => {
+		const sandbox = load();
+		const ROOT = sandbox.commonTests.parseXML(CITIES_XML);
+		assert.strictEqual(ROOT.name, "cities");
+		assert.strictEqual(ROOT.children.length, 2);
+		assert.strictEqual(ROOT.children[1].children[2].text, "B&B € €");
+		[
+			"<cities><city></cities>",
+			"<cities></cities><cities/>",
+			"<city code=2000/>",
+			"<city code=\"1\" code=\"2\"/>",
+			"<city>B&B</city>",
+			"<city>"
+		].forEach(xml => assert.throws(() => sandbox.commonTests.parseXML(xml), {name: "SyntaxError"}, xml));
+		assert.throws(() => sandbox.commonTests.parseXML("<cities><city></cities>"), {message: "Expected </city> but got </cities> at position 22 of the XML"});
+	});
+
+	it("selects nodes with XPath expressions", () => {
+		const sandbox = load();
+		const select = path => Array.from(sandbox.commonTests.selectXPath(CITIES_XML, path), node => typeof node === "string" ? node : node.name);
+		assert.deepStrictEqual(select("/cities/city/@code"), ["2000", "9000"]);
+		assert.deepStrictEqual(select("//name/text()"), ["Antwerpen", "Gent & Sint-Amandsberg"]);
+		assert.deepStrictEqual(select("/cities/city[@code='9000']/name/text()"), ["Gent & Sint-Amandsberg"]);
+		assert.deepStrictEqual(select("/cities/city[name=\"Antwerpen\"]/@code"), ["2000"]);
+		assert.deepStrictEqual(select("//city[last()]/location/@lon"), ["3.72"]);
+		assert.deepStrictEqual(select("//geo:location[@lat=51.22]/@lon"), ["4.40"]);
+		assert.deepStrictEqual(select("/cities/city[2]/*"), ["name", "geo:location", "remark"]);
+		assert.deepStrictEqual(select("//city[@capital]/@code"), ["2000"]);
+		assert.deepStrictEqual(select("//city[@code!='2000']/@code"), ["9000"]);
+		assert.throws(() => sandbox.commonTests.selectXPath(CITIES_XML, "cities/city"), {name: "SyntaxError"});
+		assert.throws(() => sandbox.commonTests.selectXPath(CITIES_XML, "/cities/@count/name"), {name: "SyntaxError"});
+		assert.throws(() => sandbox.commonTests.selectXPath(CITIES_XML, "/cities/city[position() > 1]"), {name: "SyntaxError"});
+	});
+
+	it("checks XPath assertions on the response", () => {
+		const sandbox = load({code: 200, headers: {"Content-Type": "application/xml"}, body: CITIES_XML});
+		sandbox.commonTests.checkXML({
+			"/cities/@count": "2",
+			"//city": 2,
+			"//city[@code='2000']/name": /^Antw/,
+			"//city/remark": true,
+			"//city/mayor": false,
+			"//city[1]/name": "Gent"
+		});
+		assert.deepStrictEqual(sandbox.failed(), ["XPath //city[1]/name"]);
+		assert.strictEqual(sandbox.passed()[0], "XML Well-formed");
+		assert.match(sandbox.results[6].error.message, /Expected \/\/city\[1\]\/name to be "Gent" but got "Antwerpen"/);
+		assert.throws(() => sandbox.commonTests.checkXML({"//city": null}), {name: "TypeError"});
+	});
+
+	it("fails every check of a body that is not well-formed", () => {
+		const sandbox = load({code: 200, body: "<cities><city></cities>"});
+		sandbox.commonTests.checkXML({"//city": true});
+		sandbox.commonTests.checkXMLStructure({name: "cities"});
+		assert.deepStrictEqual(sandbox.failed(), ["XML Well-formed", "XPath //city", "XML Structure (Expected </city> but got </cities> at position 22 of the XML at /)"]);
+	});
+
+	it("checks the structure of the response", () => {
+		const STRUCTURE = {
+			name: "cities",
+			attributes: {count: {required: true, pattern: "^\\d+$"}},
+			children: [{
+				name: "city",
+				minOccurs: 1,
+				maxOccurs: Infinity,
+				attributes: {code: {required: true, pattern: "^[1-9]\\d{3}$"}, capital: {pattern: "^(true|false)$"}},
+				children: [{name: "name", text: "\\S"}, {name: "location", attributes: {lat: {required: true}}}],
+				additionalChildren: true
+			}]
+		};
+		const VALID = load({code: 200, body: CITIES_XML});
+		VALID.commonTests.checkXMLStructure(STRUCTURE);
+		assert.deepStrictEqual(VALID.passed(), ["XML Structure"]);
+
+		const INVALID = load({code: 200, body: "<cities><city code=\"20\"><name/><name>Gent</name></city><region/></cities>"});
+		INVALID.commonTests.checkXMLStructure(STRUCTURE);
+		assert.deepStrictEqual(INVALID.failed(), ["XML Structure (Missing required attribute count at /cities, and 5 more)"]);
+		assert.deepStrictEqual(INVALID.results[0].error.message.replace(/: expected false to be true$/, "").split(/:\s(?=\/)|\n/).slice(1, 7), [
+			"/cities: Missing required attribute count",
+			"/cities/city[1]: Attribute code \"20\" does not match ^[1-9]\\d{3}$",
+			"/cities/city[1]: Expected at most 1 <name> elements but got 2",
+			"/cities/city[1]/name[1]: Text \"\" does not match \\S",
+			"/cities/city[1]: Expected at least 1 <location> elements but got 0",
+			"/cities: Unexpected element <region>"
+		]);
+	});
+});
+
+describe("CSV", () => {
+	const CSV = "id,name,zipCode\r\n" +
+		"3f2504e0-4f89-11d3-9a0c-0305e82c3301,Antwerpen,2000\r\n" +
+		"\"e9b5c4a2-1f0e-4c1a-9d3b-8f6a2c7d5e10\",\"Gent, \"\"Arteveldestad\"\"\",9000\r\n";
+
+	it("parses quoted fields", () => {
+		const sandbox = load();
+		const ROWS = sandbox.commonTests.parseCSV(CSV);
+		assert.strictEqual(ROWS.length, 3);
+		assert.strictEqual(ROWS[2][1], "Gent, \"Arteveldestad\"");
+		assert.deepStrictEqual(Array.from(sandbox.commonTests.parseCSV("a;\"b\nc\"\n1;2", ";"), row => Array.from(row)), [["a", "b\nc"], ["1", "2"]]);
+		assert.throws(() => sandbox.commonTests.parseCSV("a,\"b"), {name: "SyntaxError"});
+		assert.throws(() => sandbox.commonTests.parseCSV(CSV, ",;"), {name: "TypeError"});
+	});
+
+	it("checks the header, the columns and the values", () => {
+		const sandbox = load({code: 200, headers: {"Content-Type": "text/csv"}, body: CSV});
+		sandbox.commonTests.checkCSV({header: ["id", "name", "zipCode"], patterns: {id: sandbox.commonTests.getRegexGUID(), zipCode: /^[1-9]\d{3}$/}});
+		assert.deepStrictEqual(sandbox.passed(), ["CSV Header", "CSV Columns", "CSV Column id", "CSV Column zipCode"]);
+	});
+
+	it("reports the rows that fail", () => {
+		const sandbox = load({code: 200, body: "id,name\n1,Antwerpen\n2\nx,Brugge,extra\n"});
+		sandbox.commonTests.checkCSV({header: ["id", "name", "zipCode"], patterns: {id: "^\\d+$", zipCode: "."}});
+		assert.deepStrictEqual(sandbox.failed(), ["CSV Header", "CSV Columns", "CSV Column id", "CSV Column zipCode"]);
+		assert.match(sandbox.results[1].error.message, /Expected 2 columns in every row but got 1 in row 3, 3 in row 4/);
+		assert.match(sandbox.results[2].error.message, /Expected every value of column id to match \^\\d\+\$ but got "x" in row 4/);
+		assert.match(sandbox.results[3].error.message, /Expected a column "zipCode" in the header/);
+		assert.throws(() => sandbox.commonTests.checkCSV({separator: ";"}), {name: "TypeError", message: /Unknown option "separator"/});
+	});
+});
+
+describe("binary bodies", () => {
+	const PDF = Buffer.concat([Buffer.from("%PDF-1.7\n"), Buffer.from([0xE2, 0xE3, 0xCF, 0xD3, 0x00, 0xFF])]);
+
+	it("computes SHA-256 checksums", () => {
+		const sandbox = load();
+		["", "abc", "€ and more than one block of input ".repeat(5)].forEach(text => {
+			assert.strictEqual(sandbox.commonTests.getSHA256(text), crypto.createHash("sha256").update(text).digest("hex"));
+		});
+		assert.strictEqual(sandbox.commonTests.getSHA256(PDF), crypto.createHash("sha256").update(PDF).digest("hex"));
+	});
+
+	it("checks the size, signature and checksum", () => {
+		const sandbox = load({code: 200, headers: {"Content-Type": "application/pdf"}, body: PDF});
+		sandbox.commonTests.checkBinary({minSize: 10, maxSize: 1024, contentType: "application/pdf", sha256: crypto.createHash("sha256").update(PDF).digest("hex")});
+		assert.deepStrictEqual(sandbox.passed(), ["Body Size", "File Signature", "Checksum"]);
+	});
+
+	it("reports a body that does not match the content type", () => {
+		const sandbox = load({code: 200, headers: {"Content-Type": "application/pdf; charset=binary"}, body: "<html>Not found</html>"});
+		sandbox.commonTests.checkBinary({maxSize: 10, contentType: "application/pdf", sha256: "0".repeat(64)});
+		assert.deepStrictEqual(sandbox.failed(), ["Body Size", "File Signature", "Checksum"]);
+		assert.match(sandbox.results[0].error.message, /at most 10 bytes but got 22/);
+		assert.match(sandbox.results[1].error.message, /signature 25504446 of application\/pdf but got 3C68746D/);
+		assert.throws(() => sandbox.commonTests.checkBinary({contentType: "application/x-custom"}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.checkBinary({signature: "PK"}), {name: "TypeError"});
+	});
+
+	it("reads bytes from the Node adapter", () => {
+		const ADAPTER = commonTests.useAdapter(commonTests.createNodeAdapter({response: {code: 200, headers: {"Content-Type": "image/png"}, body: Buffer.from("89504E470D0A1A0A0000", "hex")}}));
+		commonTests.checkBinary({contentType: "image/png", minSize: 10});
+		assert.deepStrictEqual(ADAPTER.results.map(result => result.passed), [true, true]);
+	});
+});
+
+describe("checkJSONSchema with a body that is not JSON", () => {
+	it("fails the test instead of throwing", () => {
+		const sandbox = load({code: 200, headers: {"Content-Type": "text/csv"}, body: "id,name"});
+		sandbox.commonTests.checkJSONSchema({type: "object"});
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Response body is not JSON)"]);
+		assert.match(sandbox.results[0].error.message, /Expected a JSON response body but got/);
+	});
+});
@@ -0,0 +1,110 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const COLLECTION = "https://api.example.com/cities";
+
+// Stores cities in memory like a resource API, options break one part of the lifecycle
+const crudStub = (options = {}) => {
+	const CITIES = {};
+	let created = 0;
+	return request => {
+		const ID = (/\/cities\/(\d+)$/.exec(request.url) || [])[1];
+		if (request.method === "POST") {
+			created++;
+			CITIES[created] = Object.assign({id: created}, JSON.parse(request.body.raw));
+			return {code: 201, headers: options.noLocation ? {} : {"Location": `/cities/${created}`}, body: CITIES[created]};
+		} else if (!CITIES[ID]) {
+			return {code: 404};
+		} else if (request.method === "PUT") {
+			CITIES[ID] = Object.assign({id: Number(ID)}, options.ignoreUpdate ? CITIES[ID] : JSON.parse(request.body.raw));
+			return {code: 200, body: CITIES[ID]};
+		} else if (request.method === "DELETE") {
+			options.keepDeleted || delete CITIES[ID];
+			return {code: 204};
+		}
+		return {code: 200, body: CITIES[ID]};
+	};
+};
+
+describe("checkLocation", () => {
+	it("matches a pattern for a server-generated id", () => {
+		const sandbox = createSandbox({response: {code: 201, headers: {"Location": "/cities/42"}}}).load();
+		sandbox.commonTests.checkLocation(/^\/cities\/\d+$/);
+		sandbox.commonTests.checkLocation(/^\/streets\//);
+		assert.deepStrictEqual(sandbox.results.map(result => result.passed), [true, false]);
+		assert.match(sandbox.results[1].error.message, /Expected Location to match \/\^\\\/streets\\\/\/ but got "\/cities\/42"/);
+	});
+});
+
+describe("checkLocationResolves", () => {
+	it("gets the Location and expects the created content", async () => {
+		const sandbox = createSandbox({
+			response: {code: 201, headers: {"Location": "/cities/7"}, body: {id: 7, name: "Gent"}},
+			sendRequest: request => request.url.endsWith("/7") ? {code: 200, body: {id: 7, name: "Gent", population: 265000}} : {code: 404}
+		}).load();
+		const RESPONSE = await sandbox.commonTests.checkLocationResolves({baseUrl: COLLECTION, headers: {"Authorization": "Bearer abc"}});
+		assert.strictEqual(RESPONSE.code, 200);
+		assert.deepStrictEqual(sandbox.passed(), ["Location Resolves"]);
+		assert.strictEqual(sandbox.requests[0].url, "https://api.example.com/cities/7");
+		assert.strictEqual(sandbox.requests[0].method, "GET");
+		await sandbox.commonTests.checkLocationResolves({baseUrl: COLLECTION, body: {name: "Brugge"}});
+		assert.match(sandbox.results[1].error.message, /Expected https:\/\/api.example.com\/cities\/7 to contain the created content/);
+	});
+
+	it("fails for a relative Location without a base URL", async () => {
+		const sandbox = createSandbox({response: {code: 201, headers: {"Location": "/cities/7"}}}).load();
+		assert.strictEqual(await sandbox.commonTests.checkLocationResolves(), null);
+		assert.match(sandbox.results[0].error.message, /Expected an absolute Location or the baseUrl option but got "\/cities\/7"/);
+		assert.strictEqual(sandbox.requests.length, 0);
+	});
+});
+
+describe("captureValues", () => {
+	it("stores the Location, id and ETag in variables", () => {
+		const sandbox = createSandbox({response: {code: 201, headers: {"Location": "/cities/42", "ETag": "\"v1\""}, body: {data: {id: 42, name: "Gent"}}}}).load();
+		const VALUES = sandbox.commonTests.captureValues({
+			cityUrl: "header:Location",
+			cityId: "$.data.id",
+			cityETag: "header:ETag",
+			cityIdFromUrl: {header: "Location", pattern: /\/cities\/(\d+)$/},
+			streetId: "$.data.streetId"
+		});
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(VALUES)), {cityUrl: "/cities/42", cityId: 42, cityETag: "\"v1\"", cityIdFromUrl: "42"});
+		assert.deepStrictEqual(["cityUrl", "cityId", "cityETag", "cityIdFromUrl"].map(name => sandbox.pm.collectionVariables.get(name)), ["/cities/42", "42", "\"v1\"", "42"]);
+		assert.deepStrictEqual(sandbox.failed(), ["Capture streetId"]);
+		assert.match(sandbox.results[4].error.message, /Expected \$\.data\.streetId to have a value for "streetId"/);
+		assert.throws(() => sandbox.commonTests.captureValues({id: {path: "$.id", header: "Location"}}), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.captureValues({id: "id"}), {name: "SyntaxError"});
+	});
+});
+
+describe("checkResourceLifecycle", () => {
+	it("creates, reads, updates, deletes and expects 404 afterwards", async () => {
+		const sandbox = createSandbox({sendRequest: crudStub()}).load();
+		await sandbox.commonTests.checkResourceLifecycle(COLLECTION, {name: "Gent"}, {update: {name: "Gent", population: 265000}});
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.passed(), ["Create", "Read", "Update", "Read Updated", "Delete", "Read Deleted"].map(step => `Resource Lifecycle: ${step}`));
+		assert.deepStrictEqual(sandbox.requests.map(request => `${request.method} ${request.url}`), [
+			"POST https://api.example.com/cities", "GET https://api.example.com/cities/1", "PUT https://api.example.com/cities/1",
+			"GET https://api.example.com/cities/1", "DELETE https://api.example.com/cities/1", "GET https://api.example.com/cities/1"
+		]);
+	});
+
+	it("uses the id when there is no Location and reports the failing steps", async () => {
+		const sandbox = createSandbox({sendRequest: crudStub({noLocation: true, ignoreUpdate: true, keepDeleted: true})}).load();
+		await sandbox.commonTests.checkResourceLifecycle(COLLECTION, {name: "Gent"}, {update: {name: "Gand"}, idPath: "$.id"});
+		assert.deepStrictEqual(sandbox.failed(), ["Resource Lifecycle: Read Updated", "Resource Lifecycle: Read Deleted"]);
+		assert.match(sandbox.results[3].error.message, /Expected the resource to contain the updated content/);
+		assert.match(sandbox.results[5].error.message, /Expected status code 404 but got 200/);
+	});
+
+	it("stops after a create without a resource URL", async () => {
+		const sandbox = createSandbox({sendRequest: crudStub({noLocation: true})}).load();
+		await sandbox.commonTests.checkResourceLifecycle(COLLECTION, {name: "Gent"});
+		assert.match(sandbox.results[0].error.message, /Expected a Location header/);
+		assert.strictEqual(sandbox.requests.length, 1);
+		assert.strictEqual(sandbox.results.length, 4);
+		assert.throws(() => sandbox.commonTests.checkResourceLifecycle(COLLECTION, {}, {patch: true}), {name: "TypeError", message: /Unknown option "patch"/});
+	});
+});
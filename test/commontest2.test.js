@@ -0,0 +1,199 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const JSON_RESPONSE = {
+	code: 200,
+	headers: {"Content-Type": "application/json; charset=utf-8"},
+	body: {id: "2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2b", name: "Antwerpen"},
+	responseTime: 120
+};
+
+const load = (response = JSON_RESPONSE, options = {}) => createSandbox(Object.assign({response: response}, options)).load();
+
+describe("testCommon", () => {
+	it("runs every provided check when the status code matches", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {code: 201, headers: {"Content-Type": "application/json", "Location": "/cities/1"}}));
+		sandbox.commonTests.testCommon(201, "application/json", {type: "object", required: ["id"]}, "/cities/1");
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)", "Content Type", "JSON Schema", "Location"]);
+	});
+
+	it("logs the response body instead of registering a test", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommon(200);
+		assert.strictEqual(sandbox.results.length, 1);
+		assert.ok(sandbox.logs[0].args[0].endsWith(`"body":${JSON.stringify(JSON_RESPONSE.body)}}`));
+	});
+
+	it("skips the remaining checks when the status code differs", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {code: 404}));
+		sandbox.commonTests.testCommon(200, "application/json", {type: "object"});
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code (Success)"]);
+		assert.strictEqual(sandbox.results.length, 1);
+	});
+
+	it("checks the response time with testCommonAndTime", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommonAndTime(200, 100, "application/json");
+		assert.deepStrictEqual(sandbox.failed(), ["Response Time < 100ms"]);
+	});
+});
+
+describe("checkStatusCode", () => {
+	it("names the test after the status class", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {code: 302}));
+		sandbox.commonTests.checkStatusCode(302);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Redirection)"]);
+	});
+
+	it("aborts the collection run on an unexpected infrastructure error", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {code: 502}));
+		sandbox.commonTests.checkStatusCode(200);
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code (Success)", "Infrastructure Error 502: collection run stopped"]);
+		assert.deepStrictEqual(sandbox.nextRequests, [null]);
+	});
+
+	it("does not abort on an unexpected client error", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {code: 404}));
+		sandbox.commonTests.checkStatusCode(200);
+		assert.deepStrictEqual(sandbox.nextRequests, []);
+	});
+
+	it("does not abort when the infrastructure error was expected", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {code: 503}));
+		sandbox.commonTests.checkStatusCode(503);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Server Error)"]);
+		assert.deepStrictEqual(sandbox.nextRequests, []);
+	});
+
+	it("rejects invalid arguments", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.checkStatusCode("200"), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.checkStatusCode(600), {name: "RangeError"});
+	});
+});
+
+describe("checkContentType", () => {
+	it("fails when the header does not contain the content type", () => {
+		const sandbox = load();
+		sandbox.commonTests.checkContentType("application/hal+json");
+		assert.deepStrictEqual(sandbox.failed(), ["Content Type"]);
+	});
+
+	it("fails when the header is missing", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {headers: {}}));
+		sandbox.commonTests.checkContentType("application/json");
+		assert.deepStrictEqual(sandbox.failed(), ["Content Type"]);
+	});
+});
+
+describe("checkJSONSchema", () => {
+	it("reports the tv4 error and data path in the test title", () => {
+		const sandbox = load();
+		sandbox.commonTests.checkJSONSchema({type: "object", properties: {name: {type: "number"}}});
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Invalid type: string (expected number) for data path /name)"]);
+	});
+
+	it("throws on a schema that is not an object", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.checkJSONSchema("schema"), /Wrong argument type for function checkJSONSchema/);
+	});
+});
+
+describe("checkLocation", () => {
+	it("fails when the location differs", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {headers: {"Location": "/cities/2"}}));
+		sandbox.commonTests.checkLocation("/cities/1");
+		assert.deepStrictEqual(sandbox.failed(), ["Location"]);
+	});
+});
+
+describe("checkTime", () => {
+	it("passes when the response is faster than the limit", () => {
+		const sandbox = load();
+		sandbox.commonTests.checkTime(2000);
+		assert.deepStrictEqual(sandbox.passed(), ["Response Time < 2s"]);
+	});
+
+	it("rejects a limit that is not strictly positive", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.checkTime(0), {name: "RangeError"});
+	});
+});
+
+describe("getSchemaHAL", () => {
+	const HAL_BODY = {
+		_links: {
+			self: {href: "https://api.antwerpen.be/cities?page=1"},
+			first: {href: "https://api.antwerpen.be/cities?page=1"},
+			last: {href: "https://api.antwerpen.be/cities?page=3"},
+			next: {href: "https://api.antwerpen.be/cities?page=2"}
+		},
+		_embedded: {resourceList: [{id: 1}, {id: 2}]},
+		_page: {size: 2, number: 1, totalElements: 6, totalPages: 3}
+	};
+
+	it("accepts a valid HAL response", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {body: HAL_BODY}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaHAL({type: "object", required: ["id"]}));
+		assert.deepStrictEqual(sandbox.failed(), []);
+	});
+
+	it("validates the resource items with the given schema", () => {
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {body: HAL_BODY}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaHAL({type: "object", required: ["name"]}));
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Missing required property: name for data path /_embedded/resourceList/0)"]);
+	});
+
+	it("rejects a page number below 1", () => {
+		const body = Object.assign({}, HAL_BODY, {_page: {size: 2, number: 0}});
+		const sandbox = load(Object.assign({}, JSON_RESPONSE, {body: body}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaHAL());
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Value 0 is less than minimum 1 for data path /_page/number)"]);
+	});
+});
+
+describe("helpers", () => {
+	it("gets the type of a value", () => {
+		const sandbox = load();
+		assert.strictEqual(sandbox.commonTests.getType([]), "Array");
+		assert.strictEqual(sandbox.commonTests.getType(null), "Null");
+	});
+
+	it("converts a time to seconds from 1000ms", () => {
+		const sandbox = load();
+		assert.strictEqual(sandbox.commonTests.convertTime(999), "999ms");
+		assert.strictEqual(sandbox.commonTests.convertTime(1500), "1.5s");
+	});
+
+	it("finds the index of an object by property", () => {
+		const sandbox = load();
+		assert.strictEqual(sandbox.commonTests.getIndexObjectInArray([{id: 1}, {id: 2}], "id", 2), 1);
+		assert.throws(() => sandbox.commonTests.getIndexObjectInArray([1], "id", 2), /getIndexObjectInArray/);
+	});
+
+	it("generates numbers and strings within their bounds", () => {
+		const sandbox = load();
+		for (let i = 0; i < 50; i++) {
+			const NUMBER = sandbox.commonTests.generateNumber(-2, 2);
+			assert.ok(NUMBER >= -2 && NUMBER <= 2);
+		}
+		assert.match(sandbox.commonTests.generateString(12), /^[A-Za-z]{12}$/);
+		assert.throws(() => sandbox.commonTests.generateNumber(2, 1), {name: "RangeError"});
+	});
+
+	it("provides GUID, ISO datetime and URL patterns", () => {
+		const sandbox = load();
+		assert.match(JSON_RESPONSE.body.id, new RegExp(sandbox.commonTests.getRegexGUID()));
+		assert.doesNotMatch("00000000-0000-0000-0000-000000000000", new RegExp(sandbox.commonTests.getRegexGUID()));
+		assert.match("2020-12-24T10:00:00.123Z", new RegExp(sandbox.commonTests.getRegexISODateTime()));
+		assert.match("http://localhost:8080", new RegExp(sandbox.commonTests.getRegexURL()));
+	});
+
+	it("logs and schedules the delay", () => {
+		const sandbox = load();
+		sandbox.commonTests.delayTime(1);
+		assert.deepStrictEqual(sandbox.logs[0], {level: "info", args: ["[INFO] Delaying for 1ms..."]});
+	});
+});
@@ -0,0 +1,115 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const URL = "https://api.example.com/cities/1";
+const LAST_MODIFIED = "Mon, 01 Mar 2021 10:00:00 GMT";
+
+const getHeader = (request, name) => {
+	const HEADER = (request.header || []).find(header => header.key.toLowerCase() === name.toLowerCase());
+	return HEADER && HEADER.value;
+};
+
+// Serves one city with an ETag that changes on every update, like a service with optimistic locking
+const resourceStub = (options = {}) => {
+	const STATE = {version: 1, city: {id: 1, name: "Antwerpen"}};
+	return request => {
+		const ETAG = `"v${STATE.version}"`,
+			HEADERS = Object.assign({"ETag": ETAG}, options.lastModified === false ? {} : {"Last-Modified": LAST_MODIFIED});
+		if (request.method === "GET") {
+			const NOT_MODIFIED = getHeader(request, "If-None-Match") === ETAG || getHeader(request, "If-Modified-Since") === LAST_MODIFIED;
+			return NOT_MODIFIED && !options.ignoreConditions ? {code: 304, headers: HEADERS} : {code: 200, headers: HEADERS, body: STATE.city};
+		}
+		const IF_MATCH = getHeader(request, "If-Match");
+		if (IF_MATCH === undefined && options.requireIfMatch) {
+			return {code: 428};
+		} else if (IF_MATCH !== undefined && IF_MATCH !== ETAG && !options.ignoreConditions) {
+			return {code: 412};
+		}
+		STATE.version++;
+		STATE.city = JSON.parse(request.body.raw);
+		return {code: 200, headers: {"ETag": `"v${STATE.version}"`}, body: STATE.city};
+	};
+};
+
+// Creates a city per idempotency key and replays the stored response for a known key
+const idempotentStub = (options = {}) => {
+	const RESPONSES = {};
+	let created = 0;
+	return request => {
+		const KEY = getHeader(request, "Idempotency-Key");
+		if (RESPONSES[KEY] && !options.ignoreKey) {
+			return RESPONSES[KEY].body === request.body.raw ? RESPONSES[KEY].response : {code: 422};
+		}
+		created++;
+		const RESPONSE = {code: 201, headers: {"Location": `/cities/${created}`}, body: Object.assign({id: created}, JSON.parse(request.body.raw))};
+		RESPONSES[KEY] = {body: request.body.raw, response: RESPONSE};
+		return RESPONSE;
+	};
+};
+
+describe("checkConditionalGet", () => {
+	it("expects 304 for If-None-Match and If-Modified-Since", async () => {
+		const sandbox = createSandbox({sendRequest: resourceStub()}).load();
+		const RESULTS = await sandbox.commonTests.checkConditionalGet({url: URL, header: [{key: "Accept", value: "application/json"}]});
+		assert.deepStrictEqual(sandbox.passed(), ["Conditional GET: GET", "Conditional GET: If-None-Match", "Conditional GET: If-Modified-Since"]);
+		assert.strictEqual(RESULTS[1].response.code, 304);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(sandbox.requests[1].header)), [{key: "Accept", value: "application/json"}, {key: "If-None-Match", value: "\"v1\""}]);
+	});
+
+	it("reports a service that ignores the conditions", async () => {
+		const sandbox = createSandbox({sendRequest: resourceStub({ignoreConditions: true, lastModified: false})}).load();
+		await sandbox.commonTests.checkConditionalGet(URL);
+		assert.deepStrictEqual(sandbox.failed(), ["Conditional GET: If-None-Match"]);
+		assert.match(sandbox.results[1].error.message, /Expected status code 304 but got 200, Expected an empty body but got \d+ characters/);
+	});
+
+	it("fails the next steps without sending them when there is no ETag", async () => {
+		const sandbox = createSandbox({sendRequest: () => ({code: 200, body: {id: 1}})}).load();
+		await sandbox.commonTests.checkConditionalGet(URL, {lastModified: true});
+		assert.deepStrictEqual(sandbox.failed(), ["Conditional GET: GET", "Conditional GET: If-None-Match", "Conditional GET: If-Modified-Since"]);
+		assert.match(sandbox.results[0].error.message, /Expected an ETag header, Expected a Last-Modified header/);
+		assert.match(sandbox.results[1].error.message, /Expected the step "GET" to pass before this step is sent/);
+		assert.strictEqual(sandbox.requests.length, 1);
+	});
+});
+
+describe("checkOptimisticLocking", () => {
+	it("expects 412 for a stale If-Match, 428 without and success with the current ETag", async () => {
+		const sandbox = createSandbox({sendRequest: resourceStub({requireIfMatch: true})}).load();
+		await sandbox.commonTests.checkOptimisticLocking(URL, {id: 1, name: "Antwerpen 2000"}, {preconditionRequired: true, apply: true});
+		assert.deepStrictEqual(sandbox.passed(), ["Optimistic Locking: GET", "Optimistic Locking: Stale If-Match", "Optimistic Locking: Missing If-Match", "Optimistic Locking: Current If-Match"]);
+		assert.deepStrictEqual(sandbox.requests.map(request => [request.method, getHeader(request, "If-Match")]),
+			[["GET", undefined], ["PUT", "\"commonTests-stale\""], ["PUT", undefined], ["PUT", "\"v1\""]]);
+	});
+
+	it("reports a service that overwrites with a stale ETag", async () => {
+		const sandbox = createSandbox({sendRequest: resourceStub({ignoreConditions: true})}).load();
+		const RESULTS = await sandbox.commonTests.checkOptimisticLocking(URL, {name: "Gent"}, {method: "PATCH"});
+		assert.deepStrictEqual(Array.from(RESULTS, result => result.passed), [true, false]);
+		assert.match(sandbox.results[1].error.message, /Expected status code 412 but got 200/);
+		assert.strictEqual(sandbox.requests[1].method, "PATCH");
+		assert.throws(() => sandbox.commonTests.checkOptimisticLocking(URL), {name: "TypeError"});
+	});
+});
+
+describe("checkIdempotency", () => {
+	it("replays the response for the same key and refuses another body", async () => {
+		const sandbox = createSandbox({sendRequest: idempotentStub()}).load();
+		await sandbox.commonTests.checkIdempotency("https://api.example.com/cities", {name: "Gent"}, {otherBody: {name: "Brugge"}});
+		assert.deepStrictEqual(sandbox.passed(), ["Idempotency: First Request", "Idempotency: Replay", "Idempotency: Other Body"]);
+		const KEYS = sandbox.requests.map(request => getHeader(request, "Idempotency-Key"));
+		assert.match(KEYS[0], /^[0-9a-f]{8}-/);
+		assert.ok(KEYS.every(key => key === KEYS[0]));
+		assert.strictEqual(sandbox.requests[0].method, "POST");
+	});
+
+	it("reports a service that creates the resource twice", async () => {
+		const sandbox = createSandbox({sendRequest: idempotentStub({ignoreKey: true})}).load();
+		await sandbox.commonTests.checkIdempotency("https://api.example.com/cities", {name: "Gent"}, {key: "order-42", header: "X-Idempotency-Key"});
+		assert.deepStrictEqual(sandbox.failed(), ["Idempotency: Replay"]);
+		assert.match(sandbox.results[1].error.message, /Expected the body of the first response, Expected the Location \/cities\/1 of the first response but got \/cities\/2/);
+		assert.strictEqual(getHeader(sandbox.requests[0], "X-Idempotency-Key"), "order-42");
+		assert.throws(() => sandbox.commonTests.checkIdempotency("https://api.example.com/cities", {}, {retries: 2}), {name: "TypeError", message: /Unknown option "retries"/});
+	});
+});
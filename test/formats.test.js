@@ -0,0 +1,102 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const BASE_URL = "https://api.antwerpen.be/cities";
+const CITY_SCHEMA = {type: "object", required: ["name"], properties: {name: {type: "string"}}};
+const CITIES = ["Antwerpen", "Gent", "Brugge"].map((name, index) => ({id: String(index + 1), name: name}));
+
+const load = (response = {}, options = {}) => createSandbox(Object.assign({response: response}, options)).load();
+const getPage = url => Number((/[?&](?:page|cursor)=(\d+)/.exec(url) || [0, 1])[1]);
+
+describe("JSON:API", () => {
+	const document = page => ({
+		data: CITIES.slice(page - 1, page).map(city => ({type: "cities", id: city.id, attributes: {name: city.name}})),
+		links: {self: `${BASE_URL}?page=${page}`, next: page < CITIES.length ? {href: `/cities?page=${page + 1}`} : null},
+		meta: {total: CITIES.length}
+	});
+
+	it("validates documents with the resource items schema", () => {
+		const sandbox = load({code: 200, body: document(1)});
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaJSONAPI(CITY_SCHEMA, {type: "cities"}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaJSONAPI(CITY_SCHEMA, {type: "regions"}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaJSONAPI(CITY_SCHEMA, {collection: false}));
+		assert.deepStrictEqual(sandbox.passed(), ["JSON Schema"]);
+		assert.deepStrictEqual(sandbox.failed().length, 2);
+		assert.match(sandbox.failed()[0], /for data path \/data\/0\/type/);
+	});
+
+	it("follows the next links and collects the resources", async () => {
+		const sandbox = load({}, {sendRequest: request => ({code: 200, body: document(getPage(request.url))})});
+		const RESULT = await sandbox.commonTests.walkJSONAPIPages(`${BASE_URL}?page=1`);
+		assert.deepStrictEqual(Array.from(RESULT.items, item => item.attributes.name), ["Antwerpen", "Gent", "Brugge"]);
+		assert.strictEqual(sandbox.requests[1].url, "https://api.antwerpen.be/cities?page=2");
+		assert.deepStrictEqual(sandbox.passed(), ["JSON:API Pages"]);
+	});
+});
+
+describe("Link headers", () => {
+	const linkHeader = page => [
+		`<${BASE_URL}?page=1>; rel="first"`,
+		page < CITIES.length ? `</cities?page=${page + 1}>; rel="next"` : null,
+		`<${BASE_URL}?page=${CITIES.length}>; rel="last"; title="Last, page"`
+	].filter(Boolean).join(", ");
+
+	it("parses RFC 8288 links", () => {
+		const sandbox = load();
+		const LINKS = sandbox.commonTests.parseLinkHeader('<https://api.example.com/?page=2>; rel="next prev"; title="A \\"quoted\\", title", <https://api.example.com/?page=9>;rel=last');
+		assert.strictEqual(LINKS.next.href, "https://api.example.com/?page=2");
+		assert.strictEqual(LINKS.prev, LINKS.next);
+		assert.strictEqual(LINKS.next.title, "A \"quoted\", title");
+		assert.strictEqual(LINKS.last.href, "https://api.example.com/?page=9");
+		assert.throws(() => sandbox.commonTests.parseLinkHeader("https://api.example.com; rel=next"), {name: "SyntaxError"});
+	});
+
+	it("checks the Link header of the response", () => {
+		const sandbox = load({code: 200, headers: {Link: linkHeader(1)}});
+		sandbox.commonTests.checkLinkHeader(["first", "next", "last"]);
+		sandbox.commonTests.checkLinkHeader(["prev"]);
+		assert.deepStrictEqual(sandbox.passed(), ["Link Header"]);
+		assert.match(sandbox.results[1].error.message, /Expected a link with rel="prev"/);
+	});
+
+	it("follows the next links and collects the items", async () => {
+		const sandbox = load({}, {sendRequest: request => {
+			const PAGE = getPage(request.url);
+			return {code: 200, headers: {Link: linkHeader(PAGE)}, body: CITIES.slice(PAGE - 1, PAGE)};
+		}});
+		const RESULT = await sandbox.commonTests.walkLinkHeaderPages(`${BASE_URL}?page=1`);
+		assert.deepStrictEqual(Array.from(RESULT.items, item => item.name), ["Antwerpen", "Gent", "Brugge"]);
+		assert.deepStrictEqual(sandbox.passed(), ["Link Header Pages"]);
+	});
+});
+
+describe("cursor pagination", () => {
+	const page = (cursor, options = {}) => ({
+		items: CITIES.slice(cursor - 1, cursor),
+		nextCursor: options.repeat ? "2" : (cursor < CITIES.length ? String(cursor + 1) : null)
+	});
+
+	it("validates pages with the resource items schema", () => {
+		const sandbox = load({code: 200, body: {results: CITIES, next: null}});
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaCursorPage(CITY_SCHEMA, {itemsProperty: "results", cursorProperty: "next"}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaCursorPage(CITY_SCHEMA));
+		assert.deepStrictEqual(sandbox.passed(), ["JSON Schema"]);
+		assert.match(sandbox.failed()[0], /items/);
+	});
+
+	it("passes the cursor as a query parameter until it is null", async () => {
+		const sandbox = load({}, {sendRequest: request => ({code: 200, body: page(getPage(request.url))})});
+		const RESULT = await sandbox.commonTests.walkCursorPages({url: `${BASE_URL}?limit=1`, method: "GET"});
+		assert.deepStrictEqual(Array.from(RESULT.items, item => item.name), ["Antwerpen", "Gent", "Brugge"]);
+		assert.deepStrictEqual(Array.from(sandbox.requests, request => request.url), [`${BASE_URL}?limit=1`, `${BASE_URL}?limit=1&cursor=2`, `${BASE_URL}?limit=1&cursor=3`]);
+		assert.deepStrictEqual(sandbox.passed(), ["Cursor Pages"]);
+	});
+
+	it("reports a cursor that repeats", async () => {
+		const sandbox = load({}, {sendRequest: request => ({code: 200, body: page(getPage(request.url), {repeat: true})})});
+		await sandbox.commonTests.walkCursorPages(`${BASE_URL}`, {cursorParameter: "cursor"});
+		assert.match(sandbox.results[0].error.message, /page 2: cursor "2" was already returned/);
+		assert.throws(() => sandbox.commonTests.walkCursorPages(BASE_URL, {cursor: "after"}), {name: "TypeError", message: /Unknown option "cursor"/});
+	});
+});
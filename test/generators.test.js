@@ -0,0 +1,112 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const load = (options = {}) => createSandbox(Object.assign({requestName: "Create city"}, options)).load();
+
+const CITY_SCHEMA = {
+	"$schema": "http://json-schema.org/draft-07/schema#",
+	"type": "object",
+	"required": ["id", "name", "zipCode", "createdAt", "contact", "tags"],
+	"additionalProperties": false,
+	"properties": {
+		"id": {"type": "string", "format": "uuid"},
+		"name": {"type": "string", "minLength": 2, "maxLength": 20},
+		"zipCode": {"type": "string", "pattern": "^[1-9][0-9]{3}$"},
+		"inhabitants": {"type": "integer", "minimum": 0, "exclusiveMaximum": 1000000},
+		"area": {"type": "number", "multipleOf": 0.5, "minimum": 1},
+		"createdAt": {"type": "string", "format": "date-time"},
+		"contact": {"$ref": "#/definitions/contact"},
+		"tags": {"type": "array", "items": {"enum": ["harbour", "river", "capital"]}, "uniqueItems": true, "minItems": 1},
+		"region": {"oneOf": [{"type": "null"}, {"type": "string", "enum": ["Flanders", "Wallonia"]}]}
+	},
+	"definitions": {
+		"contact": {
+			"type": "object",
+			"required": ["email", "website"],
+			"properties": {
+				"email": {"type": "string", "format": "email"},
+				"website": {"type": "string", "format": "uri"}
+			}
+		}
+	}
+};
+
+describe("seeded random generators", () => {
+	it("stores a new seed in a collection variable", () => {
+		const sandbox = load();
+		sandbox.commonTests.generateString(5);
+		const SEED = sandbox.pm.collectionVariables.get("commonTests.seed");
+		assert.match(SEED, /^\d+$/);
+		assert.strictEqual(sandbox.commonTests.getSeed(), Number(SEED));
+	});
+
+	it("reproduces the data of a request from the seed", () => {
+		const generate = sandbox => [sandbox.commonTests.generateNumber(1, 1000000), sandbox.commonTests.generateGUID(), sandbox.commonTests.generateEmail()];
+		const FIRST = generate(load({environment: {"commonTests.seed": "42"}}));
+		assert.deepStrictEqual(generate(load({environment: {"commonTests.seed": "42"}})), FIRST);
+		assert.notDeepStrictEqual(generate(load({environment: {"commonTests.seed": "43"}})), FIRST);
+		assert.notDeepStrictEqual(generate(load({environment: {"commonTests.seed": "42"}, requestName: "Update city"})), FIRST);
+	});
+
+	it("changes the seed with setSeed", () => {
+		const sandbox = load();
+		sandbox.commonTests.setSeed(7);
+		const FIRST = sandbox.commonTests.random();
+		sandbox.commonTests.setSeed(7);
+		assert.strictEqual(sandbox.commonTests.random(), FIRST);
+		assert.throws(() => sandbox.commonTests.setSeed(-1), {name: "TypeError"});
+	});
+
+	it("mentions the seed in failed tests", () => {
+		const sandbox = load({collectionVariables: {"commonTests.seed": "1234"}, response: {code: 500}});
+		sandbox.commonTests.generateString(3);
+		sandbox.commonTests.checkStatusCode(200, {abort: false});
+		assert.match(sandbox.results[0].error.message, /Expected status code 200 but got 500.* \(random seed 1234\)$/);
+	});
+});
+
+describe("data builders", () => {
+	it("generates strings from an alphabet", () => {
+		const sandbox = load();
+		assert.match(sandbox.commonTests.generateString(16, "01"), /^[01]{16}$/);
+		assert.throws(() => sandbox.commonTests.generateString(4, ""), {name: "TypeError"});
+	});
+
+	it("generates strings from a regex", () => {
+		const sandbox = load();
+		["^[A-Z]{2}[0-9]{2}( ?[0-9]{4}){3}$", "^(foo|bar)+-\\d{2,3}\\.[^a-z\\s]?$", "^(?:[a-f]{2}:){2}x*$", "\\w+@example\\.(com|org)"].forEach(pattern => {
+			for (let i = 0; i < 20; i++) {
+				assert.match(sandbox.commonTests.generateFromRegex(pattern), new RegExp(pattern));
+			}
+		});
+		assert.match(sandbox.commonTests.generateFromRegex(/^BE\d{2}$/), /^BE\d{2}$/);
+		assert.throws(() => sandbox.commonTests.generateFromRegex("^[0-9]{2}(?!.)\\d$"), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.generateFromRegex(12), {name: "TypeError"});
+	});
+
+	it("generates GUIDs, ISO datetimes and URLs that match the library patterns", () => {
+		const sandbox = load();
+		for (let i = 0; i < 20; i++) {
+			assert.match(sandbox.commonTests.generateGUID(), new RegExp(sandbox.commonTests.getRegexGUID()));
+			assert.match(sandbox.commonTests.generateGUID(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+			assert.match(sandbox.commonTests.generateISODateTime(), new RegExp(sandbox.commonTests.getRegexISODateTime()));
+			assert.match(sandbox.commonTests.generateURL(), new RegExp(sandbox.commonTests.getRegexURL()));
+			assert.match(sandbox.commonTests.generateEmail("digipolis.be"), /^[a-z][a-z0-9]{4,11}@digipolis\.be$/);
+		}
+		const DATE = sandbox.commonTests.generateISODateTime("2021-03-01T00:00:00Z", "2021-03-02T00:00:00Z");
+		assert.ok(DATE >= "2021-03-01T00:00:00.000Z" && DATE <= "2021-03-02T00:00:00.000Z");
+		assert.throws(() => sandbox.commonTests.generateISODateTime("2021-03-02T00:00:00Z", "2021-03-01T00:00:00Z"), {name: "RangeError"});
+	});
+
+	it("generates objects that are valid against a JSON schema", () => {
+		const sandbox = load();
+		for (let i = 0; i < 20; i++) {
+			const CITY = sandbox.commonTests.generateFromSchema(CITY_SCHEMA);
+			assert.deepStrictEqual(Array.from(sandbox.commonTests.validateJSONSchema(CITY, CITY_SCHEMA)), []);
+		}
+		assert.strictEqual(sandbox.commonTests.generateFromSchema({const: "fixed"}), "fixed");
+		assert.throws(() => sandbox.commonTests.generateFromSchema(false), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.generateFromSchema("object"), {name: "TypeError"});
+	});
+});
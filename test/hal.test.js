@@ -0,0 +1,117 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const BASE_URL = "https://api.antwerpen.be/cities";
+const CITIES = ["Antwerpen", "Gent", "Brugge", "Leuven", "Mechelen"].map((name, index) => ({id: index + 1, name: name}));
+
+// Builds page `number` of the cities in pages of two, with the first page numbered pageBase
+const buildPage = (number, pageBase = 1) => {
+	const TOTAL_PAGES = Math.ceil(CITIES.length / 2),
+		LAST = pageBase + TOTAL_PAGES - 1,
+		link = page => ({href: `${BASE_URL}?page=${page}`});
+	return {
+		_links: Object.assign({self: link(number), first: link(pageBase), last: link(LAST)},
+			number < LAST ? {next: link(number + 1)} : {next: null},
+			number > pageBase ? {previous: link(number - 1)} : {}),
+		_embedded: {resourceList: CITIES.slice((number - pageBase) * 2, (number - pageBase) * 2 + 2)},
+		_page: {size: 2, number: number, totalElements: CITIES.length, totalPages: TOTAL_PAGES}
+	};
+};
+const load = (body, options = {}) => createSandbox(Object.assign({response: {code: 200, headers: {"Content-Type": "application/hal+json"}, body: body}}, options)).load();
+const pageStub = (pageBase = 1) => request => ({code: 200, body: buildPage(Number(/page=(\d+)/.exec(request.url)[1]), pageBase)});
+
+describe("getSchemaHAL options", () => {
+	it("accepts zero based pages", () => {
+		const sandbox = load(buildPage(0, 0));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaHAL({}, {pageBase: 0}));
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaHAL());
+		assert.deepStrictEqual(sandbox.passed(), ["JSON Schema"]);
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Value 0 is less than minimum 1 for data path /_page/number)"]);
+	});
+
+	it("requires the configured links", () => {
+		const sandbox = load(buildPage(1));
+		sandbox.commonTests.configure({hal: {requiredLinks: ["self", "next", "previous"]}});
+		sandbox.commonTests.checkJSONSchema(sandbox.commonTests.getSchemaHAL());
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Missing required property: previous for data path /_links)"]);
+	});
+
+	it("rejects unknown conventions", () => {
+		const sandbox = load(buildPage(1));
+		assert.throws(() => sandbox.commonTests.getSchemaHAL({}, {pageBase: 2}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.getSchemaHAL({}, {requiredLinks: ["up"]}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.configure({hal: {pageSize: 20}}), {name: "TypeError", message: /Unknown option "pageSize"/});
+	});
+});
+
+describe("checkHALPagination", () => {
+	it("passes for consistent pages", () => {
+		[1, 2, 3].forEach(number => {
+			const sandbox = load(buildPage(number));
+			sandbox.commonTests.checkHALPagination();
+			assert.deepStrictEqual(sandbox.passed(), ["HAL Pagination"], `page ${number}`);
+		});
+		const ZERO_BASED = load(buildPage(2, 0));
+		ZERO_BASED.commonTests.checkHALPagination({pageBase: 0});
+		assert.deepStrictEqual(ZERO_BASED.passed(), ["HAL Pagination"]);
+	});
+
+	it("reports every inconsistency", () => {
+		const body = buildPage(3);
+		body._page.totalPages = 4;
+		body._links.next = {href: `${BASE_URL}?page=4`};
+		body._links.last = {href: `${BASE_URL}?page=3`};
+		const sandbox = load(body);
+		sandbox.commonTests.checkHALPagination();
+		assert.strictEqual(sandbox.results[0].error.message.split(": ")[0],
+			"Expected consistent pagination but totalPages is 4 while 5 elements in pages of 2 need 3, the last link refers to page 3 instead of 4");
+	});
+
+	it("reports a next link on the last page and a missing previous link", () => {
+		const body = buildPage(3);
+		body._links.next = {href: `${BASE_URL}?page=4`};
+		delete body._links.previous;
+		const sandbox = load(body);
+		sandbox.commonTests.checkHALPagination();
+		assert.match(sandbox.results[0].error.message, /but the last page 3 has a next link, page 3 has no previous link:/);
+	});
+});
+
+describe("walkHALPages", () => {
+	it("collects the resource items of every page", async () => {
+		const sandbox = load(buildPage(1), {sendRequest: pageStub()});
+		const RESULT = await sandbox.commonTests.walkHALPages({url: `${BASE_URL}?page=1`, header: [{key: "Accept", value: "application/hal+json"}]});
+		assert.deepStrictEqual(Array.from(RESULT.items, city => city.name), ["Antwerpen", "Gent", "Brugge", "Leuven", "Mechelen"]);
+		assert.strictEqual(RESULT.pages.length, 3);
+		assert.deepStrictEqual(Array.from(sandbox.requests, request => request.url), [1, 2, 3].map(page => `${BASE_URL}?page=${page}`));
+		assert.strictEqual(sandbox.requests[2].header[0].key, "Accept");
+		assert.deepStrictEqual(sandbox.passed(), ["HAL Pages"]);
+	});
+
+	it("reports missing items and inconsistent pages", async () => {
+		const sandbox = load(buildPage(1), {sendRequest: request => {
+			const PAGE = pageStub()(request);
+			PAGE.body._embedded.resourceList = PAGE.body._embedded.resourceList.slice(0, 1);
+			return PAGE;
+		}});
+		await sandbox.commonTests.walkHALPages(`${BASE_URL}?page=1`);
+		assert.match(sandbox.results[0].error.message, /page 1: page 1 has 1 items instead of 2, .*3 items were collected while totalElements is 5/);
+	});
+
+	it("stops at the maximum number of pages and on request errors", async () => {
+		const LIMITED = load(buildPage(1), {sendRequest: pageStub()});
+		const RESULT = await LIMITED.commonTests.walkHALPages(`${BASE_URL}?page=1`, {maxPages: 2});
+		assert.strictEqual(RESULT.pages.length, 2);
+		assert.match(LIMITED.results[0].error.message, /there are more than 2 pages/);
+
+		const FAILING = load(buildPage(1), {sendRequest: request => {
+			if (request.url.endsWith("page=2")) {
+				throw new Error("ECONNRESET");
+			}
+			return pageStub()(request);
+		}});
+		await FAILING.commonTests.walkHALPages(`${BASE_URL}?page=1`);
+		assert.match(FAILING.results[0].error.message, /Expected page 2 to be retrieved but got "ECONNRESET"/);
+	});
+});
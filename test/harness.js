@@ -0,0 +1,300 @@
+// Offline stand-in for the Postman sandbox. It provides the pm, postman, tv4 and console globals
+// so the library can be loaded and exercised with Node, without Postman or network access.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {AssertionError} = require("assert");
+
+const LIBRARY_FILE = path.join(__dirname, "..", "Commontest2.js");
+
+const STATUS_REASONS = {
+	100: "Continue", 200: "OK", 201: "Created", 202: "Accepted", 204: "No Content",
+	301: "Moved Permanently", 302: "Found", 303: "See Other", 304: "Not Modified",
+	400: "Bad Request", 401: "Unauthorized", 403: "Forbidden", 404: "Not Found", 405: "Method Not Allowed",
+	409: "Conflict", 412: "Precondition Failed", 415: "Unsupported Media Type", 422: "Unprocessable Entity", 429: "Too Many Requests",
+	500: "Internal Server Error", 502: "Bad Gateway", 503: "Service Unavailable", 504: "Gateway Timeout"
+};
+
+/**
+ * Creates a case-insensitive header list that mimics the Postman HeaderList.
+ *
+ * @param {Object} headers - Header names mapped to their values
+ * @returns {Object} Header list with get, has, each and toObject
+ */
+function createHeaderList(headers = {}) {
+	const ENTRIES = Object.keys(headers).map(key => ({key: key, value: String(headers[key])}));
+	const find = name => ENTRIES.find(entry => entry.key.toLowerCase() === String(name).toLowerCase());
+	return {
+		get: name => (find(name) || {}).value,
+		has: name => Boolean(find(name)),
+		each: callback => ENTRIES.forEach(callback),
+		toObject: () => ENTRIES.reduce((result, entry) => Object.assign(result, {[entry.key.toLowerCase()]: entry.value}), {})
+	};
+}
+
+/**
+ * Builds a fake pm.response object.
+ *
+ * @param {Object} options - Response definition
+ * @param {number} options.code - Status code (default 200)
+ * @param {Object} options.headers - Response headers
+ * @param {(Object|string|Buffer)} options.body - Response body, objects are serialized as JSON and a Buffer is the raw body
+ * @param {number} options.responseTime - Response time in milliseconds
+ * @returns {Object} Fake pm.response
+ */
+function buildResponse({code = 200, headers = {}, body = "", responseTime = 0} = {}) {
+	const TEXT = typeof body === "string" ? body : Buffer.isBuffer(body) ? body.toString("utf8") : JSON.stringify(body);
+	const response = {
+		code: code,
+		status: STATUS_REASONS[code] || "",
+		responseTime: responseTime,
+		headers: createHeaderList(headers),
+		text: () => TEXT,
+		json: () => JSON.parse(TEXT),
+		stream: Buffer.isBuffer(body) ? body : Buffer.from(TEXT, "utf8")
+	};
+	const ASSERTIONS = {
+		status(expected) {
+			if (response.code !== expected) {
+				throw new AssertionError({message: `expected response to have status code ${expected} but got ${response.code}`});
+			}
+		},
+		header(name, value) {
+			if (!response.headers.has(name)) {
+				throw new AssertionError({message: `expected response to have header with key '${name}'`});
+			}
+			if (arguments.length > 1 && response.headers.get(name) !== value) {
+				throw new AssertionError({message: `expected '${name}' response header to be '${value}' but got '${response.headers.get(name)}'`});
+			}
+		}
+	};
+	response.to = {have: ASSERTIONS, be: ASSERTIONS};
+	return response;
+}
+
+/**
+ * Creates a minimal chai-style expectation, enough for the assertions the library makes.
+ *
+ * @param {*} actual - Value under test
+ * @param {string} message - Optional message prefix
+ * @returns {Object} Chainable expectation
+ */
+function expect(actual, message) {
+	const fail = text => {
+		throw new AssertionError({message: message ? `${message}: ${text}` : text});
+	};
+	const expectation = {
+		below(limit) {
+			actual < limit || fail(`expected ${actual} to be below ${limit}`);
+		},
+		above(limit) {
+			actual > limit || fail(`expected ${actual} to be above ${limit}`);
+		},
+		equal(expected) {
+			actual === expected || fail(`expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`);
+		},
+		include(expected) {
+			actual != null && actual.includes(expected) || fail(`expected ${JSON.stringify(actual)} to include ${JSON.stringify(expected)}`);
+		},
+		match(regex) {
+			regex.test(actual) || fail(`expected ${JSON.stringify(actual)} to match ${regex}`);
+		},
+		get true() {
+			actual === true || fail(`expected ${actual} to be true`);
+			return expectation;
+		},
+		get false() {
+			actual === false || fail(`expected ${actual} to be false`);
+			return expectation;
+		}
+	};
+	["to", "be", "been", "is", "that", "have", "and"].forEach(word => {
+		Object.defineProperty(expectation, word, {get: () => expectation});
+	});
+	return expectation;
+}
+
+/**
+ * Validates data against a JSON schema. Covers the draft-04 keywords the library's schemas use and
+ * reports the first error the way tv4 does.
+ *
+ * @param {*} data - Instance to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} dataPath - JSON pointer of the instance
+ * @returns {?Object} First error with message and dataPath, or null when valid
+ */
+function findSchemaError(data, schema, dataPath = "") {
+	const error = message => ({message: message, dataPath: dataPath});
+	const typeOf = value => value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+	if (schema.type) {
+		const TYPES = [].concat(schema.type);
+		const matches = TYPES.some(type => type === typeOf(data) || (type === "integer" && Number.isInteger(data)));
+		if (!matches) {
+			return error(`Invalid type: ${typeOf(data)} (expected ${TYPES.join("/")})`);
+		}
+	}
+	if (schema.enum && !schema.enum.some(value => JSON.stringify(value) === JSON.stringify(data))) {
+		return error("No enum match for: " + JSON.stringify(data));
+	}
+	if (typeof data === "number") {
+		if (schema.minimum !== undefined && data < schema.minimum) {
+			return error(`Value ${data} is less than minimum ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && data > schema.maximum) {
+			return error(`Value ${data} is greater than maximum ${schema.maximum}`);
+		}
+		if (schema.multipleOf !== undefined && data % schema.multipleOf !== 0) {
+			return error(`Value ${data} is not a multiple of ${schema.multipleOf}`);
+		}
+	}
+	if (typeof data === "string") {
+		if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+			return error(`String does not match pattern: ${schema.pattern}`);
+		}
+		if (schema.minLength !== undefined && data.length < schema.minLength) {
+			return error(`String is too short (${data.length} chars), minimum ${schema.minLength}`);
+		}
+		if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+			return error(`String is too long (${data.length} chars), maximum ${schema.maxLength}`);
+		}
+	}
+	if (Array.isArray(data) && schema.items) {
+		for (let i = 0; i < data.length; i++) {
+			const ITEM_ERROR = findSchemaError(data[i], schema.items, `${dataPath}/${i}`);
+			if (ITEM_ERROR) {
+				return ITEM_ERROR;
+			}
+		}
+	}
+	if (typeOf(data) === "object") {
+		const MISSING = (schema.required || []).find(property => !(property in data));
+		if (MISSING) {
+			return error(`Missing required property: ${MISSING}`);
+		}
+		const PROPERTIES = schema.properties || {};
+		for (const property of Object.keys(data)) {
+			if (PROPERTIES[property]) {
+				const PROPERTY_ERROR = findSchemaError(data[property], PROPERTIES[property], `${dataPath}/${property}`);
+				if (PROPERTY_ERROR) {
+					return PROPERTY_ERROR;
+				}
+			} else if (schema.additionalProperties === false) {
+				return error(`Additional properties not allowed: ${property}`);
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Creates a Postman variable scope.
+ *
+ * @param {Object} values - Initial variables
+ * @returns {Object} Scope with get, set, unset, has, clear and toObject
+ */
+function createVariableScope(values = {}) {
+	const VALUES = Object.assign({}, values);
+	return {
+		get: name => VALUES[name],
+		set: (name, value) => {
+			VALUES[name] = value;
+		},
+		unset: name => {
+			delete VALUES[name];
+		},
+		has: name => Object.prototype.hasOwnProperty.call(VALUES, name),
+		clear: () => Object.keys(VALUES).forEach(name => delete VALUES[name]),
+		toObject: () => Object.assign({}, VALUES)
+	};
+}
+
+/**
+ * Creates a sandbox with the Postman globals and a recorder for test results, setNextRequest calls and console output.
+ *
+ * @param {Object} options - Sandbox definition
+ * @param {Object} options.response - Definition passed to buildResponse
+ * @param {string} options.requestName - Name of the current request
+ * @param {Object} options.environment - Initial environment variables
+ * @param {Object} options.collectionVariables - Initial collection variables
+ * @param {Object} options.globals - Initial global variables
+ * @param {Function} options.sendRequest - Stub for pm.sendRequest: receives the request and returns a response definition,
+ *                                         a promise of one, or throws to simulate a network error (optional)
+ * @returns {Object} Sandbox with its context and recorded results, load() exposes the library namespace as commonTests
+ */
+function createSandbox({response = {}, requestName = "Request", environment = {}, collectionVariables = {}, globals = {}, sendRequest} = {}) {
+	const sandbox = {
+		results: [],
+		nextRequests: [],
+		requests: [],
+		logs: []
+	};
+	const pm = {
+		info: {requestName: requestName, iteration: 0, eventName: "test"},
+		response: buildResponse(response),
+		environment: createVariableScope(environment),
+		collectionVariables: createVariableScope(collectionVariables),
+		globals: createVariableScope(globals),
+		expect: expect,
+		test(name, callback) {
+			try {
+				callback();
+				sandbox.results.push({name: name, passed: true, error: null});
+			} catch (error) {
+				sandbox.results.push({name: name, passed: false, error: error});
+			}
+		},
+		sendRequest(request, callback) {
+			sandbox.requests.push(request);
+			Promise.resolve()
+				.then(() => {
+					if (!sendRequest) {
+						throw new Error("No sendRequest stub given to createSandbox");
+					}
+					return sendRequest(request);
+				})
+				.then(definition => callback(null, buildResponse(definition)), error => callback(error));
+		}
+	};
+	const LOCALS = createVariableScope();
+	pm.variables = Object.assign({}, LOCALS, {
+		get: name => [LOCALS, pm.environment, pm.collectionVariables, pm.globals].map(scope => scope.get(name)).find(value => value !== undefined)
+	});
+	const record = level => (...args) => sandbox.logs.push({level: level, args: args});
+	const tv4 = {
+		error: null,
+		validate(data, schema) {
+			tv4.error = findSchemaError(data, schema);
+			return tv4.error === null;
+		}
+	};
+	sandbox.pm = pm;
+	sandbox.context = vm.createContext({
+		pm: pm,
+		tv4: tv4,
+		postman: {
+			setNextRequest: name => sandbox.nextRequests.push(name),
+			setGlobalVariable: (name, value) => pm.globals.set(name, value),
+			getGlobalVariable: name => pm.globals.get(name)
+		},
+		console: {log: record("log"), info: record("info"), warn: record("warn"), error: record("error")},
+		setTimeout: setTimeout,
+		clearTimeout: clearTimeout
+	});
+	sandbox.load = (file = LIBRARY_FILE) => {
+		vm.runInContext(fs.readFileSync(file, "utf8"), sandbox.context, {filename: file});
+		sandbox.commonTests = sandbox.context.commonTests;
+		return sandbox;
+	};
+	sandbox.run = code => vm.runInContext(code, sandbox.context);
+	sandbox.passed = () => sandbox.results.filter(result => result.passed).map(result => result.name);
+	sandbox.failed = () => sandbox.results.filter(result => !result.passed).map(result => result.name);
+	return sandbox;
+}
+
+module.exports = {
+	buildResponse,
+	createSandbox,
+	expect,
+	createVariableScope
+};
@@ -0,0 +1,113 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const load = (headers = {}) => createSandbox({response: {code: 200, headers: headers, body: {id: 1}}}).load();
+
+describe("parseMediaType", () => {
+	it("parses the type, subtype, suffix and parameters", () => {
+		const sandbox = load();
+		const MEDIA_TYPE = sandbox.commonTests.parseMediaType("Application/HAL+JSON; Charset=\"UTF-8\"; profile=\"https://example.com/a;b\"");
+		assert.strictEqual(MEDIA_TYPE.essence, "application/hal+json");
+		assert.strictEqual(MEDIA_TYPE.suffix, "json");
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(MEDIA_TYPE.parameters)), {charset: "utf-8", profile: "https://example.com/a;b"});
+		["json", "application/json charset=utf-8", "application/json; charset=\"utf-8", "text/ plain"].forEach(contentType => {
+			assert.throws(() => sandbox.commonTests.parseMediaType(contentType), {name: "SyntaxError"}, contentType);
+		});
+	});
+});
+
+describe("checkContentType", () => {
+	it("matches the media type exactly", () => {
+		const sandbox = load({"Content-Type": "application/jsonx"});
+		sandbox.commonTests.checkContentType("application/json");
+		assert.deepStrictEqual(sandbox.failed(), ["Content Type"]);
+		assert.match(sandbox.results[0].error.message, /Expected Content-Type "application\/json" but got "application\/jsonx"/);
+	});
+
+	it("checks the charset when it is expected", () => {
+		const sandbox = load({"Content-Type": "Application/JSON;charset=UTF-8"});
+		sandbox.commonTests.checkContentType("application/json");
+		sandbox.commonTests.checkContentType("application/json; charset=utf-8");
+		sandbox.commonTests.checkContentType("application/json; charset=iso-8859-1");
+		assert.deepStrictEqual(sandbox.results.map(result => result.passed), [true, true, false]);
+		assert.match(sandbox.results[2].error.message, /Expected Content-Type "Application\/JSON;charset=UTF-8" to have charset=iso-8859-1/);
+		assert.throws(() => sandbox.commonTests.checkContentType("json"), {name: "SyntaxError"});
+	});
+});
+
+describe("checkSecurityHeaders", () => {
+	const SECURE = {
+		"Strict-Transport-Security": "max-age=63072000; includeSubDomains; preload",
+		"X-Content-Type-Options": "nosniff",
+		"Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'"
+	};
+
+	it("passes for a response with the required headers", () => {
+		const sandbox = load(SECURE);
+		sandbox.commonTests.checkSecurityHeaders({includeSubDomains: true});
+		assert.deepStrictEqual(sandbox.passed(), ["Strict-Transport-Security", "X-Content-Type-Options", "Content-Security-Policy"]);
+	});
+
+	it("reports a short max-age and missing headers", () => {
+		const sandbox = load({"Strict-Transport-Security": "max-age=3600"});
+		sandbox.commonTests.checkSecurityHeaders();
+		assert.deepStrictEqual(sandbox.failed(), ["Strict-Transport-Security", "X-Content-Type-Options", "Content-Security-Policy"]);
+		assert.match(sandbox.results[0].error.message, /max-age of at least 31536000 but got "max-age=3600"/);
+
+		const RELAXED = load({"Strict-Transport-Security": "max-age=3600", "X-Content-Type-Options": "nosniff"});
+		RELAXED.commonTests.checkSecurityHeaders({hstsMaxAge: 3600, contentSecurityPolicy: false});
+		assert.deepStrictEqual(RELAXED.passed(), ["Strict-Transport-Security", "X-Content-Type-Options"]);
+		assert.throws(() => RELAXED.commonTests.checkSecurityHeaders({csp: true}), {name: "TypeError", message: /Unknown option "csp"/});
+	});
+});
+
+describe("checkCORS", () => {
+	const ORIGIN = "https://www.antwerpen.be";
+
+	it("accepts an echoed origin with Vary and the allowed methods and headers", () => {
+		const sandbox = load({
+			"Access-Control-Allow-Origin": ORIGIN,
+			"Access-Control-Allow-Credentials": "true",
+			"Access-Control-Allow-Methods": "GET, POST, PUT",
+			"Access-Control-Allow-Headers": "Content-Type, Authorization",
+			"Vary": "Accept-Encoding, Origin"
+		});
+		sandbox.commonTests.checkCORS(ORIGIN, {methods: ["GET", "PUT"], headers: ["authorization"], credentials: true});
+		assert.deepStrictEqual(sandbox.passed(), ["CORS"]);
+	});
+
+	it("rejects wildcards with credentials and reports every problem", () => {
+		const sandbox = load({"Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "*"});
+		sandbox.commonTests.checkCORS(ORIGIN, {methods: ["DELETE"]});
+		sandbox.commonTests.checkCORS(ORIGIN, {methods: ["DELETE"], headers: ["X-Request-Id"], credentials: true});
+		assert.deepStrictEqual(sandbox.results.map(result => result.passed), [true, false]);
+		assert.match(sandbox.results[1].error.message,
+			/Expected CORS access for origin "https:\/\/www.antwerpen.be" but Access-Control-Allow-Origin is "\*", Access-Control-Allow-Credentials is "undefined", method DELETE is not allowed, header X-Request-Id is not allowed/);
+
+		const NO_VARY = load({"Access-Control-Allow-Origin": ORIGIN});
+		NO_VARY.commonTests.checkCORS(ORIGIN);
+		assert.match(NO_VARY.results[0].error.message, /but Vary does not include Origin/);
+	});
+});
+
+describe("checkCaching", () => {
+	it("requires a valid validator and the Cache-Control directives", () => {
+		const sandbox = load({"ETag": "W/\"a1b2\"", "Cache-Control": "private, max-age=\"3600\", must-revalidate"});
+		sandbox.commonTests.checkCaching({directives: {"private": true, "max-age": 3600, "no-store": false}});
+		assert.deepStrictEqual(sandbox.passed(), ["Cache Validators", "Cache-Control"]);
+	});
+
+	it("reports invalid validators and mismatching directives", () => {
+		const sandbox = load({"ETag": "a1b2", "Last-Modified": "2021-03-01", "Cache-Control": "no-store"});
+		sandbox.commonTests.checkCaching({directives: {"no-store": false, "max-age": 60}});
+		assert.deepStrictEqual(sandbox.failed(), ["Cache Validators", "Cache-Control"]);
+		assert.match(sandbox.results[0].error.message, /Expected a valid ETag but got "a1b2"/);
+		assert.match(sandbox.results[1].error.message, /Expected Cache-Control "no-store" to match but no-store is present, max-age is missing instead of "60"/);
+
+		const DATED = load({"Last-Modified": "Mon, 01 Mar 2021 10:00:00 GMT"});
+		DATED.commonTests.checkCaching();
+		assert.deepStrictEqual(DATED.passed(), ["Cache Validators"]);
+		assert.throws(() => DATED.commonTests.checkCaching({directives: {"max-age": /\d+/}}), {name: "TypeError"});
+	});
+});
@@ -0,0 +1,81 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const BODY = {
+	total: 3,
+	items: [
+		{id: "2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2b", name: "Antwerpen", population: 530000, active: true, links: {self: {href: "https://api.example.com/cities/1"}}},
+		{id: "5e1c9f0a-7d3b-4a2e-8c6f-1b0d9e8a7c5f", name: "Brugge", population: 118000, active: false, links: {self: {href: "https://api.example.com/cities/2"}}},
+		{id: "9c4d2e1f-3a5b-4c6d-8e7f-0a1b2c3d4e5f", name: "Gent", population: 265000, active: true, "postal-code": "9000"}
+	]
+};
+
+const load = (body = BODY) => createSandbox({response: {code: 200, body: body}}).load();
+
+describe("selectJSONPath", () => {
+	it("selects children, wildcards, indexes, descendants and filters", () => {
+		const sandbox = load();
+		const select = path => Array.from(sandbox.commonTests.selectJSONPath(BODY, path));
+		assert.deepStrictEqual(select("$.items[*].name"), ["Antwerpen", "Brugge", "Gent"]);
+		assert.deepStrictEqual(select("$.items[-1]['postal-code']"), ["9000"]);
+		assert.deepStrictEqual(select("$..href"), ["https://api.example.com/cities/1", "https://api.example.com/cities/2"]);
+		assert.deepStrictEqual(select("$.items[?(@.population >= 200000)].name"), ["Antwerpen", "Gent"]);
+		assert.deepStrictEqual(select("$.items[?(@.active == false)].name"), ["Brugge"]);
+		assert.deepStrictEqual(select("$.items[?(@.name =~ /^g/i)].name"), ["Gent"]);
+		assert.deepStrictEqual(select("$.items[?(@.links.self)].name"), ["Antwerpen", "Brugge"]);
+		assert.deepStrictEqual(select("$.items[?(@.name != 'Gent')].population"), [530000, 118000]);
+		assert.deepStrictEqual(select("$.total"), [3]);
+		assert.deepStrictEqual(select("$.missing[0]"), []);
+		["items", "$items", "$.items[", "$.items[?(@.a == [1])]", "$.items[?(@.a =~ 'x')]", "$.[0]"].forEach(path => {
+			assert.throws(() => sandbox.commonTests.selectJSONPath(BODY, path), {name: "SyntaxError"}, path);
+		});
+	});
+});
+
+describe("checkJSONPath", () => {
+	it("passes values that meet their assertions", () => {
+		const sandbox = load();
+		sandbox.commonTests.checkJSONPath({
+			"$.total": {equals: 3},
+			"$": {count: 1},
+			"$.items[*].id": {pattern: sandbox.commonTests.getRegexGUID(), unique: true},
+			"$.items[*].name": {sorted: "asc"},
+			"$.items[*].population": {min: 100000, max: 1000000},
+			"$.items[0]": {matches: {name: "Antwerpen", links: {self: {href: /\/cities\/1$/}}}},
+			"$.items": {matches: [{name: "Gent"}]},
+			"$.items[?(@.active == true)]": {count: 2},
+			"$.deleted": {exists: false}
+		});
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.strictEqual(sandbox.passed().length, 9);
+	});
+
+	it("names the path of every failing value", () => {
+		const sandbox = load({items: [{id: 1, name: "Gent", price: 5}, {id: 2, name: "Antwerpen", price: -1}, {id: 1, name: "Brugge", price: "10"}]});
+		sandbox.commonTests.checkJSONPath({
+			"$.items[*].id": {unique: true},
+			"$.items[*].name": {sorted: "asc"},
+			"$.items[*].price": {min: 0},
+			"$.items[0]": {matches: {name: "Antwerpen"}},
+			"$.total": {equals: 3},
+			"$.items[*]": {count: 2}
+		});
+		assert.deepStrictEqual(sandbox.results.map(result => result.passed), [false, false, false, false, false, false]);
+		const MESSAGES = sandbox.results.map(result => result.error.message);
+		assert.match(MESSAGES[0], /Expected \$\.items\[2\]\.id to be unique but it equals \$\.items\[0\]\.id \(1\)/);
+		assert.match(MESSAGES[1], /Expected \$\.items\[1\]\.name "Antwerpen" to come after \$\.items\[0\]\.name "Gent" in ascending order/);
+		assert.match(MESSAGES[2], /Expected \$\.items\[1\]\.price to be at least 0 but got -1, \$\.items\[2\]\.price to be at least 0 but got "10"/);
+		assert.match(MESSAGES[3], /Expected \$\.items\[0\] to contain \{"name":"Antwerpen"\} but got \{"id":1,"name":"Gent","price":5\}/);
+		assert.match(MESSAGES[4], /Expected \$\.total to select a value/);
+		assert.match(MESSAGES[5], /Expected \$\.items\[\*\] to select 2 values but got 3/);
+	});
+
+	it("validates the assertions before running them", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.checkJSONPath({"$.total": {equal: 3}}), {name: "TypeError", message: /Unknown option "equal"/});
+		assert.throws(() => sandbox.commonTests.checkJSONPath({"$.items[*].name": {sorted: "up"}}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.checkJSONPath({"total": {equals: 3}}), {name: "SyntaxError"});
+		assert.strictEqual(sandbox.results.length, 0);
+	});
+});
@@ -0,0 +1,130 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+const {validateJSONSchema} = require("../Commontest2.js");
+
+const messages = errors => errors.map(error => `${error.dataPath}: ${error.message}`);
+
+describe("validateJSONSchema", () => {
+	it("reports every violation with its data path", () => {
+		const SCHEMA = {
+			type: "object",
+			required: ["id", "name", "email"],
+			properties: {
+				id: {type: "string", format: "uuid"},
+				tags: {type: "array", items: {type: "string"}, uniqueItems: true}
+			},
+			additionalProperties: false
+		};
+		assert.deepStrictEqual(messages(validateJSONSchema({id: "x", tags: ["a", 1, "a"], extra: true}, SCHEMA)), [
+			": Missing required property: name",
+			": Missing required property: email",
+			"/id: String does not match format: uuid",
+			"/tags: Array items are not unique (indices 0 and 2)",
+			"/tags/1: Invalid type: number (expected string)",
+			"/extra: Additional properties not allowed: extra"
+		]);
+	});
+
+	it("supports const and if/then/else", () => {
+		const SCHEMA = {
+			$schema: "http://json-schema.org/draft-07/schema#",
+			if: {properties: {kind: {const: "person"}}},
+			then: {required: ["firstName"]},
+			else: {required: ["companyName"]}
+		};
+		assert.deepStrictEqual(validateJSONSchema({kind: "person", firstName: "Jan"}, SCHEMA), []);
+		assert.deepStrictEqual(messages(validateJSONSchema({kind: "company"}, SCHEMA)), [": Missing required property: companyName"]);
+		assert.deepStrictEqual(messages(validateJSONSchema("b", {const: "a"})), [": Value does not match const: \"a\""]);
+	});
+
+	it("validates formats", () => {
+		const valid = (format, value) => validateJSONSchema(value, {format: format}).length === 0;
+		assert.ok(valid("date-time", "2020-12-24T10:00:00.123+01:00"));
+		assert.ok(!valid("date-time", "2020-02-30T10:00:00Z"));
+		assert.ok(!valid("date-time", "2020-12-24 10:00:00Z"));
+		assert.ok(valid("date", "2020-02-29"));
+		assert.ok(valid("email", "da_acpaas_testing@digipolis.be"));
+		assert.ok(!valid("email", "digipolis.be"));
+		assert.ok(valid("uri", "https://api.antwerpen.be/cities?page=1"));
+		assert.ok(!valid("uri", "/cities"));
+		assert.ok(valid("uuid", "2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2b"));
+		assert.ok(valid("ipv4", "10.0.0.255") && !valid("ipv4", "10.0.0.256"));
+		assert.ok(valid("ipv6", "fe80::1") && valid("ipv6", "1:2:3:4:5:6:7::") && !valid("ipv6", "1::2::3"));
+		assert.ok(valid("unknown-format", "anything"));
+	});
+
+	it("supports draft-04 and draft-06 exclusive bounds", () => {
+		assert.strictEqual(validateJSONSchema(5, {minimum: 5, exclusiveMinimum: true}).length, 1);
+		assert.strictEqual(validateJSONSchema(5, {exclusiveMinimum: 5}).length, 1);
+		assert.strictEqual(validateJSONSchema(5.5, {exclusiveMaximum: 6, multipleOf: 0.1}).length, 0);
+	});
+
+	it("resolves local references", () => {
+		const SCHEMA = {
+			definitions: {node: {type: "object", properties: {children: {type: "array", items: {$ref: "#/definitions/node"}}, name: {type: "string"}}}},
+			$ref: "#/definitions/node"
+		};
+		assert.deepStrictEqual(messages(validateJSONSchema({children: [{children: [{name: 1}]}]}, SCHEMA)), ["/children/0/children/0/name: Invalid type: number (expected string)"]);
+		assert.throws(() => validateJSONSchema({}, {$ref: "#/definitions/missing"}), /Unresolvable \$ref #\/definitions\/missing/);
+	});
+
+	it("supports combinators and boolean schemas", () => {
+		assert.deepStrictEqual(messages(validateJSONSchema(3, {oneOf: [{type: "integer"}, {minimum: 2}]})), [": Data is valid against more than one schema from \"oneOf\" (indices 0, 1)"]);
+		assert.strictEqual(validateJSONSchema("a", {anyOf: [{type: "integer"}, {type: "string"}]}).length, 0);
+		assert.strictEqual(validateJSONSchema({a: 1}, {not: {required: ["a"]}}).length, 1);
+		assert.strictEqual(validateJSONSchema({a: 1}, {properties: {a: false}}).length, 1);
+		assert.strictEqual(validateJSONSchema({a: 1}, {dependentRequired: {a: ["b"]}}).length, 1);
+	});
+
+	it("applies prefixItems and the items after them in 2020-12", () => {
+		const TUPLE = {$schema: "https://json-schema.org/draft/2020-12/schema", prefixItems: [{type: "string"}], items: {type: "number"}};
+		assert.deepStrictEqual(validateJSONSchema(["a", 1, 2], TUPLE), []);
+		assert.deepStrictEqual(messages(validateJSONSchema([1, "b"], TUPLE)), ["/0: Invalid type: number (expected string)", "/1: Invalid type: string (expected number)"]);
+		assert.deepStrictEqual(validateJSONSchema(["a", "b"], Object.assign({}, TUPLE, {items: false})).length, 1);
+		assert.deepStrictEqual(validateJSONSchema(["a", 1], {prefixItems: [{type: "number"}], items: [{type: "string"}], additionalItems: {type: "number"}}), []);
+	});
+});
+
+describe("checkJSONSchema with the built-in validator", () => {
+	const RESPONSE = {code: 200, headers: {"Content-Type": "application/json"}, body: {id: 1, name: 2, createdAt: "yesterday"}};
+	const SCHEMA = {
+		type: "object",
+		properties: {id: {type: "string"}, name: {type: "string"}, createdAt: {type: "string", format: "date-time"}}
+	};
+
+	it("lists every violation in the failure message", () => {
+		const sandbox = createSandbox({response: RESPONSE}).load();
+		sandbox.commonTests.checkJSONSchema(SCHEMA, {validator: "native"});
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Invalid type: number (expected string) for data path /id, and 2 more)"]);
+		assert.match(sandbox.results[0].error.message, /\/id: Invalid type.*\n\/name: Invalid type.*\n\/createdAt: String does not match format: date-time/);
+	});
+
+	it("is selected automatically for schemas newer than draft-04", () => {
+		const sandbox = createSandbox({response: RESPONSE}).load();
+		sandbox.commonTests.checkJSONSchema(Object.assign({$schema: "http://json-schema.org/draft-07/schema#"}, SCHEMA));
+		assert.match(sandbox.failed()[0], /and 2 more/);
+	});
+
+	it("validates 2020-12 tuples with the built-in validator", () => {
+		const sandbox = createSandbox({response: {code: 200, body: {point: ["Antwerpen", 51.2, 4.4]}}}).load();
+		sandbox.commonTests.checkJSONSchema({
+			$schema: "https://json-schema.org/draft/2020-12/schema",
+			properties: {point: {type: "array", prefixItems: [{type: "string"}], items: {type: "number"}}}
+		});
+		assert.deepStrictEqual(sandbox.passed(), ["JSON Schema"]);
+	});
+
+	it("can be toggled off in favour of tv4", () => {
+		const sandbox = createSandbox({response: RESPONSE}).load();
+		sandbox.commonTests.configure({validator: "tv4"});
+		sandbox.commonTests.checkJSONSchema(Object.assign({$schema: "http://json-schema.org/draft-07/schema#"}, SCHEMA));
+		assert.deepStrictEqual(sandbox.failed(), ["JSON Schema (Invalid type: number (expected string) for data path /id)"]);
+	});
+
+	it("rejects unsupported validators", () => {
+		const sandbox = createSandbox({response: RESPONSE}).load();
+		assert.throws(() => sandbox.commonTests.configure({validator: "ajv"}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.checkJSONSchema(SCHEMA, {engine: "native"}), /Unknown option "engine"/);
+	});
+});
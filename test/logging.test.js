@@ -0,0 +1,83 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const RESPONSE = {
+	code: 200,
+	headers: {"Content-Type": "application/json", "Set-Cookie": "session=abc123; HttpOnly"},
+	body: {id: 1, name: "Jan", nationalNumber: "85.07.30-033.28", token: "eyJhbGciOi", contacts: [{email: "jan@example.com", phone: "+32 3 123 45 67"}]}
+};
+
+const load = (logging = {}) => {
+	const sandbox = createSandbox({response: RESPONSE, requestName: "Get citizen"}).load();
+	sandbox.commonTests.configure({logging: logging});
+	return sandbox;
+};
+
+describe("logResponseBody", () => {
+	it("logs the redacted response to the console instead of a test", () => {
+		const sandbox = load();
+		sandbox.commonTests.logResponseBody();
+		assert.deepStrictEqual(sandbox.results, []);
+		assert.strictEqual(sandbox.logs[0].level, "info");
+		const TEXT = sandbox.logs[0].args[0];
+		assert.match(TEXT, /^\[INFO\] Response of Get citizen \{"status":200,/);
+		assert.match(TEXT, /"set-cookie":"\[REDACTED\]"/);
+		assert.match(TEXT, /"nationalNumber":"\[REDACTED\]"/);
+		assert.ok(!TEXT.includes("abc123"));
+	});
+});
+
+describe("log", () => {
+	it("skips entries below the configured level", () => {
+		const sandbox = load({level: "warn"});
+		assert.strictEqual(sandbox.commonTests.log("info", "Not logged"), null);
+		assert.strictEqual(sandbox.commonTests.log("error", "Logged"), "[ERROR] Logged");
+		assert.deepStrictEqual(sandbox.logs.map(entry => entry.level), ["error"]);
+		sandbox.commonTests.configure({logging: {level: "off"}});
+		assert.strictEqual(sandbox.commonTests.log("error", "Not logged"), null);
+		assert.throws(() => sandbox.commonTests.log("off", "Message"), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.log("info", {message: "x"}), {name: "TypeError"});
+	});
+
+	it("pretty-prints and truncates the data", () => {
+		const sandbox = load({level: "debug", pretty: true, maxLength: 20});
+		const TEXT = sandbox.commonTests.log("debug", "Citizen", {id: 1, name: "Jan", city: "Antwerpen"});
+		assert.strictEqual(TEXT, "[DEBUG] Citizen\n{\n  \"id\": 1,\n  \"name... (33 more characters)");
+		assert.strictEqual(sandbox.logs[0].level, "log");
+	});
+
+	it("writes to a run-scoped variable", () => {
+		const sandbox = load({output: "variable"});
+		sandbox.commonTests.log("warn", "Slow response", {time: 900});
+		sandbox.commonTests.log("info", "Headers", [{key: "Authorization", value: "Bearer abc"}, {key: "Accept", value: "application/json"}]);
+		const LOGS = sandbox.commonTests.getLogs();
+		assert.deepStrictEqual(Array.from(LOGS, entry => [entry.request, entry.level, entry.message, entry.data]), [
+			["Get citizen", "warn", "Slow response", "{\"time\":900}"],
+			["Get citizen", "info", "Headers", "[{\"key\":\"Authorization\",\"value\":\"[REDACTED]\"},{\"key\":\"Accept\",\"value\":\"application/json\"}]"]
+		]);
+		assert.deepStrictEqual(sandbox.logs, []);
+		sandbox.commonTests.clearLogs();
+		assert.strictEqual(sandbox.commonTests.getLogs().length, 0);
+		assert.throws(() => sandbox.commonTests.configure({logging: {output: "file"}}), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.configure({logging: {redact: ["token"]}}), {name: "TypeError", message: /Unknown option "redact"/});
+	});
+});
+
+describe("redact", () => {
+	it("redacts the configured JSON paths at the root or at any depth", () => {
+		const sandbox = load({redactPaths: ["token", "$.contacts[*].email", "$.address.*"]});
+		const REDACTED = sandbox.commonTests.redact({token: "a", nested: {token: "b"}, contacts: [{email: "c", phone: "d"}], address: {street: "e"}, email: "f"});
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(REDACTED)),
+			{token: "[REDACTED]", nested: {token: "[REDACTED]"}, contacts: [{email: "[REDACTED]", phone: "d"}], address: {street: "[REDACTED]"}, email: "f"});
+	});
+
+	it("only redacts national register numbers with a valid checksum", () => {
+		const sandbox = load();
+		assert.strictEqual(sandbox.commonTests.redact("Numbers 85073003328, 01.02.03-004.67 and 85073003329"),
+			"Numbers [REDACTED], [REDACTED] and 85073003329");
+		assert.strictEqual(sandbox.commonTests.redact("{\"rrn\":\"85073003328\",\"Authorization\":\"Basic x\"}"), "{\"rrn\":\"[REDACTED]\",\"Authorization\":\"[REDACTED]\"}");
+		sandbox.commonTests.configure({logging: {redactNationalNumbers: false, redactHeaders: []}});
+		assert.strictEqual(sandbox.commonTests.redact("{\"rrn\":\"85073003328\",\"Authorization\":\"Basic x\"}"), "{\"rrn\":\"85073003328\",\"Authorization\":\"Basic x\"}");
+	});
+});
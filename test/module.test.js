@@ -0,0 +1,49 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const {createSandbox} = require("./harness");
+const {BUILDS, minify} = require("../scripts/build");
+
+const ROOT = path.join(__dirname, "..");
+
+describe("module", () => {
+	it("can be required in Node", () => {
+		const commonTests = require("../Commontest2.js");
+		assert.strictEqual(typeof commonTests.checkStatusCode, "function");
+		assert.strictEqual(commonTests.convertTime(1500), "1.5s");
+	});
+
+	it("exposes one namespace when eval'd from a Postman global", () => {
+		const sandbox = createSandbox({globals: {commonTests: fs.readFileSync(path.join(ROOT, "Commontest2.js"), "utf8")}});
+		const NAMESPACE = sandbox.run("eval(pm.globals.get(\"commonTests\"))");
+		assert.strictEqual(NAMESPACE, sandbox.context.commonTests);
+		assert.strictEqual(typeof NAMESPACE.testCommon, "function");
+		assert.strictEqual(sandbox.context.testCommon, undefined);
+		assert.strictEqual(sandbox.context.COMMON, undefined);
+	});
+
+	it("reports the function name of namespaced calls", () => {
+		const commonTests = require("../Commontest2.js");
+		assert.throws(() => commonTests.convertTime("1s"), /Wrong argument type for function convertTime$/);
+	});
+});
+
+describe("build", () => {
+	BUILDS.forEach(({source, target}) => {
+		it(`${target} is up to date with ${source}`, () => {
+			const BUILT = fs.readFileSync(path.join(ROOT, target), "utf8");
+			assert.ok(BUILT.endsWith(minify(fs.readFileSync(path.join(ROOT, source), "utf8"))), "run npm run build");
+		});
+
+		it(`${target} exposes the namespace of ${source}`, () => {
+			const sandbox = createSandbox().load(path.join(ROOT, target));
+			assert.deepStrictEqual(Object.keys(sandbox.commonTests), Object.keys(require(path.join(ROOT, source))));
+		});
+	});
+
+	it("keeps string, template and regex literals intact", () => {
+		const SOURCE = "// comment\nconst a = \"// not a comment\";\n\t/* block */ const b = `x ${a} /* y */`;\nconst c = /\\/\\*[/]/g.test(a) / 2;\n";
+		assert.strictEqual(minify(SOURCE), "const a = \"// not a comment\";\nconst b = `x ${a} /* y */`;\nconst c = /\\/\\*[/]/g.test(a) / 2;\n");
+	});
+});
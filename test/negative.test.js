@@ -0,0 +1,88 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const CITY_SCHEMA = {
+	"type": "object",
+	"required": ["name", "zipCode"],
+	"additionalProperties": false,
+	"properties": {
+		"name": {"type": "string", "minLength": 2, "maxLength": 10},
+		"zipCode": {"type": "string", "pattern": "^[1-9][0-9]{3}$"},
+		"inhabitants": {"type": "integer", "minimum": 0, "maximum": 1000000},
+		"region": {"enum": ["Flanders", "Wallonia", "Brussels"]},
+		"tags": {"type": "array", "items": {"type": "string"}, "maxItems": 2}
+	}
+};
+const BASE = {name: "Antwerpen", zipCode: "2000", inhabitants: 530000, region: "Flanders", tags: ["harbour"]};
+
+// Accepts only bodies without the validation errors a real service would reject
+const validatingStub = sandbox => request => {
+	const ERRORS = sandbox.commonTests.validateJSONSchema(JSON.parse(request.body.raw), CITY_SCHEMA);
+	return ERRORS.length ?
+		{code: 400, headers: {"Content-Type": "application/problem+json"}, body: {type: "about:blank", title: "Bad Request", status: 400, detail: ERRORS[0].message}} :
+		{code: 201, headers: {"Content-Type": "application/json"}, body: {}};
+};
+
+describe("generateInvalidVariants", () => {
+	it("derives invalid variants from a valid body", () => {
+		const sandbox = createSandbox().load();
+		const VARIANTS = sandbox.commonTests.generateInvalidVariants(CITY_SCHEMA, {base: BASE});
+		assert.deepStrictEqual(Array.from(VARIANTS, variant => variant.description), [
+			"wrong type string for /",
+			"missing required property /name",
+			"missing required property /zipCode",
+			"unexpected property /unexpectedProperty",
+			"wrong type integer for /name",
+			"string too long for /name",
+			"string too short for /name",
+			"wrong type integer for /zipCode",
+			"string not matching the pattern for /zipCode",
+			"wrong type string for /inhabitants",
+			"number below the minimum for /inhabitants",
+			"number above the maximum for /inhabitants",
+			"value outside the enum for /region",
+			"wrong type string for /tags",
+			"too many items for /tags",
+			"wrong type integer for /tags/0"
+		]);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(VARIANTS[1].body)), {zipCode: "2000", inhabitants: 530000, region: "Flanders", tags: ["harbour"]});
+		assert.strictEqual(VARIANTS[5].body.name, "Antwerpenxx");
+		VARIANTS.forEach(variant => assert.notStrictEqual(sandbox.commonTests.validateJSONSchema(variant.body, CITY_SCHEMA).length, 0));
+	});
+
+	it("generates a valid base when none is given", () => {
+		const sandbox = createSandbox().load();
+		const VARIANTS = sandbox.commonTests.generateInvalidVariants(CITY_SCHEMA);
+		assert.ok(VARIANTS.some(variant => variant.description === "missing required property /zipCode"));
+		assert.throws(() => sandbox.commonTests.generateInvalidVariants(CITY_SCHEMA, {valid: BASE}), {name: "TypeError", message: /Unknown option "valid"/});
+	});
+});
+
+describe("checkNegativeRequests", () => {
+	it("sends every variant and expects a client error", async () => {
+		const sandbox = createSandbox({sendRequest: request => validatingStub(sandbox)(request)}).load();
+		const RESULTS = await sandbox.commonTests.checkNegativeRequests({url: "https://api.example.com/cities", header: [{key: "Accept", value: "application/json"}]},
+			CITY_SCHEMA, {base: BASE, problem: true});
+		assert.strictEqual(RESULTS.length, 16);
+		assert.strictEqual(sandbox.failed().length, 0);
+		assert.strictEqual(sandbox.results[0].name, "Negative Request: wrong type string for /");
+		assert.strictEqual(sandbox.requests[1].method, "POST");
+		assert.deepStrictEqual(Array.from(sandbox.requests[1].header, header => header.key), ["Content-Type", "Accept"]);
+	});
+
+	it("reports variants that the service accepts", async () => {
+		const sandbox = createSandbox({sendRequest: request => JSON.parse(request.body.raw).unexpectedProperty ? {code: 201} : {code: 422}}).load();
+		const RESULTS = await sandbox.commonTests.checkNegativeRequests("https://api.example.com/cities", CITY_SCHEMA, {base: BASE});
+		assert.deepStrictEqual(sandbox.failed(), ["Negative Request: unexpected property /unexpectedProperty"]);
+		assert.match(sandbox.results[3].error.message, /Expected status code 4xx but got 201/);
+		assert.strictEqual(RESULTS.filter(result => !result.passed).length, 1);
+	});
+
+	it("requires problem responses when asked", async () => {
+		const sandbox = createSandbox({sendRequest: () => ({code: 400, headers: {"Content-Type": "text/plain"}})}).load();
+		await sandbox.commonTests.checkNegativeRequests("https://api.example.com/cities", {type: "object", required: ["name"]}, {base: {name: "x"}, problem: true});
+		assert.deepStrictEqual(sandbox.failed(), ["Negative Request: wrong type string for /", "Negative Request: missing required property /name"]);
+		assert.match(sandbox.results[0].error.message, /Expected Content-Type "application\/problem\+json" but got "text\/plain"/);
+	});
+});
@@ -0,0 +1,85 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const {createSandbox} = require("./harness");
+
+// The spec is stored in a collection variable, as it would be in Postman
+const SPEC = fs.readFileSync(path.join(__dirname, "fixtures", "openapi.json"), "utf8");
+
+const load = response => createSandbox({response: response, collectionVariables: {openapi: SPEC}}).load();
+
+describe("checkAgainstOpenAPI", () => {
+	it("checks the status code, content type, schema and required headers", () => {
+		const sandbox = load({code: 201, headers: {"Content-Type": "application/json; charset=utf-8", "Location": "/cities/7"}, body: {id: 7, name: "Gent", mayor: null, region: "Flanders"}});
+		sandbox.commonTests.checkAgainstOpenAPI(sandbox.pm.collectionVariables.get("openapi"), "createCity");
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.passed(), ["OpenAPI createCity: Status Code 201", "OpenAPI createCity: Content Type", "OpenAPI createCity: JSON Schema", "OpenAPI createCity: Header Location"]);
+	});
+
+	it("reports schema violations and missing required headers", () => {
+		const sandbox = load({code: 201, headers: {"Content-Type": "application/json"}, body: {id: "7", region: "Holland"}});
+		sandbox.commonTests.checkAgainstOpenAPI(JSON.parse(SPEC), "POST /cities");
+		assert.deepStrictEqual(sandbox.failed(), ["OpenAPI createCity: JSON Schema (Missing required property: name for data path /, and 2 more)", "OpenAPI createCity: Header Location"]);
+		assert.match(sandbox.results[2].error.message, /\/region: No enum match for: "Holland"/);
+	});
+
+	it("finds the operation by an actual path with the server base path", () => {
+		const sandbox = load({code: 404, headers: {"Content-Type": "application/problem+json"}, body: {type: "about:blank", title: "Not Found", status: 404}});
+		sandbox.commonTests.checkAgainstOpenAPI(SPEC, {method: "GET", path: "/v1/cities/42"});
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.strictEqual(sandbox.results.length, 3);
+	});
+
+	it("uses status code ranges and fails on an undocumented content type", () => {
+		const sandbox = load({code: 409, headers: {"Content-Type": "text/html"}, body: "<h1>Conflict</h1>"});
+		sandbox.commonTests.checkAgainstOpenAPI(SPEC, "createCity");
+		assert.deepStrictEqual(sandbox.passed(), ["OpenAPI createCity: Status Code 409"]);
+		assert.deepStrictEqual(sandbox.failed(), ["OpenAPI createCity: Content Type"]);
+	});
+
+	it("fails on an undocumented status code", () => {
+		const sandbox = load({code: 500, body: ""});
+		sandbox.commonTests.checkAgainstOpenAPI(SPEC, "createCity");
+		assert.deepStrictEqual(sandbox.failed(), ["OpenAPI createCity: Status Code 500"]);
+		assert.strictEqual(sandbox.results.length, 1);
+	});
+
+	it("reports a body that is not JSON and still checks the documented headers", () => {
+		const sandbox = load({code: 201, headers: {"Content-Type": "application/json", "Location": "/cities/7"}, body: "{not json"});
+		sandbox.commonTests.checkAgainstOpenAPI(SPEC, "createCity");
+		assert.deepStrictEqual(sandbox.failed(), ["OpenAPI createCity: JSON Schema (Response body is not JSON)"]);
+		assert.deepStrictEqual(sandbox.passed(), ["OpenAPI createCity: Status Code 201", "OpenAPI createCity: Content Type", "OpenAPI createCity: Header Location"]);
+		assert.match(sandbox.results[2].error.message, /Expected a JSON response body but got "/);
+	});
+
+	it("validates OpenAPI 3.1 schemas as JSON schema 2020-12", () => {
+		const SPEC_31 = fs.readFileSync(path.join(__dirname, "fixtures", "openapi-3.1.json"), "utf8");
+		const check = body => {
+			const sandbox = createSandbox({response: {code: 200, headers: {"Content-Type": "application/json"}, body: body}}).load();
+			sandbox.commonTests.checkAgainstOpenAPI(SPEC_31, "getPlace");
+			return sandbox;
+		};
+		assert.deepStrictEqual(check({name: "Grote Markt", district: null, coordinates: [51.22, 4.4]}).failed(), []);
+		const INVALID = check({name: "Grote Markt", district: 1, coordinates: [4.4, 51.22, 10]});
+		assert.deepStrictEqual(INVALID.failed(), ["OpenAPI getPlace: JSON Schema (Invalid type: number (expected string/null) for data path /district, and 1 more)"]);
+		assert.match(INVALID.results[2].error.message, /\/coordinates\/2: Boolean schema false does not allow any value/);
+	});
+
+	it("rejects unknown operations", () => {
+		const sandbox = load({code: 200});
+		assert.throws(() => sandbox.commonTests.checkAgainstOpenAPI(SPEC, "deleteCity"), /Argument out of range for function checkAgainstOpenAPI \(operation "deleteCity" not found\)/);
+		assert.throws(() => sandbox.commonTests.checkAgainstOpenAPI({}, "getCity"), {name: "TypeError"});
+	});
+});
+
+describe("findOpenAPIOperation", () => {
+	it("finds operations by id, template path and actual path", () => {
+		const {findOpenAPIOperation} = require("../Commontest2.js");
+		const DOCUMENT = JSON.parse(SPEC);
+		assert.strictEqual(findOpenAPIOperation(DOCUMENT, "getCity").path, "/cities/{id}");
+		assert.strictEqual(findOpenAPIOperation(DOCUMENT, "GET /cities/{id}").operation.operationId, "getCity");
+		assert.strictEqual(findOpenAPIOperation(DOCUMENT, "get /cities/3?expand=region").operation.operationId, "getCity");
+		assert.strictEqual(findOpenAPIOperation(DOCUMENT, "GET /cities"), null);
+	});
+});
@@ -0,0 +1,100 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+// Answers 202 until the job has been requested the given number of times
+const jobStub = readyAfter => {
+	let calls = 0;
+	return () => ++calls < readyAfter ? {code: 202, body: {status: "running"}} : {code: 200, body: {status: "done"}};
+};
+
+describe("delayTime", () => {
+	it("resolves after the delay and runs the callback", async () => {
+		const sandbox = createSandbox().load();
+		const START = Date.now();
+		const RESULT = await sandbox.commonTests.delayTime(20, () => "next");
+		assert.ok(Date.now() - START >= 15);
+		assert.strictEqual(RESULT, "next");
+		assert.deepStrictEqual(sandbox.logs.map(log => log.args[0]), ["[INFO] Delaying for 20ms...", "[INFO] Delay finished"]);
+	});
+
+	it("rejects a callback that is not a function", () => {
+		const sandbox = createSandbox().load();
+		assert.throws(() => sandbox.commonTests.delayTime(10, "next"), {name: "TypeError"});
+	});
+});
+
+describe("sendRequest", () => {
+	it("resolves with the response of pm.sendRequest", async () => {
+		const sandbox = createSandbox({sendRequest: () => ({code: 201, headers: {Location: "/cities/1"}, body: {id: 1}})}).load();
+		const RESPONSE = await sandbox.commonTests.sendRequest({url: "https://api.example.com/cities", method: "POST"});
+		assert.strictEqual(RESPONSE.code, 201);
+		assert.strictEqual(RESPONSE.getHeader("location"), "/cities/1");
+		assert.strictEqual(RESPONSE.json().id, 1);
+		assert.strictEqual(sandbox.requests[0].method, "POST");
+	});
+
+	it("rejects when the adapter cannot send requests", async () => {
+		const sandbox = createSandbox().load();
+		sandbox.commonTests.useAdapter(sandbox.commonTests.createNodeAdapter({response: {code: 200}}));
+		await assert.rejects(sandbox.commonTests.sendRequest("https://api.example.com"), /The runtime adapter cannot send requests/);
+	});
+
+	it("is supported by the Node adapter", async () => {
+		const sandbox = createSandbox().load();
+		const ADAPTER = sandbox.commonTests.useAdapter(sandbox.commonTests.createNodeAdapter({response: {code: 200}, sendRequest: () => Promise.resolve({code: 204})}));
+		assert.strictEqual((await sandbox.commonTests.sendRequest("https://api.example.com/jobs/1")).code, 204);
+		assert.deepStrictEqual(Array.from(ADAPTER.requests), ["https://api.example.com/jobs/1"]);
+	});
+});
+
+describe("pollUntil", () => {
+	it("re-sends the request until the condition holds", async () => {
+		const sandbox = createSandbox({sendRequest: jobStub(3)}).load();
+		const RESULT = await sandbox.commonTests.pollUntil("https://api.example.com/jobs/1", response => response.json().status === "done", {interval: 5, timeout: 1000});
+		assert.strictEqual(RESULT.met, true);
+		assert.strictEqual(RESULT.attempts, 3);
+		assert.strictEqual(RESULT.response.code, 200);
+		assert.deepStrictEqual(sandbox.passed(), ["Poll GET https://api.example.com/jobs/1"]);
+		assert.strictEqual(sandbox.logs[0].level, "info");
+		assert.match(sandbox.logs[0].args[0], /condition met after 3 attempts in \d+ms/);
+	});
+
+	it("treats a truthy result of the condition as met", async () => {
+		const sandbox = createSandbox({sendRequest: jobStub(2)}).load();
+		const RESULT = await sandbox.commonTests.pollUntil("https://api.example.com/jobs/1", response => response.code === 200 && response.json().status, {interval: 0});
+		assert.strictEqual(RESULT.met, true);
+		assert.strictEqual(RESULT.attempts, 2);
+		assert.deepStrictEqual(sandbox.failed(), []);
+	});
+
+	it("fails when the condition is not met in time", async () => {
+		const sandbox = createSandbox({sendRequest: jobStub(100)}).load();
+		const RESULT = await sandbox.commonTests.pollUntil({url: "https://api.example.com/jobs/1", method: "GET"}, response => response.code === 200,
+			{interval: 10, timeout: 30, description: "job finished"});
+		assert.strictEqual(RESULT.met, false);
+		assert.ok(RESULT.attempts >= 2 && RESULT.attempts <= 4);
+		assert.deepStrictEqual(sandbox.failed(), ["Poll job finished"]);
+		assert.match(sandbox.results[0].error.message, /Expected the condition to be met within 30ms but it was not after \d attempts/);
+	});
+
+	it("treats exceptions in the condition as not met and reports network errors", async () => {
+		let calls = 0;
+		const sandbox = createSandbox({sendRequest: () => {
+			if (++calls === 2) {
+				throw new Error("ECONNREFUSED");
+			}
+			return {code: 200, body: "not json"};
+		}}).load();
+		const RESULT = await sandbox.commonTests.pollUntil("https://api.example.com/jobs/1", response => response.json().done, {interval: 0});
+		assert.strictEqual(RESULT.attempts, 2);
+		assert.match(sandbox.results[0].error.message, /Expected the request to be sent but got "ECONNREFUSED" after 2 attempts/);
+	});
+
+	it("rejects invalid arguments", () => {
+		const sandbox = createSandbox().load();
+		assert.throws(() => sandbox.commonTests.pollUntil("https://api.example.com", "done"), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.pollUntil("https://api.example.com", () => true, {retries: 3}), {name: "TypeError", message: /Unknown option "retries"/});
+		assert.throws(() => sandbox.commonTests.pollUntil("https://api.example.com", () => true, {interval: -1}), {name: "TypeError"});
+	});
+});
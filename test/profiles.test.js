@@ -0,0 +1,71 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const PROFILES = {
+	dev: {maxTime: 2000},
+	prod: {maxTime: 300, hosts: ["api.example.com"], requests: {"Create city": {status: 403}, "Search cities": {maxTime: 1500}}}
+};
+
+// Loads the library in the Postman environment of a profile, with the profiles persisted in the collection
+const load = (profile, options = {}) => {
+	const sandbox = createSandbox(Object.assign({response: {code: 201, responseTime: 900}, environment: {"commonTests.profile": profile}}, options)).load();
+	sandbox.commonTests.configure({profiles: PROFILES});
+	return sandbox;
+};
+
+describe("getProfile", () => {
+	it("gets the profile named by the environment", () => {
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(load("dev").commonTests.getProfile())), {name: "dev", maxTime: 2000});
+		assert.strictEqual(load(undefined).commonTests.getProfile(), null);
+	});
+
+	it("fails clearly for an unknown profile", () => {
+		assert.throws(() => load("acc").commonTests.getProfile(),
+			{name: "Error", message: "Unknown profile \"acc\" in variable commonTests.profile, the defined profiles are dev, prod"});
+		const SANDBOX = createSandbox({environment: {"commonTests.profile": "acc"}}).load();
+		assert.throws(() => SANDBOX.commonTests.checkTime(500), {message: /no profiles are defined, see configure/});
+	});
+
+	it("validates the profiles", () => {
+		const SANDBOX = createSandbox().load();
+		assert.throws(() => SANDBOX.commonTests.configure({profiles: {prod: {timeout: 300}}}), {name: "TypeError", message: /Unknown option "timeout"/});
+		assert.throws(() => SANDBOX.commonTests.configure({profiles: {prod: {maxTime: -1}}}), {name: "RangeError"});
+		assert.throws(() => SANDBOX.commonTests.configure({profiles: {prod: {requests: {"Create city": {status: 999}}}}}), {name: "RangeError"});
+		assert.throws(() => SANDBOX.commonTests.configure({profiles: {prod: {hosts: "api.example.com"}}}), {name: "TypeError"});
+	});
+});
+
+describe("profile overrides", () => {
+	it("uses the response time limit of the profile", () => {
+		const DEV = load("dev");
+		DEV.commonTests.testCommonAndTime(201, 500);
+		DEV.commonTests.testCommonAndTime({status: 201});
+		assert.deepStrictEqual(DEV.passed(), ["Status Code (Success)", "Response Time < 2s", "Status Code (Success)", "Response Time < 2s"]);
+		const PROD = load("prod");
+		PROD.commonTests.checkTime(5000);
+		assert.match(PROD.results[0].error.message, /Expected response time 900ms to be below 300ms/);
+		const SEARCH = load("prod", {requestName: "Search cities"});
+		SEARCH.commonTests.testCommonAndTime(201);
+		assert.deepStrictEqual(SEARCH.passed(), ["Status Code (Success)", "Response Time < 1.5s"]);
+	});
+
+	it("expects the status of the request in the profile", () => {
+		const FORBIDDEN = {requestName: "Create city", response: {code: 403, responseTime: 100, body: {detail: "Read-only"}}};
+		const PROD = load("prod", FORBIDDEN);
+		PROD.commonTests.testCommonAndTime(201, 500);
+		assert.deepStrictEqual(PROD.failed(), []);
+		assert.deepStrictEqual(PROD.passed(), ["Status Code (Client Error)", "Response Time < 300ms"]);
+		assert.deepStrictEqual(PROD.nextRequests, []);
+		const DEV = load("dev", FORBIDDEN);
+		DEV.commonTests.checkStatusCode(201, {abort: false});
+		assert.deepStrictEqual(DEV.failed(), ["Status Code (Success)"]);
+	});
+
+	it("only allows the hosts of the profile in URL's", () => {
+		const PATTERN = new RegExp(load("prod").commonTests.getRegexURL());
+		assert.deepStrictEqual(["https://api.example.com/cities", "http://api.example.com:8080", "https://api.example.com.evil.com/", "https://dev.example.com/cities"]
+			.map(url => PATTERN.test(url)), [true, true, false, false]);
+		assert.ok(new RegExp(load("dev").commonTests.getRegexURL()).test("https://dev.example.com/cities"));
+	});
+});
@@ -0,0 +1,112 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const load = () => createSandbox().load().commonTests;
+
+// Tests every value against the pattern and the validator, which must agree
+const check = (builder, values) => values.map(value => {
+	const MATCHES = new RegExp(builder.pattern).test(value);
+	assert.strictEqual(builder.validate(value).length === 0, MATCHES, value);
+	return MATCHES;
+});
+
+describe("createRegexGUID", () => {
+	it("only accepts hexadecimal GUID's with a version and variant", () => {
+		const commonTests = load();
+		assert.deepStrictEqual(check(commonTests.createRegexGUID(), [
+			"2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2b",
+			"2B8A2F3E-4C1D-1E5F-BA6B-7C8D9E0F1A2B",
+			"2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2g",
+			"2b8a2f3e-4c1d-0e5f-9a6b-7c8d9e0f1a2b",
+			"2b8a2f3e-4c1d-4e5f-ca6b-7c8d9e0f1a2b",
+			"00000000-0000-0000-0000-000000000000"
+		]), [true, true, false, false, false, false]);
+		assert.deepStrictEqual(check(commonTests.createRegexGUID({version: 4, allowNil: true}), [
+			"2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2b", "2b8a2f3e-4c1d-7e5f-9a6b-7c8d9e0f1a2b", "00000000-0000-0000-0000-000000000000"
+		]), [true, false, true]);
+	});
+
+	it("explains why a value is not a GUID", () => {
+		const GUID = load().createRegexGUID({version: 4});
+		assert.deepStrictEqual(Array.from(GUID.validate("2b8a2f3e-4c1d-1e5f-ca6b-7c8d9e0f1a2b")), [
+			"Expected the version of GUID 2b8a2f3e-4c1d-1e5f-ca6b-7c8d9e0f1a2b to be 4 but got 1",
+			"Expected the variant digit of GUID 2b8a2f3e-4c1d-1e5f-ca6b-7c8d9e0f1a2b to be 8, 9, a or b but got c"
+		]);
+		assert.deepStrictEqual(Array.from(GUID.validate("2b8a2f3e4c1d")), ["Expected a GUID of 32 hexadecimal digits in groups of 8-4-4-4-12 but got \"2b8a2f3e4c1d\""]);
+		assert.deepStrictEqual(Array.from(GUID.validate("00000000-0000-0000-0000-000000000000")), ["Expected a GUID but got the nil GUID 00000000-0000-0000-0000-000000000000"]);
+		assert.throws(() => load().createRegexGUID({version: 9}), {name: "RangeError"});
+		assert.throws(() => load().createRegexGUID({nil: true}), {name: "TypeError", message: /Unknown option "nil"/});
+	});
+});
+
+describe("createRegexISODateTime", () => {
+	it("accepts offsets and a limited number of fraction digits after a dot", () => {
+		const commonTests = load();
+		assert.deepStrictEqual(check(commonTests.createRegexISODateTime(), [
+			"2024-03-01T10:15:00Z",
+			"2024-03-01T10:15:00.1234567+02:00",
+			"2024-03-01T10:15:00,123Z",
+			"2024-03-01T10:15:00.Z",
+			"2024-13-01T10:15:00Z",
+			"2024-03-01T24:00:00Z",
+			"2024-03-01T10:15:00",
+			"0001-01-01T00:00:00.000Z"
+		]), [true, true, false, false, false, false, false, false]);
+		assert.deepStrictEqual(check(commonTests.createRegexISODateTime({offsets: false, fractionDigits: 3, allowMinValue: true}), [
+			"2024-03-01T10:15:00.123Z", "2024-03-01T10:15:00Z", "2024-03-01T10:15:00.123+01:00", "0001-01-01T00:00:00.000Z"
+		]), [true, false, false, true]);
+		assert.deepStrictEqual(check(commonTests.createRegexISODateTime({fractionDigits: [0, 3]}), ["2024-03-01T10:15:00Z", "2024-03-01T10:15:00.12Z", "2024-03-01T10:15:00.1234Z"]),
+			[true, true, false]);
+	});
+
+	it("explains why a value is not an ISO datetime", () => {
+		const DATETIME = load().createRegexISODateTime({offsets: false, fractionDigits: 3});
+		assert.deepStrictEqual(Array.from(DATETIME.validate("2023-02-29T10:15:00,1234567+02:00")), [
+			"Expected the date of 2023-02-29T10:15:00,1234567+02:00 to exist but 2023-02-29 does not",
+			"Expected \".\" as the fraction separator of 2023-02-29T10:15:00,1234567+02:00 but got \",\"",
+			"Expected 3 fraction digits in 2023-02-29T10:15:00,1234567+02:00 but got 7",
+			"Expected 2023-02-29T10:15:00,1234567+02:00 in UTC with Z but got the offset +02:00"
+		]);
+		assert.deepStrictEqual(Array.from(DATETIME.validate("01/03/2024")), ["Expected an ISO datetime like 2024-03-01T10:15:00Z but got \"01/03/2024\""]);
+		assert.deepStrictEqual(Array.from(load().createRegexISODateTime().validate("2024-03-01T10:15:00")), ["Expected 2024-03-01T10:15:00 to end with Z or an offset"]);
+		assert.throws(() => load().createRegexISODateTime({fractionDigits: [3, 1]}), {name: "RangeError"});
+		assert.throws(() => load().createRegexISODateTime({fractionDigits: "3"}), {name: "TypeError"});
+	});
+});
+
+describe("createRegexURL", () => {
+	it("anchors the whole URL and applies the schemes, hosts and path options", () => {
+		const commonTests = load();
+		assert.deepStrictEqual(check(commonTests.createRegexURL(), [
+			"https://api.example.com/cities?page=2#top",
+			"http://localhost:8080",
+			"https://api.example.com/cities with spaces",
+			"ftp://files.example.com/cities.csv",
+			"https://intranet/cities"
+		]), [true, true, false, false, false]);
+		assert.deepStrictEqual(check(commonTests.createRegexURL({schemes: ["https"], hosts: ["api.example.com"], pathRequired: true}), [
+			"https://api.example.com/cities/1", "https://api.example.com/", "http://api.example.com/cities/1", "https://api.example.com.evil.com/cities/1"
+		]), [true, false, false, false]);
+	});
+
+	it("explains why a value is not an allowed URL", () => {
+		const URL = load().createRegexURL({schemes: ["https"], hosts: ["api.example.com"], pathRequired: true});
+		assert.deepStrictEqual(Array.from(URL.validate("http://dev.example.com")), [
+			"Expected the scheme of http://dev.example.com to be https but got http",
+			"Expected the host of http://dev.example.com to be api.example.com but got dev.example.com",
+			"Expected http://dev.example.com to have a path"
+		]);
+		assert.deepStrictEqual(Array.from(load().createRegexURL().validate("/cities/1")),
+			["Expected an absolute URL without whitespace like https://api.example.com/cities but got \"/cities/1\""]);
+		assert.throws(() => load().createRegexURL({hosts: []}), {name: "RangeError"});
+		assert.throws(() => load().createRegexURL({schemes: "https"}), {name: "TypeError"});
+	});
+
+	it("keeps the getRegex functions as the patterns of the builders", () => {
+		const commonTests = load();
+		assert.strictEqual(commonTests.getRegexGUID({version: 4}), commonTests.createRegexGUID({version: 4}).pattern);
+		assert.strictEqual(commonTests.getRegexISODateTime(), commonTests.createRegexISODateTime().pattern);
+		assert.strictEqual(commonTests.getRegexURL({pathRequired: true}), commonTests.createRegexURL({pathRequired: true}).pattern);
+	});
+});
@@ -0,0 +1,62 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const SCHEMA = {$schema: "http://json-schema.org/draft-07/schema#", type: "object", required: ["id", "name"], properties: {id: {type: "integer"}}};
+
+// Runs the scripts of two requests that share the collection variables, like a collection run
+const run = () => {
+	const first = createSandbox({requestName: "Get city", response: {code: 200, body: {id: "1"}, responseTime: 250}}).load();
+	first.commonTests.configure({report: {record: true}}, true);
+	first.commonTests.testCommon({status: 200, schema: SCHEMA, maxTime: 200, logBody: false});
+	const second = createSandbox({
+		requestName: "Delete city",
+		response: {code: 503, responseTime: 40},
+		collectionVariables: first.pm.collectionVariables.toObject()
+	}).load();
+	second.commonTests.checkStatusCode(204);
+	return second;
+};
+
+describe("run report", () => {
+	it("records the status, schema errors, timing and abort decision per request", () => {
+		const REPORT = JSON.parse(JSON.stringify(run().commonTests.getReport()));
+		assert.deepStrictEqual(REPORT.map(record => [record.request, record.status, record.responseTime, record.maxTime, record.abort]), [
+			["Get city", {expected: "200", actual: 200}, 250, 200, null],
+			["Delete city", {expected: "204", actual: 503}, 40, null, "collection run stopped"]
+		]);
+		assert.deepStrictEqual(REPORT[0].schemaErrors.map(error => error.dataPath), ["/", "/id"]);
+		assert.deepStrictEqual(REPORT[0].checks.map(check => [check.name, check.passed]),
+			[["Status Code (Success)", true], [REPORT[0].checks[1].name, false], ["Response Time < 200ms", false]]);
+		assert.match(REPORT[0].checks[2].message, /Expected response time 250ms to be below 200ms/);
+		assert.deepStrictEqual(REPORT[1].checks.map(check => check.name), ["Status Code (Success)", "Infrastructure Error 503: collection run stopped"]);
+	});
+
+	it("exports JSON with a summary", () => {
+		const REPORT = JSON.parse(run().commonTests.exportReport());
+		assert.deepStrictEqual(REPORT.summary, {requests: 2, checks: 5, failures: 4, aborted: 1});
+		assert.strictEqual(REPORT.requests.length, 2);
+	});
+
+	it("exports JUnit XML with a test suite per request", () => {
+		const sandbox = run();
+		const XML = sandbox.commonTests.exportReport("junit");
+		const ROOT = sandbox.commonTests.parseXML(XML);
+		assert.strictEqual(ROOT.attributes.failures, "4");
+		assert.deepStrictEqual(Array.from(sandbox.commonTests.selectXPath(ROOT, "/testsuites/testsuite/@name")), ["Get city", "Delete city"]);
+		assert.deepStrictEqual(Array.from(sandbox.commonTests.selectXPath(ROOT, "//testsuite[2]/properties/property[@name='abort']/@value")), ["collection run stopped"]);
+		assert.strictEqual(sandbox.commonTests.selectXPath(ROOT, "//testcase[failure]").length, 4);
+		assert.match(XML, /<failure message="Expected the response body to match the JSON schema:&#10;\/: Missing/);
+		assert.match(XML, /<system-err>Schema errors:\n\/: Missing required property: name\n\/id: Invalid type: .+<\/system-err>/);
+		assert.throws(() => sandbox.commonTests.exportReport("html"), {name: "RangeError"});
+		sandbox.commonTests.clearReport();
+		assert.strictEqual(sandbox.commonTests.getReport().length, 0);
+	});
+
+	it("records nothing unless enabled", () => {
+		const sandbox = createSandbox({response: {code: 200}}).load();
+		sandbox.commonTests.checkStatusCode(200);
+		assert.deepStrictEqual(Array.from(sandbox.commonTests.getReport()), []);
+		assert.throws(() => sandbox.commonTests.configure({report: {record: "yes"}}), {name: "TypeError"});
+	});
+});
@@ -0,0 +1,84 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {createSandbox} = require("./harness");
+const commonTests = require("../Commontest2.js");
+
+const CITY = {
+	id: "2b8a2f3e-4c1d-4e5f-9a6b-7c8d9e0f1a2b",
+	name: "Antwerpen",
+	modifiedAt: "2024-03-01T10:15:00Z",
+	requestId: "abc-1",
+	districts: [{name: "Berchem", population: 42000}, {name: "Deurne", population: 80000}]
+};
+
+// Runs checkSnapshot on a response with the collection variables of an earlier run
+const check = (body, collectionVariables, options) => {
+	const sandbox = createSandbox({response: {code: 200, body: body}, collectionVariables: collectionVariables}).load();
+	sandbox.commonTests.checkSnapshot("Get city", options);
+	return sandbox;
+};
+
+describe("checkSnapshot", () => {
+	it("records the normalized response and matches it in a later run", () => {
+		const RECORDED = check(CITY, {}, {ignore: ["requestId"], record: true});
+		const SNAPSHOT = RECORDED.pm.collectionVariables.get("commonTests.snapshot.Get city");
+		assert.deepStrictEqual(RECORDED.passed(), ["Snapshot Get city"]);
+		assert.deepStrictEqual(JSON.parse(SNAPSHOT), {
+			districts: [{name: "Berchem", population: 42000}, {name: "Deurne", population: 80000}],
+			id: "<GUID>",
+			modifiedAt: "<DATETIME>",
+			name: "Antwerpen"
+		});
+		const OTHER_RUN = Object.assign({}, CITY, {id: "5e1c9f0a-7d3b-4a2e-8c6f-1b0d9e8a7c5f", modifiedAt: "2024-05-02T08:00:00.123Z", requestId: "def-2"});
+		assert.deepStrictEqual(check(OTHER_RUN, RECORDED.pm.collectionVariables.toObject(), {ignore: ["requestId"]}).failed(), []);
+	});
+
+	it("lists the differences by path", () => {
+		const VARIABLES = check(CITY, {}, {record: true}).pm.collectionVariables.toObject();
+		const CHANGED = Object.assign({}, CITY, {name: "Antwerp", modifiedAt: "yesterday", districts: [{name: "Berchem", population: "42000"}], mayor: "Bart"});
+		delete CHANGED.requestId;
+		const SANDBOX = check(CHANGED, VARIABLES);
+		assert.strictEqual(SANDBOX.results[0].error.message.split(": expected false")[0], [
+			"Expected the response to match snapshot \"Get city\" but found 6 differences:",
+			"$.districts[0].population: expected 42000 but got \"42000\"",
+			"$.districts[1]: missing, expected {\"name\":\"Deurne\",\"population\":80000}",
+			"$.mayor: unexpected \"Bart\"",
+			"$.modifiedAt: expected \"<DATETIME>\" but got \"yesterday\"",
+			"$.name: expected \"Antwerpen\" but got \"Antwerp\"",
+			"$.requestId: missing, expected \"abc-1\""
+		].join("\n"));
+		assert.strictEqual(SANDBOX.logs[0].level, "warn");
+		assert.match(SANDBOX.logs[0].args[0], /^\[WARN\] Snapshot differences of Get city \["\$\.districts\[0\]\.population/);
+	});
+
+	it("fails without a snapshot and records in the configured record mode", () => {
+		const SANDBOX = check(CITY, {});
+		assert.match(SANDBOX.results[0].error.message, /Expected a snapshot "Get city" but there is none, record it with the snapshot.record setting/);
+		SANDBOX.commonTests.configure({snapshot: {record: true}});
+		SANDBOX.commonTests.checkSnapshot("Get city", {mask: false});
+		assert.strictEqual(JSON.parse(SANDBOX.pm.collectionVariables.get("commonTests.snapshot.Get city")).id, CITY.id);
+		assert.throws(() => SANDBOX.commonTests.checkSnapshot("Get city", {ignored: []}), {name: "TypeError", message: /Unknown option "ignored"/});
+		assert.throws(() => SANDBOX.commonTests.checkSnapshot("", {}), {name: "TypeError"});
+		assert.throws(() => SANDBOX.commonTests.configure({snapshot: {record: 1}}), {name: "TypeError"});
+	});
+
+	it("stores the snapshots as files with the Node.js adapter", () => {
+		const DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), "commontests-"));
+		try {
+			commonTests.configure({logging: {level: "off"}});
+			const adapter = body => commonTests.useAdapter(commonTests.createNodeAdapter({response: {code: 200, body: body}, snapshotDirectory: DIRECTORY}));
+			adapter(CITY);
+			commonTests.checkSnapshot("cities/1", {record: true});
+			assert.ok(fs.readFileSync(path.join(DIRECTORY, "cities_1.json"), "utf8").includes("\"name\": \"Antwerpen\""));
+			const ADAPTER = adapter(Object.assign({}, CITY, {name: "Gent"}));
+			commonTests.checkSnapshot("cities/1");
+			assert.match(ADAPTER.results[0].error.message, /\$\.name: expected "Antwerpen" but got "Gent"/);
+			assert.deepStrictEqual(ADAPTER.variables, {});
+		} finally {
+			fs.rmSync(DIRECTORY, {recursive: true, force: true});
+		}
+	});
+});
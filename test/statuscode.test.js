@@ -0,0 +1,109 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const load = (response = {}) => createSandbox({response: response}).load();
+const PROBLEM = {type: "https://example.com/problems/invalid-city", title: "Invalid city", status: 422, detail: "The zip code is missing"};
+
+describe("status code expectations", () => {
+	it("accepts a status class", () => {
+		const sandbox = load({code: 204});
+		sandbox.commonTests.checkStatusCode("2xx");
+		sandbox.commonTests.checkStatusCode("4XX");
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)"]);
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code (Client Error)"]);
+		assert.match(sandbox.results[1].error.message, /Expected status code 4xx but got 204/);
+	});
+
+	it("accepts a list of status codes", () => {
+		const sandbox = load({code: 204});
+		sandbox.commonTests.checkStatusCode([200, 204]);
+		sandbox.commonTests.checkStatusCode([200, 404]);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)"]);
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code"]);
+		assert.match(sandbox.results[1].error.message, /Expected status code 200 or 404 but got 204/);
+	});
+
+	it("accepts a predicate", () => {
+		const sandbox = load({code: 302});
+		sandbox.run("commonTests.checkStatusCode(function isRedirect(code) { return code >= 300 && code < 400; });");
+		sandbox.run("commonTests.checkStatusCode(code => code === 200);");
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code"]);
+		assert.match(sandbox.results[1].error.message, /Expected status code accepted by the predicate but got 302/);
+	});
+
+	it("accepts a predicate with a truthy result", () => {
+		const sandbox = load({code: 204});
+		sandbox.commonTests.checkStatusCode(code => [200, 204].indexOf(code) + 1);
+		sandbox.commonTests.checkStatusCode(code => code >= 300 && /^3/.test(String(code)));
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code"]);
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code"]);
+		assert.strictEqual(sandbox.commonTests.matchesStatusCode(code => code === 204 && "No Content", 204), true);
+	});
+
+	it("rejects invalid expectations", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.checkStatusCode("200"), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.checkStatusCode("6xx"), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.checkStatusCode([200, 600]), {name: "RangeError"});
+		assert.throws(() => sandbox.commonTests.checkStatusCode([]), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.checkStatusCode(null), {name: "TypeError"});
+		assert.deepStrictEqual(sandbox.results, []);
+	});
+
+	it("only aborts when the infrastructure error is not expected", () => {
+		const sandbox = load({code: 503});
+		sandbox.commonTests.checkStatusCode("5xx");
+		assert.deepStrictEqual(sandbox.nextRequests, []);
+		sandbox.commonTests.checkStatusCode([200, 201]);
+		assert.deepStrictEqual(sandbox.nextRequests, [null]);
+	});
+
+	it("runs the other checks of testCommon when the status matches", () => {
+		const sandbox = load({code: 201, headers: {"Content-Type": "application/json"}, body: {id: 1}});
+		sandbox.commonTests.testCommon({status: [200, 201], contentType: "application/json", logBody: false});
+		sandbox.commonTests.testCommonAndTime("2xx", 500);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)", "Content Type", "Status Code (Success)", "Response Time < 500ms"]);
+	});
+
+	it("matches a status code without registering a test", () => {
+		const sandbox = load();
+		assert.strictEqual(sandbox.commonTests.matchesStatusCode("3xx", 304), true);
+		assert.strictEqual(sandbox.commonTests.matchesStatusCode([200, 204], 201), false);
+		assert.deepStrictEqual(sandbox.results, []);
+	});
+});
+
+describe("problem responses", () => {
+	it("passes for an RFC 7807 problem response", () => {
+		const sandbox = load({code: 422, headers: {"Content-Type": "application/problem+json; charset=utf-8"}, body: PROBLEM});
+		sandbox.commonTests.checkProblemResponse(422);
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Client Error)", "Problem Content Type", "Problem Details"]);
+	});
+
+	it("reports a wrong Content-Type", () => {
+		const sandbox = load({code: 422, headers: {"Content-Type": "application/json"}, body: PROBLEM});
+		sandbox.commonTests.checkProblemResponse();
+		assert.deepStrictEqual(sandbox.failed(), ["Problem Content Type"]);
+		assert.match(sandbox.results[0].error.message, /Expected Content-Type "application\/problem\+json" but got "application\/json"/);
+	});
+
+	it("reports missing and inconsistent members", () => {
+		const headers = {"Content-Type": "application/problem+json"};
+		const MISSING = load({code: 400, headers: headers, body: {type: "about:blank", title: "Bad Request", status: 400}});
+		MISSING.commonTests.checkProblemResponse("4xx");
+		assert.deepStrictEqual(MISSING.failed(), ["Problem Details"]);
+		assert.match(MISSING.results[2].error.message, /Expected the problem details to contain "detail"/);
+
+		const MISMATCH = load({code: 400, headers: headers, body: Object.assign({}, PROBLEM)});
+		MISMATCH.commonTests.checkProblemResponse(400);
+		assert.match(MISMATCH.results[2].error.message, /Expected the problem status 422 to equal the status code 400/);
+	});
+
+	it("accepts the required members as an option", () => {
+		const sandbox = load({code: 404, headers: {"Content-Type": "application/problem+json"}, body: {title: "Not Found", status: 404}});
+		sandbox.commonTests.checkProblemResponse(404, {fields: ["title", "status"]});
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.throws(() => sandbox.commonTests.checkProblemResponse(404, {field: ["title"]}), {name: "TypeError", message: /Unknown option "field"/});
+	});
+});
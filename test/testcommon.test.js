@@ -0,0 +1,86 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+const RESPONSE = {
+	code: 201,
+	headers: {"Content-Type": "application/json", "Location": "/cities/1", "X-Request-Id": "abc-123"},
+	body: {id: 1, name: "Antwerpen"},
+	responseTime: 80
+};
+
+const load = (response = RESPONSE) => createSandbox({response: response}).load();
+
+describe("testCommon with an options object", () => {
+	it("runs every declared check", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommon({
+			status: 201,
+			contentType: "application/json",
+			schema: {type: "object", required: ["id"]},
+			location: "/cities/1",
+			maxTime: 100,
+			headers: {"X-Request-Id": /^[a-z]+-\d+$/, "Cache-Control": false},
+			bodyContains: ["Antwerpen", "\"id\":1"],
+			bodyNotContains: "password",
+			logBody: false
+		});
+		assert.deepStrictEqual(sandbox.failed(), []);
+		assert.deepStrictEqual(sandbox.passed(), [
+			"Status Code (Success)", "Content Type", "JSON Schema", "Location", "Header X-Request-Id", "Header Cache-Control",
+			"Body contains \"Antwerpen\"", "Body contains \"\"id\":1\"", "Body does not contain \"password\"", "Response Time < 100ms"
+		]);
+	});
+
+	it("logs the response unless disabled", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommon({status: 201});
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)"]);
+		assert.match(sandbox.logs[0].args[0], /^\[INFO\] Response of Request \{"status":201,/);
+	});
+
+	it("only checks the status code when it differs", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommon({status: 200, contentType: "text/plain", maxTime: 10, logBody: false});
+		assert.deepStrictEqual(sandbox.failed(), ["Status Code (Success)"]);
+		assert.strictEqual(sandbox.results.length, 1);
+	});
+
+	it("runs the checks without a status code", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommon({headers: {"X-Request-Id": "abc-124"}, logBody: false});
+		assert.deepStrictEqual(sandbox.failed(), ["Header X-Request-Id"]);
+	});
+
+	it("checks an empty body", () => {
+		const sandbox = load({code: 204});
+		sandbox.commonTests.testCommonAndTime({status: 204, emptyBody: true, maxTime: 100});
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)", "Empty Body", "Response Time < 100ms"]);
+	});
+
+	it("rejects unknown options", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.testCommon({status: 201, contentTyp: "application/json"}), /Unknown option "contentTyp" for function testCommon/);
+		assert.strictEqual(sandbox.results.length, 0);
+	});
+
+	it("keeps the positional signatures working", () => {
+		const sandbox = load();
+		sandbox.commonTests.testCommonAndTime(201, 100, undefined, undefined, "/cities/1");
+		assert.deepStrictEqual(sandbox.passed(), ["Status Code (Success)", "Location", "Response Time < 100ms"]);
+	});
+});
+
+describe("checkHeaders", () => {
+	it("checks exact values, patterns and presence", () => {
+		const sandbox = load();
+		sandbox.commonTests.checkHeaders({"content-type": "application/json", "Location": /^\/cities\/\d+$/, "ETag": true});
+		assert.deepStrictEqual(sandbox.failed(), ["Header ETag"]);
+		assert.match(sandbox.results[2].error.message, /Expected header ETag to be present/);
+	});
+
+	it("rejects other expectations", () => {
+		const sandbox = load();
+		assert.throws(() => sandbox.commonTests.checkHeaders({"ETag": 1}), {name: "TypeError"});
+	});
+});
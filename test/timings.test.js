@@ -0,0 +1,73 @@
+const {describe, it} = require("node:test");
+const assert = require("assert");
+const {createSandbox} = require("./harness");
+
+// Runs one request per response time, sharing the collection variables like a collection run does
+const run = (requestName, times, collectionVariables = {}) => times.reduce((variables, responseTime) => {
+	const sandbox = createSandbox({response: {code: 200, responseTime: responseTime}, requestName: requestName, collectionVariables: variables}).load();
+	sandbox.commonTests.recordResponseTime();
+	return sandbox.pm.collectionVariables.toObject();
+}, collectionVariables);
+
+describe("response time statistics", () => {
+	it("records the response times per request in a collection variable", () => {
+		const variables = run("Get city", [120, 80]);
+		assert.deepStrictEqual(JSON.parse(variables["commonTests.timings"]), {"Get city": [120, 80]});
+	});
+
+	it("records under an explicit endpoint name", () => {
+		const sandbox = createSandbox({response: {responseTime: 42}}).load();
+		assert.strictEqual(sandbox.commonTests.recordResponseTime("GET /cities/{id}"), 42);
+		assert.deepStrictEqual(Object.keys(sandbox.commonTests.getResponseTimes()), ["GET /cities/{id}"]);
+		assert.throws(() => sandbox.commonTests.recordResponseTime(1), {name: "TypeError"});
+	});
+
+	it("calculates nearest-rank percentiles and excludes warm-up responses", () => {
+		const variables = run("Get city", [900, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+		const sandbox = createSandbox({collectionVariables: variables}).load();
+		assert.deepStrictEqual(Object.assign({}, sandbox.commonTests.getResponseTimeStats()["Get city"]), {count: 11, excluded: 0, p50: 60, p95: 900, max: 900});
+		assert.deepStrictEqual(Object.assign({}, sandbox.commonTests.getResponseTimeStats({warmup: 1})["Get city"]), {count: 10, excluded: 1, p50: 50, p95: 100, max: 100});
+	});
+
+	it("records automatically in testCommon when configured", () => {
+		const sandbox = createSandbox({response: {code: 200, responseTime: 75}, requestName: "List cities"}).load();
+		sandbox.commonTests.configure({timings: {record: true}});
+		sandbox.commonTests.testCommon({status: 200, logBody: false});
+		assert.deepStrictEqual(JSON.parse(sandbox.pm.collectionVariables.get("commonTests.timings")), {"List cities": [75]});
+		assert.throws(() => sandbox.commonTests.configure({timings: {warmup: -1}}), {name: "TypeError"});
+	});
+});
+
+describe("checkPerformanceBudget", () => {
+	const VARIABLES = run("List cities", [300, 320], run("Get city", [1500, 100, 110, 120]));
+
+	it("reports one test per endpoint", () => {
+		const sandbox = createSandbox({collectionVariables: VARIABLES}).load();
+		sandbox.commonTests.checkPerformanceBudget({p95: 1000, max: 2000});
+		assert.deepStrictEqual(sandbox.passed(), ["Performance Budget List cities"]);
+		assert.deepStrictEqual(sandbox.failed(), ["Performance Budget Get city"]);
+		assert.match(sandbox.results[0].error.message, /Expected p95 1.5s to be below 1s/);
+		assert.match(sandbox.logs[0].args[0], /^\[INFO\] Get city: p50 110ms, p95 1.5s, max 1.5s \(4 responses, 0 warm-up\)/);
+	});
+
+	it("applies the warm-up and the budgets per endpoint", () => {
+		const sandbox = createSandbox({collectionVariables: VARIABLES}).load();
+		sandbox.commonTests.checkPerformanceBudget({p50: 200, endpoints: {"List cities": {p50: 400}}}, {warmup: 1});
+		assert.deepStrictEqual(sandbox.failed(), []);
+	});
+
+	it("fails without recorded response times and can reset them", () => {
+		const sandbox = createSandbox({collectionVariables: VARIABLES}).load();
+		sandbox.commonTests.checkPerformanceBudget({max: 5000}, {reset: true});
+		assert.strictEqual(sandbox.pm.collectionVariables.has("commonTests.timings"), false);
+		sandbox.commonTests.checkPerformanceBudget({max: 5000});
+		assert.deepStrictEqual(sandbox.failed(), ["Performance Budget"]);
+	});
+
+	it("rejects invalid budgets", () => {
+		const sandbox = createSandbox().load();
+		assert.throws(() => sandbox.commonTests.checkPerformanceBudget({p99: 100}), {name: "TypeError", message: /Unknown option "p99"/});
+		assert.throws(() => sandbox.commonTests.checkPerformanceBudget({p95: "1s"}), {name: "TypeError"});
+		assert.throws(() => sandbox.commonTests.checkPerformanceBudget({max: 100}, {reste: true}), {name: "TypeError"});
+	});
+});